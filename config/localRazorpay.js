@@ -0,0 +1,282 @@
+import crypto from 'crypto';
+
+const PAYMENT_METHODS = ['card', 'netbanking', 'upi', 'wallet', 'emi'];
+
+// Razorpay's fee on the local stand-in: 2% plus 18% GST on the fee
+const FEE_RATE = 0.02;
+const FEE_TAX_RATE = 0.18;
+
+const randomId = prefix => `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+const now = () => Math.floor(Date.now() / 1000);
+
+// Rejects the way the Razorpay SDK does, with the HTTP status and an error
+// body, and a message for code that only reads that
+const gatewayError = (statusCode, description) => Object.assign(new Error(description), {
+  statusCode,
+  error: { code: 'BAD_REQUEST_ERROR', description }
+});
+
+const methodDetails = method => {
+  switch (method) {
+    case 'card':
+    case 'emi':
+      return { card: { last4: '1111', network: 'Visa', type: 'credit', issuer: 'HDFC' } };
+    case 'netbanking':
+      return { bank: 'HDFC' };
+    case 'upi':
+      return { vpa: 'success@razorpay' };
+    case 'wallet':
+      return { wallet: 'paytm' };
+    default:
+      return {};
+  }
+};
+
+// In-memory stand-in for the Razorpay SDK with the calls this app makes:
+// orders.create/fetch, payments.fetch/capture/refund, refunds.fetch,
+// documents.create and disputes.fetch/accept/contest.
+// `checkout` plays the customer paying in Razorpay Checkout and returns the
+// fields the checkout handler would post back, signed with the key secret.
+// `raiseDispute` plays the customer's bank raising a chargeback.
+// Everything is lost on restart.
+class LocalRazorpay {
+  constructor({ key_secret: keySecret }) {
+    this.keySecret = keySecret;
+    this.store = {
+      orders: new Map(),
+      payments: new Map(),
+      refunds: new Map(),
+      documents: new Map(),
+      disputes: new Map()
+    };
+
+    this.orders = {
+      create: async data => this.createOrder(data),
+      fetch: async orderId => this.find('orders', orderId)
+    };
+    this.payments = {
+      fetch: async paymentId => this.find('payments', paymentId),
+      capture: async (paymentId, amount) => this.capturePayment(paymentId, amount),
+      refund: async (paymentId, data) => this.refundPayment(paymentId, data)
+    };
+    this.refunds = {
+      fetch: async refundId => this.find('refunds', refundId)
+    };
+    this.documents = {
+      create: async data => this.createDocument(data)
+    };
+    this.disputes = {
+      fetch: async disputeId => this.find('disputes', disputeId),
+      accept: async disputeId => this.acceptDispute(disputeId),
+      contest: async (disputeId, data) => this.contestDispute(disputeId, data)
+    };
+  }
+
+  find(collection, id) {
+    const entity = this.store[collection].get(id);
+    if (!entity) {
+      throw gatewayError(400, 'The id provided does not exist');
+    }
+    return { ...entity };
+  }
+
+  createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    if (!Number.isInteger(amount) || amount < 100) {
+      throw gatewayError(400, 'Order amount less than minimum amount allowed');
+    }
+
+    const order = {
+      id: randomId('order'),
+      entity: 'order',
+      amount,
+      amount_paid: 0,
+      amount_due: amount,
+      currency,
+      receipt,
+      status: 'created',
+      attempts: 0,
+      notes,
+      created_at: now()
+    };
+    this.store.orders.set(order.id, order);
+    return { ...order };
+  }
+
+  // Pay an order. A failed attempt leaves the order open for another try.
+  checkout(orderId, { method = 'card', fail = false } = {}) {
+    const order = this.store.orders.get(orderId);
+    if (!order) {
+      throw gatewayError(400, 'The id provided does not exist');
+    }
+    if (order.status === 'paid') {
+      throw gatewayError(400, 'Order has already been paid');
+    }
+    if (!PAYMENT_METHODS.includes(method)) {
+      throw gatewayError(400, 'Invalid payment method');
+    }
+
+    const fee = Math.round(order.amount * FEE_RATE);
+    const tax = Math.round(fee * FEE_TAX_RATE);
+    const payment = {
+      id: randomId('pay'),
+      entity: 'payment',
+      amount: order.amount,
+      currency: order.currency,
+      status: fail ? 'failed' : 'captured',
+      order_id: order.id,
+      method,
+      captured: !fail,
+      amount_refunded: 0,
+      refund_status: null,
+      fee: fail ? 0 : fee + tax,
+      tax: fail ? 0 : tax,
+      notes: order.notes,
+      acquirer_data: { auth_code: String(crypto.randomInt(100000, 999999)), rrn: null },
+      error_code: fail ? 'BAD_REQUEST_ERROR' : null,
+      error_description: fail ? 'Payment was declined by the bank' : null,
+      created_at: now(),
+      ...methodDetails(method)
+    };
+    this.store.payments.set(payment.id, payment);
+
+    order.attempts += 1;
+    if (fail) {
+      order.status = 'attempted';
+      return { razorpay_order_id: order.id, razorpay_payment_id: payment.id, error: payment.error_description };
+    }
+
+    order.status = 'paid';
+    order.amount_paid = order.amount;
+    order.amount_due = 0;
+
+    return {
+      razorpay_order_id: order.id,
+      razorpay_payment_id: payment.id,
+      razorpay_signature: crypto
+        .createHmac('sha256', this.keySecret)
+        .update(`${order.id}|${payment.id}`)
+        .digest('hex')
+    };
+  }
+
+  capturePayment(paymentId, amount) {
+    const payment = this.store.payments.get(paymentId);
+    if (!payment) {
+      throw gatewayError(400, 'The id provided does not exist');
+    }
+    if (payment.status !== 'authorized') {
+      throw gatewayError(400, 'This payment has already been captured');
+    }
+    if (Number(amount) !== payment.amount) {
+      throw gatewayError(400, 'Capture amount must be equal to the amount authorized');
+    }
+
+    payment.status = 'captured';
+    payment.captured = true;
+    return { ...payment };
+  }
+
+  refundPayment(paymentId, { amount, notes = {} } = {}) {
+    const payment = this.store.payments.get(paymentId);
+    if (!payment) {
+      throw gatewayError(400, 'The id provided does not exist');
+    }
+    if (payment.status !== 'captured' && payment.status !== 'refunded') {
+      throw gatewayError(400, 'Only captured payments can be refunded');
+    }
+
+    const refundAmount = amount ?? payment.amount - payment.amount_refunded;
+    if (refundAmount <= 0 || payment.amount_refunded + refundAmount > payment.amount) {
+      throw gatewayError(400, 'The refund amount provided is greater than amount captured');
+    }
+
+    const refund = {
+      id: randomId('rfnd'),
+      entity: 'refund',
+      amount: refundAmount,
+      currency: payment.currency,
+      payment_id: payment.id,
+      notes,
+      status: 'processed',
+      speed_processed: 'normal',
+      created_at: now()
+    };
+    this.store.refunds.set(refund.id, refund);
+
+    payment.amount_refunded += refundAmount;
+    payment.refund_status = payment.amount_refunded === payment.amount ? 'full' : 'partial';
+    if (payment.refund_status === 'full') payment.status = 'refunded';
+
+    return { ...refund };
+  }
+
+  createDocument({ file, purpose }) {
+    if (!file?.value) {
+      throw gatewayError(400, 'The file field is required');
+    }
+
+    const document = {
+      id: randomId('doc'),
+      entity: 'document',
+      purpose,
+      name: file.value.name,
+      mime_type: file.value.type,
+      size: file.value.size,
+      created_at: now()
+    };
+    this.store.documents.set(document.id, document);
+    return { ...document };
+  }
+
+  // Raise a chargeback on a captured payment, due for a response in a week
+  raiseDispute(paymentId, { amount, reasonCode = 'fraudulent' } = {}) {
+    const payment = this.store.payments.get(paymentId);
+    if (!payment || payment.status !== 'captured') {
+      throw gatewayError(400, 'Only captured payments can be disputed');
+    }
+
+    const dispute = {
+      id: randomId('disp'),
+      entity: 'dispute',
+      payment_id: payment.id,
+      amount: amount ?? payment.amount,
+      currency: payment.currency,
+      amount_deducted: 0,
+      reason_code: reasonCode,
+      respond_by: now() + 7 * 24 * 60 * 60,
+      status: 'open',
+      phase: 'chargeback',
+      created_at: now(),
+      evidence: null
+    };
+    this.store.disputes.set(dispute.id, dispute);
+    return { ...dispute };
+  }
+
+  findOpenDispute(disputeId) {
+    const dispute = this.store.disputes.get(disputeId);
+    if (!dispute) {
+      throw gatewayError(400, 'The id provided does not exist');
+    }
+    if (dispute.status !== 'open') {
+      throw gatewayError(400, 'Dispute is not open for a response');
+    }
+    return dispute;
+  }
+
+  acceptDispute(disputeId) {
+    const dispute = this.findOpenDispute(disputeId);
+    dispute.status = 'lost';
+    dispute.amount_deducted = dispute.amount;
+    return { ...dispute };
+  }
+
+  contestDispute(disputeId, { action = 'draft', ...evidence } = {}) {
+    const dispute = this.findOpenDispute(disputeId);
+    dispute.evidence = { ...evidence, submitted_at: action === 'submit' ? now() : null };
+    if (action === 'submit') dispute.status = 'under_review';
+    return { ...dispute };
+  }
+}
+
+export default LocalRazorpay;
@@ -0,0 +1,65 @@
+import Razorpay from 'razorpay';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import LocalRazorpay from './localRazorpay.js';
+import logger from './logger.js';
+
+// Keys the local stand-in signs with when no test keys are configured
+const LOCAL_KEY_ID = 'rzp_test_local';
+const LOCAL_KEY_SECRET = 'local_key_secret';
+
+// Initialize Razorpay with validation (lazy initialization)
+let razorpay = null;
+
+// RAZORPAY_MODE=local swaps the gateway for an in-memory stand-in so the
+// payment flow can be run without network access. Never in production.
+export const isLocalRazorpay = () =>
+  process.env.RAZORPAY_MODE === 'local' && process.env.NODE_ENV !== 'production';
+
+export const getRazorpayKeyId = () =>
+  process.env.RAZORPAY_KEY_ID || (isLocalRazorpay() ? LOCAL_KEY_ID : undefined);
+
+export const getRazorpayKeySecret = () =>
+  process.env.RAZORPAY_KEY_SECRET || (isLocalRazorpay() ? LOCAL_KEY_SECRET : undefined);
+
+const initializeRazorpay = () => {
+  if (razorpay) return razorpay;
+
+  if (process.env.RAZORPAY_MODE === 'local' && !isLocalRazorpay()) {
+    logger.error('RAZORPAY_MODE=local is ignored in production');
+  }
+
+  if (isLocalRazorpay()) {
+    razorpay = new LocalRazorpay({ key_secret: getRazorpayKeySecret() });
+    logger.warn('Using the local Razorpay stand-in; no real payments will be taken');
+    return razorpay;
+  }
+  
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+  
+  if (!keyId || !keySecret || keyId.includes('YOUR_') || keySecret.includes('YOUR_')) {
+    logger.warn('Razorpay credentials not configured. Payment features will be disabled.');
+    return null;
+  }
+  
+  try {
+    razorpay = new Razorpay({
+      key_id: keyId,
+      key_secret: keySecret,
+    });
+    logger.info('Razorpay initialized successfully');
+    return razorpay;
+  } catch (error) {
+    logger.error('Failed to initialize Razorpay', { error: error.message });
+    return null;
+  }
+};
+
+// Helper function to get Razorpay instance
+export const getRazorpayInstance = () => {
+  const instance = initializeRazorpay();
+  if (!instance) {
+    throw new AppError('Payment service is not available. Please contact support.', 503);
+  }
+  return instance;
+};
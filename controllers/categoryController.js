@@ -1,4 +1,49 @@
 import Category from '../models/Category.js';
+import categoryTreeService from '../services/categoryTreeService.js';
+import attributeService from '../services/attributeService.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'slug',
+  'description',
+  'image',
+  'isActive',
+  'parentCategory',
+  'sortOrder',
+  'attributes',
+  'hsnCode',
+  'gstRate',
+  'returnWindowDays'
+];
+
+const pickEditableFields = body => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (body[field] !== undefined) fields[field] = body[field];
+  return fields;
+}, {});
+
+const sendCategoryError = (res, error, message) => {
+  if (error.code === 11000) {
+    const field = Object.keys(error.keyPattern || {})[0] === 'slug' ? 'slug' : 'name';
+    return res.status(400).json({
+      success: false,
+      message: `Category with this ${field} already exists`
+    });
+  }
+
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: Object.values(error.errors).map(item => item.message).join(', ')
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    ...(error.code && { code: error.code }),
+    ...(error.details && { details: error.details })
+  });
+};
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -6,8 +51,8 @@ import Category from '../models/Category.js';
 export const getCategories = async (req, res) => {
   try {
     const categories = await Category.find({ isActive: true })
-      .populate('parentCategory', 'name')
-      .sort({ name: 1 });
+      .populate('parentCategory', 'name slug')
+      .sort({ sortOrder: 1, name: 1 });
 
     res.json({
       success: true,
@@ -22,31 +67,86 @@ export const getCategories = async (req, res) => {
   }
 };
 
-// @desc    Get single category
+// @desc    Get categories nested under their parents, in sibling order
+// @route   GET /api/categories/tree?includeInactive=
+// @access  Public (inactive categories for admins only)
+export const getCategoryTree = async (req, res) => {
+  try {
+    const includeInactive = req.query.includeInactive === 'true' && req.user?.role === 'admin';
+    const tree = await categoryTreeService.getTree({ includeInactive });
+
+    res.json({
+      success: true,
+      data: tree
+    });
+  } catch (error) {
+    console.error('Get category tree error:', error);
+    sendCategoryError(res, error, 'Server error while fetching category tree');
+  }
+};
+
+// @desc    Get single category by id or slug, with its breadcrumbs and
+//          direct subcategories
 // @route   GET /api/categories/:id
 // @access  Public
 export const getCategory = async (req, res) => {
   try {
-    const category = await Category.findById(req.params.id)
-      .populate('parentCategory', 'name description');
+    const category = await categoryTreeService.findCategory(req.params.id);
+    await category.populate('parentCategory', 'name slug description');
 
-    if (!category) {
-      return res.status(404).json({
-        success: false,
-        message: 'Category not found'
-      });
-    }
+    const [breadcrumbs, children] = await Promise.all([
+      categoryTreeService.getBreadcrumbs(category._id),
+      Category.find({ parentCategory: category._id, isActive: true })
+        .select('name slug image sortOrder')
+        .sort({ sortOrder: 1, name: 1 })
+    ]);
 
     res.json({
       success: true,
-      data: category
+      data: category,
+      breadcrumbs,
+      children
     });
   } catch (error) {
     console.error('Get category error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching category'
+    sendCategoryError(res, error, 'Server error while fetching category');
+  }
+};
+
+// @desc    Get the path from the top-level category down to a category
+// @route   GET /api/categories/:id/breadcrumbs
+// @access  Public
+export const getCategoryBreadcrumbs = async (req, res) => {
+  try {
+    const category = await categoryTreeService.findCategory(req.params.id);
+    const breadcrumbs = await categoryTreeService.getBreadcrumbs(category._id);
+
+    res.json({
+      success: true,
+      data: breadcrumbs
+    });
+  } catch (error) {
+    console.error('Get category breadcrumbs error:', error);
+    sendCategoryError(res, error, 'Server error while fetching category breadcrumbs');
+  }
+};
+
+// @desc    Get the attributes products in a category carry, including those
+//          inherited from its parents
+// @route   GET /api/categories/:id/attributes
+// @access  Public
+export const getCategoryAttributes = async (req, res) => {
+  try {
+    const category = await categoryTreeService.findCategory(req.params.id);
+    const attributes = await attributeService.getAttributes(category._id);
+
+    res.json({
+      success: true,
+      data: attributes
     });
+  } catch (error) {
+    console.error('Get category attributes error:', error);
+    sendCategoryError(res, error, 'Server error while fetching category attributes');
   }
 };
 
@@ -55,7 +155,10 @@ export const getCategory = async (req, res) => {
 // @access  Private/Admin
 export const createCategory = async (req, res) => {
   try {
-    const category = new Category(req.body);
+    const fields = pickEditableFields(req.body);
+    await categoryTreeService.assertValidParent(null, fields.parentCategory);
+
+    const category = new Category(fields);
     const savedCategory = await category.save();
 
     res.status(201).json({
@@ -65,18 +168,7 @@ export const createCategory = async (req, res) => {
     });
   } catch (error) {
     console.error('Create category error:', error);
-    
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Category with this name already exists'
-      });
-    }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error while creating category'
-    });
+    sendCategoryError(res, error, 'Server error while creating category');
   }
 };
 
@@ -85,11 +177,7 @@ export const createCategory = async (req, res) => {
 // @access  Private/Admin
 export const updateCategory = async (req, res) => {
   try {
-    const category = await Category.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('parentCategory', 'name');
+    const category = await Category.findById(req.params.id);
 
     if (!category) {
       return res.status(404).json({
@@ -98,6 +186,15 @@ export const updateCategory = async (req, res) => {
       });
     }
 
+    const fields = pickEditableFields(req.body);
+    if (fields.parentCategory !== undefined) {
+      await categoryTreeService.assertValidParent(category._id, fields.parentCategory);
+    }
+
+    category.set(fields);
+    await category.save();
+    await category.populate('parentCategory', 'name slug');
+
     res.json({
       success: true,
       message: 'Category updated successfully',
@@ -105,27 +202,17 @@ export const updateCategory = async (req, res) => {
     });
   } catch (error) {
     console.error('Update category error:', error);
-    
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Category with this name already exists'
-      });
-    }
-    
-    res.status(500).json({
-      success: false,
-      message: 'Server error while updating category'
-    });
+    sendCategoryError(res, error, 'Server error while updating category');
   }
 };
 
-// @desc    Delete category
-// @route   DELETE /api/categories/:id
+// @desc    Delete category; subcategories and products must be moved to
+//          its parent or to another category first
+// @route   DELETE /api/categories/:id?strategy=parent|category&target=
 // @access  Private/Admin
 export const deleteCategory = async (req, res) => {
   try {
-    const category = await Category.findByIdAndDelete(req.params.id);
+    const category = await Category.findById(req.params.id);
 
     if (!category) {
       return res.status(404).json({
@@ -134,15 +221,18 @@ export const deleteCategory = async (req, res) => {
       });
     }
 
+    const result = await categoryTreeService.deleteCategory(category, {
+      strategy: req.query.strategy,
+      target: req.query.target
+    });
+
     res.json({
       success: true,
-      message: 'Category deleted successfully'
+      message: 'Category deleted successfully',
+      data: result
     });
   } catch (error) {
     console.error('Delete category error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while deleting category'
-    });
+    sendCategoryError(res, error, 'Server error while deleting category');
   }
 };
@@ -0,0 +1,207 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { AppError, asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import { escapeRegex } from '../utils/regex.js';
+
+const EDITABLE_FIELDS = [
+  'code',
+  'description',
+  'type',
+  'value',
+  'maxDiscount',
+  'minCartValue',
+  'validFrom',
+  'validUntil',
+  'usageLimit',
+  'usageLimitPerUser',
+  'applicableCategories',
+  'applicableBrands',
+  'applicableProducts',
+  'isActive'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
+// @desc    Get all coupons
+// @route   GET /api/admin/coupons
+// @access  Private/Admin
+export const getCoupons = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+  if (req.query.search) {
+    filter.code = { $regex: escapeRegex(req.query.search), $options: 'i' };
+  }
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Coupon.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: coupons,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Get single coupon
+// @route   GET /api/admin/coupons/:id
+// @access  Private/Admin
+export const getCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id)
+    .populate('applicableCategories', 'name')
+    .populate('applicableProducts', 'name price');
+
+  if (!coupon) {
+    throw new AppError('Coupon not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: coupon
+  });
+});
+
+// @desc    Get coupon redemptions
+// @route   GET /api/admin/coupons/:id/redemptions
+// @access  Private/Admin
+export const getCouponRedemptions = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const coupon = await Coupon.findById(req.params.id).select('code usedCount usageLimit');
+
+  if (!coupon) {
+    throw new AppError('Coupon not found', 404);
+  }
+
+  const filter = { coupon: coupon._id };
+  const [redemptions, total, totals] = await Promise.all([
+    CouponRedemption.find(filter)
+      .populate('user', 'name email')
+      .populate('order', 'total status createdAt')
+      .sort({ redeemedAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    CouponRedemption.countDocuments(filter),
+    CouponRedemption.aggregate([
+      { $match: filter },
+      { $group: { _id: null, discount: { $sum: '$discount' } } }
+    ])
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      code: coupon.code,
+      usedCount: coupon.usedCount,
+      usageLimit: coupon.usageLimit,
+      totalDiscount: totals[0]?.discount || 0,
+      redemptions
+    },
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Create coupon
+// @route   POST /api/admin/coupons
+// @access  Private/Admin
+export const createCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.create({
+    ...pickEditableFields(req.body),
+    createdBy: req.user._id
+  });
+
+  logger.info('Coupon created', { code: coupon.code, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Coupon created successfully',
+    data: coupon
+  });
+});
+
+// @desc    Update coupon
+// @route   PUT /api/admin/coupons/:id
+// @access  Private/Admin
+export const updateCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id);
+
+  if (!coupon) {
+    throw new AppError('Coupon not found', 404);
+  }
+
+  const updates = pickEditableFields(req.body);
+  if (updates.code && updates.code.toUpperCase() !== coupon.code && coupon.usedCount > 0) {
+    throw new AppError('Cannot change the code of a coupon that has been redeemed', 400);
+  }
+
+  coupon.set(updates);
+  await coupon.save();
+
+  logger.info('Coupon updated', { code: coupon.code, updatedBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Coupon updated successfully',
+    data: coupon
+  });
+});
+
+// @desc    Delete coupon (deactivates coupons that have been redeemed)
+// @route   DELETE /api/admin/coupons/:id
+// @access  Private/Admin
+export const deleteCoupon = asyncHandler(async (req, res) => {
+  const coupon = await Coupon.findById(req.params.id).select('code usedCount isActive');
+
+  if (!coupon) {
+    throw new AppError('Coupon not found', 404);
+  }
+
+  // Keep redeemed coupons so order history still resolves them
+  if (coupon.usedCount > 0) {
+    coupon.isActive = false;
+    await coupon.save();
+
+    return res.json({
+      success: true,
+      message: 'Coupon has redemptions and was deactivated instead of deleted'
+    });
+  }
+
+  await coupon.deleteOne();
+  logger.info('Coupon deleted', { code: coupon.code, deletedBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Coupon deleted successfully'
+  });
+});
@@ -0,0 +1,89 @@
+import disputeService from '../services/disputeService.js';
+import { asyncHandler } from '../middleware/enhancedErrorHandler.js';
+
+// @desc    Get disputes, the nearest response deadline first
+// @route   GET /api/admin/disputes?status=
+// @access  Private/Admin
+export const getDisputes = asyncHandler(async (req, res) => {
+  const { disputes, pagination } = await disputeService.getDisputes({
+    status: req.query.status,
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 20
+  });
+
+  res.json({
+    success: true,
+    data: disputes,
+    pagination
+  });
+});
+
+// @desc    Get single dispute with its evidence and history
+// @route   GET /api/admin/disputes/:id
+// @access  Private/Admin
+export const getDispute = asyncHandler(async (req, res) => {
+  const dispute = await disputeService.getDispute(req.params.id);
+
+  res.json({
+    success: true,
+    data: dispute
+  });
+});
+
+// @desc    Attach an evidence file to a dispute
+// @route   POST /api/admin/disputes/:id/evidence
+// @access  Private/Admin
+export const addDisputeEvidence = asyncHandler(async (req, res) => {
+  const dispute = await disputeService.addEvidence(req.params.id, req.file, {
+    type: req.body.type,
+    note: req.body.note
+  }, req.user._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Evidence added',
+    data: dispute
+  });
+});
+
+// @desc    Submit a dispute's evidence to the gateway
+// @route   POST /api/admin/disputes/:id/submit
+// @access  Private/Admin
+export const submitDispute = asyncHandler(async (req, res) => {
+  const dispute = await disputeService.submit(req.params.id, { summary: req.body.summary }, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Dispute submitted',
+    data: dispute
+  });
+});
+
+// @desc    Accept a dispute without contesting it
+// @route   POST /api/admin/disputes/:id/accept
+// @access  Private/Admin
+export const acceptDispute = asyncHandler(async (req, res) => {
+  const dispute = await disputeService.accept(req.params.id, { note: req.body.note }, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Dispute accepted',
+    data: dispute
+  });
+});
+
+// @desc    Record a dispute's outcome
+// @route   POST /api/admin/disputes/:id/outcome
+// @access  Private/Admin
+export const recordDisputeOutcome = asyncHandler(async (req, res) => {
+  const dispute = await disputeService.recordOutcome(req.params.id, {
+    outcome: req.body.outcome,
+    note: req.body.note
+  }, req.user._id);
+
+  res.json({
+    success: true,
+    message: `Dispute ${dispute.status}`,
+    data: dispute
+  });
+});
@@ -1,5 +1,6 @@
 import enhancedCartService from '../services/enhancedCartService.js';
 import notificationService from '../services/notificationService.js';
+import shippingService from '../services/shippingService.js';
 import Cart from '../models/Cart.js';
 import { AppError } from '../middleware/enhancedErrorHandler.js';
 import { asyncHandler } from '../middleware/enhancedErrorHandler.js';
@@ -31,7 +32,7 @@ class EnhancedCartController {
   // Add item to cart with validation
   addToCart = asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    const { productId, quantity = 1, options = {} } = req.body;
+    const { productId, variantId, quantity = 1, options = {} } = req.body;
 
     if (!productId) {
       throw new AppError('Product ID is required', 400);
@@ -42,7 +43,7 @@ class EnhancedCartController {
     }
 
     try {
-      const updatedCart = await enhancedCartService.addToCart(userId, productId, quantity, options);
+      const updatedCart = await enhancedCartService.addToCart(userId, productId, quantity, options, variantId);
       
       res.status(200).json({
         success: true,
@@ -54,6 +55,7 @@ class EnhancedCartController {
       logger.error('Add to cart failed', {
         userId,
         productId,
+        variantId,
         quantity,
         options,
         error: error.message
@@ -81,7 +83,7 @@ class EnhancedCartController {
     }
 
     try {
-      const updatedCart = await enhancedCartService.updateCartItem(userId, productId, quantity);
+      const updatedCart = await enhancedCartService.updateCartItem(userId, productId, quantity, req.query.variant);
       
       res.status(200).json({
         success: true,
@@ -114,7 +116,7 @@ class EnhancedCartController {
     }
 
     try {
-      const updatedCart = await enhancedCartService.removeFromCart(userId, productId);
+      const updatedCart = await enhancedCartService.removeFromCart(userId, productId, req.query.variant);
       
       res.status(200).json({
         success: true,
@@ -244,7 +246,7 @@ class EnhancedCartController {
     }
 
     try {
-      const updatedCart = await enhancedCartService.saveForLater(userId, productId);
+      const updatedCart = await enhancedCartService.saveForLater(userId, productId, req.query.variant);
       
       res.status(200).json({
         success: true,
@@ -276,7 +278,7 @@ class EnhancedCartController {
     }
 
     try {
-      const updatedCart = await enhancedCartService.moveToCart(userId, productId);
+      const updatedCart = await enhancedCartService.moveToCart(userId, productId, req.query.variant);
       
       res.status(200).json({
         success: true,
@@ -405,7 +407,8 @@ class EnhancedCartController {
             userId, 
             item.productId, 
             item.quantity, 
-            item.options || {}
+            item.options || {},
+            item.variantId
           );
           results.push({
             productId: item.productId,
@@ -449,7 +452,7 @@ class EnhancedCartController {
   // Estimate shipping for cart
   estimateShipping = asyncHandler(async (req, res) => {
     const userId = req.user.id;
-    const { pincode, country = 'IN' } = req.body;
+    const { pincode, country = 'IN', paymentMethod } = req.body;
 
     if (!pincode) {
       throw new AppError('Pincode is required for shipping estimation', 400);
@@ -462,8 +465,7 @@ class EnhancedCartController {
         throw new AppError('Cart is empty', 400);
       }
 
-      // Mock shipping calculation (would integrate with shipping service)
-      const shippingEstimate = this.calculateShippingEstimate(cart, pincode, country);
+      const shippingEstimate = await this.calculateShippingEstimate(cart, pincode, country, paymentMethod);
       
       res.status(200).json({
         success: true,
@@ -558,25 +560,24 @@ class EnhancedCartController {
   });
 
   // Helper methods
-  calculateShippingEstimate(cart, pincode, country) {
-    // Mock shipping calculation logic
-    const baseShipping = cart.subtotal >= 500 ? 0 : 50;
-    const expressShipping = baseShipping + 100;
-    
-    const estimatedDays = pincode.startsWith('1') ? 1 : 3; // Delhi area gets faster delivery
-    
-    return {
-      standard: {
-        cost: baseShipping,
-        estimatedDays,
-        description: baseShipping === 0 ? 'Free Shipping' : 'Standard Shipping'
-      },
-      express: {
-        cost: expressShipping,
-        estimatedDays: Math.max(1, estimatedDays - 1),
-        description: 'Express Shipping'
-      },
+  // Uses the same inputs as order creation so the quote matches the charge
+  async calculateShippingEstimate(cart, pincode, country, paymentMethod) {
+    const items = cart.items.map(item => ({
+      product: item.product?._id || item.product,
+      price: item.product?.price ?? item.price,
+      quantity: item.quantity
+    }));
+
+    const quote = await shippingService.quote({
       pincode,
+      items,
+      orderValue: items.reduce((total, item) => total + item.price * item.quantity, 0),
+      paymentMethod
+    });
+
+    return {
+      ...quote,
+      ...quote.options,
       country
     };
   }
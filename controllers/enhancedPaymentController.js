@@ -1,82 +1,47 @@
-import Razorpay from 'razorpay';
-import crypto from 'crypto';
 import Order from '../models/Order.js';
 import Transaction from '../models/Transaction.js';
 import { AppError } from '../middleware/enhancedErrorHandler.js';
 import { asyncHandler } from '../middleware/enhancedErrorHandler.js';
 import logger from '../config/logger.js';
-
-// Initialize Razorpay with validation (lazy initialization)
-let razorpay = null;
-
-const initializeRazorpay = () => {
-  if (razorpay) return razorpay;
-  
-  const keyId = process.env.RAZORPAY_KEY_ID;
-  const keySecret = process.env.RAZORPAY_KEY_SECRET;
-  
-  if (!keyId || !keySecret || keyId.includes('YOUR_') || keySecret.includes('YOUR_')) {
-    logger.warn('Razorpay credentials not configured. Payment features will be disabled.');
-    return null;
-  }
-  
-  try {
-    razorpay = new Razorpay({
-      key_id: keyId,
-      key_secret: keySecret,
-    });
-    logger.info('Razorpay initialized successfully');
-    return razorpay;
-  } catch (error) {
-    logger.error('Failed to initialize Razorpay', { error: error.message });
-    return null;
-  }
-};
-
-// Helper function to get Razorpay instance
-const getRazorpayInstance = () => {
-  const instance = initializeRazorpay();
-  if (!instance) {
-    throw new AppError('Payment service is not available. Please contact support.', 503);
-  }
-  return instance;
-};
-
-// Payment retry configuration
-const RETRY_CONFIG = {
-  maxAttempts: 3,
-  backoffMultiplier: 2,
-  initialDelay: 1000, // 1 second
-  maxDelay: 10000,    // 10 seconds
-};
-
-// Helper function for exponential backoff
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-const calculateRetryDelay = (attempt) => {
-  const delay = RETRY_CONFIG.initialDelay * Math.pow(RETRY_CONFIG.backoffMultiplier, attempt - 1);
-  return Math.min(delay, RETRY_CONFIG.maxDelay);
-};
+import { getRazorpayInstance, isLocalRazorpay } from '../config/razorpay.js';
+import orderPricingService from '../services/orderPricingService.js';
+import invoiceService from '../services/invoiceService.js';
+import inventoryService from '../services/inventoryService.js';
+import orderStatusService from '../services/orderStatusService.js';
+import refundService from '../services/refundService.js';
+import paymentGatewayService from '../services/paymentGatewayService.js';
+import settingsService from '../services/settingsService.js';
+import disputeService from '../services/disputeService.js';
 
 // Enhanced payment creation with transaction tracking
 export const createOrder = asyncHandler(async (req, res) => {
-  const { amount, currency = 'INR', items, shippingAddress } = req.body;
+  const { currency = 'INR', shippingAddress, shippingMethod, gateway: requestedGateway } = req.body;
   
-  // Validate request
-  if (!amount || amount <= 0) {
-    throw new AppError('Invalid amount specified', 400);
-  }
+  // The gateway asked for, or the store's default
+  const gateway = await paymentGatewayService.resolve(requestedGateway);
   
-  if (!items || !Array.isArray(items) || items.length === 0) {
-    throw new AppError('Order items are required', 400);
-  }
+  // The amount to charge is priced from the cart, never taken from the client
+  const quote = await orderPricingService.buildQuote(req.user._id, {
+    shippingAddress,
+    paymentMethod: 'ONLINE',
+    shippingMethod
+  });
+  const amount = quote.total;
+  const items = quote.items;
   
   const transactionId = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   
+  // Hold the stock until the payment is verified or the hold expires
+  await inventoryService.reserve(items, {
+    userId: req.user._id,
+    reference: transactionId,
+    pincode: shippingAddress?.zipCode
+  });
+  
   try {
-    // Create Razorpay order with retry mechanism
-    const razorpayOrder = await createRazorpayOrderWithRetry({
-      amount: amount * 100, // Convert to paise
+    // Create gateway order with retry mechanism
+    const gatewayOrder = await paymentGatewayService.createOrder(gateway, {
+      amount,
       currency,
       receipt: transactionId,
       notes: {
@@ -91,15 +56,19 @@ export const createOrder = asyncHandler(async (req, res) => {
       transactionId,
       orderId: null, // Will be updated after order creation
       userId: req.user._id,
-      gateway: 'razorpay',
-      gatewayTransactionId: razorpayOrder.id,
-      gatewayOrderId: razorpayOrder.id,
+      gateway: gateway.name,
+      gatewayTransactionId: gatewayOrder.id,
+      gatewayOrderId: gatewayOrder.id,
       amount: amount,
       currency,
       type: 'payment',
       method: 'card', // Will be updated during verification
       status: 'initiated',
       netAmount: amount,
+      checkout: {
+        quote,
+        shippingAddress
+      },
       customerInfo: {
         email: req.user.email,
         phone: req.user.phone,
@@ -112,7 +81,9 @@ export const createOrder = asyncHandler(async (req, res) => {
         correlationId: transactionId,
         additionalData: {
           itemsCount: items.length,
-          shippingRequired: !!shippingAddress
+          shippingRequired: !!shippingAddress,
+          shippingMethod: quote.shipping.method,
+          quotedTotal: quote.total
         }
       }
     });
@@ -121,7 +92,8 @@ export const createOrder = asyncHandler(async (req, res) => {
     
     logger.info('Payment order created successfully', {
       transactionId,
-      orderId: razorpayOrder.id,
+      gateway: gateway.name,
+      orderId: gatewayOrder.id,
       amount,
       userId: req.user._id,
       userAgent: req.get('User-Agent'),
@@ -131,12 +103,12 @@ export const createOrder = asyncHandler(async (req, res) => {
     res.json({
       success: true,
       order: {
-        id: razorpayOrder.id,
-        currency: razorpayOrder.currency,
-        amount: razorpayOrder.amount,
-        transactionId,
-        key_id: process.env.RAZORPAY_KEY_ID
+        ...gatewayOrder.checkout,
+        id: gatewayOrder.id,
+        gateway: gateway.name,
+        transactionId
       },
+      quote,
       transaction: {
         id: transaction._id,
         transactionId: transaction.transactionId,
@@ -145,6 +117,8 @@ export const createOrder = asyncHandler(async (req, res) => {
     });
     
   } catch (error) {
+    await inventoryService.releaseReservation(transactionId, 'payment_failed');
+    
     logger.error('Payment order creation failed', {
       error: error.message,
       stack: error.stack,
@@ -153,6 +127,7 @@ export const createOrder = asyncHandler(async (req, res) => {
       amount
     });
     
+    if (error instanceof AppError) throw error;
     throw new AppError(
       error.message.includes('API') ? 'Payment gateway unavailable. Please try again.' : error.message,
       500
@@ -160,108 +135,154 @@ export const createOrder = asyncHandler(async (req, res) => {
   }
 });
 
-// Enhanced payment verification with comprehensive validation
-export const verifyPayment = asyncHandler(async (req, res) => {
-  const {
-    razorpay_order_id,
-    razorpay_payment_id,
-    razorpay_signature,
-    orderData,
-    transactionId
-  } = req.body;
-  
-  // Validate required fields
-  if (!razorpay_order_id || !razorpay_payment_id || !razorpay_signature) {
-    throw new AppError('Missing payment verification data', 400);
+// Payment states a checkout can still be verified from
+const VERIFIABLE_STATUSES = ['initiated', 'pending', 'authorized', 'captured', 'success'];
+
+// A payment that was captured but could not become an order is refunded in
+// full. Resolves the refund, or null when the refund itself failed and has to
+// be issued by hand.
+const refundUnplacedPayment = async (transaction, payment, error) => {
+  try {
+    await inventoryService.releaseReservation(transaction.transactionId, 'cancelled');
+
+    transaction.gatewayPaymentId = payment.id;
+    transaction.method = payment.method;
+    transaction.paymentDetails = payment.details;
+    transaction.failureReason = {
+      code: error.code || 'ORDER_NOT_PLACED',
+      message: error.message,
+      category: 'business'
+    };
+    await transaction.addStatusUpdate('captured', 'Payment captured but the order could not be placed', {
+      error_code: error.code || error.statusCode,
+      gateway_payment_id: payment.id
+    });
+
+    const { refund } = await refundService.refundTransaction(transaction, {
+      reason: 'Order could not be placed'
+    });
+
+    logger.warn('Payment refunded because the order could not be placed', {
+      transactionId: transaction.transactionId,
+      gatewayPaymentId: payment.id,
+      refundId: refund.id,
+      reason: error.message
+    });
+    return refund;
+  } catch (refundError) {
+    logger.error('Automatic refund failed for a payment without an order', {
+      transactionId: transaction.transactionId,
+      gatewayPaymentId: payment.id,
+      error: refundError.message,
+      reason: error.message
+    });
+    return null;
   }
+};
+
+// Enhanced payment verification with comprehensive validation. The body
+// carries what the gateway's checkout posted back (razorpay_order_id,
+// razorpay_payment_id and razorpay_signature for Razorpay).
+export const verifyPayment = asyncHandler(async (req, res) => {
+  const { orderData, transactionId } = req.body;
   
   if (!orderData || !transactionId) {
     throw new AppError('Missing order or transaction data', 400);
   }
   
+  // Checked before anything can mark the transaction failed
+  const pendingTransaction = await Transaction.findOne({ transactionId, userId: req.user._id });
+  if (!pendingTransaction) {
+    throw new AppError('Transaction not found', 404);
+  }
+  if (pendingTransaction.orderId) {
+    throw new AppError('Payment has already been verified', 409, 'PAYMENT_ALREADY_VERIFIED', {
+      orderId: pendingTransaction.orderId
+    });
+  }
+  
+  // Claim the transaction so only one verification can place its order. The
+  // gateway's webhooks may already have marked it captured or successful.
+  const existingTransaction = await Transaction.findOneAndUpdate(
+    {
+      _id: pendingTransaction._id,
+      orderId: null,
+      status: { $eq: pendingTransaction.status, $in: VERIFIABLE_STATUSES }
+    },
+    {
+      $set: { status: 'processing', previousStatus: pendingTransaction.status },
+      $push: { statusHistory: { status: 'processing', timestamp: new Date(), reason: 'Verifying payment' } }
+    },
+    { new: true }
+  );
+  if (!existingTransaction) {
+    throw new AppError('This payment is already being verified or can no longer be verified', 409, 'PAYMENT_NOT_VERIFIABLE', {
+      status: pendingTransaction.status
+    });
+  }
+  
+  let paymentId;
+  let capturedPayment;
+  let savedOrder;
   try {
-    // Find existing transaction
-    const transaction = await Transaction.findOne({ transactionId });
-    if (!transaction) {
-      throw new AppError('Transaction not found', 404);
-    }
-    
-    // Verify signature
-    const body = razorpay_order_id + '|' + razorpay_payment_id;
-    const expectedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(body.toString())
-      .digest('hex');
-    
-    if (expectedSignature !== razorpay_signature) {
-      // Update transaction with failure
-      await transaction.addStatusUpdate('failed', 'Invalid payment signature', {
-        razorpay_order_id,
-        razorpay_payment_id,
-        provided_signature: razorpay_signature,
-        expected_signature: expectedSignature
-      });
-      
-      logger.error('Payment signature verification failed', {
-        transactionId,
-        razorpay_order_id,
-        razorpay_payment_id,
-        userId: req.user._id
-      });
-      
-      throw new AppError('Payment verification failed', 400);
-    }
-    
-    // Fetch payment details from Razorpay for additional validation
-    const paymentDetails = await fetchPaymentDetailsWithRetry(razorpay_payment_id);
+    const transaction = existingTransaction;
     
-    // Validate payment amount and status
-    if (paymentDetails.amount !== transaction.amount * 100) {
-      throw new AppError('Payment amount mismatch', 400);
-    }
-    
-    if (paymentDetails.status !== 'captured') {
-      throw new AppError('Payment not captured successfully', 400);
-    }
+    // Verify the signature, amount and capture with the gateway
+    const { payment, paymentInfo } = await paymentGatewayService.confirmPayment(transaction, req.body);
+    paymentId = payment.id;
+    capturedPayment = payment;
     
-    // Create order
-    const order = new Order({
-      user: req.user._id,
-      items: orderData.items,
-      shippingAddress: orderData.shippingAddress,
+    const orderOptions = {
       paymentMethod: 'ONLINE',
-      paymentInfo: {
-        razorpay_order_id,
-        razorpay_payment_id,
-        razorpay_signature,
-      },
-      itemsPrice: orderData.itemsPrice,
-      shippingPrice: orderData.shippingPrice,
-      total: orderData.totalPrice,
-      status: 'confirmed',
-      isPaid: true,
-      paidAt: new Date()
-    });
+      stockReservation: transaction.transactionId,
+      notes: orderData.notes,
+      orderFields: {
+        paymentInfo,
+        status: 'confirmed',
+        isPaid: true,
+        paidAt: new Date()
+      }
+    };
     
-    const savedOrder = await order.save();
+    // The order is exactly what was paid for, as quoted when the payment was
+    // created. Transactions from before quotes were stored are priced from
+    // the cart, and the total must still match what was paid.
+    if (transaction.checkout?.quote) {
+      savedOrder = await orderPricingService.createOrderFromQuote(req.user._id, transaction.checkout.quote, {
+        ...orderOptions,
+        shippingAddress: transaction.checkout.shippingAddress,
+        paid: true
+      });
+    } else {
+      ({ order: savedOrder } = await orderPricingService.createOrderFromCart(req.user._id, {
+        ...orderOptions,
+        shippingAddress: orderData.shippingAddress,
+        shippingMethod: transaction.metadata?.additionalData?.shippingMethod,
+        expectedTotal: transaction.amount
+      }));
+    }
     await savedOrder.populate('items.product user');
     
     // Update transaction with success details
     transaction.orderId = savedOrder._id;
-    transaction.gatewayPaymentId = razorpay_payment_id;
-    transaction.method = getPaymentMethod(paymentDetails.method);
-    transaction.paymentDetails = extractPaymentDetails(paymentDetails);
-    transaction.fees = calculateFees(paymentDetails);
+    transaction.gatewayPaymentId = payment.id;
+    transaction.method = payment.method;
+    transaction.paymentDetails = payment.details;
+    if (payment.fees) transaction.fees = payment.fees;
     
     await transaction.addStatusUpdate('success', 'Payment verified and captured', {
       order_id: savedOrder._id,
-      payment_details: paymentDetails
+      payment_details: payment
     });
     
+    // Paid orders get their tax invoice straight away
+    await invoiceService.generateQuietly(savedOrder._id);
+    
     logger.info('Payment verified successfully', {
       transactionId,
+      gateway: transaction.gateway,
       orderId: savedOrder._id,
-      paymentId: razorpay_payment_id,
+      paymentId: payment.id,
       amount: transaction.amount,
       userId: req.user._id
     });
@@ -278,21 +299,34 @@ export const verifyPayment = asyncHandler(async (req, res) => {
         fees: transaction.fees
       },
       payment: {
-        id: razorpay_payment_id,
+        id: payment.id,
         method: transaction.method,
         status: 'success'
       }
     });
     
   } catch (error) {
+    // Charged but no order: give the money back instead of keeping it
+    if (capturedPayment && !savedOrder) {
+      const refund = await refundUnplacedPayment(existingTransaction, capturedPayment, error);
+      if (refund) {
+        throw new AppError(
+          'Your order could not be placed. The payment has been refunded.',
+          409,
+          'ORDER_NOT_PLACED',
+          { refundId: refund.id, reason: error.message }
+        );
+      }
+      throw error;
+    }
+    
     // Update transaction with failure if it exists
     try {
       const transaction = await Transaction.findOne({ transactionId });
-      if (transaction) {
+      if (transaction && transaction.status !== 'failed') {
         await transaction.addStatusUpdate('failed', error.message, {
           error_code: error.statusCode || 'VERIFICATION_FAILED',
-          razorpay_order_id,
-          razorpay_payment_id
+          gateway_payment_id: paymentId
         });
       }
     } catch (updateError) {
@@ -306,8 +340,7 @@ export const verifyPayment = asyncHandler(async (req, res) => {
       error: error.message,
       stack: error.stack,
       transactionId,
-      razorpay_order_id,
-      razorpay_payment_id,
+      gatewayPaymentId: paymentId,
       userId: req.user._id
     });
     
@@ -320,9 +353,6 @@ export const getPaymentDetails = asyncHandler(async (req, res) => {
   const { paymentId } = req.params;
   
   try {
-    // Fetch from Razorpay
-    const payment = await fetchPaymentDetailsWithRetry(paymentId);
-    
     // Find associated transaction
     const transaction = await Transaction.findOne({ 
       gatewayPaymentId: paymentId 
@@ -337,6 +367,10 @@ export const getPaymentDetails = asyncHandler(async (req, res) => {
       throw new AppError('Access denied', 403);
     }
     
+    // Fetch from the gateway that took the payment
+    const gateway = paymentGatewayService.forTransaction(transaction);
+    const payment = await paymentGatewayService.fetchPayment(gateway, paymentId);
+    
     logger.info('Payment details retrieved', {
       paymentId,
       transactionId: transaction.transactionId,
@@ -363,6 +397,7 @@ export const getPaymentDetails = asyncHandler(async (req, res) => {
       userId: req.user._id
     });
     
+    if (error instanceof AppError) throw error;
     throw new AppError('Failed to fetch payment details', 500);
   }
 });
@@ -376,68 +411,26 @@ export const refundPayment = asyncHandler(async (req, res) => {
   }
   
   try {
-    // Find transaction
-    const query = paymentId 
-      ? { gatewayPaymentId: paymentId }
-      : { transactionId };
-    
-    const transaction = await Transaction.findOne(query).populate('orderId');
-    
-    if (!transaction) {
-      throw new AppError('Transaction not found', 404);
-    }
+    const transaction = await refundService.findTransaction({ paymentId, transactionId });
     
-    // Validate refund amount
-    const refundAmount = amount || transaction.amount;
-    if (refundAmount > transaction.amount) {
-      throw new AppError('Refund amount cannot exceed transaction amount', 400);
-    }
-    
-    // Create refund with Razorpay
-    const razorpayInstance = getRazorpayInstance();
-    const refund = await razorpayInstance.payments.refund(transaction.gatewayPaymentId, {
-      amount: refundAmount * 100, // Convert to paise
-      notes: {
-        reason: reason || 'Customer requested refund',
-        refunded_by: req.user._id.toString(),
-        transaction_id: transaction.transactionId
-      },
-    });
-    
-    // Update transaction
-    const refundStatus = refundAmount === transaction.amount ? 'refunded' : 'partially_refunded';
-    transaction.refund = {
-      refundId: refund.id,
-      amount: refundAmount,
-      reason: reason || 'Customer requested refund',
-      initiatedBy: req.user._id,
-      initiatedAt: new Date(),
-      status: 'processing'
-    };
-    
-    await transaction.addStatusUpdate(refundStatus, 'Refund initiated', {
-      refund_id: refund.id,
-      refund_amount: refundAmount,
+    const { refund, fullyRefunded } = await refundService.refundTransaction(transaction, {
+      amount,
       reason,
-      initiated_by: req.user._id
+      initiatedBy: req.user._id
     });
     
     // Update order status if needed
-    if (transaction.orderId) {
+    if (transaction.orderId && fullyRefunded) {
       const order = await Order.findById(transaction.orderId);
-      if (order && refundAmount === transaction.amount) {
-        order.status = 'cancelled';
-        await order.save();
+      if (order && order.canTransitionTo('cancelled')) {
+        await orderStatusService.transition(order._id, 'cancelled', {
+          actor: req.user._id,
+          actorRole: 'admin',
+          reason: reason || 'Payment refunded'
+        });
       }
     }
     
-    logger.info('Refund initiated successfully', {
-      transactionId: transaction.transactionId,
-      refundId: refund.id,
-      amount: refundAmount,
-      initiatedBy: req.user._id
-    });
-    
     res.json({
       success: true,
       refund,
@@ -458,6 +451,7 @@ export const refundPayment = asyncHandler(async (req, res) => {
       userId: req.user._id
     });
     
+    if (error instanceof AppError) throw error;
     throw new AppError('Failed to process refund', 500);
   }
 });
@@ -525,7 +519,7 @@ export const getPaymentAnalytics = asyncHandler(async (req, res) => {
     if (startDate) dateRange.$gte = new Date(startDate);
     if (endDate) dateRange.$lte = new Date(endDate);
     
-    const matchStage = dateRange.createdAt ? { createdAt: dateRange } : {};
+    const matchStage = Object.keys(dateRange).length > 0 ? { createdAt: dateRange } : {};
     
     // Transaction statistics
     const stats = await Transaction.getTransactionStats(matchStage);
@@ -533,9 +527,13 @@ export const getPaymentAnalytics = asyncHandler(async (req, res) => {
     // Failure analysis
     const failureAnalysis = await Transaction.getFailureAnalysis(matchStage);
     
-    // Revenue trends
+    // Revenue trends. Disputed payments count until the dispute is lost,
+    // when the disputed amount is taken off as a chargeback.
+    const chargeback = {
+      $cond: [{ $eq: ['$dispute.status', 'lost'] }, { $ifNull: ['$dispute.amount', '$amount'] }, 0]
+    };
     const revenueTrends = await Transaction.aggregate([
-      { $match: { ...matchStage, status: 'success' } },
+      { $match: { ...matchStage, status: { $in: ['success', 'disputed'] } } },
       {
         $group: {
           _id: {
@@ -546,13 +544,17 @@ export const getPaymentAnalytics = asyncHandler(async (req, res) => {
           },
           revenue: { $sum: '$amount' },
           fees: { $sum: '$fees.totalFee' },
-          netRevenue: { $sum: '$netAmount' },
+          chargebacks: { $sum: chargeback },
+          netRevenue: { $sum: { $subtract: ['$netAmount', chargeback] } },
           transactionCount: { $sum: 1 }
         }
       },
       { $sort: { _id: 1 } }
     ]);
     
+    // Disputes raised in the period by status
+    const disputes = await disputeService.getSummary(matchStage.createdAt);
+    
     // Payment method distribution
     const methodDistribution = await Transaction.aggregate([
       { $match: { ...matchStage, status: 'success' } },
@@ -577,7 +579,8 @@ export const getPaymentAnalytics = asyncHandler(async (req, res) => {
         overview: stats,
         revenueTrends,
         methodDistribution,
-        failureAnalysis
+        failureAnalysis,
+        disputes
       }
     });
     
@@ -591,95 +594,50 @@ export const getPaymentAnalytics = asyncHandler(async (req, res) => {
   }
 });
 
-// Helper functions
-const createRazorpayOrderWithRetry = async (orderData, attempt = 1) => {
-  try {
-    const razorpayInstance = getRazorpayInstance();
-    return await razorpayInstance.orders.create(orderData);
-  } catch (error) {
-    if (attempt < RETRY_CONFIG.maxAttempts && isRetryableError(error)) {
-      const delayMs = calculateRetryDelay(attempt);
-      logger.warn(`Razorpay order creation failed, retrying in ${delayMs}ms`, {
-        attempt,
-        error: error.message,
-        receipt: orderData.receipt
-      });
-      
-      await delay(delayMs);
-      return createRazorpayOrderWithRetry(orderData, attempt + 1);
-    }
-    throw error;
-  }
-};
-
-const fetchPaymentDetailsWithRetry = async (paymentId, attempt = 1) => {
-  try {
-    const razorpayInstance = getRazorpayInstance();
-    return await razorpayInstance.payments.fetch(paymentId);
-  } catch (error) {
-    if (attempt < RETRY_CONFIG.maxAttempts && isRetryableError(error)) {
-      const delayMs = calculateRetryDelay(attempt);
-      await delay(delayMs);
-      return fetchPaymentDetailsWithRetry(paymentId, attempt + 1);
-    }
-    throw error;
-  }
-};
-
-const isRetryableError = (error) => {
-  const retryableStatusCodes = [429, 500, 502, 503, 504];
-  const retryableMessages = ['timeout', 'network', 'connection'];
+// Gateways a checkout can pay through, and the store's default
+export const getPaymentGateways = asyncHandler(async (req, res) => {
+  const payment = await settingsService.getSection('payment');
   
-  return retryableStatusCodes.includes(error.statusCode) ||
-         retryableMessages.some(msg => error.message.toLowerCase().includes(msg));
-};
-
-const getPaymentMethod = (razorpayMethod) => {
-  const methodMap = {
-    'card': 'card',
-    'netbanking': 'netbanking',
-    'upi': 'upi',
-    'wallet': 'wallet',
-    'emi': 'emi'
-  };
-  return methodMap[razorpayMethod] || 'card';
-};
+  res.json({
+    success: true,
+    defaultGateway: payment?.gateway || 'razorpay',
+    gateways: paymentGatewayService.list().filter(gateway => gateway.available)
+  });
+});
 
-const extractPaymentDetails = (paymentData) => {
-  const details = {};
-  
-  if (paymentData.method === 'card') {
-    details.cardLast4 = paymentData.card?.last4;
-    details.cardNetwork = paymentData.card?.network;
-    details.cardType = paymentData.card?.type;
-    details.cardIssuer = paymentData.card?.issuer;
-  }
-  
-  if (paymentData.method === 'netbanking') {
-    details.bankName = paymentData.bank;
+// Local stand-in only: pay a gateway order the way Razorpay Checkout would and
+// return the fields to post to the verify endpoint
+export const completeLocalCheckout = asyncHandler(async (req, res) => {
+  if (!isLocalRazorpay()) {
+    throw new AppError('Route not found', 404);
   }
   
-  if (paymentData.method === 'upi') {
-    details.upiId = paymentData.vpa;
+  const { razorpay_order_id, method, fail } = req.body;
+  const transaction = await Transaction.findOne({
+    gateway: 'razorpay',
+    gatewayOrderId: razorpay_order_id,
+    userId: req.user._id
+  });
+  if (!transaction) {
+    throw new AppError('Transaction not found', 404);
   }
   
-  if (paymentData.method === 'wallet') {
-    details.walletName = paymentData.wallet;
+  let result;
+  try {
+    result = getRazorpayInstance().checkout(razorpay_order_id, { method, fail });
+  } catch (error) {
+    throw new AppError(error.message, error.statusCode || 400);
   }
   
-  details.authCode = paymentData.acquirer_data?.auth_code;
-  details.rrn = paymentData.acquirer_data?.rrn;
-  
-  return details;
-};
-
-const calculateFees = (paymentData) => {
-  const fee = paymentData.fee || 0;
-  const tax = paymentData.tax || 0;
+  logger.info('Local checkout completed', {
+    transactionId: transaction.transactionId,
+    paymentId: result.razorpay_payment_id,
+    failed: Boolean(fail)
+  });
   
-  return {
-    gatewayFee: fee / 100, // Convert from paise
-    serviceTax: tax / 100,
-    totalFee: (fee + tax) / 100
-  };
-};
+  res.json({
+    success: !result.error,
+    ...result,
+    transactionId: transaction.transactionId
+  });
+});
@@ -0,0 +1,72 @@
+import garageService from '../services/garageService.js';
+import { asyncHandler } from '../middleware/enhancedErrorHandler.js';
+
+const garageFields = ({ vehicle, year, registrationNumber, nickname, odometerKm }) => ({
+  vehicle,
+  year: year !== undefined ? Number(year) : undefined,
+  registrationNumber,
+  nickname,
+  odometerKm: odometerKm !== undefined ? Number(odometerKm) : undefined
+});
+
+// @desc    Get the vehicles in the user's garage
+// @route   GET /api/users/garage
+// @access  Private
+export const getGarage = asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await garageService.getGarage(req.user._id)
+  });
+});
+
+// @desc    Add a vehicle to the garage
+// @route   POST /api/users/garage
+// @access  Private
+export const addGarageVehicle = asyncHandler(async (req, res) => {
+  const garage = await garageService.addVehicle(req.user._id, garageFields(req.body));
+
+  res.status(201).json({
+    success: true,
+    message: 'Vehicle added to your garage',
+    data: garage
+  });
+});
+
+// @desc    Update a vehicle in the garage
+// @route   PUT /api/users/garage/:entryId
+// @access  Private
+export const updateGarageVehicle = asyncHandler(async (req, res) => {
+  const garage = await garageService.updateVehicle(req.user._id, req.params.entryId, garageFields(req.body));
+
+  res.json({
+    success: true,
+    message: 'Vehicle updated',
+    data: garage
+  });
+});
+
+// @desc    Remove a vehicle from the garage
+// @route   DELETE /api/users/garage/:entryId
+// @access  Private
+export const removeGarageVehicle = asyncHandler(async (req, res) => {
+  const garage = await garageService.removeVehicle(req.user._id, req.params.entryId);
+
+  res.json({
+    success: true,
+    message: 'Vehicle removed from your garage',
+    data: garage
+  });
+});
+
+// @desc    Choose the vehicle search and recommendations are tailored to
+// @route   PUT /api/users/garage/:entryId/active
+// @access  Private
+export const setActiveGarageVehicle = asyncHandler(async (req, res) => {
+  const garage = await garageService.setActiveVehicle(req.user._id, req.params.entryId);
+
+  res.json({
+    success: true,
+    message: 'Active vehicle updated',
+    data: garage
+  });
+});
@@ -0,0 +1,75 @@
+import invoiceService from '../services/invoiceService.js';
+import { AppError, asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import { toCsv } from '../utils/csv.js';
+
+// Longest range a single export may cover
+const MAX_EXPORT_DAYS = 366;
+
+const EXPORT_COLUMNS = [
+  { key: 'invoiceNumber', label: 'Invoice No' },
+  { key: 'date', label: 'Date' },
+  { key: 'orderId', label: 'Order ID' },
+  { key: 'buyer', label: 'Buyer' },
+  { key: 'placeOfSupply', label: 'Place of Supply' },
+  { key: 'supplyType', label: 'Supply Type' },
+  { key: 'paymentMethod', label: 'Payment Method' },
+  { key: 'taxableValue', label: 'Taxable Value' },
+  { key: 'cgst', label: 'CGST' },
+  { key: 'sgst', label: 'SGST' },
+  { key: 'igst', label: 'IGST' },
+  { key: 'totalTax', label: 'Total Tax' },
+  { key: 'shipping', label: 'Shipping' },
+  { key: 'grandTotal', label: 'Invoice Value' }
+];
+
+const parseRange = ({ from, to }) => {
+  const pattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!pattern.test(from || '') || !pattern.test(to || '')) {
+    throw new AppError('from and to must be dates in YYYY-MM-DD format', 400);
+  }
+
+  const days = (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000);
+  if (Number.isNaN(days) || days < 0) {
+    throw new AppError('from must be on or before to', 400);
+  }
+  if (days >= MAX_EXPORT_DAYS) {
+    throw new AppError(`Date range cannot exceed ${MAX_EXPORT_DAYS} days`, 400);
+  }
+
+  return { from, to };
+};
+
+// @desc    List invoices issued in a date range
+// @route   GET /api/admin/invoices?from=YYYY-MM-DD&to=YYYY-MM-DD
+// @access  Private/Admin
+export const getInvoices = asyncHandler(async (req, res) => {
+  const { from, to } = parseRange(req.query);
+  const invoices = await invoiceService.listInvoices(from, to);
+
+  res.json({
+    success: true,
+    count: invoices.length,
+    data: invoiceService.toRows(invoices)
+  });
+});
+
+// @desc    Export invoices issued in a date range as CSV or printable HTML
+// @route   GET /api/admin/invoices/export?from=YYYY-MM-DD&to=YYYY-MM-DD&format=csv|html
+// @access  Private/Admin
+export const exportInvoices = asyncHandler(async (req, res) => {
+  const { from, to } = parseRange(req.query);
+  const { format = 'csv' } = req.query;
+  const invoices = await invoiceService.listInvoices(from, to);
+
+  if (format === 'html') {
+    if (invoices.length === 0) {
+      throw new AppError('No invoices issued in this period', 404);
+    }
+    return res.type('html').send(invoiceService.renderHtml(invoices));
+  }
+
+  const csv = toCsv(invoiceService.toRows(invoices), EXPORT_COLUMNS);
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="invoices-${from}-to-${to}.csv"`);
+  res.send(csv);
+});
@@ -1,87 +1,75 @@
 import Order from '../models/Order.js';
-import Product from '../models/Product.js';
+import settingsService from '../services/settingsService.js';
+import orderPricingService from '../services/orderPricingService.js';
+import invoiceService from '../services/invoiceService.js';
+import orderStatusService from '../services/orderStatusService.js';
+import Invoice from '../models/Invoice.js';
+
+// Checkout payment methods map onto the order's COD/ONLINE payment method
+const toOrderPaymentMethod = (paymentMethod) =>
+  paymentMethod === 'cash_on_delivery' || paymentMethod === 'COD' ? 'COD' : 'ONLINE';
+
+const sendOrderError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.message || message,
+    ...(error.code && { code: error.code }),
+    ...(error.details && { details: error.details })
+  });
+};
+
+// @desc    Get a priced quote for the user's cart
+// @route   POST /api/orders/quote
+// @access  Private
+export const getOrderQuote = async (req, res) => {
+  try {
+    const { shippingAddress, paymentMethod, shippingMethod } = req.body;
+
+    const quote = await orderPricingService.buildQuote(req.user._id, {
+      shippingAddress,
+      paymentMethod: toOrderPaymentMethod(paymentMethod),
+      shippingMethod
+    });
 
-// @desc    Create new order
+    res.json({
+      success: true,
+      data: quote
+    });
+  } catch (error) {
+    console.error('Get order quote error:', error);
+    sendOrderError(res, error, 'Server error while pricing order');
+  }
+};
+
+// @desc    Create new order from the user's cart
 // @route   POST /api/orders
 // @access  Private
 export const createOrder = async (req, res) => {
   try {
     const {
-      orderItems,
       shippingAddress,
       paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
+      shippingMethod,
+      expectedTotal,
       notes
     } = req.body;
 
-    if (orderItems && orderItems.length === 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'No order items'
-      });
-    }
-
-    // Verify products exist and get current prices
-    const orderItemsWithDetails = await Promise.all(
-      orderItems.map(async (item) => {
-        const product = await Product.findById(item.product);
-        if (!product) {
-          throw new Error(`Product not found: ${item.product}`);
-        }
-        
-        if (!product.inStock || product.stockQuantity < item.quantity) {
-          throw new Error(`Product ${product.name} is out of stock`);
-        }
-
-        return {
-          ...item,
-          name: product.name,
-          image: product.image || product.images?.[0]?.url || '/placeholder.svg',
-          price: product.price
-        };
-      })
-    );
-
-    const order = new Order({
-      user: req.user._id,
-      orderItems: orderItemsWithDetails,
+    const { order } = await orderPricingService.createOrderFromCart(req.user._id, {
       shippingAddress,
-      paymentMethod,
-      itemsPrice,
-      taxPrice,
-      shippingPrice,
-      totalPrice,
+      paymentMethod: toOrderPaymentMethod(paymentMethod),
+      shippingMethod,
+      expectedTotal,
       notes
     });
 
-    const createdOrder = await order.save();
-
-    // Update product stock quantities
-    await Promise.all(
-      orderItems.map(async (item) => {
-        const product = await Product.findById(item.product);
-        product.stockQuantity -= item.quantity;
-        if (product.stockQuantity <= 0) {
-          product.inStock = false;
-        }
-        await product.save();
-      })
-    );
-
     res.status(201).json({
       success: true,
       message: 'Order created successfully',
-      data: createdOrder
+      data: order
     });
   } catch (error) {
     console.error('Create order error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Server error while creating order'
-    });
+    sendOrderError(res, error, 'Server error while creating order');
   }
 };
 
@@ -96,11 +84,17 @@ export const getOrders = async (req, res) => {
 
     const filter = {};
     if (req.query.status) {
-      filter.orderStatus = req.query.status;
+      filter.status = req.query.status;
+    }
+    // Orders whose payment was disputed, by dispute status
+    if (req.query.dispute) {
+      filter['dispute.status'] = req.query.dispute;
     }
 
     const orders = await Order.find(filter)
       .populate('user', 'name email')
+      .populate('parentOrder', 'status total createdAt')
+      .populate('childOrders', 'status total createdAt')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
@@ -133,7 +127,9 @@ export const getOrder = async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('user', 'name email phone')
-      .populate('orderItems.product', 'name');
+      .populate('items.product', 'name')
+      .populate('parentOrder', 'status total createdAt')
+      .populate('childOrders', 'status total isPaid exchange createdAt');
 
     if (!order) {
       return res.status(404).json({
@@ -163,14 +159,12 @@ export const getOrder = async (req, res) => {
   }
 };
 
-// @desc    Update order status (Admin)
-// @route   PUT /api/orders/:id/status
-// @access  Private/Admin
-export const updateOrderStatus = async (req, res) => {
+// @desc    Get the GST tax invoice for an order
+// @route   GET /api/orders/:id/invoice?format=html|json
+// @access  Private
+export const getOrderInvoice = async (req, res) => {
   try {
-    const { status } = req.body;
-    
-    const order = await Order.findById(req.params.id);
+    const order = await Order.findById(req.params.id).select('user invoice');
 
     if (!order) {
       return res.status(404).json({
@@ -179,14 +173,44 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    order.orderStatus = status;
+    if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view this invoice'
+      });
+    }
+
+    // Generated on first request for orders invoiced before this was automatic
+    const invoice = order.invoice
+      ? await Invoice.findById(order.invoice) || await invoiceService.generateForOrder(order._id)
+      : await invoiceService.generateForOrder(order._id);
 
-    if (status === 'delivered') {
-      order.isDelivered = true;
-      order.deliveredAt = Date.now();
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        data: invoice
+      });
     }
 
-    const updatedOrder = await order.save();
+    res.type('html').send(invoiceService.renderHtml([invoice]));
+  } catch (error) {
+    console.error('Get order invoice error:', error);
+    sendOrderError(res, error, 'Server error while fetching invoice');
+  }
+};
+
+// @desc    Update order status (Admin)
+// @route   PUT /api/orders/:id/status
+// @access  Private/Admin
+export const updateOrderStatus = async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    const updatedOrder = await orderStatusService.transition(req.params.id, status, {
+      actor: req.user._id,
+      actorRole: 'admin',
+      reason
+    });
 
     res.json({
       success: true,
@@ -195,10 +219,7 @@ export const updateOrderStatus = async (req, res) => {
     });
   } catch (error) {
     console.error('Update order status error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while updating order status'
-    });
+    sendOrderError(res, error, 'Server error while updating order status');
   }
 };
 
@@ -260,28 +281,18 @@ export const cancelOrder = async (req, res) => {
     }
 
     // Check if order can be cancelled
-    if (order.orderStatus === 'delivered' || order.orderStatus === 'cancelled') {
+    if (!order.canTransitionTo('cancelled')) {
       return res.status(400).json({
         success: false,
         message: 'Order cannot be cancelled'
       });
     }
 
-    order.orderStatus = 'cancelled';
-    
-    // Restore product stock quantities
-    await Promise.all(
-      order.orderItems.map(async (item) => {
-        const product = await Product.findById(item.product);
-        if (product) {
-          product.stockQuantity += item.quantity;
-          product.inStock = true;
-          await product.save();
-        }
-      })
-    );
-
-    const updatedOrder = await order.save();
+    const updatedOrder = await orderStatusService.transition(order._id, 'cancelled', {
+      actor: req.user._id,
+      actorRole: 'customer',
+      reason: req.body.reason || 'Cancelled by customer'
+    });
 
     res.json({
       success: true,
@@ -290,94 +301,52 @@ export const cancelOrder = async (req, res) => {
     });
   } catch (error) {
     console.error('Cancel order error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while cancelling order'
-    });
+    sendOrderError(res, error, 'Server error while cancelling order');
   }
 };
 
-// @desc    Create COD order
+// @desc    Create COD order from the user's cart
 // @route   POST /api/orders/cod
 // @access  Private
 export const createCODOrder = async (req, res) => {
   try {
     const {
-      items,
       shippingAddress,
-      itemsPrice,
-      shippingPrice,
-      totalPrice,
+      shippingMethod,
+      expectedTotal,
       notes
     } = req.body;
 
-    if (!items || items.length === 0) {
+    const paymentSettings = await settingsService.getSection('payment');
+    if (!paymentSettings.codEnabled) {
       return res.status(400).json({
         success: false,
-        message: 'No order items'
+        message: 'Cash on delivery is currently unavailable'
       });
     }
 
-    // Verify products exist and get current details
-    const orderItemsWithDetails = await Promise.all(
-      items.map(async (item) => {
-        const product = await Product.findById(item.product);
-        if (!product) {
-          throw new Error(`Product not found: ${item.product}`);
-        }
-        
-        if (!product.inStock || product.stockQuantity < item.quantity) {
-          throw new Error(`Product ${product.name} is out of stock`);
-        }
-
-        return {
-          product: item.product,
-          name: product.name,
-          image: product.image || product.images?.[0]?.url || '/placeholder.svg',
-          price: product.price,
-          quantity: item.quantity
-        };
-      })
-    );
-
-    const order = new Order({
-      user: req.user._id,
-      items: orderItemsWithDetails,
+    const { order: createdOrder } = await orderPricingService.createOrderFromCart(req.user._id, {
       shippingAddress,
       paymentMethod: 'COD',
-      itemsPrice,
-      shippingPrice,
-      total: totalPrice,
+      shippingMethod,
+      expectedTotal,
       notes,
-      status: 'pending', // COD orders start as pending
-      tracking: {
-        trackingNumber: `PJA${Date.now()}${Math.floor(Math.random() * 1000)}`,
-        carrier: 'Panditji Auto Connect Delivery',
-        estimatedDelivery: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000), // 5 days from now
-        currentLocation: 'Order Processing Center',
-        statusHistory: [{
-          status: 'Order Placed',
-          location: 'Order Processing Center',
-          timestamp: new Date(),
-          description: 'Your order has been placed successfully and is being processed.'
-        }]
+      orderFields: {
+        status: 'pending', // COD orders start as pending
+        tracking: {
+          trackingNumber: `PJA${Date.now()}${Math.floor(Math.random() * 1000)}`,
+          carrier: 'Panditji Auto Connect Delivery',
+          currentLocation: 'Order Processing Center',
+          statusHistory: [{
+            status: 'Order Placed',
+            location: 'Order Processing Center',
+            timestamp: new Date(),
+            description: 'Your order has been placed successfully and is being processed.'
+          }]
+        }
       }
     });
 
-    const createdOrder = await order.save();
-
-    // Update product stock quantities
-    await Promise.all(
-      items.map(async (item) => {
-        const product = await Product.findById(item.product);
-        product.stockQuantity -= item.quantity;
-        if (product.stockQuantity <= 0) {
-          product.inStock = false;
-        }
-        await product.save();
-      })
-    );
-
     await createdOrder.populate('items.product user');
 
     res.status(201).json({
@@ -387,10 +356,7 @@ export const createCODOrder = async (req, res) => {
     });
   } catch (error) {
     console.error('Create COD order error:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Server error while creating order'
-    });
+    sendOrderError(res, error, 'Server error while creating order');
   }
 };
 
@@ -442,9 +408,9 @@ export const getOrderTracking = async (req, res) => {
 // @access  Private/Admin
 export const updateOrderTracking = async (req, res) => {
   try {
-    const { status, location, description } = req.body;
-    
-    const order = await Order.findById(req.params.id);
+    const { status, location, description, reason } = req.body;
+
+    let order = await Order.findById(req.params.id);
 
     if (!order) {
       return res.status(404).json({
@@ -453,48 +419,38 @@ export const updateOrderTracking = async (req, res) => {
       });
     }
 
-    // Update status
-    if (status) {
-      order.status = status;
-    }
-
-    // Update current location
-    if (location) {
-      order.tracking.currentLocation = location;
-    }
-
-    // Add to status history
-    const newStatus = {
-      status: status || order.status,
-      location: location || order.tracking.currentLocation,
-      timestamp: new Date(),
-      description: description || `Order status updated to ${status || order.status}`
-    };
+    // A status change goes through the order lifecycle; otherwise this is a
+    // location update for the current status
+    if (status && status !== order.status) {
+      order = await orderStatusService.transition(order._id, status, {
+        actor: req.user._id,
+        actorRole: 'admin',
+        reason,
+        location,
+        description
+      });
+    } else {
+      if (location) {
+        order.tracking.currentLocation = location;
+      }
 
-    if (!order.tracking.statusHistory) {
-      order.tracking.statusHistory = [];
-    }
-    
-    order.tracking.statusHistory.push(newStatus);
+      order.tracking.statusHistory.push({
+        status: order.status,
+        location: location || order.tracking.currentLocation,
+        timestamp: new Date(),
+        description: description || `Order status updated to ${order.status}`
+      });
 
-    // Update delivery status
-    if (status === 'delivered') {
-      order.isDelivered = true;
-      order.deliveredAt = new Date();
+      order = await order.save();
     }
 
-    const updatedOrder = await order.save();
-
     res.json({
       success: true,
       message: 'Order tracking updated successfully',
-      order: updatedOrder
+      order
     });
   } catch (error) {
     console.error('Update order tracking error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while updating tracking information'
-    });
+    sendOrderError(res, error, 'Server error while updating tracking information');
   }
 };
@@ -0,0 +1,70 @@
+import paymentMonitoringService from '../services/paymentMonitoring.js';
+import jobRunService from '../services/jobRunService.js';
+import { asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+// @desc    Get payment jobs with their schedules and last runs
+// @route   GET /api/admin/payment-jobs
+// @access  Private/Admin
+export const getPaymentJobs = asyncHandler(async (req, res) => {
+  const jobs = await paymentMonitoringService.getJobs();
+
+  res.json({
+    success: true,
+    data: {
+      jobs,
+      // Whether this instance schedules the jobs; any instance can take a run
+      schedulerRunning: paymentMonitoringService.isRunning,
+      instance: jobRunService.instanceId
+    }
+  });
+});
+
+// @desc    Get payment job run history
+// @route   GET /api/admin/payment-jobs/runs?job=&status=
+// @access  Private/Admin
+export const getPaymentJobRuns = asyncHandler(async (req, res) => {
+  const { runs, pagination } = await jobRunService.getRuns({
+    job: req.query.job,
+    jobs: paymentMonitoringService.getJobNames(),
+    status: req.query.status,
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 20
+  });
+
+  res.json({
+    success: true,
+    data: runs,
+    pagination
+  });
+});
+
+// @desc    Get single payment job run
+// @route   GET /api/admin/payment-jobs/runs/:id
+// @access  Private/Admin
+export const getPaymentJobRun = asyncHandler(async (req, res) => {
+  const run = await jobRunService.getRun(req.params.id);
+
+  res.json({
+    success: true,
+    data: run
+  });
+});
+
+// @desc    Run a payment job now
+// @route   POST /api/admin/payment-jobs/:job/run
+// @access  Private/Admin
+export const runPaymentJob = asyncHandler(async (req, res) => {
+  const run = await paymentMonitoringService.runJob(req.params.job, {
+    trigger: 'manual',
+    triggeredBy: req.user._id
+  });
+
+  logger.info('Payment job triggered', { job: req.params.job, runId: run._id, userId: req.user._id });
+
+  res.status(202).json({
+    success: true,
+    message: 'Job started',
+    data: run
+  });
+});
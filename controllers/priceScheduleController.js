@@ -0,0 +1,89 @@
+import PriceSchedule from '../models/PriceSchedule.js';
+import priceScheduleService from '../services/priceScheduleService.js';
+import { AppError, asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+// @desc    Get price schedules
+// @route   GET /api/admin/price-schedules?status=&product=
+// @access  Private/Admin
+export const getPriceSchedules = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.product) {
+    filter['items.product'] = req.query.product;
+  }
+
+  const [schedules, total] = await Promise.all([
+    PriceSchedule.find(filter)
+      .populate('createdBy', 'name email')
+      .sort({ startsAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    PriceSchedule.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: schedules,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Get single price schedule
+// @route   GET /api/admin/price-schedules/:id
+// @access  Private/Admin
+export const getPriceSchedule = asyncHandler(async (req, res) => {
+  const schedule = await PriceSchedule.findById(req.params.id)
+    .populate('items.product', 'name sku price originalPrice variants')
+    .populate('createdBy', 'name email');
+
+  if (!schedule) {
+    throw new AppError('Price schedule not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: schedule
+  });
+});
+
+// @desc    Schedule new prices, or a sale when an end date is given
+// @route   POST /api/admin/price-schedules
+// @access  Private/Admin
+export const createPriceSchedule = asyncHandler(async (req, res) => {
+  const schedule = await priceScheduleService.createSchedule(req.body, req.user._id);
+
+  logger.info('Price schedule created by admin', { scheduleId: schedule._id, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Price schedule created successfully',
+    data: schedule
+  });
+});
+
+// @desc    Cancel a price schedule; a running sale ends and prices go back
+// @route   POST /api/admin/price-schedules/:id/cancel
+// @access  Private/Admin
+export const cancelPriceSchedule = asyncHandler(async (req, res) => {
+  const schedule = await priceScheduleService.cancelSchedule(req.params.id);
+
+  logger.info('Price schedule cancelled', { scheduleId: schedule._id, cancelledBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Price schedule cancelled successfully',
+    data: schedule
+  });
+});
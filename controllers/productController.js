@@ -1,5 +1,59 @@
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
+import warehouseService from '../services/warehouseService.js';
+import fitmentService from '../services/fitmentService.js';
+import garageService from '../services/garageService.js';
+import partNumberService from '../services/partNumberService.js';
+import variantService from '../services/variantService.js';
+import productQueryService from '../services/productQueryService.js';
+import categoryTreeService from '../services/categoryTreeService.js';
+import attributeService from '../services/attributeService.js';
+import priceHistoryService from '../services/priceHistoryService.js';
+
+// With warehouses in use, product stock is the sum of warehouse stock and is
+// changed through the warehouse endpoints only
+const withoutDerivedStock = async (body) => {
+  if (!(await warehouseService.isInUse())) return body;
+  const { stockQuantity, inStock, ...rest } = body;
+  return rest;
+};
+
+// Variants are changed through the variants endpoint, which looks after their
+// stock, and a product sold in variants takes its price and stock from them
+const withoutVariantFields = async (productId, body) => {
+  const { variants, ...rest } = body;
+  if (!(await Product.exists({ _id: productId, 'variants.0': { $exists: true } }))) return rest;
+  const { price, originalPrice, stockQuantity, inStock, ...fields } = rest;
+  return fields;
+};
+
+// Specifications are checked against the attributes of the product's
+// category whenever either of them changes
+const withValidSpecifications = async (productId, body) => {
+  if (body.specifications === undefined && body.category === undefined) return body;
+  const product = await Product.findById(productId).select('category specifications').lean();
+  if (!product) return body;
+  return {
+    ...body,
+    specifications: await attributeService.normalizeSpecifications(
+      body.category ?? product.category,
+      body.specifications ?? product.specifications
+    )
+  };
+};
+
+// SKUs, product and variant alike, are unique across the catalogue
+const isDuplicateSku = (error) =>
+  error.code === 11000 && Boolean(error.keyPattern?.sku || error.keyPattern?.['variants.sku']);
+
+const sendProductError = (res, error, message) => {
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message,
+    ...(error.code && { code: error.code }),
+    ...(error.details && { details: error.details })
+  });
+};
 
 // @desc    Get all products
 // @route   GET /api/products
@@ -10,35 +64,8 @@ export const getProducts = async (req, res) => {
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
 
-    // Build filter object
-    const filter = {};
-    
-    if (req.query.category) {
-      filter.category = req.query.category;
-    }
-    
-    if (req.query.brand) {
-      filter.brand = new RegExp(req.query.brand, 'i');
-    }
-    
-    if (req.query.minPrice || req.query.maxPrice) {
-      filter.price = {};
-      if (req.query.minPrice) filter.price.$gte = parseFloat(req.query.minPrice);
-      if (req.query.maxPrice) filter.price.$lte = parseFloat(req.query.maxPrice);
-    }
-    
-    if (req.query.inStock === 'true') {
-      filter.inStock = true;
-    }
-
-    // Build sort object
-    let sort = {};
-    if (req.query.sortBy) {
-      const [field, order] = req.query.sortBy.split(':');
-      sort[field] = order === 'desc' ? -1 : 1;
-    } else {
-      sort.createdAt = -1; // Default sort by newest
-    }
+    const filter = await productQueryService.buildFilter(req.query);
+    const sort = productQueryService.buildSort(req.query.sortBy);
 
     const products = await Product.find(filter)
       .populate('category', 'name')
@@ -60,21 +87,21 @@ export const getProducts = async (req, res) => {
     });
   } catch (error) {
     console.error('Get products error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching products'
-    });
+    sendProductError(res, error, 'Server error while fetching products');
   }
 };
 
-// @desc    Get single product
-// @route   GET /api/products/:id
+// @desc    Get single product, with a fit check against the given vehicle or
+//          the signed-in user's active garage vehicle, the parts that share
+//          a part number with it and its lowest price in the last 30 days
+// @route   GET /api/products/:id?vehicle=
 // @access  Public
 export const getProduct = async (req, res) => {
   try {
     const product = await Product.findById(req.params.id)
       .populate('category', 'name description')
-      .populate('reviews.user', 'name');
+      .populate('reviews.user', 'name')
+      .populate('fitment.vehicle', 'make model generation variant fuelType yearFrom yearTo');
 
     if (!product) {
       return res.status(404).json({
@@ -83,16 +110,23 @@ export const getProduct = async (req, res) => {
       });
     }
 
+    const vehicleId = req.query.vehicle || await garageService.getActiveVehicleId(req.user?._id);
+    const vehicle = vehicleId ? await fitmentService.findVehicle(vehicleId) : null;
+    const [interchangeableParts, pricing] = await Promise.all([
+      partNumberService.getInterchangeable(product),
+      priceHistoryService.getLowestPrices(product)
+    ]);
+
     res.json({
       success: true,
-      data: product
+      data: product,
+      interchangeableParts,
+      pricing,
+      ...(vehicle && { fitCheck: fitmentService.checkFit(product, vehicle) })
     });
   } catch (error) {
     console.error('Get product error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching product'
-    });
+    sendProductError(res, error, 'Server error while fetching product');
   }
 };
 
@@ -101,8 +135,22 @@ export const getProduct = async (req, res) => {
 // @access  Private/Admin
 export const createProduct = async (req, res) => {
   try {
-    const product = new Product(req.body);
+    const fields = {
+      ...req.body,
+      specifications: await attributeService.normalizeSpecifications(req.body.category, req.body.specifications)
+    };
+
+    // New products start without stock until it is booked into a warehouse
+    const product = await warehouseService.isInUse()
+      ? new Product({
+        ...fields,
+        stockQuantity: 0,
+        inStock: false,
+        variants: (fields.variants || []).map(variant => ({ ...variant, stockQuantity: 0 }))
+      })
+      : new Product(fields);
     const savedProduct = await product.save();
+    await priceHistoryService.recordChanges(null, savedProduct, { source: 'manual', changedBy: req.user._id });
 
     res.status(201).json({
       success: true,
@@ -111,10 +159,13 @@ export const createProduct = async (req, res) => {
     });
   } catch (error) {
     console.error('Create product error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while creating product'
-    });
+    if (isDuplicateSku(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product with this SKU already exists'
+      });
+    }
+    sendProductError(res, error, 'Server error while creating product');
   }
 };
 
@@ -123,9 +174,13 @@ export const createProduct = async (req, res) => {
 // @access  Private/Admin
 export const updateProduct = async (req, res) => {
   try {
+    const before = priceHistoryService.snapshot(
+      await Product.findById(req.params.id).select('price originalPrice variants')
+    );
+
     const product = await Product.findByIdAndUpdate(
       req.params.id,
-      req.body,
+      await withValidSpecifications(req.params.id, await withoutDerivedStock(await withoutVariantFields(req.params.id, req.body))),
       { new: true, runValidators: true }
     ).populate('category', 'name');
 
@@ -136,6 +191,8 @@ export const updateProduct = async (req, res) => {
       });
     }
 
+    await priceHistoryService.recordChanges(before, product, { source: 'manual', changedBy: req.user._id });
+
     res.json({
       success: true,
       message: 'Product updated successfully',
@@ -143,10 +200,127 @@ export const updateProduct = async (req, res) => {
     });
   } catch (error) {
     console.error('Update product error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while updating product'
+    if (isDuplicateSku(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product with this SKU already exists'
+      });
+    }
+    sendProductError(res, error, 'Server error while updating product');
+  }
+};
+
+// @desc    Replace the vehicles a product fits
+// @route   PUT /api/products/:id/fitment
+// @access  Private/Admin
+export const updateProductFitment = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    product.fitment = await fitmentService.resolveFitment(req.body.fitment || []);
+    if (req.body.isUniversalFit !== undefined) {
+      product.isUniversalFit = req.body.isUniversalFit;
+    }
+    await product.save();
+    await product.populate('fitment.vehicle', 'make model generation variant fuelType yearFrom yearTo');
+
+    res.json({
+      success: true,
+      message: 'Product fitment updated successfully',
+      data: {
+        _id: product._id,
+        isUniversalFit: product.isUniversalFit,
+        fitment: product.fitment
+      }
+    });
+  } catch (error) {
+    console.error('Update product fitment error:', error);
+    sendProductError(res, error, 'Server error while updating product fitment');
+  }
+};
+
+// @desc    Replace the sizes, colours or pack quantities a product is sold in
+// @route   PUT /api/products/:id/variants
+// @access  Private/Admin
+export const updateProductVariants = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id);
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const before = priceHistoryService.snapshot(product);
+    product.variants = variantService.mergeVariants(product, req.body.variants || [], {
+      warehousesInUse: await warehouseService.isInUse()
+    });
+    await product.save();
+    await priceHistoryService.recordChanges(before, product, { source: 'variants', changedBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: 'Product variants updated successfully',
+      data: {
+        _id: product._id,
+        price: product.price,
+        originalPrice: product.originalPrice,
+        stockQuantity: product.stockQuantity,
+        inStock: product.inStock,
+        variants: product.variants
+      }
+    });
+  } catch (error) {
+    console.error('Update product variants error:', error);
+    if (isDuplicateSku(error)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A product with this SKU already exists'
+      });
+    }
+    sendProductError(res, error, 'Server error while updating product variants');
+  }
+};
+
+// @desc    Get a product's price changes, newest first
+// @route   GET /api/products/:id/price-history?variant=&days=
+// @access  Private/Admin
+export const getProductPriceHistory = async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('name price originalPrice variants');
+
+    if (!product) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found'
+      });
+    }
+
+    const [history, pricing] = await Promise.all([
+      priceHistoryService.getHistory(product._id, {
+        variant: req.query.variant,
+        days: parseInt(req.query.days) || undefined
+      }),
+      priceHistoryService.getLowestPrices(product)
+    ]);
+
+    res.json({
+      success: true,
+      data: history,
+      pricing
     });
+  } catch (error) {
+    console.error('Get product price history error:', error);
+    sendProductError(res, error, 'Server error while fetching price history');
   }
 };
 
@@ -177,7 +351,7 @@ export const deleteProduct = async (req, res) => {
   }
 };
 
-// @desc    Get products by category
+// @desc    Get products in a category or any of its subcategories
 // @route   GET /api/products/category/:categoryId
 // @access  Public
 export const getProductsByCategory = async (req, res) => {
@@ -186,13 +360,15 @@ export const getProductsByCategory = async (req, res) => {
     const limit = parseInt(req.query.limit) || 12;
     const skip = (page - 1) * limit;
 
-    const products = await Product.find({ category: req.params.categoryId })
+    const filter = { category: await categoryTreeService.productFilter(req.params.categoryId) };
+
+    const products = await Product.find(filter)
       .populate('category', 'name')
       .sort({ createdAt: -1 })
       .skip(skip)
       .limit(limit);
 
-    const total = await Product.countDocuments({ category: req.params.categoryId });
+    const total = await Product.countDocuments(filter);
 
     res.json({
       success: true,
@@ -206,10 +382,7 @@ export const getProductsByCategory = async (req, res) => {
     });
   } catch (error) {
     console.error('Get products by category error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Server error while fetching products by category'
-    });
+    sendProductError(res, error, 'Server error while fetching products by category');
   }
 };
 
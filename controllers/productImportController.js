@@ -0,0 +1,68 @@
+import productImportService from '../services/productImportService.js';
+import { AppError, asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// @desc    Import products from a CSV or XLSX file (?dryRun=true only checks the rows)
+// @route   POST /api/products/import
+// @access  Private/Admin
+export const importProducts = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    throw new AppError('Please upload a CSV or XLSX file', 400);
+  }
+
+  const dryRun = String(req.query.dryRun ?? req.body.dryRun) === 'true';
+  const job = await productImportService.startImport(req.file, { dryRun, userId: req.user._id });
+
+  res.status(202).json({
+    success: true,
+    message: dryRun ? 'Dry run started' : 'Import started',
+    data: job
+  });
+});
+
+// @desc    Get import jobs
+// @route   GET /api/products/import
+// @access  Private/Admin
+export const getImportJobs = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+
+  const { jobs, pagination } = await productImportService.getJobs({ page, limit });
+
+  res.json({
+    success: true,
+    data: jobs,
+    pagination
+  });
+});
+
+// @desc    Get an import job with its progress and row errors
+// @route   GET /api/products/import/:jobId
+// @access  Private/Admin
+export const getImportJob = asyncHandler(async (req, res) => {
+  const job = await productImportService.getJob(req.params.jobId);
+
+  res.json({
+    success: true,
+    data: job
+  });
+});
+
+// @desc    Export products as CSV or XLSX, with the product list filters
+// @route   GET /api/products/export?format=csv|xlsx
+// @access  Private/Admin
+export const exportProducts = asyncHandler(async (req, res) => {
+  const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+  const file = await productImportService.exportProducts(req.query, format);
+
+  logger.info('Products exported', { format, exportedBy: req.user._id });
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="products-${new Date().toISOString().split('T')[0]}.${format}"`);
+  res.send(Buffer.from(file));
+});
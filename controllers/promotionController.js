@@ -0,0 +1,151 @@
+import Promotion from '../models/Promotion.js';
+import promotionService from '../services/promotionService.js';
+import { AppError, asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'description',
+  'type',
+  'buyXGetY',
+  'tiers',
+  'bundle',
+  'categorySale',
+  'startsAt',
+  'endsAt',
+  'priority',
+  'isExclusive',
+  'isActive'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
+// @desc    Get all promotions
+// @route   GET /api/admin/promotions
+// @access  Private/Admin
+export const getPromotions = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+  if (req.query.running === 'true') {
+    const now = new Date();
+    filter.isActive = true;
+    filter.startsAt = { $lte: now };
+    filter.$or = [{ endsAt: null }, { endsAt: { $gte: now } }];
+  }
+
+  const [promotions, total] = await Promise.all([
+    Promotion.find(filter)
+      .sort({ priority: -1, createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    Promotion.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: promotions,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Get single promotion
+// @route   GET /api/admin/promotions/:id
+// @access  Private/Admin
+export const getPromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findById(req.params.id)
+    .populate('buyXGetY.buyProducts', 'name price')
+    .populate('buyXGetY.getProducts', 'name price')
+    .populate('bundle.items.product', 'name price')
+    .populate('categorySale.categories', 'name');
+
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: promotion
+  });
+});
+
+// @desc    Create promotion
+// @route   POST /api/admin/promotions
+// @access  Private/Admin
+export const createPromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.create({
+    ...pickEditableFields(req.body),
+    createdBy: req.user._id
+  });
+
+  promotionService.invalidateCache();
+  logger.info('Promotion created', { promotionId: promotion._id, type: promotion.type, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Promotion created successfully',
+    data: promotion
+  });
+});
+
+// @desc    Update promotion
+// @route   PUT /api/admin/promotions/:id
+// @access  Private/Admin
+export const updatePromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findById(req.params.id);
+
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404);
+  }
+
+  promotion.set(pickEditableFields(req.body));
+  await promotion.save();
+
+  promotionService.invalidateCache();
+  logger.info('Promotion updated', { promotionId: promotion._id, updatedBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Promotion updated successfully',
+    data: promotion
+  });
+});
+
+// @desc    Delete promotion
+// @route   DELETE /api/admin/promotions/:id
+// @access  Private/Admin
+export const deletePromotion = asyncHandler(async (req, res) => {
+  const promotion = await Promotion.findByIdAndDelete(req.params.id);
+
+  if (!promotion) {
+    throw new AppError('Promotion not found', 404);
+  }
+
+  promotionService.invalidateCache();
+  logger.info('Promotion deleted', { promotionId: promotion._id, deletedBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Promotion deleted successfully'
+  });
+});
@@ -1,43 +1,58 @@
+import mongoose from 'mongoose';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
 import User from '../models/User.js';
 import Order from '../models/Order.js';
 import Review from '../models/Review.js';
+import fitmentService from '../services/fitmentService.js';
+import garageService from '../services/garageService.js';
 
 // Get product recommendations
 export const getRecommendations = async (req, res) => {
   try {
     const { type, productId, categoryId, userId, limit = 6 } = req.query;
 
+    if (req.query.vehicle && !mongoose.Types.ObjectId.isValid(req.query.vehicle)) {
+      return res.status(400).json({ message: 'Invalid vehicle' });
+    }
+
+    // Parts for the chosen vehicle, or the user's active garage vehicle, come
+    // first; a wider pool is fetched so there is something to pick from
+    const vehicle = req.query.vehicle || await garageService.getActiveVehicleId(req.user?._id);
+    const fetchLimit = vehicle ? parseInt(limit) * 3 : parseInt(limit);
+
     let recommendations = [];
 
     switch (type) {
       case 'similar':
-        recommendations = await getSimilarProducts(productId, parseInt(limit));
+        recommendations = await getSimilarProducts(productId, fetchLimit);
         break;
       case 'related':
-        recommendations = await getRelatedProducts(categoryId, productId, parseInt(limit));
+        recommendations = await getRelatedProducts(categoryId, productId, fetchLimit);
         break;
       case 'trending':
-        recommendations = await getTrendingProducts(parseInt(limit));
+        recommendations = await getTrendingProducts(fetchLimit);
         break;
       case 'personalized':
-        recommendations = await getPersonalizedRecommendations(userId, parseInt(limit));
+        recommendations = await getPersonalizedRecommendations(userId, fetchLimit);
         break;
       case 'cross-sell':
-        recommendations = await getCrossSellProducts(productId, parseInt(limit));
+        recommendations = await getCrossSellProducts(productId, fetchLimit);
         break;
       case 'recently-viewed':
         // This is handled on the frontend via localStorage
-        recommendations = await getPopularProducts(parseInt(limit));
+        recommendations = await getPopularProducts(fetchLimit);
         break;
       default:
-        recommendations = await getPopularProducts(parseInt(limit));
+        recommendations = await getPopularProducts(fetchLimit);
     }
 
+    recommendations = fitmentService.rankByFit(recommendations, vehicle).slice(0, parseInt(limit));
+
     res.json({
       products: recommendations,
       type,
+      vehicle: vehicle || null,
       count: recommendations.length
     });
   } catch (error) {
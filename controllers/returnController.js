@@ -0,0 +1,311 @@
+import ReturnRequest from '../models/ReturnRequest.js';
+import Order from '../models/Order.js';
+import returnService from '../services/returnService.js';
+import exchangeService from '../services/exchangeService.js';
+import { AppError, asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import { RETURN_PHOTO_FOLDER, isCloudinaryConfigured, uploadImageBuffer } from '../utils/cloudinaryUpload.js';
+
+const isOwnerOrAdmin = (request, user) =>
+  request.user.toString() === user._id.toString() || user.role === 'admin';
+
+// @desc    Upload photos of the parts being returned
+// @route   POST /api/returns/photos
+// @access  Private
+export const uploadReturnPhotos = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    throw new AppError('No files uploaded', 400);
+  }
+  if (!isCloudinaryConfigured()) {
+    throw new AppError('Photo upload is not available right now', 503);
+  }
+
+  const photos = await Promise.all(
+    req.files.map(file => uploadImageBuffer(file, { folder: RETURN_PHOTO_FOLDER }))
+  );
+
+  res.json({
+    success: true,
+    message: 'Photos uploaded successfully',
+    data: photos.map(photo => ({ url: photo.url, public_id: photo.public_id }))
+  });
+});
+
+// @desc    Check which items of an order can be returned
+// @route   GET /api/returns/orders/:orderId/eligibility
+// @access  Private
+export const getReturnEligibility = asyncHandler(async (req, res) => {
+  const order = await Order.findById(req.params.orderId);
+
+  if (!order) {
+    throw new AppError('Order not found', 404);
+  }
+  if (order.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    throw new AppError('Not authorized to view this order', 403);
+  }
+
+  res.json({
+    success: true,
+    data: await returnService.getEligibility(order)
+  });
+});
+
+// @desc    Request a return
+// @route   POST /api/returns
+// @access  Private
+export const createReturnRequest = asyncHandler(async (req, res) => {
+  const { order, items, comments, photos } = req.body;
+
+  const request = await returnService.createRequest(req.user._id, order, {
+    items: items.map(item => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: Number(item.quantity),
+      reason: item.reason
+    })),
+    comments,
+    photos
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Return requested successfully',
+    data: request
+  });
+});
+
+// @desc    Request an exchange for another part
+// @route   POST /api/returns/exchange
+// @access  Private
+export const createExchangeRequest = asyncHandler(async (req, res) => {
+  const { order, items, replacements, comments, photos } = req.body;
+
+  const request = await exchangeService.createExchange(req.user._id, order, {
+    items: items.map(item => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: Number(item.quantity),
+      reason: item.reason
+    })),
+    replacements: replacements.map(item => ({
+      product: item.product,
+      variant: item.variant,
+      quantity: Number(item.quantity)
+    })),
+    comments,
+    photos
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Exchange requested successfully',
+    data: request
+  });
+});
+
+// @desc    Start paying the price difference of an exchange
+// @route   POST /api/returns/:id/exchange-payment
+// @access  Private
+export const createExchangePayment = asyncHandler(async (req, res) => {
+  const order = await exchangeService.createPayment(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    order
+  });
+});
+
+// @desc    Verify the price difference payment of an exchange
+// @route   POST /api/returns/:id/exchange-payment/verify
+// @access  Private
+export const verifyExchangePayment = asyncHandler(async (req, res) => {
+  // The gateway's checkout fields are passed through for its adapter to check
+  const order = await exchangeService.verifyPayment(req.params.id, req.user._id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Payment verified, your replacement will be shipped soon',
+    data: order
+  });
+});
+
+// @desc    Get the user's return requests
+// @route   GET /api/returns/my-returns
+// @access  Private
+export const getMyReturnRequests = asyncHandler(async (req, res) => {
+  const requests = await ReturnRequest.find({ user: req.user._id })
+    .populate('order', 'createdAt total')
+    .populate('exchange.replacementOrder', 'status total isPaid exchange')
+    .sort({ createdAt: -1 });
+
+  res.json({
+    success: true,
+    data: requests
+  });
+});
+
+// @desc    Get single return request
+// @route   GET /api/returns/:id
+// @access  Private
+export const getReturnRequest = asyncHandler(async (req, res) => {
+  const request = await ReturnRequest.findById(req.params.id)
+    .populate('order', 'createdAt total paymentMethod deliveredAt')
+    .populate('exchange.replacementOrder', 'status total isPaid exchange createdAt')
+    .populate('items.product', 'name image');
+
+  if (!request) {
+    throw new AppError('Return request not found', 404);
+  }
+  if (!isOwnerOrAdmin(request, req.user)) {
+    throw new AppError('Not authorized to view this return', 403);
+  }
+
+  res.json({
+    success: true,
+    data: request
+  });
+});
+
+// @desc    Get all return requests (Admin)
+// @route   GET /api/returns
+// @access  Private/Admin
+export const getReturnRequests = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.type) {
+    filter.type = req.query.type;
+  }
+
+  const [requests, total] = await Promise.all([
+    ReturnRequest.find(filter)
+      .populate('user', 'name email')
+      .populate('order', 'createdAt total paymentMethod')
+      .populate('exchange.replacementOrder', 'status total isPaid')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    ReturnRequest.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: requests,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Approve a return request; exchanges also get their replacement order
+// @route   PUT /api/returns/:id/approve
+// @access  Private/Admin
+export const approveReturn = asyncHandler(async (req, res) => {
+  const existing = await returnService.findRequest(req.params.id);
+  const service = existing.type === 'exchange' ? exchangeService : returnService;
+  const request = await service.approve(req.params.id, req.user._id, { note: req.body.note });
+
+  res.json({
+    success: true,
+    message: 'Return approved',
+    data: request
+  });
+});
+
+// @desc    Reject a return request
+// @route   PUT /api/returns/:id/reject
+// @access  Private/Admin
+export const rejectReturn = asyncHandler(async (req, res) => {
+  const request = await returnService.reject(req.params.id, req.user._id, { reason: req.body.reason });
+
+  res.json({
+    success: true,
+    message: 'Return rejected',
+    data: request
+  });
+});
+
+// @desc    Book the reverse pickup
+// @route   PUT /api/returns/:id/pickup
+// @access  Private/Admin
+export const scheduleReturnPickup = asyncHandler(async (req, res) => {
+  const { carrier, trackingNumber, scheduledFor } = req.body;
+  const request = await returnService.schedulePickup(req.params.id, req.user._id, {
+    carrier,
+    trackingNumber,
+    scheduledFor: new Date(scheduledFor)
+  });
+
+  res.json({
+    success: true,
+    message: 'Pickup scheduled',
+    data: request
+  });
+});
+
+// @desc    Mark the returned parcel as received
+// @route   PUT /api/returns/:id/receive
+// @access  Private/Admin
+export const receiveReturn = asyncHandler(async (req, res) => {
+  const request = await returnService.markReceived(req.params.id, req.user._id, { note: req.body.note });
+
+  res.json({
+    success: true,
+    message: 'Return received',
+    data: request
+  });
+});
+
+// @desc    Record the quality check of the returned items
+// @route   PUT /api/returns/:id/inspect
+// @access  Private/Admin
+export const inspectReturn = asyncHandler(async (req, res) => {
+  const request = await returnService.recordInspection(req.params.id, req.user._id, {
+    items: req.body.items,
+    note: req.body.note
+  });
+
+  res.json({
+    success: true,
+    message: 'Quality check recorded',
+    data: request
+  });
+});
+
+// @desc    Refund a return in full or in part
+// @route   PUT /api/returns/:id/refund
+// @access  Private/Admin
+export const refundReturn = asyncHandler(async (req, res) => {
+  const { amount, reference } = req.body;
+  const request = await returnService.refund(req.params.id, req.user._id, {
+    amount: amount !== undefined ? Number(amount) : undefined,
+    reference
+  });
+
+  res.json({
+    success: true,
+    message: 'Refund processed',
+    data: request
+  });
+});
+
+// @desc    Complete an exchange after quality check
+// @route   PUT /api/returns/:id/complete-exchange
+// @access  Private/Admin
+export const completeExchange = asyncHandler(async (req, res) => {
+  const { reference, note } = req.body;
+  const request = await exchangeService.complete(req.params.id, req.user._id, { reference, note });
+
+  res.json({
+    success: true,
+    message: 'Exchange completed',
+    data: request
+  });
+});
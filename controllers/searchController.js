@@ -5,6 +5,9 @@ import Category from '../models/Category.js';
 import { AppError } from '../middleware/enhancedErrorHandler.js';
 import { asyncHandler } from '../middleware/enhancedErrorHandler.js';
 import logger from '../config/logger.js';
+import partNumberService from '../services/partNumberService.js';
+import categoryTreeService from '../services/categoryTreeService.js';
+import attributeService from '../services/attributeService.js';
 
 // Enhanced search suggestions with intelligent autocomplete
 export const getSearchSuggestions = asyncHandler(async (req, res) => {
@@ -20,11 +23,30 @@ export const getSearchSuggestions = asyncHandler(async (req, res) => {
   try {
     // Fallback implementation without intelligent search for now
     const suggestions = [];
+
+    // Exact part number matches (SKU, OEM or cross-reference) come first
+    const partMatches = await partNumberService.findByPartNumber(q, {
+      limit: parseInt(limit),
+      select: 'name images price category brand sku oemNumbers crossReferences'
+    });
+    partMatches.forEach(product => {
+      suggestions.push({
+        _id: product._id,
+        name: product.name,
+        type: 'part_number',
+        image: product.images[0]?.url,
+        price: product.price,
+        category: product.category?.name,
+        brand: product.brand,
+        matchedPartNumber: partNumberService.matchedReference(product, q)
+      });
+    });
     
     // Search products
     const products = await Product.find({
       $and: [
         { isActive: true },
+        { _id: { $nin: partMatches.map(product => product._id) } },
         {
           $or: [
             { name: { $regex: q, $options: 'i' } },
@@ -184,21 +206,31 @@ export const advancedSearch = asyncHandler(async (req, res) => {
   const pageNum = Math.max(1, parseInt(page));
   const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
 
+  // A category includes all of its subcategories
+  const categoryFilter = category ? await categoryTreeService.productFilter(category) : null;
+
+  // Typed attributes of the category, filtered as attributes[key]=a,b or
+  // attributes[key][min]=&attributes[key][max]= for numbers
+  const { attributes, attributeFilters } = await attributeService.resolveFilters(category, req.query.attributes);
+
   try {
     const query = { isActive: true };
     
-    // Add text search
+    // Add text search; a query that looks like a part number also matches
+    // SKUs, OEM and cross-reference numbers exactly, ignoring dashes and spaces
     if (q) {
+      const partNumberCondition = partNumberService.buildCondition(q);
       query.$or = [
         { name: { $regex: q, $options: 'i' } },
         { description: { $regex: q, $options: 'i' } },
         { brand: { $regex: q, $options: 'i' } },
-        { tags: { $elemMatch: { $regex: q, $options: 'i' } } }
+        { tags: { $elemMatch: { $regex: q, $options: 'i' } } },
+        ...(partNumberCondition ? [partNumberCondition] : [])
       ];
     }
 
     // Add filters
-    if (category) query.category = category;
+    if (categoryFilter) query.category = categoryFilter;
     if (brand) {
       const brandArray = Array.isArray(brand) ? brand : brand.split(',');
       query.brand = { $in: brandArray };
@@ -215,6 +247,10 @@ export const advancedSearch = asyncHandler(async (req, res) => {
       query.tags = { $in: tagArray };
     }
 
+    // Facets count over everything but the attribute filters, which they apply themselves
+    const facetQuery = { ...query };
+    Object.assign(query, attributeService.mongoConditions(attributeFilters));
+
     // Build sort object
     const sort = {};
     if (sortBy === 'price') {
@@ -230,18 +266,27 @@ export const advancedSearch = asyncHandler(async (req, res) => {
     const startTime = Date.now();
 
     // Execute search
-    const [products, total] = await Promise.all([
+    const [products, total, attributeFacets] = await Promise.all([
       Product.find(query)
         .populate('category', 'name')
         .sort(sort)
         .skip((pageNum - 1) * limitNum)
         .limit(limitNum)
         .lean(),
-      Product.countDocuments(query)
+      Product.countDocuments(query),
+      attributeService.buildFacets(facetQuery, attributes, attributeFilters)
     ]);
 
     const searchTime = Date.now() - startTime;
 
+    // Flag products found through one of their part numbers
+    if (q && partNumberService.buildCondition(q)) {
+      products.forEach(product => {
+        const matched = partNumberService.matchedReference(product, q);
+        if (matched) product.matchedPartNumber = matched;
+      });
+    }
+
     // Prepare response
     const response = {
       products: products || [],
@@ -253,9 +298,12 @@ export const advancedSearch = asyncHandler(async (req, res) => {
         hasNext: pageNum < Math.ceil((total || 0) / limitNum),
         hasPrev: pageNum > 1
       },
+      facets: {
+        attributes: attributeFacets
+      },
       searchInfo: {
         query: q || '',
-        filters: { category, brand, minPrice, maxPrice, rating, inStock, tags },
+        filters: { category, brand, minPrice, maxPrice, rating, inStock, tags, attributes: req.query.attributes },
         sortBy,
         searchTime,
         resultCount: total || 0
@@ -383,24 +431,25 @@ export const getSearchAnalytics = asyncHandler(async (req, res) => {
 export const getSearchFilters = asyncHandler(async (req, res) => {
   const { category, q } = req.query;
 
+  // A category includes all of its subcategories
+  const categoryFilter = category ? await categoryTreeService.productFilter(category) : null;
+
   try {
     const filters = {
       categories: [],
       brands: [],
       priceRanges: [],
       ratings: [5, 4, 3, 2, 1],
-      tags: []
+      tags: [],
+      sizes: [],
+      colors: [],
+      packQuantities: [],
+      attributes: []
     };
 
-    // Get categories
-    const categoryQuery = category ? { parent: category } : {};
-    filters.categories = await Category.find(categoryQuery)
-      .select('name _id parent')
-      .lean();
-
     // Get brands based on category or search query
     const productQuery = { isActive: true };
-    if (category) productQuery.category = category;
+    if (categoryFilter) productQuery.category = categoryFilter;
     if (q) {
       productQuery.$or = [
         { name: { $regex: q, $options: 'i' } },
@@ -409,6 +458,17 @@ export const getSearchFilters = asyncHandler(async (req, res) => {
       ];
     }
 
+    // Subcategories to narrow down to, counting products anywhere below each
+    filters.categories = await categoryTreeService.getChildFacets(category, productQuery);
+
+    // Specifications declared by the category, e.g. tyre width or battery capacity
+    if (category) {
+      filters.attributes = await attributeService.buildFacets(
+        productQuery,
+        await attributeService.getAttributes(category)
+      );
+    }
+
     const brandsAgg = await Product.aggregate([
       { $match: productQuery },
       { $group: { _id: '$brand', count: { $sum: 1 } } },
@@ -423,15 +483,54 @@ export const getSearchFilters = asyncHandler(async (req, res) => {
         count: item.count
       }));
 
-    // Get price ranges
+    // Sizes, colours and pack quantities of active variants
+    const [variantFacets] = await Product.aggregate([
+      { $match: productQuery },
+      { $unwind: '$variants' },
+      { $match: { 'variants.isActive': { $ne: false } } },
+      {
+        $facet: {
+          sizes: variantFacetPipeline('size'),
+          colors: variantFacetPipeline('color'),
+          packQuantities: variantFacetPipeline('packQuantity')
+        }
+      }
+    ]);
+
+    ['sizes', 'colors', 'packQuantities'].forEach(facet => {
+      filters[facet] = (variantFacets?.[facet] || []).map(item => ({
+        name: item._id,
+        count: item.count
+      }));
+    });
+
+    // Get price ranges, over every active variant price for products sold in variants
     const priceStats = await Product.aggregate([
       { $match: productQuery },
+      {
+        $project: {
+          prices: {
+            $let: {
+              vars: {
+                active: {
+                  $filter: {
+                    input: { $ifNull: ['$variants', []] },
+                    cond: { $ne: ['$$this.isActive', false] }
+                  }
+                }
+              },
+              in: { $cond: [{ $gt: [{ $size: '$$active' }, 0] }, '$$active.price', ['$price']] }
+            }
+          }
+        }
+      },
+      { $unwind: '$prices' },
       {
         $group: {
           _id: null,
-          minPrice: { $min: '$price' },
-          maxPrice: { $max: '$price' },
-          avgPrice: { $avg: '$price' }
+          minPrice: { $min: '$prices' },
+          maxPrice: { $max: '$prices' },
+          avgPrice: { $avg: '$prices' }
         }
       }
     ]);
@@ -500,6 +599,17 @@ export const rebuildSearchIndex = asyncHandler(async (req, res) => {
 });
 
 // Helper function to generate price ranges
+// Products per variant attribute value; a product counts once per value
+function variantFacetPipeline(field) {
+  return [
+    { $match: { [`variants.${field}`]: { $nin: [null, ''] } } },
+    { $group: { _id: { value: `$variants.${field}`, product: '$_id' } } },
+    { $group: { _id: '$_id.value', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: 50 }
+  ];
+}
+
 function generatePriceRanges(minPrice, maxPrice) {
   const ranges = [];
   const step = Math.ceil((maxPrice - minPrice) / 6);
@@ -1,61 +1,38 @@
+import settingsService from '../services/settingsService.js';
+
+// Map service and schema validation errors to a response
+const sendSettingsError = (res, error, message) => {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid settings',
+      errors: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  res.status(error.statusCode || 500).json({
+    success: false,
+    message: error.statusCode ? error.message : message
+  });
+};
+
 // @desc    Get all settings
 // @route   GET /api/admin/settings
 // @access  Private/Admin
 export const getSettings = async (req, res) => {
   try {
-    // Default settings structure
-    const defaultSettings = {
-      site: {
-        name: 'Panditji Auto Connect',
-        description: 'Your trusted auto parts store',
-        logo: '/logo.png',
-        favicon: '/favicon.ico',
-        contactEmail: 'info@panditjiautoconnect.com',
-        contactPhone: '+91-9876543210',
-        address: '123 Auto Street, Delhi, India'
-      },
-      payment: {
-        razorpayKeyId: process.env.RAZORPAY_KEY_ID || '',
-        codEnabled: true,
-        onlinePaymentEnabled: true,
-        minimumOrderAmount: 500
-      },
-      shipping: {
-        freeShippingThreshold: 1000,
-        standardShippingRate: 50,
-        expressShippingRate: 150,
-        estimatedDeliveryDays: '3-5'
-      },
-      notifications: {
-        emailNotifications: true,
-        smsNotifications: false,
-        pushNotifications: true,
-        orderConfirmation: true,
-        shipmentUpdates: true
-      },
-      security: {
-        twoFactorAuth: false,
-        sessionTimeout: 30,
-        passwordPolicy: 'medium',
-        ipWhitelist: []
-      },
-      analytics: {
-        googleAnalyticsId: '',
-        facebookPixelId: '',
-        trackingEnabled: true
-      }
-    };
+    const settings = await settingsService.getSettings();
 
     res.json({
       success: true,
-      settings: defaultSettings
+      settings
     });
   } catch (error) {
     console.error('Get settings error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch settings'
-    });
+    sendSettingsError(res, error, 'Failed to fetch settings');
   }
 };
 
@@ -66,19 +43,17 @@ export const updateSettings = async (req, res) => {
   try {
     const { settings } = req.body;
 
-    // In a real implementation, you would save to database
-    // For now, we'll just return the updated settings
+    const result = await settingsService.updateSettings(settings, req.user._id);
+
     res.json({
       success: true,
-      message: 'Settings updated successfully',
-      settings
+      message: result.changes.length > 0 ? 'Settings updated successfully' : 'No changes to save',
+      settings: result.settings,
+      changes: result.changes
     });
   } catch (error) {
     console.error('Update settings error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to update settings'
-    });
+    sendSettingsError(res, error, 'Failed to update settings');
   }
 };
 
@@ -87,58 +62,76 @@ export const updateSettings = async (req, res) => {
 // @access  Private/Admin
 export const resetSettings = async (req, res) => {
   try {
-    const defaultSettings = {
-      site: {
-        name: 'Panditji Auto Connect',
-        description: 'Your trusted auto parts store',
-        logo: '/logo.png',
-        favicon: '/favicon.ico',
-        contactEmail: 'info@panditjiautoconnect.com',
-        contactPhone: '+91-9876543210',
-        address: '123 Auto Street, Delhi, India'
-      },
-      payment: {
-        razorpayKeyId: process.env.RAZORPAY_KEY_ID || '',
-        codEnabled: true,
-        onlinePaymentEnabled: true,
-        minimumOrderAmount: 500
-      },
-      shipping: {
-        freeShippingThreshold: 1000,
-        standardShippingRate: 50,
-        expressShippingRate: 150,
-        estimatedDeliveryDays: '3-5'
-      },
-      notifications: {
-        emailNotifications: true,
-        smsNotifications: false,
-        pushNotifications: true,
-        orderConfirmation: true,
-        shipmentUpdates: true
-      },
-      security: {
-        twoFactorAuth: false,
-        sessionTimeout: 30,
-        passwordPolicy: 'medium',
-        ipWhitelist: []
-      },
-      analytics: {
-        googleAnalyticsId: '',
-        facebookPixelId: '',
-        trackingEnabled: true
-      }
-    };
+    const result = await settingsService.resetSettings(req.user._id);
 
     res.json({
       success: true,
       message: 'Settings reset to default successfully',
-      settings: defaultSettings
+      settings: result.settings,
+      changes: result.changes
     });
   } catch (error) {
     console.error('Reset settings error:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to reset settings'
+    sendSettingsError(res, error, 'Failed to reset settings');
+  }
+};
+
+// @desc    Get settings change history
+// @route   GET /api/admin/settings/history
+// @access  Private/Admin
+export const getSettingsHistory = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+
+    const { entries, pagination } = await settingsService.getHistory({ page, limit });
+
+    res.json({
+      success: true,
+      history: entries,
+      pagination
+    });
+  } catch (error) {
+    console.error('Get settings history error:', error);
+    sendSettingsError(res, error, 'Failed to fetch settings history');
+  }
+};
+
+// @desc    Get a single settings version
+// @route   GET /api/admin/settings/history/:version
+// @access  Private/Admin
+export const getSettingsVersion = async (req, res) => {
+  try {
+    const entry = await settingsService.getVersion(parseInt(req.params.version));
+
+    res.json({
+      success: true,
+      version: entry
     });
+  } catch (error) {
+    console.error('Get settings version error:', error);
+    sendSettingsError(res, error, 'Failed to fetch settings version');
+  }
+};
+
+// @desc    Roll settings back to an earlier version
+// @route   POST /api/admin/settings/rollback/:version
+// @access  Private/Admin
+export const rollbackSettings = async (req, res) => {
+  try {
+    const version = parseInt(req.params.version);
+    const result = await settingsService.rollback(version, req.user._id);
+
+    res.json({
+      success: true,
+      message: result.changes.length > 0
+        ? `Settings rolled back to version ${version}`
+        : `Settings already match version ${version}`,
+      settings: result.settings,
+      changes: result.changes
+    });
+  } catch (error) {
+    console.error('Rollback settings error:', error);
+    sendSettingsError(res, error, 'Failed to roll back settings');
   }
 };
@@ -0,0 +1,153 @@
+import ShippingZone from '../models/ShippingZone.js';
+import shippingService from '../services/shippingService.js';
+import { AppError, asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'code',
+  'pincodePrefixes',
+  'pincodeRanges',
+  'isDefault',
+  'nonServiceablePincodes',
+  'rateSlabs',
+  'additionalPerKg',
+  'volumetricDivisor',
+  'freeShippingThreshold',
+  'codAvailable',
+  'codSurcharge',
+  'slaDays',
+  'expressAvailable',
+  'expressSurcharge',
+  'expressSlaDays',
+  'isActive'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
+// Only one zone can be the catch-all default
+const clearOtherDefaults = async (zone) => {
+  if (zone.isDefault) {
+    await ShippingZone.updateMany(
+      { _id: { $ne: zone._id }, isDefault: true },
+      { $set: { isDefault: false } }
+    );
+  }
+};
+
+// @desc    Get all shipping zones
+// @route   GET /api/admin/shipping-zones
+// @access  Private/Admin
+export const getShippingZones = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+
+  const zones = await ShippingZone.find(filter).sort({ isDefault: 1, name: 1 });
+
+  res.json({
+    success: true,
+    data: zones
+  });
+});
+
+// @desc    Get single shipping zone
+// @route   GET /api/admin/shipping-zones/:id
+// @access  Private/Admin
+export const getShippingZone = asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    throw new AppError('Shipping zone not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: zone
+  });
+});
+
+// @desc    Create shipping zone
+// @route   POST /api/admin/shipping-zones
+// @access  Private/Admin
+export const createShippingZone = asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.create(pickEditableFields(req.body));
+
+  await clearOtherDefaults(zone);
+  shippingService.invalidateCache();
+  logger.info('Shipping zone created', { zoneId: zone._id, code: zone.code, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Shipping zone created successfully',
+    data: zone
+  });
+});
+
+// @desc    Update shipping zone
+// @route   PUT /api/admin/shipping-zones/:id
+// @access  Private/Admin
+export const updateShippingZone = asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.findById(req.params.id);
+
+  if (!zone) {
+    throw new AppError('Shipping zone not found', 404);
+  }
+
+  zone.set(pickEditableFields(req.body));
+  await zone.save();
+
+  await clearOtherDefaults(zone);
+  shippingService.invalidateCache();
+  logger.info('Shipping zone updated', { zoneId: zone._id, code: zone.code, updatedBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Shipping zone updated successfully',
+    data: zone
+  });
+});
+
+// @desc    Delete shipping zone
+// @route   DELETE /api/admin/shipping-zones/:id
+// @access  Private/Admin
+export const deleteShippingZone = asyncHandler(async (req, res) => {
+  const zone = await ShippingZone.findByIdAndDelete(req.params.id);
+
+  if (!zone) {
+    throw new AppError('Shipping zone not found', 404);
+  }
+
+  shippingService.invalidateCache();
+  logger.info('Shipping zone deleted', { zoneId: zone._id, code: zone.code, deletedBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Shipping zone deleted successfully'
+  });
+});
+
+// @desc    Check which zone serves a pincode
+// @route   GET /api/admin/shipping-zones/serviceability/:pincode
+// @access  Private/Admin
+export const checkServiceability = asyncHandler(async (req, res) => {
+  const pincode = shippingService.normalizePincode(req.params.pincode);
+  const zone = await shippingService.findZone(pincode);
+
+  res.json({
+    success: true,
+    data: {
+      pincode,
+      serviceable: zone !== undefined && !(zone && zone.nonServiceablePincodes.includes(pincode)),
+      zone: zone ? { id: zone._id, name: zone.name, code: zone.code } : null
+    }
+  });
+});
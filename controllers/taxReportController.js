@@ -0,0 +1,72 @@
+import taxService from '../services/taxService.js';
+import { AppError, asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import { toCsv } from '../utils/csv.js';
+
+const REPORT_COLUMNS = {
+  hsn: [
+    { key: 'hsnCode', label: 'HSN' },
+    { key: 'gstRate', label: 'GST Rate (%)' },
+    { key: 'quantity', label: 'Quantity' },
+    { key: 'taxableValue', label: 'Taxable Value' },
+    { key: 'cgst', label: 'CGST' },
+    { key: 'sgst', label: 'SGST' },
+    { key: 'igst', label: 'IGST' },
+    { key: 'totalTax', label: 'Total Tax' }
+  ],
+  states: [
+    { key: 'placeOfSupply', label: 'Place of Supply' },
+    { key: 'supplyType', label: 'Supply Type' },
+    { key: 'orders', label: 'Orders' },
+    { key: 'taxableValue', label: 'Taxable Value' },
+    { key: 'cgst', label: 'CGST' },
+    { key: 'sgst', label: 'SGST' },
+    { key: 'igst', label: 'IGST' }
+  ],
+  orders: [
+    { key: 'orderId', label: 'Order ID' },
+    { key: 'date', label: 'Date' },
+    { key: 'placeOfSupply', label: 'Place of Supply' },
+    { key: 'supplyType', label: 'Supply Type' },
+    { key: 'taxableValue', label: 'Taxable Value' },
+    { key: 'cgst', label: 'CGST' },
+    { key: 'sgst', label: 'SGST' },
+    { key: 'igst', label: 'IGST' },
+    { key: 'totalTax', label: 'Total Tax' },
+    { key: 'total', label: 'Invoice Value' }
+  ]
+};
+
+const REPORT_SECTIONS = {
+  hsn: 'hsnSummary',
+  states: 'stateSummary',
+  orders: 'orders'
+};
+
+// @desc    Get monthly GST report
+// @route   GET /api/admin/reports/gst?month=YYYY-MM&format=json|csv&section=hsn|states|orders
+// @access  Private/Admin
+export const getGstReport = asyncHandler(async (req, res) => {
+  const { month, format = 'json', section = 'hsn' } = req.query;
+
+  const match = /^(\d{4})-(\d{2})$/.exec(month || '');
+  if (!match || Number(match[2]) < 1 || Number(match[2]) > 12) {
+    throw new AppError('Month must be in YYYY-MM format', 400);
+  }
+  if (!REPORT_SECTIONS[section]) {
+    throw new AppError('Section must be one of hsn, states, orders', 400);
+  }
+
+  const report = await taxService.getMonthlyReport(Number(match[1]), Number(match[2]));
+
+  if (format === 'csv') {
+    const csv = toCsv(report[REPORT_SECTIONS[section]], REPORT_COLUMNS[section]);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="gst-${section}-${report.period}.csv"`);
+    return res.send(csv);
+  }
+
+  res.json({
+    success: true,
+    data: report
+  });
+});
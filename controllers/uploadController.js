@@ -1,25 +1,12 @@
 import path from 'path';
 import { v2 as cloudinary } from 'cloudinary';
-
-// Configure Cloudinary - moved to a function to ensure env vars are loaded
-const configureCloudinary = () => {
-  if (!cloudinary.config().cloud_name) {
-    cloudinary.config({
-      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-      api_key: process.env.CLOUDINARY_API_KEY,
-      api_secret: process.env.CLOUDINARY_API_SECRET,
-    });
-  }
-};
+import { isCloudinaryConfigured, uploadImageBuffer } from '../utils/cloudinaryUpload.js';
 
 // @desc    Upload single image
 // @route   POST /api/upload/single
 // @access  Private
 export const uploadImage = async (req, res) => {
   try {
-    // Configure Cloudinary with current environment variables
-    configureCloudinary();
-    
     console.log('Upload request received:', {
       hasFile: !!req.file,
       filename: req.file?.originalname,
@@ -34,61 +21,7 @@ export const uploadImage = async (req, res) => {
       });
     }
 
-    // Upload to Cloudinary if configured
-    if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET) {
-      console.log('Cloudinary upload starting for:', req.file.originalname);
-      
-      try {
-        // Upload from buffer (memory storage)
-        const uploadStream = cloudinary.uploader.upload_stream(
-          {
-            folder: 'panditji-auto-connect/products',
-            transformation: [
-              { width: 800, height: 800, crop: 'limit' },
-              { quality: 'auto' }
-            ],
-            resource_type: 'auto'
-          },
-          (error, result) => {
-            if (error) {
-              console.error('Cloudinary upload error:', error);
-              return res.status(500).json({
-                success: false,
-                message: 'Failed to upload image to Cloudinary',
-                error: error.message
-              });
-            }
-
-            console.log('Cloudinary upload successful:', {
-              url: result.secure_url,
-              public_id: result.public_id
-            });
-
-            res.json({
-              success: true,
-              message: 'Image uploaded successfully to Cloudinary',
-              data: {
-                url: result.secure_url,
-                public_id: result.public_id,
-                filename: req.file.originalname,
-                originalName: req.file.originalname,
-                size: req.file.size
-              }
-            });
-          }
-        );
-
-        // Upload the buffer
-        uploadStream.end(req.file.buffer);
-      } catch (cloudinaryError) {
-        console.error('Cloudinary upload error (catch):', cloudinaryError);
-        res.status(500).json({
-          success: false,
-          message: 'Failed to upload image to Cloudinary',
-          error: cloudinaryError.message
-        });
-      }
-    } else {
+    if (!isCloudinaryConfigured()) {
       console.error('Cloudinary configuration missing:', {
         cloudName: !!process.env.CLOUDINARY_CLOUD_NAME,
         apiKey: !!process.env.CLOUDINARY_API_KEY,
@@ -96,11 +29,35 @@ export const uploadImage = async (req, res) => {
       });
       
       // No Cloudinary configuration found
-      res.status(500).json({
+      return res.status(500).json({
         success: false,
         message: 'Cloudinary configuration missing'
       });
     }
+
+    console.log('Cloudinary upload starting for:', req.file.originalname);
+
+    try {
+      const uploaded = await uploadImageBuffer(req.file);
+
+      console.log('Cloudinary upload successful:', {
+        url: uploaded.url,
+        public_id: uploaded.public_id
+      });
+
+      res.json({
+        success: true,
+        message: 'Image uploaded successfully to Cloudinary',
+        data: uploaded
+      });
+    } catch (cloudinaryError) {
+      console.error('Cloudinary upload error:', cloudinaryError);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to upload image to Cloudinary',
+        error: cloudinaryError.message
+      });
+    }
   } catch (error) {
     console.error('Upload image error:', error);
     res.status(500).json({
@@ -115,9 +72,6 @@ export const uploadImage = async (req, res) => {
 // @access  Private
 export const uploadMultipleImages = async (req, res) => {
   try {
-    // Configure Cloudinary with current environment variables
-    configureCloudinary();
-    
     if (!req.files || req.files.length === 0) {
       return res.status(400).json({
         success: false,
@@ -125,56 +79,24 @@ export const uploadMultipleImages = async (req, res) => {
       });
     }
 
-    const uploadedFiles = [];
-
-    // Upload to Cloudinary if configured
-    if (process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET) {
-      try {
-        const uploadPromises = req.files.map(file => {
-          return new Promise((resolve, reject) => {
-            const uploadStream = cloudinary.uploader.upload_stream(
-              {
-                folder: 'panditji-auto-connect/products',
-                transformation: [
-                  { width: 800, height: 800, crop: 'limit' },
-                  { quality: 'auto' }
-                ],
-                resource_type: 'auto'
-              },
-              (error, result) => {
-                if (error) {
-                  reject(error);
-                } else {
-                  resolve({
-                    url: result.secure_url,
-                    public_id: result.public_id,
-                    filename: file.originalname,
-                    originalName: file.originalname,
-                    size: file.size
-                  });
-                }
-              }
-            );
-            uploadStream.end(file.buffer);
-          });
-        });
-
-        const results = await Promise.all(uploadPromises);
-        uploadedFiles.push(...results);
-      } catch (cloudinaryError) {
-        console.error('Cloudinary upload error:', cloudinaryError);
-        return res.status(500).json({
-          success: false,
-          message: 'Failed to upload images to Cloudinary'
-        });
-      }
-    } else {
+    if (!isCloudinaryConfigured()) {
       return res.status(500).json({
         success: false,
         message: 'Cloudinary configuration missing'
       });
     }
 
+    let uploadedFiles;
+    try {
+      uploadedFiles = await Promise.all(req.files.map(file => uploadImageBuffer(file)));
+    } catch (cloudinaryError) {
+      console.error('Cloudinary upload error:', cloudinaryError);
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to upload images to Cloudinary'
+      });
+    }
+
     res.json({
       success: true,
       message: 'Images uploaded successfully',
@@ -0,0 +1,182 @@
+import Vehicle from '../models/Vehicle.js';
+import fitmentService from '../services/fitmentService.js';
+import garageService from '../services/garageService.js';
+import { AppError, asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+const EDITABLE_FIELDS = [
+  'vehicleType',
+  'make',
+  'model',
+  'generation',
+  'yearFrom',
+  'yearTo',
+  'variant',
+  'fuelType',
+  'engine',
+  'transmission',
+  'isActive'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
+// @desc    Get vehicle makes
+// @route   GET /api/vehicles/makes
+// @access  Public
+export const getMakes = asyncHandler(async (req, res) => {
+  const makes = await Vehicle.distinct('make', fitmentService.vehicleFilter({ vehicleType: req.query.vehicleType }));
+
+  res.json({
+    success: true,
+    data: makes.sort()
+  });
+});
+
+// @desc    Get the models of a make
+// @route   GET /api/vehicles/models?make=
+// @access  Public
+export const getModels = asyncHandler(async (req, res) => {
+  const models = await Vehicle.distinct('model', fitmentService.vehicleFilter({
+    vehicleType: req.query.vehicleType,
+    make: req.query.make
+  }));
+
+  res.json({
+    success: true,
+    data: models.sort()
+  });
+});
+
+// @desc    Get the generations of a model with the years they were sold
+// @route   GET /api/vehicles/generations?make=&model=
+// @access  Public
+export const getGenerations = asyncHandler(async (req, res) => {
+  const generations = await Vehicle.aggregate([
+    { $match: fitmentService.vehicleFilter({ make: req.query.make, model: req.query.model }) },
+    {
+      $group: {
+        _id: '$generation',
+        yearFrom: { $min: '$yearFrom' },
+        // A variant still on sale keeps the generation open
+        stillOnSale: { $max: { $cond: [{ $eq: [{ $ifNull: ['$yearTo', null] }, null] }, 1, 0] } },
+        yearTo: { $max: '$yearTo' },
+        fuelTypes: { $addToSet: '$fuelType' }
+      }
+    },
+    { $sort: { yearFrom: 1 } }
+  ]);
+
+  res.json({
+    success: true,
+    data: generations.map(({ _id, stillOnSale, yearTo, ...generation }) => ({
+      generation: _id,
+      ...generation,
+      yearTo: stillOnSale ? null : yearTo
+    }))
+  });
+});
+
+// @desc    Get vehicle variants
+// @route   GET /api/vehicles?make=&model=&generation=&year=&fuelType=
+// @access  Public
+export const getVehicles = asyncHandler(async (req, res) => {
+  const { vehicleType, make, model, generation, fuelType, year } = req.query;
+  const filter = fitmentService.vehicleFilter({ vehicleType, make, model, generation, fuelType, year });
+
+  const vehicles = await Vehicle.find(filter).sort({ make: 1, model: 1, yearFrom: 1, variant: 1 });
+
+  res.json({
+    success: true,
+    data: vehicles
+  });
+});
+
+// @desc    Get single vehicle
+// @route   GET /api/vehicles/:id
+// @access  Public
+export const getVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await fitmentService.findVehicle(req.params.id);
+
+  res.json({
+    success: true,
+    data: vehicle
+  });
+});
+
+// @desc    Create vehicle
+// @route   POST /api/vehicles
+// @access  Private/Admin
+export const createVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await Vehicle.create(pickEditableFields(req.body));
+
+  logger.info('Vehicle created', { vehicleId: vehicle._id, name: vehicle.displayName, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Vehicle created successfully',
+    data: vehicle
+  });
+});
+
+// @desc    Update vehicle
+// @route   PUT /api/vehicles/:id
+// @access  Private/Admin
+export const updateVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await fitmentService.findVehicle(req.params.id);
+
+  vehicle.set(pickEditableFields(req.body));
+  await vehicle.save();
+
+  logger.info('Vehicle updated', { vehicleId: vehicle._id, name: vehicle.displayName, updatedBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Vehicle updated successfully',
+    data: vehicle
+  });
+});
+
+// @desc    Delete vehicle
+// @route   DELETE /api/vehicles/:id
+// @access  Private/Admin
+export const deleteVehicle = asyncHandler(async (req, res) => {
+  const vehicle = await fitmentService.findVehicle(req.params.id);
+
+  // Deleting would silently drop the vehicle from product fitment; retire it instead
+  const products = await fitmentService.countFittingProducts(vehicle._id);
+  if (products > 0) {
+    throw new AppError(
+      `${products} product(s) are mapped to this vehicle, deactivate it instead`,
+      400,
+      'VEHICLE_IN_USE',
+      { products }
+    );
+  }
+
+  // Customers' garages point at it too
+  const garages = await garageService.countGaragesWith(vehicle._id);
+  if (garages > 0) {
+    throw new AppError(
+      `${garages} customer garage(s) include this vehicle, deactivate it instead`,
+      400,
+      'VEHICLE_IN_USE',
+      { garages }
+    );
+  }
+
+  await vehicle.deleteOne();
+
+  logger.info('Vehicle deleted', { vehicleId: vehicle._id, name: vehicle.displayName, deletedBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Vehicle deleted successfully'
+  });
+});
@@ -0,0 +1,282 @@
+import Warehouse from '../models/Warehouse.js';
+import WarehouseStock from '../models/WarehouseStock.js';
+import StockTransfer from '../models/StockTransfer.js';
+import warehouseService from '../services/warehouseService.js';
+import { AppError, asyncHandler } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+const EDITABLE_FIELDS = [
+  'name',
+  'code',
+  'address',
+  'pincode',
+  'contactPhone',
+  'priority',
+  'isActive'
+];
+
+const pickEditableFields = (body) => {
+  return EDITABLE_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+};
+
+// A warehouse that still holds stock cannot be switched off or removed,
+// otherwise its units would count towards availability but never ship
+const ensureEmpty = async (warehouseId, action) => {
+  const holdsStock = await WarehouseStock.exists({ warehouse: warehouseId, quantity: { $gt: 0 } });
+  if (holdsStock) {
+    throw new AppError(`Transfer the remaining stock out before you ${action} this warehouse`, 400, 'WAREHOUSE_NOT_EMPTY');
+  }
+};
+
+// @desc    Get all warehouses
+// @route   GET /api/admin/warehouses
+// @access  Private/Admin
+export const getWarehouses = asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.isActive !== undefined) {
+    filter.isActive = req.query.isActive === 'true';
+  }
+
+  const warehouses = await Warehouse.find(filter).sort({ priority: 1, name: 1 });
+
+  res.json({
+    success: true,
+    data: warehouses
+  });
+});
+
+// @desc    Get single warehouse
+// @route   GET /api/admin/warehouses/:id
+// @access  Private/Admin
+export const getWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await Warehouse.findById(req.params.id);
+
+  if (!warehouse) {
+    throw new AppError('Warehouse not found', 404);
+  }
+
+  res.json({
+    success: true,
+    data: warehouse
+  });
+});
+
+// @desc    Create warehouse
+// @route   POST /api/admin/warehouses
+// @access  Private/Admin
+export const createWarehouse = asyncHandler(async (req, res) => {
+  const firstWarehouse = !(await warehouseService.isInUse());
+  const warehouse = await Warehouse.create(pickEditableFields(req.body));
+
+  // Stock moves from products to warehouses with the first active one
+  if (firstWarehouse && warehouse.isActive) {
+    await warehouseService.bookProductStock(warehouse._id);
+  }
+
+  logger.info('Warehouse created', { warehouseId: warehouse._id, code: warehouse.code, createdBy: req.user._id });
+
+  res.status(201).json({
+    success: true,
+    message: 'Warehouse created successfully',
+    data: warehouse
+  });
+});
+
+// @desc    Update warehouse
+// @route   PUT /api/admin/warehouses/:id
+// @access  Private/Admin
+export const updateWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await Warehouse.findById(req.params.id);
+
+  if (!warehouse) {
+    throw new AppError('Warehouse not found', 404);
+  }
+
+  if (warehouse.isActive && req.body.isActive === false) {
+    await ensureEmpty(warehouse._id, 'deactivate');
+  }
+
+  const firstWarehouse = !warehouse.isActive && !(await warehouseService.isInUse());
+
+  warehouse.set(pickEditableFields(req.body));
+  await warehouse.save();
+
+  if (firstWarehouse && warehouse.isActive) {
+    await warehouseService.bookProductStock(warehouse._id);
+  }
+
+  logger.info('Warehouse updated', { warehouseId: warehouse._id, code: warehouse.code, updatedBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Warehouse updated successfully',
+    data: warehouse
+  });
+});
+
+// @desc    Delete warehouse
+// @route   DELETE /api/admin/warehouses/:id
+// @access  Private/Admin
+export const deleteWarehouse = asyncHandler(async (req, res) => {
+  const warehouse = await Warehouse.findById(req.params.id);
+
+  if (!warehouse) {
+    throw new AppError('Warehouse not found', 404);
+  }
+
+  await ensureEmpty(warehouse._id, 'delete');
+
+  const inTransit = await StockTransfer.exists({
+    status: 'in_transit',
+    $or: [{ from: warehouse._id }, { to: warehouse._id }]
+  });
+  if (inTransit) {
+    throw new AppError('This warehouse has transfers in transit', 400, 'WAREHOUSE_HAS_TRANSFERS');
+  }
+
+  await WarehouseStock.deleteMany({ warehouse: warehouse._id });
+  await warehouse.deleteOne();
+
+  logger.info('Warehouse deleted', { warehouseId: warehouse._id, code: warehouse.code, deletedBy: req.user._id });
+
+  res.json({
+    success: true,
+    message: 'Warehouse deleted successfully'
+  });
+});
+
+// @desc    Get stock held at a warehouse
+// @route   GET /api/admin/warehouses/:id/stock
+// @access  Private/Admin
+export const getWarehouseStock = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 50;
+
+  const { stocks, pagination } = await warehouseService.getWarehouseStock(req.params.id, { page, limit });
+
+  res.json({
+    success: true,
+    data: stocks,
+    pagination
+  });
+});
+
+// @desc    Set the stock of a product at a warehouse
+// @route   PUT /api/admin/warehouses/:id/stock/:productId
+// @access  Private/Admin
+export const setWarehouseStock = asyncHandler(async (req, res) => {
+  const stock = await warehouseService.setStock(req.params.id, req.params.productId, {
+    quantity: Number(req.body.quantity),
+    binLocation: req.body.binLocation,
+    variant: req.body.variant
+  });
+
+  res.json({
+    success: true,
+    message: 'Stock updated successfully',
+    data: stock
+  });
+});
+
+// @desc    Per-warehouse stock breakdown for a product
+// @route   GET /api/admin/warehouses/products/:productId/stock
+// @access  Private/Admin
+export const getProductStock = asyncHandler(async (req, res) => {
+  const breakdown = await warehouseService.getProductStock(req.params.productId);
+
+  res.json({
+    success: true,
+    data: breakdown
+  });
+});
+
+// @desc    Get stock transfers
+// @route   GET /api/admin/warehouses/transfers
+// @access  Private/Admin
+export const getTransfers = asyncHandler(async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const limit = parseInt(req.query.limit) || 20;
+  const skip = (page - 1) * limit;
+
+  const filter = {};
+  if (req.query.status) {
+    filter.status = req.query.status;
+  }
+  if (req.query.warehouse) {
+    filter.$or = [{ from: req.query.warehouse }, { to: req.query.warehouse }];
+  }
+
+  const [transfers, total] = await Promise.all([
+    StockTransfer.find(filter)
+      .populate('from to', 'name code')
+      .populate('items.product', 'name')
+      .populate('createdBy receivedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit),
+    StockTransfer.countDocuments(filter)
+  ]);
+
+  res.json({
+    success: true,
+    data: transfers,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  });
+});
+
+// @desc    Dispatch stock from one warehouse to another
+// @route   POST /api/admin/warehouses/transfers
+// @access  Private/Admin
+export const createTransfer = asyncHandler(async (req, res) => {
+  const { from, to, items, notes } = req.body;
+
+  const transfer = await warehouseService.createTransfer({
+    from,
+    to,
+    items: items.map(item => ({ product: item.product, variant: item.variant, quantity: Number(item.quantity) })),
+    notes,
+    userId: req.user._id
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Stock transfer dispatched',
+    data: transfer
+  });
+});
+
+// @desc    Receive a stock transfer at its destination
+// @route   PUT /api/admin/warehouses/transfers/:id/receive
+// @access  Private/Admin
+export const receiveTransfer = asyncHandler(async (req, res) => {
+  const transfer = await warehouseService.receiveTransfer(req.params.id, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Stock transfer received',
+    data: transfer
+  });
+});
+
+// @desc    Cancel a stock transfer still in transit
+// @route   PUT /api/admin/warehouses/transfers/:id/cancel
+// @access  Private/Admin
+export const cancelTransfer = asyncHandler(async (req, res) => {
+  const transfer = await warehouseService.cancelTransfer(req.params.id, req.user._id);
+
+  res.json({
+    success: true,
+    message: 'Stock transfer cancelled',
+    data: transfer
+  });
+});
@@ -0,0 +1,47 @@
+import webhookEventService from '../services/webhookEventService.js';
+import { asyncHandler } from '../middleware/enhancedErrorHandler.js';
+
+// @desc    Get webhook events
+// @route   GET /api/admin/webhook-events?status=&gateway=&type=&entityId=
+// @access  Private/Admin
+export const getWebhookEvents = asyncHandler(async (req, res) => {
+  const { events, pagination } = await webhookEventService.getEvents({
+    status: req.query.status,
+    gateway: req.query.gateway,
+    type: req.query.type,
+    entityId: req.query.entityId,
+    page: parseInt(req.query.page) || 1,
+    limit: parseInt(req.query.limit) || 20
+  });
+
+  res.json({
+    success: true,
+    data: events,
+    pagination
+  });
+});
+
+// @desc    Get single webhook event with its payload
+// @route   GET /api/admin/webhook-events/:id
+// @access  Private/Admin
+export const getWebhookEvent = asyncHandler(async (req, res) => {
+  const webhookEvent = await webhookEventService.getEvent(req.params.id);
+
+  res.json({
+    success: true,
+    data: webhookEvent
+  });
+});
+
+// @desc    Replay a failed or dead-lettered webhook event
+// @route   POST /api/admin/webhook-events/:id/replay
+// @access  Private/Admin
+export const replayWebhookEvent = asyncHandler(async (req, res) => {
+  const webhookEvent = await webhookEventService.replay(req.params.id, req.user._id);
+
+  res.status(202).json({
+    success: true,
+    message: 'Webhook event queued for processing',
+    data: webhookEvent
+  });
+});
@@ -1,5 +1,6 @@
 import Wishlist from '../models/Wishlist.js';
 import Product from '../models/Product.js';
+import variantService from '../services/variantService.js';
 
 // @desc    Get user's wishlist
 // @route   GET /api/wishlist
@@ -9,7 +10,7 @@ export const getWishlist = async (req, res) => {
     const wishlistItems = await Wishlist.find({ user: req.user.id })
       .populate({
         path: 'product',
-        select: 'name price originalPrice image category description stock rating'
+        select: 'name price originalPrice image category description stock rating variants'
       })
       .sort({ addedAt: -1 });
 
@@ -27,12 +28,13 @@ export const getWishlist = async (req, res) => {
   }
 };
 
-// @desc    Add product to wishlist
+// @desc    Add product, or one of its variants, to wishlist
 // @route   POST /api/wishlist/:productId
 // @access  Private
 export const addToWishlist = async (req, res) => {
   try {
     const { productId } = req.params;
+    const variant = req.body.variant || null;
     const userId = req.user.id;
 
     // Check if product exists
@@ -44,10 +46,18 @@ export const addToWishlist = async (req, res) => {
       });
     }
 
+    if (variant && !variantService.findVariant(product, variant)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Variant not found'
+      });
+    }
+
     // Check if already in wishlist
     const existingItem = await Wishlist.findOne({
       user: userId,
-      product: productId
+      product: productId,
+      variant
     });
 
     if (existingItem) {
@@ -60,13 +70,15 @@ export const addToWishlist = async (req, res) => {
     // Add to wishlist
     const wishlistItem = await Wishlist.create({
       user: userId,
-      product: productId
+      product: productId,
+      variant,
+      ...(req.body.notifyOnDiscount !== undefined && { notifyOnDiscount: Boolean(req.body.notifyOnDiscount) })
     });
 
     const populatedItem = await Wishlist.findById(wishlistItem._id)
       .populate({
         path: 'product',
-        select: 'name price originalPrice image category description stock rating'
+        select: 'name price originalPrice image category description stock rating variants'
       });
 
     res.status(201).json({
@@ -83,8 +95,44 @@ export const addToWishlist = async (req, res) => {
   }
 };
 
+// @desc    Turn price drop alerts for a wishlist item on or off
+// @route   PATCH /api/wishlist/:productId?variant=
+// @access  Private
+export const updateWishlistItem = async (req, res) => {
+  try {
+    const wishlistItem = await Wishlist.findOneAndUpdate(
+      {
+        user: req.user.id,
+        product: req.params.productId,
+        variant: req.query.variant || null
+      },
+      { notifyOnDiscount: Boolean(req.body.notifyOnDiscount) },
+      { new: true }
+    );
+
+    if (!wishlistItem) {
+      return res.status(404).json({
+        success: false,
+        message: 'Product not found in wishlist'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: wishlistItem.notifyOnDiscount ? 'Price drop alerts turned on' : 'Price drop alerts turned off',
+      item: wishlistItem
+    });
+  } catch (error) {
+    console.error('Update wishlist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating wishlist item'
+    });
+  }
+};
+
 // @desc    Remove product from wishlist
-// @route   DELETE /api/wishlist/:productId
+// @route   DELETE /api/wishlist/:productId?variant=
 // @access  Private
 export const removeFromWishlist = async (req, res) => {
   try {
@@ -93,7 +141,8 @@ export const removeFromWishlist = async (req, res) => {
 
     const wishlistItem = await Wishlist.findOneAndDelete({
       user: userId,
-      product: productId
+      product: productId,
+      variant: req.query.variant || null
     });
 
     if (!wishlistItem) {
@@ -139,7 +188,7 @@ export const clearWishlist = async (req, res) => {
 };
 
 // @desc    Check if product is in wishlist
-// @route   GET /api/wishlist/check/:productId
+// @route   GET /api/wishlist/check/:productId?variant=
 // @access  Private
 export const checkWishlistStatus = async (req, res) => {
   try {
@@ -148,7 +197,8 @@ export const checkWishlistStatus = async (req, res) => {
 
     const wishlistItem = await Wishlist.findOne({
       user: userId,
-      product: productId
+      product: productId,
+      variant: req.query.variant || null
     });
 
     res.json({
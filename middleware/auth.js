@@ -39,6 +39,21 @@ export const protect = asyncHandler(async (req, res, next) => {
   }
 });
 
+// Identify the user when a valid token is sent, but let anonymous requests through
+export const optionalAuth = async (req, res, next) => {
+  if (!req.headers.authorization?.startsWith('Bearer')) {
+    return next();
+  }
+
+  try {
+    const decoded = jwt.verify(req.headers.authorization.split(' ')[1], process.env.JWT_SECRET);
+    req.user = await User.findById(decoded.id).select('-password') || undefined;
+  } catch (error) {
+    logger.warn('Ignoring invalid token on public route', { url: req.originalUrl, error: error.message });
+  }
+  next();
+};
+
 export const admin = (req, res, next) => {
   if (req.user && req.user.role === 'admin') {
     logger.info('Admin access granted', { 
@@ -0,0 +1,90 @@
+import crypto from 'crypto';
+import IdempotencyKey from '../models/IdempotencyKey.js';
+import { AppError, asyncHandler } from './enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,255}$/;
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+const hashBody = body => crypto
+  .createHash('sha256')
+  .update(JSON.stringify(body ?? {}))
+  .digest('hex');
+
+// Honour an Idempotency-Key header on an authenticated endpoint. The first
+// request with a key runs; a repeat of it within 24 hours gets the stored
+// response (with Idempotent-Replayed: true) while it succeeded, a 409 while it
+// is still running, and runs again if it failed. Requests without the header
+// are not affected.
+export const idempotency = (scope) => asyncHandler(async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(key)) {
+    throw new AppError(
+      'Idempotency-Key must be 8 to 255 letters, digits, dashes or underscores',
+      400,
+      'INVALID_IDEMPOTENCY_KEY'
+    );
+  }
+
+  const requestHash = hashBody(req.body);
+  let record;
+  try {
+    record = await IdempotencyKey.create({
+      key,
+      user: req.user._id,
+      scope,
+      requestHash,
+      expiresAt: new Date(Date.now() + KEY_TTL_MS)
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await IdempotencyKey.findOne({ user: req.user._id, scope, key });
+    if (existing && existing.requestHash !== requestHash) {
+      throw new AppError(
+        'This Idempotency-Key was already used for a different request',
+        422,
+        'IDEMPOTENCY_KEY_REUSED'
+      );
+    }
+    if (!existing || existing.status === 'processing') {
+      throw new AppError(
+        'A request with this Idempotency-Key is still being processed',
+        409,
+        'IDEMPOTENT_REQUEST_IN_PROGRESS'
+      );
+    }
+
+    logger.info('Replaying idempotent response', { scope, key, userId: req.user._id });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  }
+
+  let responseBody;
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    responseBody = body;
+    return json(body);
+  };
+
+  res.on('close', () => {
+    const succeeded = res.writableFinished && res.statusCode < 300 && responseBody !== undefined;
+    const settle = succeeded
+      ? IdempotencyKey.updateOne({ _id: record._id }, {
+        status: 'completed',
+        responseStatus: res.statusCode,
+        responseBody: JSON.parse(JSON.stringify(responseBody))
+      })
+      : IdempotencyKey.deleteOne({ _id: record._id });
+
+    settle.catch(error => {
+      logger.error('Failed to settle idempotency key', { scope, key, error: error.message });
+    });
+  });
+
+  next();
+});
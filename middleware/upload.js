@@ -0,0 +1,60 @@
+import path from 'path';
+import multer from 'multer';
+import { AppError } from './enhancedErrorHandler.js';
+
+const imageFileFilter = (req, file, cb) => {
+  // Check file type
+  if (file.mimetype.startsWith('image/')) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only image files are allowed!'), false);
+  }
+};
+
+// Images are kept in memory and streamed straight to Cloudinary
+export const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: imageFileFilter
+});
+
+export const SPREADSHEET_FORMATS = ['csv', 'xlsx'];
+
+const spreadsheetFileFilter = (req, file, cb) => {
+  const extension = path.extname(file.originalname).slice(1).toLowerCase();
+  if (SPREADSHEET_FORMATS.includes(extension)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Only CSV and XLSX files are allowed', 400, 'UNSUPPORTED_FILE'), false);
+  }
+};
+
+// Bulk import files are parsed from memory
+export const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+  },
+  fileFilter: spreadsheetFileFilter
+});
+
+export const EVIDENCE_MIME_TYPES = ['application/pdf', 'text/plain', 'image/jpeg', 'image/png', 'image/webp'];
+
+const evidenceFileFilter = (req, file, cb) => {
+  if (EVIDENCE_MIME_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Evidence must be a PDF, text file or JPEG, PNG or WebP image', 400, 'UNSUPPORTED_FILE'), false);
+  }
+};
+
+// Dispute evidence is sent on to Cloudinary and the payment gateway from memory
+export const evidenceUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: evidenceFileFilter
+});
@@ -1,11 +1,19 @@
 import mongoose from 'mongoose';
 
+// A cart line is one variant of one product; products without variants have
+// a single line
+export const isSameLine = (item, productId, variantId) =>
+  (item.product?._id || item.product).toString() === productId.toString() &&
+  (item.variant ? item.variant.toString() : '') === (variantId ? variantId.toString() : '');
+
 const cartItemSchema = new mongoose.Schema({
   product: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Product',
     required: true
   },
+  // Product.variants entry, for products sold in variants
+  variant: mongoose.Schema.Types.ObjectId,
   quantity: {
     type: Number,
     required: true,
@@ -39,6 +47,8 @@ const savedItemSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // Product.variants entry, for products sold in variants
+  variant: mongoose.Schema.Types.ObjectId,
   quantity: {
     type: Number,
     required: true,
@@ -66,6 +76,10 @@ const savedItemSchema = new mongoose.Schema({
 });
 
 const couponSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon'
+  },
   code: {
     type: String,
     required: true,
@@ -87,6 +101,28 @@ const couponSchema = new mongoose.Schema({
   }
 });
 
+const appliedPromotionSchema = new mongoose.Schema({
+  promotion: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Promotion',
+    required: true
+  },
+  name: String,
+  type: {
+    type: String,
+    enum: ['buy_x_get_y', 'spend_tier', 'bundle', 'category_sale']
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  products: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }]
+}, { _id: false });
+
 const cartSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -108,6 +144,11 @@ const cartSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  promotionDiscount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   taxAmount: {
     type: Number,
     default: 0,
@@ -138,6 +179,9 @@ const cartSchema = new mongoose.Schema({
   
   // Coupon information
   coupon: couponSchema,
+
+  // Automatic promotions applied by the pricing engine
+  promotions: [appliedPromotionSchema],
   
   // Metadata
   createdAt: {
@@ -234,9 +278,9 @@ cartSchema.methods.markAsConverted = function(orderId) {
   return this.save();
 };
 
-cartSchema.methods.addItem = function(productId, quantity, price, options = {}) {
+cartSchema.methods.addItem = function(productId, quantity, price, options = {}, variantId = null) {
   const existingItemIndex = this.items.findIndex(
-    item => item.product.toString() === productId.toString()
+    item => isSameLine(item, productId, variantId)
   );
   
   if (existingItemIndex > -1) {
@@ -246,6 +290,7 @@ cartSchema.methods.addItem = function(productId, quantity, price, options = {})
   } else {
     this.items.push({
       product: productId,
+      variant: variantId || undefined,
       quantity,
       price,
       options,
@@ -256,21 +301,21 @@ cartSchema.methods.addItem = function(productId, quantity, price, options = {})
   return this;
 };
 
-cartSchema.methods.removeItem = function(productId) {
+cartSchema.methods.removeItem = function(productId, variantId = null) {
   this.items = this.items.filter(
-    item => item.product.toString() !== productId.toString()
+    item => !isSameLine(item, productId, variantId)
   );
   return this;
 };
 
-cartSchema.methods.updateItemQuantity = function(productId, quantity) {
+cartSchema.methods.updateItemQuantity = function(productId, quantity, variantId = null) {
   const item = this.items.find(
-    item => item.product.toString() === productId.toString()
+    item => isSameLine(item, productId, variantId)
   );
   
   if (item) {
     if (quantity <= 0) {
-      return this.removeItem(productId);
+      return this.removeItem(productId, variantId);
     }
     item.quantity = quantity;
     item.updatedAt = new Date();
@@ -286,21 +331,24 @@ cartSchema.methods.clearItems = function() {
   this.finalTotal = 0;
   this.itemCount = 0;
   this.discountAmount = 0;
+  this.promotionDiscount = 0;
+  this.promotions = [];
   this.taxAmount = 0;
   this.shippingAmount = 0;
   this.coupon = undefined;
   return this;
 };
 
-cartSchema.methods.saveItemForLater = function(productId) {
+cartSchema.methods.saveItemForLater = function(productId, variantId = null) {
   const itemIndex = this.items.findIndex(
-    item => item.product.toString() === productId.toString()
+    item => isSameLine(item, productId, variantId)
   );
   
   if (itemIndex > -1) {
     const item = this.items[itemIndex];
     this.savedItems.push({
       product: item.product,
+      variant: item.variant,
       quantity: item.quantity,
       price: item.price,
       options: item.options,
@@ -313,9 +361,9 @@ cartSchema.methods.saveItemForLater = function(productId) {
   return this;
 };
 
-cartSchema.methods.moveToCartFromSaved = function(productId) {
+cartSchema.methods.moveToCartFromSaved = function(productId, variantId = null) {
   const savedItemIndex = this.savedItems.findIndex(
-    item => item.product.toString() === productId.toString()
+    item => isSameLine(item, productId, variantId)
   );
   
   if (savedItemIndex > -1) {
@@ -324,7 +372,8 @@ cartSchema.methods.moveToCartFromSaved = function(productId) {
       savedItem.product,
       savedItem.quantity,
       savedItem.price,
-      savedItem.options
+      savedItem.options,
+      savedItem.variant
     );
     this.savedItems.splice(savedItemIndex, 1);
   }
@@ -335,8 +384,8 @@ cartSchema.methods.moveToCartFromSaved = function(productId) {
 // Static methods
 cartSchema.statics.findByUser = function(userId) {
   return this.findOne({ user: userId })
-    .populate('items.product', 'name images price originalPrice brand rating reviewCount stock isActive category')
-    .populate('savedItems.product', 'name images price originalPrice brand rating reviewCount stock isActive category');
+    .populate('items.product', 'name images price originalPrice brand rating reviewCount stock isActive category variants')
+    .populate('savedItems.product', 'name images price originalPrice brand rating reviewCount stock isActive category variants');
 };
 
 cartSchema.statics.getAbandonedCarts = function(hoursAgo = 24) {
@@ -1,4 +1,57 @@
 import mongoose from 'mongoose';
+import { GST_RATES, isValidGstRate } from '../utils/gst.js';
+
+export const ATTRIBUTE_TYPES = ['enum', 'number', 'boolean'];
+
+// A typed specification products in the category carry, e.g. tyre width in
+// mm or battery capacity in Ah. Subcategories inherit their parents'
+// attributes and can redeclare one under the same key.
+const attributeSchema = new mongoose.Schema({
+  // Key in the product's specifications
+  key: {
+    type: String,
+    required: [true, 'Attribute key is required'],
+    trim: true,
+    match: [/^[a-z][a-z0-9_]*$/, 'Attribute key must be lowercase letters, numbers and underscores'],
+    maxlength: [40, 'Attribute key cannot be more than 40 characters']
+  },
+  label: {
+    type: String,
+    required: [true, 'Attribute label is required'],
+    trim: true,
+    maxlength: [60, 'Attribute label cannot be more than 60 characters']
+  },
+  type: {
+    type: String,
+    enum: ATTRIBUTE_TYPES,
+    required: true
+  },
+  // Allowed values of an enum attribute
+  options: [{
+    type: String,
+    trim: true
+  }],
+  // Unit of a number attribute, e.g. mm, Ah
+  unit: {
+    type: String,
+    trim: true
+  },
+  min: Number,
+  max: Number,
+  required: {
+    type: Boolean,
+    default: false
+  },
+  // Offered as a search facet
+  filterable: {
+    type: Boolean,
+    default: true
+  },
+  sortOrder: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -13,6 +66,16 @@ const categorySchema = new mongoose.Schema({
     trim: true,
     maxlength: [500, 'Description cannot be more than 500 characters']
   },
+  // URL name, generated from the name when not given
+  slug: {
+    type: String,
+    unique: true,
+    sparse: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug can only contain lowercase letters, numbers and dashes'],
+    maxlength: [60, 'Slug cannot be more than 60 characters']
+  },
   image: {
     type: String,
     default: ''
@@ -25,9 +88,93 @@ const categorySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Category',
     default: null
+  },
+  // Position among its siblings, lowest first; ties are ordered by name
+  sortOrder: {
+    type: Number,
+    default: 0
+  },
+  attributes: {
+    type: [attributeSchema],
+    validate: {
+      validator: attributes => {
+        const keys = attributes.map(attribute => attribute.key);
+        return new Set(keys).size === keys.length;
+      },
+      message: 'Attribute keys must be unique within a category'
+    }
+  },
+  // Default GST classification for products in this category
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: rate => rate === null || isValidGstRate(rate),
+      message: `GST rate must be one of ${GST_RATES.join(', ')}`
+    }
+  },
+  // Days after delivery a product can be returned; null inherits the parent
+  // category (or the store default), 0 makes the category non-returnable
+  returnWindowDays: {
+    type: Number,
+    default: null,
+    min: [0, 'Return window cannot be negative'],
+    max: [90, 'Return window cannot be more than 90 days']
   }
 }, {
   timestamps: true
 });
 
+categorySchema.index({ parentCategory: 1, sortOrder: 1, name: 1 });
+
+categorySchema.pre('validate', function(next) {
+  const invalid = (this.attributes || []).find(attribute =>
+    (attribute.type === 'enum' && attribute.options.length === 0) ||
+    (attribute.type === 'number' && attribute.min != null && attribute.max != null && attribute.min > attribute.max)
+  );
+  if (invalid) {
+    this.invalidate(
+      'attributes',
+      invalid.type === 'enum'
+        ? `Attribute ${invalid.key} needs at least one option`
+        : `Attribute ${invalid.key} has a minimum above its maximum`
+    );
+  }
+  next();
+});
+
+const slugify = text => text
+  .toString()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .slice(0, 50)
+  .replace(/^-+|-+$/g, '');
+
+// Give a category without a slug one from its name, numbered when another
+// category already uses it. Renaming keeps the slug so links keep working.
+categorySchema.pre('validate', async function(next) {
+  try {
+    if (this.slug) return next();
+
+    const base = slugify(this.name || '') || 'category';
+    let slug = base;
+    let suffix = 2;
+    while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+      slug = `${base}-${suffix++}`;
+    }
+    this.slug = slug;
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default mongoose.model('Category', categorySchema);
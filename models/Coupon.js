@@ -0,0 +1,121 @@
+import mongoose from 'mongoose';
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    maxlength: [30, 'Coupon code cannot be more than 30 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot be more than 200 characters']
+  },
+  type: {
+    type: String,
+    enum: ['percentage', 'fixed'],
+    required: [true, 'Coupon type is required']
+  },
+  value: {
+    type: Number,
+    required: [true, 'Coupon value is required'],
+    min: [0, 'Coupon value cannot be negative']
+  },
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Maximum discount cannot be negative'],
+    default: null
+  },
+  minCartValue: {
+    type: Number,
+    min: [0, 'Minimum cart value cannot be negative'],
+    default: 0
+  },
+
+  // Validity window
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+
+  // Usage limits (null means unlimited)
+  usageLimit: {
+    type: Number,
+    min: [1, 'Usage limit must be at least 1'],
+    default: null
+  },
+  usageLimitPerUser: {
+    type: Number,
+    min: [1, 'Per-user usage limit must be at least 1'],
+    default: 1
+  },
+  usedCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  // Eligibility (empty lists mean the whole catalogue is eligible)
+  applicableCategories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  }],
+  applicableBrands: [{
+    type: String,
+    trim: true
+  }],
+  applicableProducts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, validUntil: 1 });
+
+couponSchema.pre('validate', function(next) {
+  if (this.type === 'percentage' && this.value > 100) {
+    return next(new Error('Percentage coupons cannot exceed 100%'));
+  }
+  if (this.validUntil && this.validFrom && this.validUntil <= this.validFrom) {
+    return next(new Error('Coupon end date must be after its start date'));
+  }
+  next();
+});
+
+// Instance methods
+couponSchema.methods.isWithinValidity = function(at = new Date()) {
+  if (this.validFrom && at < this.validFrom) return false;
+  if (this.validUntil && at > this.validUntil) return false;
+  return true;
+};
+
+couponSchema.methods.hasEligibilityRules = function() {
+  return this.applicableCategories.length > 0 ||
+    this.applicableBrands.length > 0 ||
+    this.applicableProducts.length > 0;
+};
+
+// Static methods
+couponSchema.statics.findByCode = function(code) {
+  return this.findOne({ code: code.trim().toUpperCase() });
+};
+
+export default mongoose.model('Coupon', couponSchema);
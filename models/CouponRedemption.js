@@ -0,0 +1,36 @@
+import mongoose from 'mongoose';
+
+// One use of a coupon on an order. Kept out of the coupon document so a
+// popular coupon does not grow without bound; an order redeems at most one.
+const couponRedemptionSchema = new mongoose.Schema({
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  redeemedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+couponRedemptionSchema.index({ coupon: 1, redeemedAt: -1 });
+
+export default mongoose.model('CouponRedemption', couponRedemptionSchema);
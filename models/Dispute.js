@@ -0,0 +1,136 @@
+import mongoose from 'mongoose';
+
+export const EVIDENCE_TYPES = ['invoice', 'delivery_proof', 'chat_log', 'other'];
+
+// Dispute lifecycle: the statuses each status may move to. A dispute is
+// answered by submitting evidence or accepting it, and ends won or lost;
+// accepting gives the amount up, so accepted disputes end lost.
+const STATUS_TRANSITIONS = {
+  open: ['submitted', 'accepted', 'won', 'lost'],
+  submitted: ['won', 'lost'],
+  accepted: ['lost'],
+  won: [],
+  lost: []
+};
+
+export const DISPUTE_STATUSES = Object.keys(STATUS_TRANSITIONS);
+// Disputes still waiting on an outcome
+export const UNRESOLVED_DISPUTE_STATUSES = ['open', 'submitted', 'accepted'];
+
+const evidenceSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: EVIDENCE_TYPES,
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  public_id: String,
+  resourceType: String,
+  filename: String,
+  mimetype: String,
+  size: Number,
+  // The file as uploaded to the gateway, to contest with
+  gatewayDocumentId: String,
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot be more than 500 characters']
+  },
+  uploadedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  // Unset when the change came from the gateway
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A chargeback raised against a payment, and the store's response to it
+const disputeSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true
+  },
+  gatewayDisputeId: {
+    type: String,
+    required: true
+  },
+  gatewayPaymentId: String,
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amount: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  // The card network's reason code, e.g. fraudulent
+  reason: String,
+  // Status and phase as the gateway last reported them
+  gatewayStatus: String,
+  phase: String,
+  raisedAt: Date,
+  respondBy: Date,
+  status: {
+    type: String,
+    enum: DISPUTE_STATUSES,
+    default: 'open'
+  },
+  statusHistory: [statusChangeSchema],
+  evidence: [evidenceSchema],
+  // The store's explanation sent with the evidence
+  summary: {
+    type: String,
+    maxlength: [1000, 'Summary cannot be more than 1000 characters']
+  },
+  submittedAt: Date,
+  resolvedAt: Date,
+  // Deadline reminders already sent, by hours before respondBy
+  remindersSent: [Number]
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ gateway: 1, gatewayDisputeId: 1 }, { unique: true });
+disputeSchema.index({ status: 1, respondBy: 1 });
+disputeSchema.index({ order: 1 });
+
+disputeSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+export default mongoose.model('Dispute', disputeSchema);
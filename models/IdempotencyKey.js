@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+
+// A client-chosen Idempotency-Key and the response it produced, so a retried
+// request gets the first response back instead of running again.
+// processing -> completed on success; a failed request's key is removed so
+// the same key can be retried.
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // The endpoint the key was used on, e.g. payment.create-order
+  scope: {
+    type: String,
+    required: true
+  },
+  // Hash of the request body; a key cannot be reused for a different request
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, scope: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('IdempotencyKey', idempotencyKeySchema);
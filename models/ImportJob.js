@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+// Row problems kept on a job; a file with more is cut off here
+export const MAX_REPORTED_ERRORS = 500;
+
+const rowErrorSchema = new mongoose.Schema({
+  // Spreadsheet row number, counting the header as row 1
+  row: {
+    type: Number,
+    required: true
+  },
+  sku: String,
+  field: String,
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// A bulk product import. Rows are checked and written in the background
+// while the admin polls the job for progress; a dry run only checks them.
+// queued -> running -> completed | failed
+const importJobSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  dryRun: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  totalRows: {
+    type: Number,
+    default: 0
+  },
+  processedRows: {
+    type: Number,
+    default: 0
+  },
+  // Outcome counts; on a dry run created and updated are what would happen
+  created: {
+    type: Number,
+    default: 0
+  },
+  updated: {
+    type: Number,
+    default: 0
+  },
+  failed: {
+    type: Number,
+    default: 0
+  },
+  rowErrors: [rowErrorSchema],
+  // More row errors than MAX_REPORTED_ERRORS were found
+  errorsTruncated: {
+    type: Boolean,
+    default: false
+  },
+  // Why the whole job stopped, e.g. an unreadable file
+  failureReason: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: Date,
+  finishedAt: Date
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+importJobSchema.index({ createdBy: 1, createdAt: -1 });
+importJobSchema.index({ createdAt: -1 });
+
+importJobSchema.virtual('progress').get(function() {
+  if (this.status === 'completed') return 100;
+  return this.totalRows > 0 ? Math.floor((this.processedRows / this.totalRows) * 100) : 0;
+});
+
+export default mongoose.model('ImportJob', importJobSchema);
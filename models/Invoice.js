@@ -0,0 +1,120 @@
+import mongoose from 'mongoose';
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  address: String,
+  state: String,
+  stateCode: String,
+  gstin: String,
+  email: String,
+  phone: String
+}, { _id: false });
+
+const invoiceItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  hsnCode: String,
+  quantity: {
+    type: Number,
+    required: true
+  },
+  unitPrice: {
+    type: Number,
+    required: true
+  },
+  discount: {
+    type: Number,
+    default: 0
+  },
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  gstRate: Number,
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  }
+}, { _id: false });
+
+const invoiceSchema = new mongoose.Schema({
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Indian financial year (April-March), e.g. "2026-27"
+  financialYear: {
+    type: String,
+    required: true
+  },
+  // Position within the financial year; unique per year so numbers never repeat or skip
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Snapshots so the invoice never changes when settings or products do
+  seller: partySchema,
+  buyer: partySchema,
+  supplyType: {
+    type: String,
+    enum: ['intra_state', 'inter_state']
+  },
+  placeOfSupply: String,
+  items: [invoiceItemSchema],
+
+  totals: {
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    totalTax: Number,
+    shipping: Number,
+    discount: Number,
+    grandTotal: Number
+  },
+  paymentMethod: String
+}, {
+  timestamps: true
+});
+
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ issuedAt: 1 });
+invoiceSchema.index({ user: 1 });
+
+export default mongoose.model('Invoice', invoiceSchema);
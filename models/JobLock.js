@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+// Lease on a background job so only one server instance runs it at a time.
+// The holder renews lockedUntil while it works; a lease left behind by a
+// crashed instance simply runs out.
+const jobLockSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Instance holding the lease (host:pid:random)
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  acquiredAt: Date
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('JobLock', jobLockSchema);
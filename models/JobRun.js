@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// Item problems kept on a run; a run with more is cut off here
+export const MAX_RUN_ERRORS = 100;
+
+const RUN_HISTORY_DAYS = 90;
+
+const runErrorSchema = new mongoose.Schema({
+  // What the problem was with, e.g. a transaction id
+  reference: String,
+  message: {
+    type: String,
+    required: true
+  }
+}, { _id: false });
+
+// One run of a background job, scheduled or started by an admin.
+// running -> succeeded | failed
+const jobRunSchema = new mongoose.Schema({
+  job: {
+    type: String,
+    required: true
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Server instance that ran it
+  instance: String,
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: Date,
+  durationMs: Number,
+  // Items looked at, and items the run changed
+  processed: {
+    type: Number,
+    default: 0
+  },
+  touched: {
+    type: Number,
+    default: 0
+  },
+  errorCount: {
+    type: Number,
+    default: 0
+  },
+  runErrors: [runErrorSchema],
+  // Why the whole run stopped
+  failureReason: String,
+  // Anything else the job reports, e.g. the day's payment figures
+  summary: mongoose.Schema.Types.Mixed
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ job: 1, startedAt: -1 });
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_HISTORY_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('JobRun', jobRunSchema);
@@ -1,5 +1,39 @@
 import mongoose from 'mongoose';
 
+// Order lifecycle: the statuses each status may move to. cancelled and
+// returned are final.
+const STATUS_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled'],
+  processing: ['shipped', 'cancelled'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned'],
+  cancelled: [],
+  returned: []
+};
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  actorRole: {
+    type: String,
+    enum: ['customer', 'admin', 'system'],
+    required: true
+  },
+  reason: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 const orderSchema = new mongoose.Schema({
   user: {
     type: mongoose.Schema.Types.ObjectId,
@@ -12,6 +46,10 @@ const orderSchema = new mongoose.Schema({
       ref: 'Product',
       required: true
     },
+    // Product.variants entry and its description when the product is sold in variants
+    variant: mongoose.Schema.Types.ObjectId,
+    variantLabel: String,
+    sku: String,
     name: {
       type: String,
       required: true
@@ -28,6 +66,26 @@ const orderSchema = new mongoose.Schema({
       type: Number,
       required: true,
       min: [1, 'Quantity must be at least 1']
+    },
+    // GST breakdown for the line
+    hsnCode: String,
+    gstRate: Number,
+    discount: {
+      type: Number,
+      default: 0
+    },
+    taxableValue: Number,
+    cgst: {
+      type: Number,
+      default: 0
+    },
+    sgst: {
+      type: Number,
+      default: 0
+    },
+    igst: {
+      type: Number,
+      default: 0
     }
   }],
   shippingAddress: {
@@ -75,6 +133,7 @@ const orderSchema = new mongoose.Schema({
     enum: ['COD', 'ONLINE']
   },
   paymentInfo: {
+    gateway: String,
     razorpay_order_id: String,
     razorpay_payment_id: String,
     razorpay_signature: String,
@@ -95,11 +154,73 @@ const orderSchema = new mongoose.Schema({
     required: true,
     default: 0.0
   },
+  taxBreakdown: {
+    supplyType: {
+      type: String,
+      enum: ['intra_state', 'inter_state']
+    },
+    placeOfSupply: String,
+    placeOfSupplyCode: String,
+    taxableValue: Number,
+    cgst: {
+      type: Number,
+      default: 0
+    },
+    sgst: {
+      type: Number,
+      default: 0
+    },
+    igst: {
+      type: Number,
+      default: 0
+    }
+  },
   shippingPrice: {
     type: Number,
     required: true,
     default: 0.0
   },
+  shippingMethod: {
+    type: String,
+    enum: ['standard', 'express'],
+    default: 'standard'
+  },
+  shippingDetails: {
+    zone: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ShippingZone'
+    },
+    zoneName: String,
+    chargeableWeight: Number,
+    codSurcharge: {
+      type: Number,
+      default: 0
+    },
+    estimatedDelivery: Date
+  },
+  promotions: [{
+    promotion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Promotion'
+    },
+    name: String,
+    type: {
+      type: String
+    },
+    discount: Number
+  }],
+  discountPrice: {
+    type: Number,
+    default: 0.0
+  },
+  coupon: {
+    couponId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon'
+    },
+    code: String,
+    discount: Number
+  },
   total: {
     type: Number,
     required: true,
@@ -123,9 +244,11 @@ const orderSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+    enum: Object.keys(STATUS_TRANSITIONS),
     default: 'pending'
   },
+  // Audit trail of every status change; changes go through orderStatusService
+  statusHistory: [statusChangeSchema],
   tracking: {
     trackingNumber: String,
     carrier: String,
@@ -144,11 +267,73 @@ const orderSchema = new mongoose.Schema({
   notes: {
     type: String,
     maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  invoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice'
+  },
+  // Warehouse the order ships from
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  // Set when a cancelled order's stock is put back, so it happens only once
+  stockRestoredAt: {
+    type: Date,
+    default: null
+  },
+  // Exchanges: the order a replacement was issued for, and the replacements
+  // issued for this order
+  parentOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  childOrders: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  }],
+  exchange: {
+    returnRequest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnRequest'
+    },
+    // Value of the returned parts counted towards this order
+    credit: Number,
+    // Price difference the customer still has to pay online
+    amountDue: Number
+  },
+  // Chargeback raised against the order's payment; lost disputes are money
+  // taken back from the store
+  dispute: {
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dispute'
+    },
+    status: String,
+    amount: Number,
+    resolvedAt: Date
   }
 }, {
   timestamps: true
 });
 
+orderSchema.index({ status: 1, createdAt: -1 });
+orderSchema.index({ parentOrder: 1 });
+orderSchema.index({ 'dispute.status': 1 }, { sparse: true });
+
+// Short reference shown to customers in notifications and emails
+orderSchema.virtual('orderNumber').get(function() {
+  return this._id ? this._id.toString().slice(-8).toUpperCase() : undefined;
+});
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+orderSchema.statics.allowedTransitions = function(status) {
+  return STATUS_TRANSITIONS[status] || [];
+};
+
 // Pre-save hook to ensure we have a name in shippingAddress
 orderSchema.pre('save', function(next) {
   if (this.shippingAddress) {
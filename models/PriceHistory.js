@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+export const PRICE_CHANGE_SOURCES = ['manual', 'variants', 'import', 'schedule'];
+
+// One change to the selling price of a product or one of its variants.
+// Product-level entries follow the price shown on listings, which for a
+// product sold in variants is its cheapest active variant.
+const priceHistorySchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  originalPrice: Number,
+  // Null for the first recorded price
+  previousPrice: {
+    type: Number,
+    default: null
+  },
+  source: {
+    type: String,
+    enum: PRICE_CHANGE_SOURCES,
+    required: true
+  },
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PriceSchedule'
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+priceHistorySchema.index({ product: 1, variant: 1, createdAt: -1 });
+priceHistorySchema.index({ createdAt: -1 });
+
+export default mongoose.model('PriceHistory', priceHistorySchema);
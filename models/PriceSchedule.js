@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+const scheduleItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Required for a product sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  salePrice: {
+    type: Number,
+    required: [true, 'Sale price is required'],
+    min: [0, 'Sale price cannot be negative']
+  },
+  // Prices the item had when the schedule started, put back when it ends
+  regularPrice: Number,
+  regularOriginalPrice: Number,
+  appliedAt: Date,
+  revertedAt: Date,
+  // Why the item was left alone, e.g. its price was changed by hand mid-sale
+  skippedReason: String
+});
+
+// A price list that takes effect at `startsAt`. With an `endsAt` it is a sale:
+// the regular price shows as the original price and comes back at the end.
+// Without one the new prices stay.
+// scheduled -> active -> completed, or cancelled before it completes
+const priceScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Schedule name is required'],
+    trim: true,
+    maxlength: [100, 'Schedule name cannot be more than 100 characters']
+  },
+  items: {
+    type: [scheduleItemSchema],
+    validate: {
+      validator: items => items.length > 0,
+      message: 'A price schedule needs at least one item'
+    }
+  },
+  startsAt: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['scheduled', 'active', 'completed', 'cancelled'],
+    default: 'scheduled'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  startedAt: Date,
+  endedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+priceScheduleSchema.index({ status: 1, startsAt: 1 });
+priceScheduleSchema.index({ status: 1, endsAt: 1 });
+priceScheduleSchema.index({ 'items.product': 1, status: 1 });
+
+priceScheduleSchema.pre('validate', function(next) {
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    return next(new Error('Schedule end date must be after its start date'));
+  }
+  next();
+});
+
+export default mongoose.model('PriceSchedule', priceScheduleSchema);
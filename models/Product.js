@@ -1,4 +1,76 @@
 import mongoose from 'mongoose';
+import { GST_RATES, isValidGstRate } from '../utils/gst.js';
+import { collectPartNumberKeys } from '../utils/partNumbers.js';
+
+const partReferenceSchema = new mongoose.Schema({
+  number: {
+    type: String,
+    required: [true, 'Part number is required'],
+    trim: true,
+    maxlength: [40, 'Part number cannot be more than 40 characters']
+  },
+  // Vehicle maker for OEM numbers, part brand for aftermarket numbers
+  brand: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Brand cannot be more than 50 characters']
+  }
+}, { _id: false });
+
+// A size, colour or pack quantity of a product, sold and stocked on its own
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: [true, 'Variant SKU is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [40, 'SKU cannot be more than 40 characters']
+  },
+  size: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Size cannot be more than 30 characters']
+  },
+  color: {
+    type: String,
+    trim: true,
+    maxlength: [30, 'Colour cannot be more than 30 characters']
+  },
+  // Units in one pack, e.g. 4 for a set of spark plugs
+  packQuantity: {
+    type: Number,
+    default: 1,
+    min: [1, 'Pack quantity must be at least 1']
+  },
+  price: {
+    type: Number,
+    required: [true, 'Variant price is required'],
+    min: [0, 'Price cannot be negative']
+  },
+  originalPrice: {
+    type: Number,
+    min: [0, 'Original price cannot be negative']
+  },
+  stockQuantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock quantity cannot be negative']
+  },
+  images: [{
+    url: {
+      type: String,
+      required: true
+    },
+    alt: {
+      type: String,
+      default: ''
+    }
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -31,6 +103,32 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Brand name cannot be more than 50 characters']
   },
+  // Our own stock keeping unit
+  sku: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: [40, 'SKU cannot be more than 40 characters']
+  },
+  // Vehicle manufacturer part numbers this part replaces
+  oemNumbers: [partReferenceSchema],
+  // Equivalent aftermarket part numbers from other brands
+  crossReferences: [partReferenceSchema],
+  // Sizes, colours or pack quantities. When present, price and stock above
+  // are derived from them on save.
+  variants: {
+    type: [variantSchema],
+    validate: {
+      validator: variants => new Set(variants.map(variant => variant.sku)).size === variants.length,
+      message: 'Variant SKUs must be unique'
+    }
+  },
+  // Normalised SKU, variant SKU, OEM and cross-reference numbers for exact
+  // lookups; kept in sync by the hooks below
+  partNumberKeys: {
+    type: [String],
+    select: false
+  },
   image: {
     type: String,
     default: '/placeholder.svg'
@@ -45,11 +143,36 @@ const productSchema = new mongoose.Schema({
       default: ''
     }
   }],
+  // Free-form specifications plus the typed attributes declared by the
+  // category (numbers and booleans are stored as such for filtering)
   specifications: {
     type: Map,
-    of: String
+    of: mongoose.Schema.Types.Mixed
   },
   features: [String],
+  // Vehicle variants the part is known to fit
+  fitment: [{
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      required: true
+    },
+    // Where on the vehicle, e.g. front left
+    position: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Position cannot be more than 50 characters']
+    },
+    notes: {
+      type: String,
+      maxlength: [200, 'Fitment notes cannot be more than 200 characters']
+    }
+  }],
+  // Parts such as oils and accessories that fit any vehicle
+  isUniversalFit: {
+    type: Boolean,
+    default: false
+  },
   inStock: {
     type: Boolean,
     default: true
@@ -121,6 +244,20 @@ const productSchema = new mongoose.Schema({
     width: Number,
     height: Number
   },
+  // GST classification; left empty to inherit from the category
+  hsnCode: {
+    type: String,
+    trim: true,
+    match: [/^\d{4,8}$/, 'HSN code must be 4 to 8 digits']
+  },
+  gstRate: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: rate => rate === null || isValidGstRate(rate),
+      message: `GST rate must be one of ${GST_RATES.join(', ')}`
+    }
+  },
   warranty: {
     duration: Number,
     type: {
@@ -139,5 +276,54 @@ productSchema.index({ category: 1 });
 productSchema.index({ price: 1 });
 productSchema.index({ 'rating.average': -1 });
 productSchema.index({ createdAt: -1 });
+productSchema.index({ 'fitment.vehicle': 1 });
+productSchema.index({ sku: 1 }, { unique: true, sparse: true });
+productSchema.index({ partNumberKeys: 1 });
+productSchema.index(
+  { 'variants.sku': 1 },
+  { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
+const PART_NUMBER_FIELDS = ['sku', 'variants', 'oemNumbers', 'crossReferences'];
+
+// Products sold in variants are listed from their cheapest active variant.
+// Stock is the total over all variants, matching the stock updates that
+// change a variant and its product together.
+productSchema.pre('save', function(next) {
+  if (this.variants.length > 0 && (this.isNew || this.isModified('variants'))) {
+    const active = this.variants.filter(variant => variant.isActive);
+    const cheapest = (active.length > 0 ? active : this.variants)
+      .reduce((lowest, variant) => (variant.price < lowest.price ? variant : lowest));
+
+    this.price = cheapest.price;
+    this.originalPrice = cheapest.originalPrice;
+    this.stockQuantity = this.variants.reduce((total, variant) => total + variant.stockQuantity, 0);
+    this.inStock = this.stockQuantity > 0;
+  }
+  next();
+});
+
+productSchema.pre('save', function(next) {
+  if (this.isNew || PART_NUMBER_FIELDS.some(field => this.isModified(field))) {
+    this.partNumberKeys = collectPartNumberKeys(this);
+  }
+  next();
+});
+
+// Updates that touch a part number rebuild the keys from the stored product
+// merged with the update
+productSchema.pre(['findOneAndUpdate', 'updateOne'], async function() {
+  const update = this.getUpdate() || {};
+  const changes = { ...update, ...(update.$set || {}) };
+  if (!PART_NUMBER_FIELDS.some(field => changes[field] !== undefined)) return;
+
+  const current = await this.model.findOne(this.getQuery()).select(PART_NUMBER_FIELDS.join(' ')).lean();
+  const merged = { ...(current || {}) };
+  PART_NUMBER_FIELDS.forEach(field => {
+    if (changes[field] !== undefined) merged[field] = changes[field];
+  });
+
+  this.set('partNumberKeys', collectPartNumberKeys(merged));
+});
 
 export default mongoose.model('Product', productSchema);
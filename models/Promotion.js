@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+
+const tierSchema = new mongoose.Schema({
+  minSpend: {
+    type: Number,
+    required: [true, 'Tier minimum spend is required'],
+    min: [0, 'Tier minimum spend cannot be negative']
+  },
+  discountPercent: {
+    type: Number,
+    required: [true, 'Tier discount is required'],
+    min: [0, 'Tier discount cannot be negative'],
+    max: [100, 'Tier discount cannot exceed 100%']
+  },
+  maxDiscount: {
+    type: Number,
+    min: [0, 'Tier maximum discount cannot be negative'],
+    default: null
+  }
+}, { _id: false });
+
+const bundleItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    min: 1,
+    default: 1
+  }
+}, { _id: false });
+
+const promotionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Promotion name is required'],
+    trim: true,
+    maxlength: [100, 'Promotion name cannot be more than 100 characters']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [300, 'Description cannot be more than 300 characters']
+  },
+  type: {
+    type: String,
+    enum: ['buy_x_get_y', 'spend_tier', 'bundle', 'category_sale'],
+    required: [true, 'Promotion type is required']
+  },
+
+  // Buy X get Y: buying buyQuantity of buyProducts discounts getQuantity of getProducts
+  buyXGetY: {
+    buyProducts: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    buyQuantity: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    // Empty means the free item comes from buyProducts
+    getProducts: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product'
+    }],
+    getQuantity: {
+      type: Number,
+      min: 1,
+      default: 1
+    },
+    getDiscountPercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 100
+    },
+    // null means the offer repeats for every qualifying group in the cart
+    maxApplications: {
+      type: Number,
+      min: 1,
+      default: null
+    }
+  },
+
+  // Spend ₹N get M% off, highest reached tier wins
+  tiers: [tierSchema],
+
+  // Fixed-price bundle
+  bundle: {
+    items: [bundleItemSchema],
+    bundlePrice: {
+      type: Number,
+      min: 0
+    }
+  },
+
+  // Category-wide sale
+  categorySale: {
+    categories: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category'
+    }],
+    discountPercent: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    maxDiscount: {
+      type: Number,
+      min: 0,
+      default: null
+    }
+  },
+
+  // Scheduling
+  startsAt: {
+    type: Date,
+    default: Date.now
+  },
+  endsAt: {
+    type: Date,
+    default: null
+  },
+
+  // Higher priority promotions claim cart items first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  // Exclusive promotions are never combined with other promotions
+  isExclusive: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+promotionSchema.index({ isActive: 1, startsAt: 1, endsAt: 1 });
+promotionSchema.index({ type: 1 });
+promotionSchema.index({ 'bundle.items.product': 1 });
+
+promotionSchema.pre('validate', function(next) {
+  if (this.endsAt && this.startsAt && this.endsAt <= this.startsAt) {
+    return next(new Error('Promotion end date must be after its start date'));
+  }
+
+  switch (this.type) {
+    case 'buy_x_get_y':
+      if (!this.buyXGetY || this.buyXGetY.buyProducts.length === 0) {
+        return next(new Error('Buy X get Y promotions need at least one product to buy'));
+      }
+      break;
+    case 'spend_tier':
+      if (this.tiers.length === 0) {
+        return next(new Error('Spend tier promotions need at least one tier'));
+      }
+      break;
+    case 'bundle':
+      if (!this.bundle || this.bundle.items.length < 2) {
+        return next(new Error('Bundles need at least two products'));
+      }
+      if (this.bundle.bundlePrice === undefined || this.bundle.bundlePrice === null) {
+        return next(new Error('Bundle price is required'));
+      }
+      break;
+    case 'category_sale':
+      if (!this.categorySale || this.categorySale.categories.length === 0) {
+        return next(new Error('Category sales need at least one category'));
+      }
+      if (!this.categorySale.discountPercent) {
+        return next(new Error('Category sale discount is required'));
+      }
+      break;
+  }
+
+  next();
+});
+
+// Instance methods
+promotionSchema.methods.isRunning = function(at = new Date()) {
+  if (!this.isActive) return false;
+  if (this.startsAt && at < this.startsAt) return false;
+  if (this.endsAt && at > this.endsAt) return false;
+  return true;
+};
+
+// Static methods
+promotionSchema.statics.findRunning = function(at = new Date()) {
+  return this.find({
+    isActive: true,
+    startsAt: { $lte: at },
+    $or: [{ endsAt: null }, { endsAt: { $gte: at } }]
+  }).sort({ priority: -1, createdAt: 1 });
+};
+
+export default mongoose.model('Promotion', promotionSchema);
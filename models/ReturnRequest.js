@@ -0,0 +1,235 @@
+import mongoose from 'mongoose';
+
+export const RETURN_REASONS = [
+  'wrong_fitment',
+  'wrong_item',
+  'defective',
+  'damaged_in_transit',
+  'not_needed',
+  'other'
+];
+
+// Return lifecycle: the statuses each status may move to. Refund returns end
+// in refunded, exchanges in exchanged.
+const STATUS_TRANSITIONS = {
+  requested: ['approved', 'rejected'],
+  approved: ['pickup_scheduled', 'received'],
+  pickup_scheduled: ['received'],
+  received: ['inspected'],
+  inspected: ['refunded', 'exchanged'],
+  rejected: [],
+  refunded: [],
+  exchanged: []
+};
+
+const returnItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Order line variant, for products sold in variants
+  variant: mongoose.Schema.Types.ObjectId,
+  variantLabel: String,
+  name: {
+    type: String,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  // What the customer paid per unit after discounts, including GST
+  unitRefund: {
+    type: Number,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: RETURN_REASONS,
+    required: true
+  },
+  // Set at quality check: good parts go back on sale, the rest are written off
+  qcOutcome: {
+    type: String,
+    enum: ['restock', 'damaged']
+  },
+  qcNotes: String
+}, { _id: false });
+
+// A replacement line, priced with GST when the exchange is requested
+const replacementItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // e.g. the next size up when exchanging for a different variant
+  variant: mongoose.Schema.Types.ObjectId,
+  variantLabel: String,
+  sku: String,
+  name: {
+    type: String,
+    required: true
+  },
+  image: String,
+  price: {
+    type: Number,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  },
+  hsnCode: String,
+  gstRate: Number,
+  taxableValue: Number,
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const photoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true
+  },
+  public_id: String
+}, { _id: false });
+
+const statusChangeSchema = new mongoose.Schema({
+  from: String,
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  note: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const returnRequestSchema = new mongoose.Schema({
+  rmaNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // refund: money back; exchange: the parts are swapped for a replacement order
+  type: {
+    type: String,
+    enum: ['refund', 'exchange'],
+    default: 'refund'
+  },
+  items: {
+    type: [returnItemSchema],
+    validate: [items => items.length > 0, 'A return needs at least one item']
+  },
+  comments: {
+    type: String,
+    maxlength: [1000, 'Comments cannot be more than 1000 characters']
+  },
+  photos: {
+    type: [photoSchema],
+    validate: [photos => photos.length <= 5, 'At most 5 photos can be attached']
+  },
+  status: {
+    type: String,
+    enum: Object.keys(STATUS_TRANSITIONS),
+    default: 'requested'
+  },
+  statusHistory: [statusChangeSchema],
+  rejectionReason: String,
+
+  // Reverse pickup booked with the courier
+  pickup: {
+    carrier: String,
+    trackingNumber: String,
+    scheduledFor: Date,
+    receivedAt: Date
+  },
+
+  exchange: {
+    items: [replacementItemSchema],
+    // Replacement value less the credit for the returned items: positive is
+    // collected online before the replacement ships, negative is refunded
+    priceDifference: Number,
+    replacementOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order'
+    }
+  },
+
+  refund: {
+    amount: Number,
+    // gateway: back to the original online payment, manual: COD orders paid back offline
+    method: {
+      type: String,
+      enum: ['gateway', 'manual']
+    },
+    refundId: String,
+    reference: String,
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction'
+    },
+    refundedAt: Date,
+    refundedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+returnRequestSchema.index({ order: 1 });
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ status: 1, createdAt: -1 });
+
+returnRequestSchema.methods.canTransitionTo = function(status) {
+  return (STATUS_TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Credit for the items sent back
+returnRequestSchema.methods.getReturnCredit = function() {
+  const total = this.items.reduce((sum, item) => sum + item.unitRefund * item.quantity, 0);
+  return Math.round(total * 100) / 100;
+};
+
+// Refund the customer is owed: the full credit for a return, only the
+// difference for an exchange into something cheaper
+returnRequestSchema.methods.getRefundDue = function() {
+  if (this.type === 'exchange') {
+    return Math.max(-(this.exchange?.priceDifference || 0), 0);
+  }
+  return this.getReturnCredit();
+};
+
+export default mongoose.model('ReturnRequest', returnRequestSchema);
@@ -0,0 +1,252 @@
+import mongoose from 'mongoose';
+import { GST_RATES, isValidGstRate } from '../utils/gst.js';
+import { PAYMENT_GATEWAYS } from './Transaction.js';
+
+const siteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Site name is required'],
+    trim: true,
+    maxlength: [100, 'Site name cannot be more than 100 characters'],
+    default: 'Panditji Auto Connect'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Site description cannot be more than 500 characters'],
+    default: 'Your trusted auto parts store'
+  },
+  logo: {
+    type: String,
+    default: '/logo.png'
+  },
+  favicon: {
+    type: String,
+    default: '/favicon.ico'
+  },
+  contactEmail: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid contact email'],
+    default: 'info@panditjiautoconnect.com'
+  },
+  contactPhone: {
+    type: String,
+    trim: true,
+    default: '+91-9876543210'
+  },
+  address: {
+    type: String,
+    trim: true,
+    default: '123 Auto Street, Delhi, India'
+  }
+}, { _id: false });
+
+const paymentSchema = new mongoose.Schema({
+  // Gateway online payments go through unless the checkout picks another
+  gateway: {
+    type: String,
+    enum: PAYMENT_GATEWAYS,
+    default: 'razorpay'
+  },
+  razorpayKeyId: {
+    type: String,
+    trim: true,
+    default: () => process.env.RAZORPAY_KEY_ID || ''
+  },
+  codEnabled: {
+    type: Boolean,
+    default: true
+  },
+  onlinePaymentEnabled: {
+    type: Boolean,
+    default: true
+  },
+  minimumOrderAmount: {
+    type: Number,
+    min: [0, 'Minimum order amount cannot be negative'],
+    default: 500
+  },
+  // How long stock stays reserved while an online payment is pending
+  stockHoldMinutes: {
+    type: Number,
+    min: [5, 'Stock hold must be at least 5 minutes'],
+    max: [120, 'Stock hold cannot be more than 120 minutes'],
+    default: 30
+  }
+}, { _id: false });
+
+const shippingSchema = new mongoose.Schema({
+  freeShippingThreshold: {
+    type: Number,
+    min: [0, 'Free shipping threshold cannot be negative'],
+    default: 1000
+  },
+  standardShippingRate: {
+    type: Number,
+    min: [0, 'Standard shipping rate cannot be negative'],
+    default: 50
+  },
+  expressShippingRate: {
+    type: Number,
+    min: [0, 'Express shipping rate cannot be negative'],
+    default: 150
+  },
+  estimatedDeliveryDays: {
+    type: String,
+    trim: true,
+    match: [/^\d+(-\d+)?$/, 'Estimated delivery days must look like "3" or "3-5"'],
+    default: '3-5'
+  }
+}, { _id: false });
+
+const notificationsSchema = new mongoose.Schema({
+  emailNotifications: {
+    type: Boolean,
+    default: true
+  },
+  smsNotifications: {
+    type: Boolean,
+    default: false
+  },
+  pushNotifications: {
+    type: Boolean,
+    default: true
+  },
+  orderConfirmation: {
+    type: Boolean,
+    default: true
+  },
+  shipmentUpdates: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const securitySchema = new mongoose.Schema({
+  twoFactorAuth: {
+    type: Boolean,
+    default: false
+  },
+  sessionTimeout: {
+    type: Number,
+    min: [5, 'Session timeout must be at least 5 minutes'],
+    max: [1440, 'Session timeout cannot exceed 24 hours'],
+    default: 30
+  },
+  passwordPolicy: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  ipWhitelist: [{
+    type: String,
+    trim: true
+  }]
+}, { _id: false });
+
+const analyticsSchema = new mongoose.Schema({
+  googleAnalyticsId: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  facebookPixelId: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  trackingEnabled: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+const taxSchema = new mongoose.Schema({
+  gstin: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^$|^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please enter a valid GSTIN'],
+    default: ''
+  },
+  // State the business is registered in; decides CGST+SGST vs IGST
+  registeredState: {
+    type: String,
+    trim: true,
+    default: 'Delhi'
+  },
+  defaultGstRate: {
+    type: Number,
+    default: 18,
+    validate: {
+      validator: isValidGstRate,
+      message: `GST rate must be one of ${GST_RATES.join(', ')}`
+    }
+  },
+  defaultHsnCode: {
+    type: String,
+    trim: true,
+    match: [/^$|^\d{4,8}$/, 'HSN code must be 4 to 8 digits'],
+    default: '8708'
+  },
+  // Invoice numbers look like PREFIX/2026-27/000001
+  invoicePrefix: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9]{1,6}$/, 'Invoice prefix must be 1-6 letters or digits'],
+    default: 'PAC'
+  }
+}, { _id: false });
+
+const settingsSchema = new mongoose.Schema({
+  // Single store-wide document
+  key: {
+    type: String,
+    default: 'store',
+    unique: true
+  },
+  site: {
+    type: siteSchema,
+    default: () => ({})
+  },
+  payment: {
+    type: paymentSchema,
+    default: () => ({})
+  },
+  shipping: {
+    type: shippingSchema,
+    default: () => ({})
+  },
+  notifications: {
+    type: notificationsSchema,
+    default: () => ({})
+  },
+  security: {
+    type: securitySchema,
+    default: () => ({})
+  },
+  analytics: {
+    type: analyticsSchema,
+    default: () => ({})
+  },
+  tax: {
+    type: taxSchema,
+    default: () => ({})
+  },
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+export default mongoose.model('Settings', settingsSchema);
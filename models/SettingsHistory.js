@@ -0,0 +1,41 @@
+import mongoose from 'mongoose';
+
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  from: mongoose.Schema.Types.Mixed,
+  to: mongoose.Schema.Types.Mixed
+}, { _id: false });
+
+const settingsHistorySchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'reset', 'rollback'],
+    required: true
+  },
+  // Full copy of the sections as they were at this version
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  changes: [changeSchema],
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set for rollbacks: the version whose values were restored
+  restoredVersion: Number
+}, {
+  timestamps: true
+});
+
+settingsHistorySchema.index({ createdAt: -1 });
+
+export default mongoose.model('SettingsHistory', settingsHistorySchema);
@@ -0,0 +1,170 @@
+import mongoose from 'mongoose';
+
+const pincodeRangeSchema = new mongoose.Schema({
+  from: {
+    type: Number,
+    required: true,
+    min: [100000, 'Pincodes must have 6 digits'],
+    max: [999999, 'Pincodes must have 6 digits']
+  },
+  to: {
+    type: Number,
+    required: true,
+    min: [100000, 'Pincodes must have 6 digits'],
+    max: [999999, 'Pincodes must have 6 digits']
+  }
+}, { _id: false });
+
+const rateSlabSchema = new mongoose.Schema({
+  // Upper bound of the slab in kg (inclusive)
+  upToKg: {
+    type: Number,
+    required: [true, 'Slab weight limit is required'],
+    min: [0, 'Slab weight limit cannot be negative']
+  },
+  rate: {
+    type: Number,
+    required: [true, 'Slab rate is required'],
+    min: [0, 'Slab rate cannot be negative']
+  }
+}, { _id: false });
+
+const shippingZoneSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true,
+    maxlength: [100, 'Zone name cannot be more than 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Zone code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+
+  // Coverage: a pincode belongs to the zone if it matches a prefix or falls in a range.
+  // The default zone catches pincodes no other zone covers.
+  pincodePrefixes: [{
+    type: String,
+    trim: true,
+    match: [/^\d{1,6}$/, 'Pincode prefixes must be 1-6 digits']
+  }],
+  pincodeRanges: [pincodeRangeSchema],
+  isDefault: {
+    type: Boolean,
+    default: false
+  },
+  nonServiceablePincodes: [{
+    type: String,
+    trim: true,
+    match: [/^\d{6}$/, 'Pincodes must have 6 digits']
+  }],
+
+  // Pricing
+  rateSlabs: {
+    type: [rateSlabSchema],
+    validate: {
+      validator: slabs => slabs.length > 0,
+      message: 'At least one rate slab is required'
+    }
+  },
+  additionalPerKg: {
+    type: Number,
+    min: [0, 'Additional rate cannot be negative'],
+    default: 0
+  },
+  // cm³ per kg used to convert package volume into volumetric weight
+  volumetricDivisor: {
+    type: Number,
+    min: [1, 'Volumetric divisor must be positive'],
+    default: 5000
+  },
+  // null falls back to the store-wide free shipping threshold
+  freeShippingThreshold: {
+    type: Number,
+    min: [0, 'Free shipping threshold cannot be negative'],
+    default: null
+  },
+
+  // Cash on delivery
+  codAvailable: {
+    type: Boolean,
+    default: true
+  },
+  codSurcharge: {
+    type: Number,
+    min: [0, 'COD surcharge cannot be negative'],
+    default: 0
+  },
+
+  // Delivery promise in days
+  slaDays: {
+    min: {
+      type: Number,
+      min: 0,
+      default: 3
+    },
+    max: {
+      type: Number,
+      min: 0,
+      default: 5
+    }
+  },
+  expressAvailable: {
+    type: Boolean,
+    default: false
+  },
+  expressSurcharge: {
+    type: Number,
+    min: [0, 'Express surcharge cannot be negative'],
+    default: 0
+  },
+  expressSlaDays: {
+    type: Number,
+    min: 0,
+    default: 1
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+shippingZoneSchema.index({ isActive: 1 });
+shippingZoneSchema.index({ pincodePrefixes: 1 });
+
+shippingZoneSchema.pre('validate', function(next) {
+  if (this.pincodeRanges.some(range => range.from > range.to)) {
+    return next(new Error('Pincode range start must not be after its end'));
+  }
+  if (this.slaDays && this.slaDays.min > this.slaDays.max) {
+    return next(new Error('Minimum delivery days cannot exceed maximum delivery days'));
+  }
+  if (!this.isDefault && this.pincodePrefixes.length === 0 && this.pincodeRanges.length === 0) {
+    return next(new Error('Zone needs pincode prefixes or ranges unless it is the default zone'));
+  }
+
+  // Keep slabs ordered so rate lookup can stop at the first match
+  this.rateSlabs.sort((a, b) => a.upToKg - b.upToKg);
+  next();
+});
+
+// How specifically the zone covers a pincode: 0 = not covered, ranges beat prefixes,
+// longer prefixes beat shorter ones
+shippingZoneSchema.statics.matchScore = function(zone, pincode) {
+  const numeric = parseInt(pincode, 10);
+  if (zone.pincodeRanges.some(range => numeric >= range.from && numeric <= range.to)) {
+    return 7;
+  }
+
+  return zone.pincodePrefixes
+    .filter(prefix => pincode.startsWith(prefix))
+    .reduce((best, prefix) => Math.max(best, prefix.length), 0);
+};
+
+export default mongoose.model('ShippingZone', shippingZoneSchema);
@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+
+const reservationItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Product.variants entry, for products sold in variants
+  variant: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }
+}, { _id: false });
+
+// Stock taken out of a product while an online payment is pending.
+// held -> committed when the order is placed, held -> released when the
+// payment fails or the hold expires; the stock goes back only on release.
+const stockReservationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Payment transaction the hold was made for
+  reference: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  items: {
+    type: [reservationItemSchema],
+    validate: [items => items.length > 0, 'A reservation needs at least one item']
+  },
+  // Warehouse the stock is held at, when warehouses are in use
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  },
+  status: {
+    type: String,
+    enum: ['held', 'committed', 'released'],
+    default: 'held'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order'
+  },
+  committedAt: Date,
+  releasedAt: Date,
+  releaseReason: {
+    type: String,
+    enum: ['expired', 'payment_failed', 'cancelled']
+  }
+}, {
+  timestamps: true
+});
+
+stockReservationSchema.index({ status: 1, expiresAt: 1 });
+stockReservationSchema.index({ user: 1, createdAt: -1 });
+
+export default mongoose.model('StockReservation', stockReservationSchema);
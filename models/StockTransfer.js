@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+const transferItemSchema = new mongoose.Schema({
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Product.variants entry, for products sold in variants
+  variant: mongoose.Schema.Types.ObjectId,
+  quantity: {
+    type: Number,
+    required: true,
+    min: [1, 'Quantity must be at least 1']
+  }
+}, { _id: false });
+
+// Stock moved between warehouses. Units leave the source when the transfer is
+// created (in_transit) and reach the destination when it is received.
+const stockTransferSchema = new mongoose.Schema({
+  from: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  to: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  items: {
+    type: [transferItemSchema],
+    validate: [items => items.length > 0, 'A transfer needs at least one item']
+  },
+  status: {
+    type: String,
+    enum: ['in_transit', 'received', 'cancelled'],
+    default: 'in_transit'
+  },
+  notes: {
+    type: String,
+    maxlength: [500, 'Notes cannot be more than 500 characters']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedAt: Date,
+  cancelledAt: Date
+}, {
+  timestamps: true
+});
+
+stockTransferSchema.index({ status: 1, createdAt: -1 });
+
+export default mongoose.model('StockTransfer', stockTransferSchema);
@@ -1,5 +1,7 @@
 import mongoose from 'mongoose';
 
+export const PAYMENT_GATEWAYS = ['razorpay', 'payu', 'stripe', 'paypal'];
+
 const transactionSchema = new mongoose.Schema({
   // Transaction identifiers
   transactionId: {
@@ -8,10 +10,10 @@ const transactionSchema = new mongoose.Schema({
     unique: true,
     index: true
   },
+  // Set once the order is placed; a checkout payment starts before it exists
   orderId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Order',
-    required: true,
     index: true
   },
   userId: {
@@ -25,7 +27,7 @@ const transactionSchema = new mongoose.Schema({
   gateway: {
     type: String,
     required: true,
-    enum: ['razorpay', 'payu', 'stripe', 'paypal'],
+    enum: PAYMENT_GATEWAYS,
     default: 'razorpay'
   },
   gatewayTransactionId: {
@@ -242,7 +244,9 @@ const transactionSchema = new mongoose.Schema({
     status: String,
     raisedAt: Date,
     respondBy: Date,
-    resolvedAt: Date
+    resolvedAt: Date,
+    // Payment status before the dispute, restored if the dispute is won
+    previousStatus: String
   },
 
   // Refund details
@@ -259,6 +263,18 @@ const transactionSchema = new mongoose.Schema({
     arn: String, // Acquirer Reference Number
     status: String
   },
+  // Total refunded so far across all (partial) refunds
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+
+  // What the customer is charged for: the priced quote and the address it was
+  // priced for. The order is built from this once the payment is verified.
+  checkout: {
+    quote: mongoose.Schema.Types.Mixed,
+    shippingAddress: mongoose.Schema.Types.Mixed
+  },
 
   // Metadata and additional information
   metadata: {
@@ -215,6 +215,45 @@ const userSchema = new mongoose.Schema({
     }
   }],
   
+  // "My Garage": the customer's own vehicles, used to check parts fit
+  garage: [{
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle',
+      required: true
+    },
+    // Stored without spaces, e.g. MH12AB1234
+    registrationNumber: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^[A-Z0-9]{4,12}$/, 'Please enter a valid registration number']
+    },
+    // Year of manufacture
+    year: {
+      type: Number,
+      required: true
+    },
+    nickname: {
+      type: String,
+      trim: true,
+      maxlength: [30, 'Nickname cannot be more than 30 characters']
+    },
+    odometerKm: {
+      type: Number,
+      min: [0, 'Odometer reading cannot be negative']
+    },
+    addedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Garage entry that search and recommendations are tailored to
+  activeVehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+
   searchHistory: [{
     query: String,
     timestamp: {
@@ -303,6 +342,7 @@ userSchema.index({ 'status.isOnline': 1 });
 userSchema.index({ 'status.lastSeen': -1 });
 userSchema.index({ isActive: 1 });
 userSchema.index({ role: 1 });
+userSchema.index({ 'garage.vehicle': 1 });
 userSchema.index({ referralCode: 1 });
 userSchema.index({ 'notifications.read': 1 });
 userSchema.index({ 'notifications.timestamp': -1 });
@@ -0,0 +1,90 @@
+import mongoose from 'mongoose';
+
+export const FUEL_TYPES = ['petrol', 'diesel', 'cng', 'lpg', 'electric', 'hybrid'];
+export const VEHICLE_TYPES = ['car', 'bike', 'scooter', 'commercial'];
+
+// One document per buyable variant. The make -> model -> generation -> variant
+// hierarchy customers pick from is read back with distinct queries.
+const vehicleSchema = new mongoose.Schema({
+  vehicleType: {
+    type: String,
+    enum: VEHICLE_TYPES,
+    default: 'car'
+  },
+  make: {
+    type: String,
+    required: [true, 'Make is required'],
+    trim: true,
+    maxlength: [50, 'Make cannot be more than 50 characters']
+  },
+  model: {
+    type: String,
+    required: [true, 'Model is required'],
+    trim: true,
+    maxlength: [50, 'Model cannot be more than 50 characters']
+  },
+  // Facelift or body generation, e.g. "2nd Gen"
+  generation: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [50, 'Generation cannot be more than 50 characters']
+  },
+  yearFrom: {
+    type: Number,
+    required: [true, 'Start year is required'],
+    min: [1950, 'Start year is too early']
+  },
+  // Empty while the variant is still on sale
+  yearTo: {
+    type: Number,
+    default: null,
+    validate: {
+      validator: function(year) {
+        return year === null || year >= this.yearFrom;
+      },
+      message: 'End year cannot be before the start year'
+    }
+  },
+  variant: {
+    type: String,
+    required: [true, 'Variant is required'],
+    trim: true,
+    maxlength: [50, 'Variant cannot be more than 50 characters']
+  },
+  fuelType: {
+    type: String,
+    enum: FUEL_TYPES,
+    required: [true, 'Fuel type is required']
+  },
+  engine: {
+    code: String,
+    displacementCc: Number
+  },
+  transmission: {
+    type: String,
+    enum: ['manual', 'automatic']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+vehicleSchema.index({ make: 1, model: 1, generation: 1, variant: 1, fuelType: 1 }, { unique: true });
+vehicleSchema.index({ make: 1, model: 1, yearFrom: 1 });
+
+vehicleSchema.virtual('displayName').get(function() {
+  const years = `${this.yearFrom}-${this.yearTo || ''}`;
+  return [this.make, this.model, this.generation, this.variant, `(${years})`].filter(Boolean).join(' ');
+});
+
+vehicleSchema.methods.coversYear = function(year) {
+  return this.yearFrom <= year && (this.yearTo === null || this.yearTo === undefined || this.yearTo >= year);
+};
+
+export default mongoose.model('Vehicle', vehicleSchema);
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const warehouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Warehouse name is required'],
+    trim: true,
+    maxlength: [100, 'Warehouse name cannot be more than 100 characters']
+  },
+  code: {
+    type: String,
+    required: [true, 'Warehouse code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  address: {
+    street: String,
+    city: {
+      type: String,
+      required: [true, 'City is required']
+    },
+    state: {
+      type: String,
+      required: [true, 'State is required']
+    }
+  },
+  // Dispatch pincode; decides which shipping zone the warehouse sits in
+  pincode: {
+    type: String,
+    required: [true, 'Pincode is required'],
+    match: [/^\d{6}$/, 'Pincode must have 6 digits']
+  },
+  contactPhone: String,
+  // Tie-breaker between equally near warehouses, lower ships first
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+warehouseSchema.index({ isActive: 1, priority: 1 });
+
+export default mongoose.model('Warehouse', warehouseSchema);
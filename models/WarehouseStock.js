@@ -0,0 +1,44 @@
+import mongoose from 'mongoose';
+
+// Units of one product (or one variant of it) held at one warehouse.
+// Product.stockQuantity is kept equal to the sum of these records once
+// warehouses are in use.
+const warehouseStockSchema = new mongoose.Schema({
+  warehouse: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  product: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true
+  },
+  // Product.variants entry, for products sold in variants
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: [0, 'Stock quantity cannot be negative']
+  },
+  // Returned units that failed quality check; not sellable, kept for write-off
+  damaged: {
+    type: Number,
+    default: 0,
+    min: [0, 'Damaged quantity cannot be negative']
+  },
+  binLocation: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+warehouseStockSchema.index({ warehouse: 1, product: 1, variant: 1 }, { unique: true });
+warehouseStockSchema.index({ product: 1 });
+
+export default mongoose.model('WarehouseStock', warehouseStockSchema);
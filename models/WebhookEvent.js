@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+export const WEBHOOK_EVENT_STATUSES = ['pending', 'processing', 'processed', 'failed', 'dead'];
+
+const attemptErrorSchema = new mongoose.Schema({
+  attempt: Number,
+  message: String,
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// A webhook delivery from a payment gateway, stored once per gateway event
+// id so redeliveries are ignored, and processed in the background.
+// pending -> processing -> processed; a failed attempt goes back to failed
+// with a later nextAttemptAt, and to dead once it runs out of attempts.
+const webhookEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    required: true
+  },
+  // The gateway's id for the event, or a hash of the body when it sends none
+  eventId: {
+    type: String,
+    required: true
+  },
+  // Gateway-neutral type, e.g. payment.captured
+  type: {
+    type: String,
+    required: true
+  },
+  gatewayEvent: String,
+  entityId: String,
+  // The parsed event the handlers run on, and the body as the gateway sent it
+  event: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  payload: mongoose.Schema.Types.Mixed,
+  ipAddress: String,
+  status: {
+    type: String,
+    enum: WEBHOOK_EVENT_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  processingStartedAt: Date,
+  processedAt: Date,
+  lastError: String,
+  attemptErrors: [attemptErrorSchema],
+  replays: [{
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    replayedAt: {
+      type: Date,
+      default: Date.now
+    },
+    previousStatus: String
+  }]
+}, {
+  timestamps: true
+});
+
+webhookEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ createdAt: -1 });
+
+export default mongoose.model('WebhookEvent', webhookEventSchema);
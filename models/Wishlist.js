@@ -11,15 +11,25 @@ const wishlistSchema = new mongoose.Schema({
     ref: 'Product',
     required: true
   },
+  // A specific size, colour or pack, or none to save the product as a whole
+  variant: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
   addedAt: {
     type: Date,
     default: Date.now
+  },
+  // Send a price drop alert when the product (or variant) gets cheaper
+  notifyOnDiscount: {
+    type: Boolean,
+    default: true
   }
 }, {
   timestamps: true
 });
 
-// Ensure a user can't add the same product twice
-wishlistSchema.index({ user: 1, product: 1 }, { unique: true });
+// Ensure a user can't add the same product (variant) twice
+wishlistSchema.index({ user: 1, product: 1, variant: 1 }, { unique: true });
 
 export default mongoose.model('Wishlist', wishlistSchema);
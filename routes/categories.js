@@ -1,14 +1,19 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import { 
   getCategories, 
+  getCategoryTree,
   getCategory, 
+  getCategoryBreadcrumbs,
+  getCategoryAttributes,
   createCategory, 
   updateCategory, 
   deleteCategory 
 } from '../controllers/categoryController.js';
-import { protect, admin } from '../middleware/auth.js';
+import { protect, admin, optionalAuth } from '../middleware/auth.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import { GST_RATES } from '../utils/gst.js';
+import { ATTRIBUTE_TYPES } from '../models/Category.js';
 
 const router = express.Router();
 
@@ -16,16 +21,38 @@ const router = express.Router();
 const categoryValidation = [
   body('name').trim().isLength({ min: 2 }).withMessage('Category name must be at least 2 characters'),
   body('description').optional().trim().isLength({ max: 500 }).withMessage('Description cannot be more than 500 characters'),
+  body('slug').optional({ checkFalsy: true }).trim().toLowerCase().matches(/^[a-z0-9]+(?:-[a-z0-9]+)*$/).withMessage('Slug can only contain lowercase letters, numbers and dashes'),
+  body('parentCategory').optional({ nullable: true }).isMongoId().withMessage('Invalid parent category'),
+  body('sortOrder').optional().isInt().withMessage('Sort order must be a whole number'),
+  body('attributes').optional().isArray().withMessage('Attributes must be a list'),
+  body('attributes.*.key').trim().matches(/^[a-z][a-z0-9_]*$/).withMessage('Attribute key must be lowercase letters, numbers and underscores'),
+  body('attributes.*.label').trim().notEmpty().withMessage('Attribute label is required'),
+  body('attributes.*.type').isIn(ATTRIBUTE_TYPES).withMessage(`Attribute type must be one of ${ATTRIBUTE_TYPES.join(', ')}`),
+  body('attributes.*.options').optional().isArray().withMessage('Attribute options must be a list'),
+  body(['attributes.*.min', 'attributes.*.max']).optional({ nullable: true }).isFloat().withMessage('Attribute limits must be numbers'),
+  body(['attributes.*.required', 'attributes.*.filterable']).optional().isBoolean().withMessage('Attribute flags must be true or false'),
+  body('hsnCode').optional({ checkFalsy: true }).matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('gstRate').optional({ nullable: true }).isIn(GST_RATES).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`),
+  body('returnWindowDays').optional({ nullable: true }).isInt({ min: 0, max: 90 }).withMessage('Return window must be between 0 and 90 days'),
+  handleValidationErrors
+];
+
+const deleteValidation = [
+  query('strategy').optional().isIn(['parent', 'category']).withMessage('Strategy must be parent or category'),
+  query('target').optional().isMongoId().withMessage('Invalid target category'),
   handleValidationErrors
 ];
 
 // Public routes
 router.get('/', getCategories);
+router.get('/tree', optionalAuth, getCategoryTree);
 router.get('/:id', getCategory);
+router.get('/:id/breadcrumbs', getCategoryBreadcrumbs);
+router.get('/:id/attributes', getCategoryAttributes);
 
 // Admin routes
 router.post('/', protect, admin, categoryValidation, createCategory);
 router.put('/:id', protect, admin, categoryValidation, updateCategory);
-router.delete('/:id', protect, admin, deleteCategory);
+router.delete('/:id', protect, admin, deleteValidation, deleteCategory);
 
 export default router;
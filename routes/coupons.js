@@ -0,0 +1,69 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getCoupons,
+  getCoupon,
+  getCouponRedemptions,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon
+} from '../controllers/couponController.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin privileges
+router.use(protect);
+router.use(admin);
+
+// Coupon validation
+const couponValidation = [
+  body('code').trim().matches(/^[A-Za-z0-9_-]{3,30}$/).withMessage('Code must be 3-30 letters, digits, dashes or underscores'),
+  body('type').isIn(['percentage', 'fixed']).withMessage('Type must be percentage or fixed'),
+  body('value').isFloat({ min: 0 }).withMessage('Value must be a positive number'),
+  body('maxDiscount').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Maximum discount must be a positive number'),
+  body('minCartValue').optional().isFloat({ min: 0 }).withMessage('Minimum cart value must be a positive number'),
+  body('validFrom').optional({ nullable: true }).isISO8601().withMessage('Start date must be a valid date'),
+  body('validUntil').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+  body('usageLimit').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Usage limit must be at least 1'),
+  body('usageLimitPerUser').optional().isInt({ min: 1 }).withMessage('Per-user usage limit must be at least 1'),
+  body('applicableCategories').optional().isArray().withMessage('Categories must be an array'),
+  body('applicableCategories.*').optional().isMongoId().withMessage('Invalid category ID'),
+  body('applicableBrands').optional().isArray().withMessage('Brands must be an array'),
+  body('applicableProducts').optional().isArray().withMessage('Products must be an array'),
+  body('applicableProducts.*').optional().isMongoId().withMessage('Invalid product ID'),
+  handleValidationErrors
+];
+
+// @route   GET /api/admin/coupons
+// @desc    Get all coupons
+// @access  Private/Admin
+router.get('/', getCoupons);
+
+// @route   GET /api/admin/coupons/:id
+// @desc    Get coupon by ID
+// @access  Private/Admin
+router.get('/:id', getCoupon);
+
+// @route   GET /api/admin/coupons/:id/redemptions
+// @desc    Get coupon redemptions
+// @access  Private/Admin
+router.get('/:id/redemptions', getCouponRedemptions);
+
+// @route   POST /api/admin/coupons
+// @desc    Create coupon
+// @access  Private/Admin
+router.post('/', couponValidation, createCoupon);
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update coupon
+// @access  Private/Admin
+router.put('/:id', couponValidation, updateCoupon);
+
+// @route   DELETE /api/admin/coupons/:id
+// @desc    Delete or deactivate coupon
+// @access  Private/Admin
+router.delete('/:id', deleteCoupon);
+
+export default router;
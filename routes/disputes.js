@@ -0,0 +1,90 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getDisputes,
+  getDispute,
+  addDisputeEvidence,
+  submitDispute,
+  acceptDispute,
+  recordDisputeOutcome
+} from '../controllers/disputeController.js';
+import { DISPUTE_STATUSES, EVIDENCE_TYPES } from '../models/Dispute.js';
+import { protect, admin } from '../middleware/auth.js';
+import { evidenceUpload } from '../middleware/upload.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin privileges
+router.use(protect);
+router.use(admin);
+
+const listValidation = [
+  query('status').optional().isIn(DISPUTE_STATUSES).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid dispute ID'),
+  handleValidationErrors
+];
+
+const evidenceValidation = [
+  param('id').isMongoId().withMessage('Invalid dispute ID'),
+  body('type').isIn(EVIDENCE_TYPES).withMessage(`Evidence type must be one of ${EVIDENCE_TYPES.join(', ')}`),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters'),
+  handleValidationErrors
+];
+
+const submitValidation = [
+  param('id').isMongoId().withMessage('Invalid dispute ID'),
+  body('summary').trim().isLength({ min: 20, max: 1000 }).withMessage('Summary must be between 20 and 1000 characters'),
+  handleValidationErrors
+];
+
+const noteValidation = [
+  param('id').isMongoId().withMessage('Invalid dispute ID'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters'),
+  handleValidationErrors
+];
+
+const outcomeValidation = [
+  param('id').isMongoId().withMessage('Invalid dispute ID'),
+  body('outcome').isIn(['won', 'lost']).withMessage('Outcome must be won or lost'),
+  body('note').optional().trim().isLength({ max: 500 }).withMessage('Note cannot be more than 500 characters'),
+  handleValidationErrors
+];
+
+// @route   GET /api/admin/disputes
+// @desc    Get disputes, the nearest response deadline first
+// @access  Private/Admin
+router.get('/', listValidation, getDisputes);
+
+// @route   GET /api/admin/disputes/:id
+// @desc    Get dispute by ID
+// @access  Private/Admin
+router.get('/:id', idValidation, getDispute);
+
+// @route   POST /api/admin/disputes/:id/evidence
+// @desc    Attach an evidence file (invoice, delivery proof, chat log)
+// @access  Private/Admin
+router.post('/:id/evidence', evidenceUpload.single('file'), evidenceValidation, addDisputeEvidence);
+
+// @route   POST /api/admin/disputes/:id/submit
+// @desc    Submit the evidence to the gateway
+// @access  Private/Admin
+router.post('/:id/submit', submitValidation, submitDispute);
+
+// @route   POST /api/admin/disputes/:id/accept
+// @desc    Accept the dispute without contesting it
+// @access  Private/Admin
+router.post('/:id/accept', noteValidation, acceptDispute);
+
+// @route   POST /api/admin/disputes/:id/outcome
+// @desc    Record the gateway's decision
+// @access  Private/Admin
+router.post('/:id/outcome', outcomeValidation, recordDisputeOutcome);
+
+export default router;
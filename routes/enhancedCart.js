@@ -17,7 +17,8 @@ const cartLimiter = rateLimit({
 
 router.use(cartLimiter);
 
-// Cart CRUD operations
+// Cart CRUD operations. Lines of products sold in variants are addressed
+// with ?variant=<variantId>
 router.get('/', enhancedCartController.getCart);
 router.post('/add', enhancedCartController.addToCart);
 router.post('/add-multiple', enhancedCartController.addMultipleItems);
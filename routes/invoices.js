@@ -0,0 +1,32 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { getInvoices, exportInvoices } from '../controllers/invoiceController.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin privileges
+router.use(protect);
+router.use(admin);
+
+const rangeValidation = [
+  query('from').isISO8601().withMessage('from must be a date in YYYY-MM-DD format'),
+  query('to').isISO8601().withMessage('to must be a date in YYYY-MM-DD format'),
+  handleValidationErrors
+];
+
+// @route   GET /api/admin/invoices
+// @desc    List invoices issued in a date range
+// @access  Private/Admin
+router.get('/', rangeValidation, getInvoices);
+
+// @route   GET /api/admin/invoices/export
+// @desc    Bulk export invoices for a date range as CSV or printable HTML
+// @access  Private/Admin
+router.get('/export', [
+  query('format').optional().isIn(['csv', 'html']).withMessage('Format must be csv or html'),
+  ...rangeValidation
+], exportInvoices);
+
+export default router;
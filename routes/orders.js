@@ -1,7 +1,8 @@
 import express from 'express';
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import { 
   createOrder, 
+  getOrderQuote,
   getOrders, 
   getOrder, 
   updateOrderStatus, 
@@ -9,54 +10,79 @@ import {
   cancelOrder,
   createCODOrder,
   getOrderTracking,
+  getOrderInvoice,
   updateOrderTracking
 } from '../controllers/orderController.js';
 import { protect, admin } from '../middleware/auth.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import { DISPUTE_STATUSES } from '../models/Dispute.js';
 
 const router = express.Router();
 
 // Order validation
 const orderValidation = [
-  body('orderItems').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
   body('shippingAddress.fullName').trim().notEmpty().withMessage('Full name is required'),
   body('shippingAddress.phone').matches(/^\d{10}$/).withMessage('Please enter a valid 10-digit phone number'),
   body('shippingAddress.email').isEmail().withMessage('Please enter a valid email address'),
   body('shippingAddress.street').trim().notEmpty().withMessage('Street address is required'),
   body('shippingAddress.city').trim().notEmpty().withMessage('City is required'),
   body('shippingAddress.state').trim().notEmpty().withMessage('State is required'),
-  body('shippingAddress.zipCode').trim().notEmpty().withMessage('Zip code is required'),
+  body('shippingAddress.zipCode').trim().matches(/^\d{6}$/).withMessage('Please enter a valid 6-digit pincode'),
+  body('shippingMethod').optional().isIn(['standard', 'express']).withMessage('Invalid shipping method'),
+  body('expectedTotal').optional().isFloat({ min: 0 }).withMessage('Expected total must be a positive number'),
   body('paymentMethod').isIn(['cash_on_delivery', 'card', 'upi', 'net_banking']).withMessage('Invalid payment method'),
   handleValidationErrors
 ];
 
 // COD order validation
 const codOrderValidation = [
-  body('items').isArray({ min: 1 }).withMessage('Order must contain at least one item'),
   body('shippingAddress.fullName').trim().notEmpty().withMessage('Full name is required'),
   body('shippingAddress.phone').matches(/^\d{10}$/).withMessage('Please enter a valid 10-digit phone number'),
   body('shippingAddress.email').isEmail().withMessage('Please enter a valid email address'),
   body('shippingAddress.street').trim().notEmpty().withMessage('Street address is required'),
   body('shippingAddress.city').trim().notEmpty().withMessage('City is required'),
   body('shippingAddress.state').trim().notEmpty().withMessage('State is required'),
-  body('shippingAddress.zipCode').trim().notEmpty().withMessage('Zip code is required'),
+  body('shippingAddress.zipCode').trim().matches(/^\d{6}$/).withMessage('Please enter a valid 6-digit pincode'),
+  body('shippingMethod').optional().isIn(['standard', 'express']).withMessage('Invalid shipping method'),
+  body('expectedTotal').optional().isFloat({ min: 0 }).withMessage('Expected total must be a positive number'),
+  handleValidationErrors
+];
+
+// Quote validation
+const quoteValidation = [
+  body('shippingAddress.zipCode').trim().matches(/^\d{6}$/).withMessage('Please enter a valid 6-digit pincode'),
+  body('paymentMethod').optional().isIn(['cash_on_delivery', 'card', 'upi', 'net_banking']).withMessage('Invalid payment method'),
+  body('shippingMethod').optional().isIn(['standard', 'express']).withMessage('Invalid shipping method'),
   handleValidationErrors
 ];
 
 // Protected routes
+router.post('/quote', protect, quoteValidation, getOrderQuote);
 router.post('/', protect, orderValidation, createOrder);
 router.post('/cod', protect, codOrderValidation, createCODOrder);
 router.get('/my-orders', protect, getUserOrders);
 router.get('/:id', protect, getOrder);
 router.get('/:id/tracking', protect, getOrderTracking);
-router.put('/:id/cancel', protect, cancelOrder);
+router.get('/:id/invoice', protect, getOrderInvoice);
+router.put('/:id/cancel', protect, [
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  handleValidationErrors
+], cancelOrder);
 
 // Admin routes
-router.get('/', protect, admin, getOrders);
+router.get('/', protect, admin, [
+  query('dispute').optional().isIn(DISPUTE_STATUSES).withMessage('Invalid dispute status'),
+  handleValidationErrors
+], getOrders);
 router.put('/:id/status', protect, admin, [
-  body('status').isIn(['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled']).withMessage('Invalid order status'),
+  body('status').isIn(['confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned']).withMessage('Invalid order status'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
   handleValidationErrors
 ], updateOrderStatus);
-router.put('/:id/tracking', protect, admin, updateOrderTracking);
+router.put('/:id/tracking', protect, admin, [
+  body('status').optional().isIn(['confirmed', 'processing', 'shipped', 'delivered', 'cancelled', 'returned']).withMessage('Invalid order status'),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  handleValidationErrors
+], updateOrderTracking);
 
 export default router;
@@ -1,32 +1,138 @@
 import express from 'express';
+import { body, param, query } from 'express-validator';
 import {
   createOrder,
   verifyPayment,
-  getPaymentStatus,
-  handleWebhook
-} from '../controllers/paymentController.js';
-import { protect } from '../middleware/auth.js';
+  getPaymentDetails,
+  refundPayment,
+  getTransactionHistory,
+  getPaymentAnalytics,
+  getPaymentGateways,
+  completeLocalCheckout
+} from '../controllers/enhancedPaymentController.js';
+import { protect, admin } from '../middleware/auth.js';
+import { idempotency } from '../middleware/idempotency.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { PAYMENT_GATEWAYS } from '../models/Transaction.js';
 
 const router = express.Router();
 
+// All routes require authentication
+router.use(protect);
+
+const TRANSACTION_STATUSES = [
+  'initiated', 'pending', 'processing', 'authorized',
+  'captured', 'success', 'failed', 'cancelled',
+  'expired', 'disputed', 'refunded', 'partially_refunded'
+];
+
+const PAYMENT_METHODS = ['card', 'netbanking', 'upi', 'wallet', 'emi'];
+
+const shippingAddressValidation = prefix => [
+  body(`${prefix}.fullName`).trim().notEmpty().withMessage('Full name is required'),
+  body(`${prefix}.phone`).matches(/^\d{10}$/).withMessage('Please enter a valid 10-digit phone number'),
+  body(`${prefix}.email`).isEmail().withMessage('Please enter a valid email address'),
+  body(`${prefix}.street`).trim().notEmpty().withMessage('Street address is required'),
+  body(`${prefix}.city`).trim().notEmpty().withMessage('City is required'),
+  body(`${prefix}.state`).trim().notEmpty().withMessage('State is required'),
+  body(`${prefix}.zipCode`).trim().matches(/^\d{6}$/).withMessage('Please enter a valid 6-digit pincode')
+];
+
+// Payment order validation; the gateway defaults to the one in settings
+const createOrderValidation = [
+  ...shippingAddressValidation('shippingAddress'),
+  body('shippingMethod').optional().isIn(['standard', 'express']).withMessage('Invalid shipping method'),
+  body('currency').optional().isIn(['INR']).withMessage('Only INR payments are supported'),
+  body('gateway').optional().isIn(PAYMENT_GATEWAYS).withMessage('Invalid payment gateway'),
+  handleValidationErrors
+];
+
+// The gateway's checkout fields are checked by its adapter
+const verifyValidation = [
+  body('transactionId').trim().notEmpty().withMessage('Transaction ID is required'),
+  body('orderData').isObject().withMessage('Order data is required'),
+  ...shippingAddressValidation('orderData.shippingAddress'),
+  body('orderData.notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot be more than 500 characters'),
+  handleValidationErrors
+];
+
+const paymentIdValidation = [
+  param('paymentId').trim().matches(/^[A-Za-z0-9_-]{1,100}$/).withMessage('Invalid payment ID'),
+  handleValidationErrors
+];
+
+const refundValidation = [
+  body('paymentId').optional().trim().matches(/^[A-Za-z0-9_-]{1,100}$/).withMessage('Invalid payment ID'),
+  body('transactionId').optional().trim().notEmpty().withMessage('Invalid transaction ID'),
+  body().custom(({ paymentId, transactionId } = {}) => Boolean(paymentId || transactionId))
+    .withMessage('Payment ID or Transaction ID is required'),
+  body('amount').optional().isFloat({ gt: 0 }).withMessage('Refund amount must be greater than zero').toFloat(),
+  body('reason').optional().trim().isLength({ max: 500 }).withMessage('Reason cannot be more than 500 characters'),
+  handleValidationErrors
+];
+
+const historyValidation = [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  query('status').optional().isIn(TRANSACTION_STATUSES).withMessage('Invalid status'),
+  query('type').optional().isIn(['payment', 'refund', 'partial_refund', 'chargeback', 'fee']).withMessage('Invalid transaction type'),
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  handleValidationErrors
+];
+
+const analyticsValidation = [
+  query('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  query('endDate').optional().isISO8601().withMessage('End date must be a valid date'),
+  query('groupBy').optional().isIn(['day', 'month']).withMessage('Group by must be day or month'),
+  handleValidationErrors
+];
+
+const localCheckoutValidation = [
+  body('razorpay_order_id').trim().notEmpty().withMessage('Gateway order ID is required'),
+  body('method').optional().isIn(PAYMENT_METHODS).withMessage('Invalid payment method'),
+  body('fail').optional().isBoolean().withMessage('Fail must be true or false').toBoolean(),
+  handleValidationErrors
+];
+
+// @route   GET /api/payment/gateways
+// @desc    Get the payment gateways available at checkout
+// @access  Private
+router.get('/gateways', getPaymentGateways);
+
 // @route   POST /api/payment/create-order
-// @desc    Create Cashfree order
+// @desc    Create a gateway order for the cart and hold its stock
 // @access  Private
-router.post('/create-order', protect, createOrder);
+router.post('/create-order', createOrderValidation, idempotency('payment.create-order'), createOrder);
 
 // @route   POST /api/payment/verify
-// @desc    Verify Cashfree payment and create order
+// @desc    Verify payment and create order
 // @access  Private
-router.post('/verify', protect, verifyPayment);
+router.post('/verify', verifyValidation, idempotency('payment.verify'), verifyPayment);
 
-// @route   GET /api/payment/status/:orderId
-// @desc    Get payment status
+// @route   POST /api/payment/local/checkout
+// @desc    Pay a gateway order on the local Razorpay stand-in (RAZORPAY_MODE=local only)
 // @access  Private
-router.get('/status/:orderId', protect, getPaymentStatus);
+router.post('/local/checkout', localCheckoutValidation, completeLocalCheckout);
+
+// @route   GET /api/payment/transactions
+// @desc    Get the user's transaction history
+// @access  Private
+router.get('/transactions', historyValidation, getTransactionHistory);
+
+// @route   GET /api/payment/analytics
+// @desc    Get payment analytics
+// @access  Private/Admin
+router.get('/analytics', admin, analyticsValidation, getPaymentAnalytics);
+
+// @route   POST /api/payment/refund
+// @desc    Refund a payment
+// @access  Private/Admin
+router.post('/refund', admin, refundValidation, refundPayment);
 
-// @route   POST /api/payment/webhook
-// @desc    Handle Cashfree webhook
-// @access  Public
-router.post('/webhook', handleWebhook);
+// @route   GET /api/payment/:paymentId
+// @desc    Get payment details
+// @access  Private (owner or admin)
+router.get('/:paymentId', paymentIdValidation, getPaymentDetails);
 
 export default router;
@@ -0,0 +1,52 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import {
+  getPaymentJobs,
+  getPaymentJobRuns,
+  getPaymentJobRun,
+  runPaymentJob
+} from '../controllers/paymentJobController.js';
+import paymentMonitoringService from '../services/paymentMonitoring.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin privileges
+router.use(protect);
+router.use(admin);
+
+const runListValidation = [
+  query('job').optional().isIn(paymentMonitoringService.getJobNames()).withMessage('Invalid job'),
+  query('status').optional().isIn(['running', 'succeeded', 'failed']).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+const runIdValidation = [
+  param('id').isMongoId().withMessage('Invalid job run ID'),
+  handleValidationErrors
+];
+
+// @route   GET /api/admin/payment-jobs
+// @desc    Get payment jobs with their last runs
+// @access  Private/Admin
+router.get('/', getPaymentJobs);
+
+// @route   GET /api/admin/payment-jobs/runs
+// @desc    Get payment job run history
+// @access  Private/Admin
+router.get('/runs', runListValidation, getPaymentJobRuns);
+
+// @route   GET /api/admin/payment-jobs/runs/:id
+// @desc    Get payment job run by ID
+// @access  Private/Admin
+router.get('/runs/:id', runIdValidation, getPaymentJobRun);
+
+// @route   POST /api/admin/payment-jobs/:job/run
+// @desc    Run a payment job now
+// @access  Private/Admin
+router.post('/:job/run', runPaymentJob);
+
+export default router;
@@ -0,0 +1,62 @@
+import express from 'express';
+import { body, param, query } from 'express-validator';
+import {
+  getPriceSchedules,
+  getPriceSchedule,
+  createPriceSchedule,
+  cancelPriceSchedule
+} from '../controllers/priceScheduleController.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin privileges
+router.use(protect);
+router.use(admin);
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid price schedule ID'),
+  handleValidationErrors
+];
+
+const listValidation = [
+  query('status').optional().isIn(['scheduled', 'active', 'completed', 'cancelled']).withMessage('Invalid status'),
+  query('product').optional().isMongoId().withMessage('Invalid product ID'),
+  handleValidationErrors
+];
+
+// Price schedule validation
+const scheduleValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('startsAt').isISO8601().withMessage('Start date must be a valid date'),
+  body('endsAt').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date')
+    .custom((endsAt, { req }) => new Date(endsAt) > new Date(req.body.startsAt)).withMessage('End date must be after the start date'),
+  body('items').isArray({ min: 1 }).withMessage('A price schedule needs at least one item'),
+  body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+  body('items.*.variant').optional({ nullable: true }).isMongoId().withMessage('Invalid variant ID'),
+  body('items.*.salePrice').isFloat({ min: 0 }).withMessage('Sale price must be a number of 0 or more'),
+  handleValidationErrors
+];
+
+// @route   GET /api/admin/price-schedules
+// @desc    Get price schedules
+// @access  Private/Admin
+router.get('/', listValidation, getPriceSchedules);
+
+// @route   GET /api/admin/price-schedules/:id
+// @desc    Get price schedule by ID
+// @access  Private/Admin
+router.get('/:id', idValidation, getPriceSchedule);
+
+// @route   POST /api/admin/price-schedules
+// @desc    Create price schedule
+// @access  Private/Admin
+router.post('/', scheduleValidation, createPriceSchedule);
+
+// @route   POST /api/admin/price-schedules/:id/cancel
+// @desc    Cancel price schedule
+// @access  Private/Admin
+router.post('/:id/cancel', idValidation, cancelPriceSchedule);
+
+export default router;
@@ -10,19 +10,73 @@ import {
   searchProducts,
   getFeaturedProducts,
   addProductReview,
-  getProductReviews
+  getProductReviews,
+  updateProductFitment,
+  updateProductVariants,
+  getProductPriceHistory
 } from '../controllers/productController.js';
-import { protect, admin } from '../middleware/auth.js';
+import {
+  importProducts,
+  getImportJobs,
+  getImportJob,
+  exportProducts
+} from '../controllers/productImportController.js';
+import { protect, admin, optionalAuth } from '../middleware/auth.js';
 import { handleValidationErrors } from '../middleware/validation.js';
+import { spreadsheetUpload } from '../middleware/upload.js';
+import { GST_RATES } from '../utils/gst.js';
 
 const router = express.Router();
 
+// Fields of one variant, shared by product and variants validation
+const variantFields = [
+  body('variants.*.sku').trim().notEmpty().withMessage('Variant SKU is required')
+    .isLength({ max: 40 }).withMessage('SKU cannot be more than 40 characters'),
+  body('variants.*.price').isFloat({ min: 0 }).withMessage('Variant price must be a number of 0 or more'),
+  body('variants.*.originalPrice').optional().isFloat({ min: 0 }).withMessage('Original price must be a number of 0 or more'),
+  body('variants.*.stockQuantity').optional().isInt({ min: 0 }).withMessage('Stock must be a whole number of 0 or more'),
+  body('variants.*.packQuantity').optional().isInt({ min: 1 }).withMessage('Pack quantity must be at least 1'),
+  body(['variants.*.size', 'variants.*.color']).optional().trim().isLength({ max: 30 }).withMessage('Size and colour cannot be more than 30 characters'),
+  body('variants.*.isActive').optional().isBoolean().withMessage('isActive must be true or false')
+];
+
 // Product validation
 const productValidation = [
   body('name').trim().isLength({ min: 2 }).withMessage('Product name must be at least 2 characters'),
   body('description').trim().isLength({ min: 10 }).withMessage('Description must be at least 10 characters'),
   body('price').isNumeric().withMessage('Price must be a number').isFloat({ min: 0 }).withMessage('Price cannot be negative'),
   body('category').notEmpty().withMessage('Category is required'),
+  body('hsnCode').optional({ checkFalsy: true }).matches(/^\d{4,8}$/).withMessage('HSN code must be 4 to 8 digits'),
+  body('gstRate').optional({ nullable: true }).isIn(GST_RATES).withMessage(`GST rate must be one of ${GST_RATES.join(', ')}`),
+  body('sku').optional({ checkFalsy: true }).trim().isLength({ max: 40 }).withMessage('SKU cannot be more than 40 characters'),
+  body(['oemNumbers', 'crossReferences']).optional().isArray().withMessage('Part numbers must be a list'),
+  body(['oemNumbers.*.number', 'crossReferences.*.number']).trim().notEmpty().withMessage('Part number is required')
+    .isLength({ max: 40 }).withMessage('Part number cannot be more than 40 characters'),
+  body(['oemNumbers.*.brand', 'crossReferences.*.brand']).optional().trim().isLength({ max: 50 }).withMessage('Brand cannot be more than 50 characters'),
+  body('variants').optional().isArray().withMessage('Variants must be a list'),
+  ...variantFields,
+  body('specifications').optional().isObject().withMessage('Specifications must be an object of name and value'),
+  handleValidationErrors
+];
+
+// Variants validation: entries with an _id update that variant, others are added
+const variantValidation = [
+  body('variants').isArray().withMessage('Variants must be a list'),
+  body('variants.*._id').optional().isMongoId().withMessage('Invalid variant ID'),
+  ...variantFields,
+  handleValidationErrors
+];
+
+// Fitment validation: each entry is a vehicle variant, or a make and model
+// (optionally a generation) covering all of its variants
+const fitmentValidation = [
+  body('fitment').isArray().withMessage('Fitment must be a list'),
+  body('fitment.*.vehicle').optional().isMongoId().withMessage('Invalid vehicle ID'),
+  body('fitment.*').custom(entry => Boolean(entry.vehicle || (entry.make && entry.model)))
+    .withMessage('Each fitment needs a vehicle, or a make and model'),
+  body('fitment.*.position').optional().trim().isLength({ max: 50 }).withMessage('Position cannot be more than 50 characters'),
+  body('fitment.*.notes').optional().trim().isLength({ max: 200 }).withMessage('Fitment notes cannot be more than 200 characters'),
+  body('isUniversalFit').optional().isBoolean().withMessage('isUniversalFit must be true or false'),
   handleValidationErrors
 ];
 
@@ -33,12 +87,18 @@ const reviewValidation = [
   handleValidationErrors
 ];
 
+// Admin bulk import and export (before /:id)
+router.get('/export', protect, admin, exportProducts);
+router.post('/import', protect, admin, spreadsheetUpload.single('file'), importProducts);
+router.get('/import', protect, admin, getImportJobs);
+router.get('/import/:jobId', protect, admin, getImportJob);
+
 // Public routes
 router.get('/', getProducts);
 router.get('/search', searchProducts);
 router.get('/featured', getFeaturedProducts);
 router.get('/category/:categoryId', getProductsByCategory);
-router.get('/:id', getProduct);
+router.get('/:id', optionalAuth, getProduct);
 router.get('/:id/reviews', getProductReviews);
 
 // Protected routes
@@ -47,6 +107,9 @@ router.post('/:id/reviews', protect, reviewValidation, addProductReview);
 // Admin routes
 router.post('/', protect, admin, productValidation, createProduct);
 router.put('/:id', protect, admin, productValidation, updateProduct);
+router.put('/:id/fitment', protect, admin, fitmentValidation, updateProductFitment);
+router.put('/:id/variants', protect, admin, variantValidation, updateProductVariants);
+router.get('/:id/price-history', protect, admin, getProductPriceHistory);
 router.delete('/:id', protect, admin, deleteProduct);
 
 export default router;
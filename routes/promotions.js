@@ -0,0 +1,68 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getPromotions,
+  getPromotion,
+  createPromotion,
+  updatePromotion,
+  deletePromotion
+} from '../controllers/promotionController.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin privileges
+router.use(protect);
+router.use(admin);
+
+// Promotion validation
+const promotionValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('type').isIn(['buy_x_get_y', 'spend_tier', 'bundle', 'category_sale']).withMessage('Invalid promotion type'),
+  body('startsAt').optional({ nullable: true }).isISO8601().withMessage('Start date must be a valid date'),
+  body('endsAt').optional({ nullable: true }).isISO8601().withMessage('End date must be a valid date'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isExclusive').optional().isBoolean().withMessage('isExclusive must be a boolean'),
+  body('buyXGetY.buyProducts.*').optional().isMongoId().withMessage('Invalid product ID'),
+  body('buyXGetY.getProducts.*').optional().isMongoId().withMessage('Invalid product ID'),
+  body('buyXGetY.buyQuantity').optional().isInt({ min: 1 }).withMessage('Buy quantity must be at least 1'),
+  body('buyXGetY.getQuantity').optional().isInt({ min: 1 }).withMessage('Get quantity must be at least 1'),
+  body('buyXGetY.getDiscountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  body('tiers').optional().isArray().withMessage('Tiers must be an array'),
+  body('tiers.*.minSpend').optional().isFloat({ min: 0 }).withMessage('Tier minimum spend must be a positive number'),
+  body('tiers.*.discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Tier discount must be between 0 and 100'),
+  body('bundle.items.*.product').optional().isMongoId().withMessage('Invalid product ID'),
+  body('bundle.items.*.quantity').optional().isInt({ min: 1 }).withMessage('Bundle quantity must be at least 1'),
+  body('bundle.bundlePrice').optional().isFloat({ min: 0 }).withMessage('Bundle price must be a positive number'),
+  body('categorySale.categories.*').optional().isMongoId().withMessage('Invalid category ID'),
+  body('categorySale.discountPercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Discount must be between 0 and 100'),
+  handleValidationErrors
+];
+
+// @route   GET /api/admin/promotions
+// @desc    Get all promotions
+// @access  Private/Admin
+router.get('/', getPromotions);
+
+// @route   GET /api/admin/promotions/:id
+// @desc    Get promotion by ID
+// @access  Private/Admin
+router.get('/:id', getPromotion);
+
+// @route   POST /api/admin/promotions
+// @desc    Create promotion
+// @access  Private/Admin
+router.post('/', promotionValidation, createPromotion);
+
+// @route   PUT /api/admin/promotions/:id
+// @desc    Update promotion
+// @access  Private/Admin
+router.put('/:id', promotionValidation, updatePromotion);
+
+// @route   DELETE /api/admin/promotions/:id
+// @desc    Delete promotion
+// @access  Private/Admin
+router.delete('/:id', deletePromotion);
+
+export default router;
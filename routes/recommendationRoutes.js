@@ -1,11 +1,11 @@
 import express from 'express';
 import { getRecommendations, getRecommendationAnalytics } from '../controllers/recommendationController.js';
-import { protect, admin } from '../middleware/auth.js';
+import { protect, admin, optionalAuth } from '../middleware/auth.js';
 
 const router = express.Router();
 
-// Get product recommendations
-router.get('/', getRecommendations);
+// Get product recommendations, tailored to the signed-in user's active vehicle
+router.get('/', optionalAuth, getRecommendations);
 
 // Get recommendation analytics (admin only)
 router.get('/analytics', protect, admin, getRecommendationAnalytics);
@@ -0,0 +1,23 @@
+import express from 'express';
+import { query } from 'express-validator';
+import { getGstReport } from '../controllers/taxReportController.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin privileges
+router.use(protect);
+router.use(admin);
+
+// @route   GET /api/admin/reports/gst
+// @desc    Monthly GST report (HSN, state-wise and order-wise), JSON or CSV
+// @access  Private/Admin
+router.get('/gst', [
+  query('month').matches(/^\d{4}-(0[1-9]|1[0-2])$/).withMessage('Month must be in YYYY-MM format'),
+  query('format').optional().isIn(['json', 'csv']).withMessage('Format must be json or csv'),
+  query('section').optional().isIn(['hsn', 'states', 'orders']).withMessage('Section must be hsn, states or orders'),
+  handleValidationErrors
+], getGstReport);
+
+export default router;
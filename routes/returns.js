@@ -0,0 +1,102 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  uploadReturnPhotos,
+  getReturnEligibility,
+  createReturnRequest,
+  createExchangeRequest,
+  createExchangePayment,
+  verifyExchangePayment,
+  getMyReturnRequests,
+  getReturnRequest,
+  getReturnRequests,
+  approveReturn,
+  rejectReturn,
+  scheduleReturnPickup,
+  receiveReturn,
+  inspectReturn,
+  refundReturn,
+  completeExchange
+} from '../controllers/returnController.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { imageUpload } from '../middleware/upload.js';
+import { RETURN_REASONS } from '../models/ReturnRequest.js';
+import { RETURN_PHOTO_FOLDER, isUploadedAsset } from '../utils/cloudinaryUpload.js';
+
+const router = express.Router();
+
+// Return request validation
+const returnFields = [
+  body('order').isMongoId().withMessage('Invalid order ID'),
+  body('items').isArray({ min: 1 }).withMessage('Select at least one item to return'),
+  body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+  body('items.*.variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('items.*.reason').isIn(RETURN_REASONS).withMessage(`Reason must be one of ${RETURN_REASONS.join(', ')}`),
+  body('comments').optional().trim().isLength({ max: 1000 }).withMessage('Comments cannot be more than 1000 characters'),
+  body('photos').optional().isArray({ max: 5 }).withMessage('At most 5 photos can be attached'),
+  body('photos.*')
+    .custom(photo => isUploadedAsset(photo, RETURN_PHOTO_FOLDER))
+    .withMessage('Photos must be uploaded through /api/returns/photos first')
+];
+
+const returnValidation = [...returnFields, handleValidationErrors];
+
+const exchangeValidation = [
+  ...returnFields,
+  body('replacements').isArray({ min: 1 }).withMessage('Select at least one replacement part'),
+  body('replacements.*.product').isMongoId().withMessage('Invalid replacement product ID'),
+  body('replacements.*.variant').optional().isMongoId().withMessage('Invalid replacement variant ID'),
+  body('replacements.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  handleValidationErrors
+];
+
+// The gateway's checkout fields are checked by its adapter
+const paymentVerificationValidation = [
+  body('transactionId').notEmpty().withMessage('Transaction ID is required'),
+  handleValidationErrors
+];
+
+// Protected routes
+router.post('/photos', protect, imageUpload.array('photos', 5), uploadReturnPhotos);
+router.get('/my-returns', protect, getMyReturnRequests);
+router.get('/orders/:orderId/eligibility', protect, getReturnEligibility);
+router.post('/', protect, returnValidation, createReturnRequest);
+router.post('/exchange', protect, exchangeValidation, createExchangeRequest);
+router.get('/:id', protect, getReturnRequest);
+router.post('/:id/exchange-payment', protect, createExchangePayment);
+router.post('/:id/exchange-payment/verify', protect, paymentVerificationValidation, verifyExchangePayment);
+
+// Admin routes
+router.get('/', protect, admin, getReturnRequests);
+router.put('/:id/approve', protect, admin, approveReturn);
+router.put('/:id/reject', protect, admin, [
+  body('reason').trim().isLength({ min: 3, max: 500 }).withMessage('A rejection reason of 3-500 characters is required'),
+  handleValidationErrors
+], rejectReturn);
+router.put('/:id/pickup', protect, admin, [
+  body('carrier').trim().notEmpty().withMessage('Carrier is required'),
+  body('trackingNumber').optional().trim(),
+  body('scheduledFor').isISO8601().withMessage('Pickup date is required'),
+  handleValidationErrors
+], scheduleReturnPickup);
+router.put('/:id/receive', protect, admin, receiveReturn);
+router.put('/:id/inspect', protect, admin, [
+  body('items').isArray({ min: 1 }).withMessage('Quality check results are required'),
+  body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+  body('items.*.variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('items.*.outcome').isIn(['restock', 'damaged']).withMessage('Outcome must be restock or damaged'),
+  handleValidationErrors
+], inspectReturn);
+router.put('/:id/refund', protect, admin, [
+  body('amount').optional().isFloat({ min: 0.01 }).withMessage('Refund amount must be a positive number'),
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference cannot be more than 100 characters'),
+  handleValidationErrors
+], refundReturn);
+router.put('/:id/complete-exchange', protect, admin, [
+  body('reference').optional().trim().isLength({ max: 100 }).withMessage('Reference cannot be more than 100 characters'),
+  handleValidationErrors
+], completeExchange);
+
+export default router;
@@ -1,10 +1,15 @@
 import express from 'express';
+import { body, param } from 'express-validator';
 import {
   getSettings,
   updateSettings,
-  resetSettings
+  resetSettings,
+  getSettingsHistory,
+  getSettingsVersion,
+  rollbackSettings
 } from '../controllers/settingsController.js';
 import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
 
 const router = express.Router();
 
@@ -12,6 +17,11 @@ const router = express.Router();
 router.use(protect);
 router.use(admin);
 
+const versionValidation = [
+  param('version').isInt({ min: 1 }).withMessage('Version must be a positive integer'),
+  handleValidationErrors
+];
+
 // @route   GET /api/admin/settings
 // @desc    Get all settings
 // @access  Private/Admin
@@ -20,11 +30,29 @@ router.get('/', getSettings);
 // @route   PUT /api/admin/settings
 // @desc    Update settings
 // @access  Private/Admin
-router.put('/', updateSettings);
+router.put('/', [
+  body('settings').isObject().withMessage('Settings must be an object'),
+  handleValidationErrors
+], updateSettings);
 
 // @route   POST /api/admin/settings/reset
 // @desc    Reset settings to default
 // @access  Private/Admin
 router.post('/reset', resetSettings);
 
+// @route   GET /api/admin/settings/history
+// @desc    Get settings change history
+// @access  Private/Admin
+router.get('/history', getSettingsHistory);
+
+// @route   GET /api/admin/settings/history/:version
+// @desc    Get a single settings version with its snapshot
+// @access  Private/Admin
+router.get('/history/:version', versionValidation, getSettingsVersion);
+
+// @route   POST /api/admin/settings/rollback/:version
+// @desc    Roll settings back to an earlier version
+// @access  Private/Admin
+router.post('/rollback/:version', versionValidation, rollbackSettings);
+
 export default router;
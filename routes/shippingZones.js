@@ -0,0 +1,74 @@
+import express from 'express';
+import { body } from 'express-validator';
+import {
+  getShippingZones,
+  getShippingZone,
+  createShippingZone,
+  updateShippingZone,
+  deleteShippingZone,
+  checkServiceability
+} from '../controllers/shippingZoneController.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin privileges
+router.use(protect);
+router.use(admin);
+
+// Shipping zone validation
+const zoneValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('code').trim().matches(/^[A-Za-z0-9_-]{2,20}$/).withMessage('Code must be 2-20 letters, digits, dashes or underscores'),
+  body('pincodePrefixes').optional().isArray().withMessage('Pincode prefixes must be an array'),
+  body('pincodePrefixes.*').optional().matches(/^\d{1,6}$/).withMessage('Pincode prefixes must be 1-6 digits'),
+  body('pincodeRanges').optional().isArray().withMessage('Pincode ranges must be an array'),
+  body('pincodeRanges.*.from').optional().isInt({ min: 100000, max: 999999 }).withMessage('Range start must be a 6-digit pincode'),
+  body('pincodeRanges.*.to').optional().isInt({ min: 100000, max: 999999 }).withMessage('Range end must be a 6-digit pincode'),
+  body('nonServiceablePincodes.*').optional().matches(/^\d{6}$/).withMessage('Pincodes must have 6 digits'),
+  body('rateSlabs').isArray({ min: 1 }).withMessage('At least one rate slab is required'),
+  body('rateSlabs.*.upToKg').isFloat({ min: 0 }).withMessage('Slab weight limit must be a positive number'),
+  body('rateSlabs.*.rate').isFloat({ min: 0 }).withMessage('Slab rate must be a positive number'),
+  body('additionalPerKg').optional().isFloat({ min: 0 }).withMessage('Additional rate must be a positive number'),
+  body('volumetricDivisor').optional().isInt({ min: 1 }).withMessage('Volumetric divisor must be a positive integer'),
+  body('freeShippingThreshold').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Free shipping threshold must be a positive number'),
+  body('codSurcharge').optional().isFloat({ min: 0 }).withMessage('COD surcharge must be a positive number'),
+  body('slaDays.min').optional().isInt({ min: 0 }).withMessage('Minimum delivery days must be a positive integer'),
+  body('slaDays.max').optional().isInt({ min: 0 }).withMessage('Maximum delivery days must be a positive integer'),
+  body('expressSurcharge').optional().isFloat({ min: 0 }).withMessage('Express surcharge must be a positive number'),
+  body('expressSlaDays').optional().isInt({ min: 0 }).withMessage('Express delivery days must be a positive integer'),
+  handleValidationErrors
+];
+
+// @route   GET /api/admin/shipping-zones
+// @desc    Get all shipping zones
+// @access  Private/Admin
+router.get('/', getShippingZones);
+
+// @route   GET /api/admin/shipping-zones/serviceability/:pincode
+// @desc    Check which zone serves a pincode
+// @access  Private/Admin
+router.get('/serviceability/:pincode', checkServiceability);
+
+// @route   GET /api/admin/shipping-zones/:id
+// @desc    Get shipping zone by ID
+// @access  Private/Admin
+router.get('/:id', getShippingZone);
+
+// @route   POST /api/admin/shipping-zones
+// @desc    Create shipping zone
+// @access  Private/Admin
+router.post('/', zoneValidation, createShippingZone);
+
+// @route   PUT /api/admin/shipping-zones/:id
+// @desc    Update shipping zone
+// @access  Private/Admin
+router.put('/:id', zoneValidation, updateShippingZone);
+
+// @route   DELETE /api/admin/shipping-zones/:id
+// @desc    Delete shipping zone
+// @access  Private/Admin
+router.delete('/:id', deleteShippingZone);
+
+export default router;
@@ -1,31 +1,10 @@
 import express from 'express';
-import multer from 'multer';
-import path from 'path';
 import { uploadImage, uploadMultipleImages, getUploads, deleteUpload, getUploadStats, getUploadedFiles } from '../controllers/uploadController.js';
 import { protect } from '../middleware/auth.js';
+import { imageUpload as upload } from '../middleware/upload.js';
 
 const router = express.Router();
 
-// Configure multer for file uploads
-const storage = multer.memoryStorage(); // Use memory storage for direct Cloudinary upload
-
-const fileFilter = (req, file, cb) => {
-  // Check file type
-  if (file.mimetype.startsWith('image/')) {
-    cb(null, true);
-  } else {
-    cb(new Error('Only image files are allowed!'), false);
-  }
-};
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB limit
-  },
-  fileFilter: fileFilter
-});
-
 // Routes
 router.post('/single', protect, upload.single('image'), uploadImage);
 router.post('/multiple', protect, upload.array('images', 5), uploadMultipleImages);
@@ -1,4 +1,5 @@
 import express from 'express';
+import { body, param } from 'express-validator';
 import { 
   getUsers, 
   getUser, 
@@ -8,15 +9,49 @@ import {
   updateUserProfile,
   getUserStats
 } from '../controllers/userController.js';
+import {
+  getGarage,
+  addGarageVehicle,
+  updateGarageVehicle,
+  removeGarageVehicle,
+  setActiveGarageVehicle
+} from '../controllers/garageController.js';
 import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
 
 const router = express.Router();
 
+// Garage vehicle validation; `optional` relaxes the required fields for updates
+const garageValidation = (optional = false) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+  return [
+    field('vehicle').isMongoId().withMessage('Please choose a vehicle'),
+    field('year').isInt({ min: 1950, max: new Date().getFullYear() + 1 }).withMessage('Please enter a valid year'),
+    body('registrationNumber').optional({ checkFalsy: true }).trim()
+      .matches(/^[A-Za-z0-9\s-]{4,15}$/).withMessage('Please enter a valid registration number'),
+    body('nickname').optional().trim().isLength({ max: 30 }).withMessage('Nickname cannot be more than 30 characters'),
+    body('odometerKm').optional().isInt({ min: 0 }).withMessage('Odometer reading must be a whole number of kilometres'),
+    handleValidationErrors
+  ];
+};
+
+const entryValidation = [
+  param('entryId').isMongoId().withMessage('Invalid garage vehicle ID'),
+  handleValidationErrors
+];
+
 // User profile routes (protected)
 router.get('/profile', protect, getUserProfile);
 router.put('/profile', protect, updateUserProfile);
 router.get('/stats', protect, getUserStats);
 
+// Garage routes (protected)
+router.get('/garage', protect, getGarage);
+router.post('/garage', protect, garageValidation(), addGarageVehicle);
+router.put('/garage/:entryId', protect, entryValidation, garageValidation(true), updateGarageVehicle);
+router.delete('/garage/:entryId', protect, entryValidation, removeGarageVehicle);
+router.put('/garage/:entryId/active', protect, entryValidation, setActiveGarageVehicle);
+
 // Admin routes
 router.get('/', protect, admin, getUsers);
 router.get('/:id', protect, admin, getUser);
@@ -0,0 +1,64 @@
+import express from 'express';
+import { body, query } from 'express-validator';
+import {
+  getMakes,
+  getModels,
+  getGenerations,
+  getVehicles,
+  getVehicle,
+  createVehicle,
+  updateVehicle,
+  deleteVehicle
+} from '../controllers/vehicleController.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+import { FUEL_TYPES, VEHICLE_TYPES } from '../models/Vehicle.js';
+
+const router = express.Router();
+
+const maxYear = () => new Date().getFullYear() + 1;
+
+// Vehicle validation
+const vehicleValidation = [
+  body('vehicleType').optional().isIn(VEHICLE_TYPES).withMessage(`Vehicle type must be one of ${VEHICLE_TYPES.join(', ')}`),
+  body('make').trim().isLength({ min: 1, max: 50 }).withMessage('Make must be between 1 and 50 characters'),
+  body('model').trim().isLength({ min: 1, max: 50 }).withMessage('Model must be between 1 and 50 characters'),
+  body('generation').optional().trim().isLength({ max: 50 }).withMessage('Generation cannot be more than 50 characters'),
+  body('variant').trim().isLength({ min: 1, max: 50 }).withMessage('Variant must be between 1 and 50 characters'),
+  body('yearFrom').custom(year => Number.isInteger(Number(year)) && year >= 1950 && year <= maxYear())
+    .withMessage('Start year is not valid'),
+  body('yearTo').optional({ nullable: true }).custom(year => Number.isInteger(Number(year)) && year >= 1950 && year <= maxYear())
+    .withMessage('End year is not valid'),
+  body('fuelType').isIn(FUEL_TYPES).withMessage(`Fuel type must be one of ${FUEL_TYPES.join(', ')}`),
+  body('engine.displacementCc').optional().isInt({ min: 1 }).withMessage('Engine displacement must be a positive number'),
+  body('transmission').optional().isIn(['manual', 'automatic']).withMessage('Transmission must be manual or automatic'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  handleValidationErrors
+];
+
+const lookupValidation = [
+  query('year').optional().isInt({ min: 1950 }).withMessage('Year is not valid'),
+  query('fuelType').optional().isIn(FUEL_TYPES).withMessage(`Fuel type must be one of ${FUEL_TYPES.join(', ')}`),
+  handleValidationErrors
+];
+
+// Public routes
+router.get('/makes', getMakes);
+router.get('/models', [
+  query('make').trim().notEmpty().withMessage('Make is required'),
+  handleValidationErrors
+], getModels);
+router.get('/generations', [
+  query('make').trim().notEmpty().withMessage('Make is required'),
+  query('model').trim().notEmpty().withMessage('Model is required'),
+  handleValidationErrors
+], getGenerations);
+router.get('/', lookupValidation, getVehicles);
+router.get('/:id', getVehicle);
+
+// Admin routes
+router.post('/', protect, admin, vehicleValidation, createVehicle);
+router.put('/:id', protect, admin, vehicleValidation, updateVehicle);
+router.delete('/:id', protect, admin, deleteVehicle);
+
+export default router;
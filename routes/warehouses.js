@@ -0,0 +1,117 @@
+import express from 'express';
+import { body, param } from 'express-validator';
+import {
+  getWarehouses,
+  getWarehouse,
+  createWarehouse,
+  updateWarehouse,
+  deleteWarehouse,
+  getWarehouseStock,
+  setWarehouseStock,
+  getProductStock,
+  getTransfers,
+  createTransfer,
+  receiveTransfer,
+  cancelTransfer
+} from '../controllers/warehouseController.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin privileges
+router.use(protect);
+router.use(admin);
+
+// Warehouse validation
+const warehouseValidation = [
+  body('name').trim().isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
+  body('code').trim().matches(/^[A-Za-z0-9_-]{2,20}$/).withMessage('Code must be 2-20 letters, digits, dashes or underscores'),
+  body('address.city').trim().notEmpty().withMessage('City is required'),
+  body('address.state').trim().notEmpty().withMessage('State is required'),
+  body('pincode').trim().matches(/^\d{6}$/).withMessage('Please enter a valid 6-digit pincode'),
+  body('priority').optional().isInt().withMessage('Priority must be an integer'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be true or false'),
+  handleValidationErrors
+];
+
+const stockValidation = [
+  param('productId').isMongoId().withMessage('Invalid product ID'),
+  body('quantity').isInt({ min: 0 }).withMessage('Quantity must be a whole number of 0 or more'),
+  body('binLocation').optional().trim().isLength({ max: 50 }).withMessage('Bin location cannot be more than 50 characters'),
+  body('variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  handleValidationErrors
+];
+
+const transferValidation = [
+  body('from').isMongoId().withMessage('Source warehouse is required'),
+  body('to').isMongoId().withMessage('Destination warehouse is required'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.product').isMongoId().withMessage('Invalid product ID'),
+  body('items.*.variant').optional().isMongoId().withMessage('Invalid variant ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('notes').optional().trim().isLength({ max: 500 }).withMessage('Notes cannot be more than 500 characters'),
+  handleValidationErrors
+];
+
+// @route   GET /api/admin/warehouses
+// @desc    Get all warehouses
+// @access  Private/Admin
+router.get('/', getWarehouses);
+
+// @route   GET /api/admin/warehouses/transfers
+// @desc    Get stock transfers
+// @access  Private/Admin
+router.get('/transfers', getTransfers);
+
+// @route   POST /api/admin/warehouses/transfers
+// @desc    Dispatch stock from one warehouse to another
+// @access  Private/Admin
+router.post('/transfers', transferValidation, createTransfer);
+
+// @route   PUT /api/admin/warehouses/transfers/:id/receive
+// @desc    Receive a stock transfer at its destination
+// @access  Private/Admin
+router.put('/transfers/:id/receive', receiveTransfer);
+
+// @route   PUT /api/admin/warehouses/transfers/:id/cancel
+// @desc    Cancel a stock transfer still in transit
+// @access  Private/Admin
+router.put('/transfers/:id/cancel', cancelTransfer);
+
+// @route   GET /api/admin/warehouses/products/:productId/stock
+// @desc    Per-warehouse stock breakdown for a product
+// @access  Private/Admin
+router.get('/products/:productId/stock', getProductStock);
+
+// @route   GET /api/admin/warehouses/:id
+// @desc    Get warehouse by ID
+// @access  Private/Admin
+router.get('/:id', getWarehouse);
+
+// @route   POST /api/admin/warehouses
+// @desc    Create warehouse
+// @access  Private/Admin
+router.post('/', warehouseValidation, createWarehouse);
+
+// @route   PUT /api/admin/warehouses/:id
+// @desc    Update warehouse
+// @access  Private/Admin
+router.put('/:id', warehouseValidation, updateWarehouse);
+
+// @route   DELETE /api/admin/warehouses/:id
+// @desc    Delete warehouse
+// @access  Private/Admin
+router.delete('/:id', deleteWarehouse);
+
+// @route   GET /api/admin/warehouses/:id/stock
+// @desc    Get stock held at a warehouse
+// @access  Private/Admin
+router.get('/:id/stock', getWarehouseStock);
+
+// @route   PUT /api/admin/warehouses/:id/stock/:productId
+// @desc    Set the stock of a product at a warehouse
+// @access  Private/Admin
+router.put('/:id/stock/:productId', stockValidation, setWarehouseStock);
+
+export default router;
@@ -0,0 +1,45 @@
+import express from 'express';
+import { param, query } from 'express-validator';
+import {
+  getWebhookEvents,
+  getWebhookEvent,
+  replayWebhookEvent
+} from '../controllers/webhookEventController.js';
+import { WEBHOOK_EVENT_STATUSES } from '../models/WebhookEvent.js';
+import { protect, admin } from '../middleware/auth.js';
+import { handleValidationErrors } from '../middleware/validation.js';
+
+const router = express.Router();
+
+// All routes require authentication and admin privileges
+router.use(protect);
+router.use(admin);
+
+const listValidation = [
+  query('status').optional().isIn(WEBHOOK_EVENT_STATUSES).withMessage('Invalid status'),
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive integer'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  handleValidationErrors
+];
+
+const idValidation = [
+  param('id').isMongoId().withMessage('Invalid webhook event ID'),
+  handleValidationErrors
+];
+
+// @route   GET /api/admin/webhook-events
+// @desc    Get webhook events
+// @access  Private/Admin
+router.get('/', listValidation, getWebhookEvents);
+
+// @route   GET /api/admin/webhook-events/:id
+// @desc    Get webhook event by ID
+// @access  Private/Admin
+router.get('/:id', idValidation, getWebhookEvent);
+
+// @route   POST /api/admin/webhook-events/:id/replay
+// @desc    Replay a failed or dead-lettered webhook event
+// @access  Private/Admin
+router.post('/:id/replay', idValidation, replayWebhookEvent);
+
+export default router;
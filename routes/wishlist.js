@@ -4,7 +4,8 @@ import {
   addToWishlist, 
   removeFromWishlist, 
   clearWishlist,
-  checkWishlistStatus
+  checkWishlistStatus,
+  updateWishlistItem
 } from '../controllers/wishlistController.js';
 import { protect } from '../middleware/auth.js';
 
@@ -15,6 +16,7 @@ router.use(protect);
 
 router.get('/', getWishlist);
 router.post('/:productId', addToWishlist);
+router.patch('/:productId', updateWishlistItem);
 router.delete('/:productId', removeFromWishlist);
 router.delete('/', clearWishlist);
 router.get('/check/:productId', checkWishlistStatus);
@@ -12,6 +12,9 @@ import { sanitizeRequest } from './middleware/validation.js';
 
 // Import services
 import notificationService from './services/notificationService.js';
+import inventoryService from './services/inventoryService.js';
+import priceScheduleService from './services/priceScheduleService.js';
+import webhookEventService from './services/webhookEventService.js';
 
 // Import routes
 import authRoutes from './routes/auth.js';
@@ -21,7 +24,7 @@ import categoryRoutes from './routes/categories.js';
 import orderRoutes from './routes/orders.js';
 import uploadRoutes from './routes/upload.js';
 import customerRoutes from './routes/customers.js';
-// import paymentRoutes from './routes/payment.js';
+import paymentRoutes from './routes/payment.js';
 import webhookRoutes from './routes/webhooks.js';
 import settingsRoutes from './routes/settings.js';
 import wishlistRoutes from './routes/wishlist.js';
@@ -31,8 +34,20 @@ import recommendationRoutes from './routes/recommendationRoutes.js';
 import contactRoutes from './routes/contact.js';
 import userDashboardRoutes from './routes/userDashboard.js';
 import enhancedCartRoutes from './routes/enhancedCart.js';
+import couponRoutes from './routes/coupons.js';
+import promotionRoutes from './routes/promotions.js';
+import shippingZoneRoutes from './routes/shippingZones.js';
+import reportRoutes from './routes/reports.js';
+import invoiceRoutes from './routes/invoices.js';
+import warehouseRoutes from './routes/warehouses.js';
+import returnRoutes from './routes/returns.js';
+import vehicleRoutes from './routes/vehicles.js';
+import priceScheduleRoutes from './routes/priceSchedules.js';
+import paymentJobRoutes from './routes/paymentJobs.js';
+import webhookEventRoutes from './routes/webhookEvents.js';
+import disputeRoutes from './routes/disputes.js';
 import logger from './config/logger.js';
-// import paymentMonitoringService from './services/paymentMonitoring.js';
+import paymentMonitoringService from './services/paymentMonitoring.js';
 
 // Load environment variables
 dotenv.config();
@@ -126,7 +141,13 @@ app.use(cors({
 
 // Body parsing middleware with environment limits
 app.use(express.json({ 
-  limit: process.env.MAX_FILE_SIZE || '10mb'
+  limit: process.env.MAX_FILE_SIZE || '10mb',
+  // Gateways sign the exact bytes they send, so webhooks keep them
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
 }));
 app.use(express.urlencoded({ 
   extended: true, 
@@ -168,7 +189,7 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/admin/customers', customerRoutes);
-// app.use('/api/payment', paymentRoutes);
+app.use('/api/payment', paymentRoutes);
 app.use('/api/webhooks', webhookRoutes);
 app.use('/api/admin/settings', settingsRoutes);
 app.use('/api/wishlist', wishlistRoutes);
@@ -180,6 +201,18 @@ app.use('/api/contact', contactRoutes);
 // Phase 2.3 Enhanced Routes
 app.use('/api/user/dashboard', userDashboardRoutes);
 app.use('/api/cart', enhancedCartRoutes);
+app.use('/api/admin/coupons', couponRoutes);
+app.use('/api/admin/promotions', promotionRoutes);
+app.use('/api/admin/shipping-zones', shippingZoneRoutes);
+app.use('/api/admin/reports', reportRoutes);
+app.use('/api/admin/invoices', invoiceRoutes);
+app.use('/api/admin/warehouses', warehouseRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/vehicles', vehicleRoutes);
+app.use('/api/admin/price-schedules', priceScheduleRoutes);
+app.use('/api/admin/payment-jobs', paymentJobRoutes);
+app.use('/api/admin/webhook-events', webhookEventRoutes);
+app.use('/api/admin/disputes', disputeRoutes);
 
 // Health check endpoint with comprehensive status
 app.get(process.env.HEALTH_CHECK_ENDPOINT || '/health', async (req, res) => {
@@ -254,12 +287,21 @@ server.listen(PORT, () => {
     timestamp: new Date().toISOString()
   });
   
-  // Start payment monitoring service in production
+  // Release stock held for online payments that were never completed
+  inventoryService.startReservationSweep();
+
+  // Start and end scheduled prices and sales
+  priceScheduleService.startScheduleSweep();
+
+  // Retry webhook events that failed or were cut off part way
+  webhookEventService.startRetrySweep();
+  
+  // Start payment monitoring service in production. Every instance schedules
+  // the jobs; a lock lets only one of them run each job at a time.
   if (process.env.NODE_ENV === 'production' || process.env.ENABLE_PAYMENT_MONITORING === 'true') {
-    setTimeout(() => {
-      // paymentMonitoringService.start();
-      logger.info('Payment monitoring disabled in development');
-    }, 5000); // Start after 5 seconds to ensure server is ready
+    paymentMonitoringService.start();
+  } else {
+    logger.info('Payment monitoring disabled in development');
   }
 });
 
@@ -270,7 +312,10 @@ const gracefulShutdown = (signal) => {
   // Close Socket.IO connections
   notificationService.cleanup();
   
-  // paymentMonitoringService.stop();
+  paymentMonitoringService.stop();
+  inventoryService.stopReservationSweep();
+  priceScheduleService.stopScheduleSweep();
+  webhookEventService.stopRetrySweep();
   server.close(() => {
     logger.info('HTTP server closed');
     if (signal === 'SIGINT') {
@@ -0,0 +1,262 @@
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import categoryTreeService from './categoryTreeService.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+
+const TRUE_VALUES = ['true', 'yes', '1'];
+const FALSE_VALUES = ['false', 'no', '0'];
+
+const MAX_FACET_VALUES = 50;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Typed specifications declared by categories, e.g. tyre width or battery
+// capacity, and filtering and faceting products on them
+class AttributeService {
+  // A category's attributes including those inherited from its parents; a
+  // subcategory's own declaration of a key wins
+  async getAttributes(categoryId) {
+    if (!categoryId) return [];
+
+    const breadcrumbs = await categoryTreeService.getBreadcrumbs(categoryId);
+    if (breadcrumbs.length === 0) return [];
+
+    const categories = await Category.find({ _id: { $in: breadcrumbs.map(crumb => crumb._id) } })
+      .select('attributes')
+      .lean();
+    const declared = new Map(categories.map(category => [category._id.toString(), category.attributes || []]));
+
+    const attributes = new Map();
+    breadcrumbs.forEach(crumb => {
+      (declared.get(crumb._id.toString()) || []).forEach(attribute => attributes.set(attribute.key, attribute));
+    });
+
+    return [...attributes.values()]
+      .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.label.localeCompare(b.label));
+  }
+
+  // The value in the attribute's type, or undefined when it cannot be one
+  coerce(attribute, raw) {
+    if (isBlank(raw)) return undefined;
+
+    switch (attribute.type) {
+      case 'number': {
+        const number = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        return Number.isFinite(number) ? number : undefined;
+      }
+      case 'boolean': {
+        if (typeof raw === 'boolean') return raw;
+        const text = String(raw).trim().toLowerCase();
+        if (TRUE_VALUES.includes(text)) return true;
+        if (FALSE_VALUES.includes(text)) return false;
+        return undefined;
+      }
+      case 'enum': {
+        const text = String(raw).trim().toLowerCase();
+        return attribute.options.find(option => option.toLowerCase() === text);
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  describeProblem(attribute, value) {
+    const unit = attribute.unit ? ` ${attribute.unit}` : '';
+
+    if (value === undefined) {
+      if (attribute.type === 'number') return `${attribute.label} must be a number`;
+      if (attribute.type === 'boolean') return `${attribute.label} must be yes or no`;
+      return `${attribute.label} must be one of ${attribute.options.join(', ')}`;
+    }
+    if (attribute.type === 'number') {
+      if (attribute.min != null && value < attribute.min) return `${attribute.label} must be at least ${attribute.min}${unit}`;
+      if (attribute.max != null && value > attribute.max) return `${attribute.label} cannot be more than ${attribute.max}${unit}`;
+    }
+    return null;
+  }
+
+  // Check a product's specifications against its category's attributes.
+  // Declared attributes are stored in their type; anything else is kept as
+  // free-form text.
+  async normalizeSpecifications(categoryId, specifications) {
+    const attributes = await this.getAttributes(categoryId);
+    const entries = specifications instanceof Map ? [...specifications] : Object.entries(specifications || {});
+    const given = new Map(entries.filter(([, value]) => !isBlank(value)));
+
+    const normalized = {};
+    const errors = [];
+
+    attributes.forEach(attribute => {
+      if (!given.has(attribute.key)) {
+        if (attribute.required) {
+          errors.push({ field: `specifications.${attribute.key}`, message: `${attribute.label} is required` });
+        }
+        return;
+      }
+
+      const value = this.coerce(attribute, given.get(attribute.key));
+      const problem = this.describeProblem(attribute, value);
+      if (problem) {
+        errors.push({ field: `specifications.${attribute.key}`, message: problem });
+        return;
+      }
+      normalized[attribute.key] = value;
+    });
+
+    const declared = new Set(attributes.map(attribute => attribute.key));
+    given.forEach((value, key) => {
+      if (!declared.has(key)) normalized[key] = String(value);
+    });
+
+    if (errors.length > 0) {
+      throw new AppError('Some specifications are invalid', 400, 'INVALID_SPECIFICATIONS', { errors });
+    }
+    return normalized;
+  }
+
+  // Attribute filters from the query string, e.g.
+  // attributes[width]=195,205&attributes[rim][min]=15&attributes[run_flat]=true
+  // Enum and boolean attributes take values, number attributes values or a range.
+  parseFilters(raw, attributes) {
+    if (!raw || typeof raw !== 'object') return [];
+
+    const byKey = new Map(attributes.map(attribute => [attribute.key, attribute]));
+    const invalid = message => new AppError(message, 400, 'INVALID_ATTRIBUTE_FILTER');
+
+    return Object.entries(raw).map(([key, selection]) => {
+      const attribute = byKey.get(key);
+      if (!attribute) {
+        throw invalid(`Unknown attribute ${key}`);
+      }
+
+      const filter = { key, type: attribute.type };
+
+      if (selection && typeof selection === 'object' && !Array.isArray(selection)) {
+        if (attribute.type !== 'number') {
+          throw invalid(`${attribute.label} cannot be filtered by range`);
+        }
+        ['min', 'max'].forEach(bound => {
+          if (isBlank(selection[bound])) return;
+          const value = this.coerce(attribute, selection[bound]);
+          if (value === undefined) throw invalid(`${attribute.label} ${bound} must be a number`);
+          filter[bound] = value;
+        });
+        return filter;
+      }
+
+      const values = (Array.isArray(selection) ? selection : String(selection).split(','))
+        .map(value => String(value).trim())
+        .filter(Boolean);
+      filter.values = values.map(value => {
+        const typed = this.coerce(attribute, value);
+        if (typed === undefined) throw invalid(`${value} is not a valid ${attribute.label}`);
+        return typed;
+      });
+      return filter;
+    }).filter(filter => filter.values?.length > 0 || filter.min !== undefined || filter.max !== undefined);
+  }
+
+  // The category's attributes and the attribute filters asked for; filtering
+  // on attributes needs a category to say what they are
+  async resolveFilters(categoryId, raw) {
+    const hasFilters = raw && typeof raw === 'object' && Object.keys(raw).length > 0;
+    if (!categoryId) {
+      if (hasFilters) {
+        throw new AppError('Choose a category to filter by its attributes', 400, 'CATEGORY_REQUIRED');
+      }
+      return { attributes: [], attributeFilters: [] };
+    }
+
+    const attributes = await this.getAttributes(categoryId);
+    return { attributes, attributeFilters: this.parseFilters(raw, attributes) };
+  }
+
+  // Mongo conditions on the product's specifications. Values are matched as
+  // text too, for products saved before their category declared the attribute.
+  mongoConditions(filters) {
+    return filters.reduce((conditions, filter) => {
+      const condition = {};
+      if (filter.values) condition.$in = [...new Set([...filter.values, ...filter.values.map(String)])];
+      if (filter.min !== undefined) condition.$gte = filter.min;
+      if (filter.max !== undefined) condition.$lte = filter.max;
+      conditions[`specifications.${filter.key}`] = condition;
+      return conditions;
+    }, {});
+  }
+
+  specification(product, key) {
+    return product.specifications instanceof Map
+      ? product.specifications.get(key)
+      : product.specifications?.[key];
+  }
+
+  // Whether an in-memory product passes every attribute filter
+  matches(product, filters) {
+    return filters.every(filter => {
+      const value = this.specification(product, filter.key);
+      if (isBlank(value)) return false;
+      if (filter.values && !filter.values.map(String).includes(String(value))) return false;
+      if (filter.min !== undefined && !(Number(value) >= filter.min)) return false;
+      if (filter.max !== undefined && !(Number(value) <= filter.max)) return false;
+      return true;
+    });
+  }
+
+  // Facets over the products matching `match`: value counts for every
+  // filterable attribute and the range of number attributes. Each facet is
+  // counted with the other attribute filters applied but not its own, so
+  // picking one value still shows the others that can be added.
+  async buildFacets(match, attributes, filters = []) {
+    const filterable = attributes.filter(attribute => attribute.filterable !== false);
+    if (filterable.length === 0) return [];
+
+    const pipelines = {};
+    filterable.forEach(attribute => {
+      const field = `$specifications.${attribute.key}`;
+      const scoped = { $match: this.mongoConditions(filters.filter(filter => filter.key !== attribute.key)) };
+
+      pipelines[`values_${attribute.key}`] = [
+        scoped,
+        { $group: { _id: field, count: { $sum: 1 } } },
+        { $match: { _id: { $nin: [null, ''] } } },
+        { $sort: { count: -1, _id: 1 } },
+        { $limit: MAX_FACET_VALUES }
+      ];
+      if (attribute.type === 'number') {
+        pipelines[`range_${attribute.key}`] = [
+          scoped,
+          { $match: { [`specifications.${attribute.key}`]: { $type: 'number' } } },
+          { $group: { _id: null, min: { $min: field }, max: { $max: field } } }
+        ];
+      }
+    });
+
+    const [result] = await Product.aggregate([
+      { $match: match },
+      { $facet: pipelines }
+    ]);
+
+    return filterable.map(attribute => {
+      const facet = {
+        key: attribute.key,
+        label: attribute.label,
+        type: attribute.type,
+        ...(attribute.unit && { unit: attribute.unit }),
+        values: (result?.[`values_${attribute.key}`] || []).map(bucket => ({
+          value: bucket._id,
+          count: bucket.count
+        }))
+      };
+
+      if (attribute.type === 'number') {
+        const [range] = result?.[`range_${attribute.key}`] || [];
+        facet.min = range ? range.min : null;
+        facet.max = range ? range.max : null;
+        facet.values.sort((a, b) => Number(a.value) - Number(b.value));
+      }
+      return facet;
+    });
+  }
+}
+
+export default new AttributeService();
@@ -0,0 +1,208 @@
+import mongoose from 'mongoose';
+import Category from '../models/Category.js';
+import Product from '../models/Product.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+
+const TREE_FIELDS = 'name slug description image parentCategory sortOrder isActive';
+
+const DELETE_STRATEGIES = ['parent', 'category'];
+
+const bySortOrder = (a, b) => (a.sortOrder || 0) - (b.sortOrder || 0) || a.name.localeCompare(b.name);
+
+// The category hierarchy: nesting, breadcrumbs and everything below a category
+class CategoryTreeService {
+  // Every category keyed by id, with the ids of its children in sibling order.
+  // The catalogue is small enough to walk in memory.
+  async loadHierarchy() {
+    const categories = await Category.find().select(TREE_FIELDS).lean();
+    const byId = new Map(categories.map(category => [category._id.toString(), category]));
+    const children = new Map();
+
+    [...categories].sort(bySortOrder).forEach(category => {
+      const parentId = category.parentCategory?.toString();
+      // Children of a missing parent are shown at the top level
+      const key = parentId && byId.has(parentId) ? parentId : null;
+      if (!children.has(key)) children.set(key, []);
+      children.get(key).push(category._id.toString());
+    });
+
+    return { byId, children };
+  }
+
+  async findCategory(idOrSlug) {
+    const category = mongoose.Types.ObjectId.isValid(idOrSlug)
+      ? await Category.findById(idOrSlug)
+      : await Category.findOne({ slug: String(idOrSlug).toLowerCase() });
+
+    if (!category) {
+      throw new AppError('Category not found', 404);
+    }
+    return category;
+  }
+
+  // Nested categories in sibling order; inactive categories are left out
+  // together with everything under them unless asked for
+  async getTree({ includeInactive = false } = {}) {
+    const { byId, children } = await this.loadHierarchy();
+
+    const build = parentId => (children.get(parentId) || [])
+      .map(id => byId.get(id))
+      .filter(category => includeInactive || category.isActive)
+      .map(category => ({
+        ...category,
+        children: build(category._id.toString())
+      }));
+
+    return build(null);
+  }
+
+  // Ids of a category and every category below it
+  collectSubtree(hierarchy, categoryId) {
+    const ids = [];
+    const pending = [categoryId.toString()];
+    const seen = new Set();
+
+    while (pending.length > 0) {
+      const id = pending.shift();
+      if (seen.has(id)) continue;
+      seen.add(id);
+      ids.push(id);
+      pending.push(...(hierarchy.children.get(id) || []));
+    }
+    return ids;
+  }
+
+  async getSubtreeIds(categoryId) {
+    if (!mongoose.Types.ObjectId.isValid(categoryId)) {
+      throw new AppError('Invalid category', 400, 'INVALID_CATEGORY');
+    }
+    const hierarchy = await this.loadHierarchy();
+    return this.collectSubtree(hierarchy, categoryId);
+  }
+
+  // Product filter for a category and all of its subcategories
+  async productFilter(categoryId) {
+    const ids = await this.getSubtreeIds(categoryId);
+    return { $in: ids.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  // Active subcategories of a category (the top-level categories without
+  // one), each counting the matching products anywhere below it
+  async getChildFacets(categoryId, productMatch) {
+    const hierarchy = await this.loadHierarchy();
+    const childIds = (hierarchy.children.get(categoryId ? categoryId.toString() : null) || [])
+      .filter(id => hierarchy.byId.get(id).isActive);
+
+    const counts = await Product.aggregate([
+      { $match: productMatch },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+    const countByCategory = new Map(counts.map(item => [item._id?.toString(), item.count]));
+
+    return childIds.map(id => {
+      const category = hierarchy.byId.get(id);
+      return {
+        _id: category._id,
+        name: category.name,
+        slug: category.slug,
+        parentCategory: category.parentCategory,
+        count: this.collectSubtree(hierarchy, id)
+          .reduce((sum, subId) => sum + (countByCategory.get(subId) || 0), 0)
+      };
+    });
+  }
+
+  // The path from the top-level category down to this one
+  async getBreadcrumbs(categoryId) {
+    const { byId } = await this.loadHierarchy();
+    const breadcrumbs = [];
+    const seen = new Set();
+    let current = byId.get(categoryId.toString());
+
+    while (current && !seen.has(current._id.toString())) {
+      seen.add(current._id.toString());
+      breadcrumbs.unshift({ _id: current._id, name: current.name, slug: current.slug });
+      current = current.parentCategory ? byId.get(current.parentCategory.toString()) : null;
+    }
+    return breadcrumbs;
+  }
+
+  // A category cannot sit under itself or anything below it
+  async assertValidParent(categoryId, parentId) {
+    if (!parentId) return;
+
+    const hierarchy = await this.loadHierarchy();
+    if (!hierarchy.byId.has(parentId.toString())) {
+      throw new AppError('Parent category not found', 404, 'PARENT_CATEGORY_NOT_FOUND');
+    }
+    if (categoryId && this.collectSubtree(hierarchy, categoryId).includes(parentId.toString())) {
+      throw new AppError(
+        'A category cannot be moved under itself or one of its subcategories',
+        400,
+        'CATEGORY_CYCLE'
+      );
+    }
+  }
+
+  // Delete a category. One with subcategories or products needs a strategy
+  // saying where they go: `parent` moves them up a level, `category` moves
+  // them to `target`, which must be outside the deleted category.
+  async deleteCategory(category, { strategy, target } = {}) {
+    const [childCount, productCount] = await Promise.all([
+      Category.countDocuments({ parentCategory: category._id }),
+      Product.countDocuments({ category: category._id })
+    ]);
+
+    if (childCount === 0 && productCount === 0) {
+      await category.deleteOne();
+      return { reassignedTo: null, children: 0, products: 0 };
+    }
+
+    if (!DELETE_STRATEGIES.includes(strategy)) {
+      throw new AppError(
+        `This category has ${childCount} subcategories and ${productCount} products; choose where they go`,
+        409,
+        'CATEGORY_NOT_EMPTY',
+        { children: childCount, products: productCount, strategies: DELETE_STRATEGIES }
+      );
+    }
+
+    let destination = null;
+    if (strategy === 'parent') {
+      destination = category.parentCategory || null;
+      if (!destination && productCount > 0) {
+        throw new AppError(
+          'A top-level category has no parent to take its products; move them to another category',
+          400,
+          'NO_PARENT_CATEGORY'
+        );
+      }
+    } else {
+      if (!target || !mongoose.Types.ObjectId.isValid(target)) {
+        throw new AppError('Choose the category to move everything to', 400, 'TARGET_CATEGORY_REQUIRED');
+      }
+      const hierarchy = await this.loadHierarchy();
+      if (!hierarchy.byId.has(target.toString())) {
+        throw new AppError('Target category not found', 404, 'TARGET_CATEGORY_NOT_FOUND');
+      }
+      if (this.collectSubtree(hierarchy, category._id).includes(target.toString())) {
+        throw new AppError(
+          'Cannot move everything into the category being deleted or one of its subcategories',
+          400,
+          'CATEGORY_CYCLE'
+        );
+      }
+      destination = target;
+    }
+
+    await Promise.all([
+      Category.updateMany({ parentCategory: category._id }, { parentCategory: destination }),
+      Product.updateMany({ category: category._id }, { category: destination })
+    ]);
+    await category.deleteOne();
+
+    return { reassignedTo: destination, children: childCount, products: productCount };
+  }
+}
+
+export default new CategoryTreeService();
@@ -0,0 +1,166 @@
+import Coupon from '../models/Coupon.js';
+import CouponRedemption from '../models/CouponRedemption.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+// Coupon validation, discount calculation and redemption tracking
+class CouponService {
+  // Validate a coupon code for a user's cart lines.
+  // Lines are plain objects: { product, category, brand, price, quantity }
+  async validateCoupon(code, { userId, lines, subtotal }) {
+    const coupon = await Coupon.findByCode(code);
+
+    if (!coupon || !coupon.isActive) {
+      throw new AppError('Invalid coupon code', 400, 'COUPON_INVALID');
+    }
+
+    const now = new Date();
+    if (coupon.validFrom && now < coupon.validFrom) {
+      throw new AppError('This coupon is not active yet', 400, 'COUPON_NOT_STARTED');
+    }
+    if (coupon.validUntil && now > coupon.validUntil) {
+      throw new AppError('This coupon has expired', 400, 'COUPON_EXPIRED');
+    }
+
+    if (coupon.usageLimit !== null && coupon.usedCount >= coupon.usageLimit) {
+      throw new AppError('This coupon has reached its usage limit', 400, 'COUPON_EXHAUSTED');
+    }
+
+    if (userId && await this.countRedemptionsBy(coupon._id, userId) >= coupon.usageLimitPerUser) {
+      throw new AppError('You have already used this coupon', 400, 'COUPON_ALREADY_USED');
+    }
+
+    if (subtotal < coupon.minCartValue) {
+      throw new AppError(
+        `Minimum order amount ₹${coupon.minCartValue} required`,
+        400,
+        'COUPON_MIN_CART_VALUE'
+      );
+    }
+
+    const eligibleLines = this.getEligibleLines(coupon, lines);
+    if (eligibleLines.length === 0) {
+      throw new AppError('This coupon is not applicable to any item in your cart', 400, 'COUPON_NOT_APPLICABLE');
+    }
+
+    return coupon;
+  }
+
+  // Check whether a single cart line is covered by the coupon's eligibility rules
+  isLineEligible(coupon, line) {
+    if (!coupon.hasEligibilityRules()) return true;
+
+    const productId = line.product?.toString();
+    const categoryId = line.category?.toString();
+
+    if (coupon.applicableProducts.some(id => id.toString() === productId)) {
+      return true;
+    }
+    if (categoryId && coupon.applicableCategories.some(id => id.toString() === categoryId)) {
+      return true;
+    }
+    if (line.brand && coupon.applicableBrands.some(
+      brand => brand.toLowerCase() === line.brand.toLowerCase()
+    )) {
+      return true;
+    }
+
+    return false;
+  }
+
+  getEligibleLines(coupon, lines) {
+    return lines.filter(line => this.isLineEligible(coupon, line));
+  }
+
+  // Discount only applies to eligible lines and never exceeds the cap or the eligible amount
+  calculateDiscount(coupon, lines) {
+    const eligibleSubtotal = this.getEligibleLines(coupon, lines)
+      .reduce((total, line) => total + line.price * line.quantity, 0);
+
+    if (eligibleSubtotal <= 0) return 0;
+
+    let discount = coupon.type === 'percentage'
+      ? Math.round((eligibleSubtotal * coupon.value) / 100)
+      : coupon.value;
+
+    if (coupon.maxDiscount !== null && coupon.maxDiscount !== undefined) {
+      discount = Math.min(discount, coupon.maxDiscount);
+    }
+
+    return Math.min(discount, eligibleSubtotal);
+  }
+
+  async countRedemptionsBy(couponId, userId) {
+    return await CouponRedemption.countDocuments({ coupon: couponId, user: userId });
+  }
+
+  // Record a redemption, enforcing the global and per-user limits. The usage
+  // count is taken atomically; the per-user limit is checked once the
+  // redemption is stored, and a redemption over it is withdrawn again.
+  async redeem({ code, userId, orderId, discount }) {
+    const now = new Date();
+    const failed = () => new AppError('Coupon is no longer valid for this order', 400, 'COUPON_REDEMPTION_FAILED');
+
+    const coupon = await Coupon.findOneAndUpdate(
+      {
+        code: code.trim().toUpperCase(),
+        isActive: true,
+        $and: [
+          { $or: [{ validFrom: null }, { validFrom: { $lte: now } }] },
+          { $or: [{ validUntil: null }, { validUntil: { $gte: now } }] },
+          { $or: [{ usageLimit: null }, { $expr: { $lt: ['$usedCount', '$usageLimit'] } }] }
+        ]
+      },
+      { $inc: { usedCount: 1 } },
+      { new: true }
+    );
+
+    if (!coupon) {
+      throw failed();
+    }
+
+    let redemption;
+    try {
+      redemption = await CouponRedemption.create({
+        coupon: coupon._id,
+        user: userId,
+        order: orderId,
+        discount,
+        redeemedAt: now
+      });
+    } catch (error) {
+      await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+      // The order has already redeemed a coupon
+      if (error.code === 11000) throw failed();
+      throw error;
+    }
+
+    if (await this.countRedemptionsBy(coupon._id, userId) > coupon.usageLimitPerUser) {
+      await this.revokeRedemption(orderId);
+      throw failed();
+    }
+
+    logger.info('Coupon redeemed', { code: coupon.code, userId, orderId, discount, redemptionId: redemption._id });
+    return coupon;
+  }
+
+  // Give the usage back when the order that consumed it is cancelled
+  async revokeRedemption(orderId) {
+    const redemption = await CouponRedemption.findOneAndDelete({ order: orderId });
+    if (!redemption) return null;
+
+    const coupon = await Coupon.findByIdAndUpdate(
+      redemption.coupon,
+      { $inc: { usedCount: -1 } },
+      { new: true }
+    );
+
+    if (coupon) {
+      logger.info('Coupon redemption revoked', { code: coupon.code, orderId });
+    }
+
+    return coupon;
+  }
+}
+
+export default new CouponService();
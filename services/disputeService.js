@@ -0,0 +1,441 @@
+import Dispute, { UNRESOLVED_DISPUTE_STATUSES } from '../models/Dispute.js';
+import Transaction from '../models/Transaction.js';
+import Order from '../models/Order.js';
+import User from '../models/User.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import notificationService from './notificationService.js';
+import paymentGatewayService from './paymentGatewayService.js';
+import jobRunService from './jobRunService.js';
+import { DISPUTE_EVIDENCE_FOLDER, isCloudinaryConfigured, uploadFileBuffer } from '../utils/cloudinaryUpload.js';
+
+// Admins are reminded this many hours before a dispute's response is due
+const REMINDER_HOURS = [72, 24];
+const MAX_EVIDENCE_FILES = 10;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Gateway dispute statuses that end a dispute. A dispute closed without a
+// decision leaves the store with the money, so it counts as won.
+const GATEWAY_OUTCOMES = {
+  won: 'won',
+  lost: 'lost',
+  closed: 'won'
+};
+
+// Chargebacks raised against payments: recorded from gateway webhooks,
+// answered by admins with evidence or accepted, and tracked to won or lost.
+// The outcome is copied onto the transaction and order for reports.
+class DisputeService {
+  // Record a dispute event from the gateway: a new dispute is opened, and a
+  // decision moves a known one to won or lost
+  async recordFromGateway(gatewayName, gatewayDispute, { ipAddress } = {}) {
+    let dispute = await Dispute.findOne({ gateway: gatewayName, gatewayDisputeId: gatewayDispute.id });
+
+    if (!dispute) {
+      dispute = await this.open(gatewayName, gatewayDispute, { ipAddress });
+      if (!dispute) return null;
+    } else {
+      dispute = await Dispute.findByIdAndUpdate(dispute._id, {
+        $set: {
+          gatewayStatus: gatewayDispute.status,
+          phase: gatewayDispute.phase,
+          respondBy: gatewayDispute.respondBy || dispute.respondBy
+        }
+      }, { new: true });
+    }
+
+    const outcome = GATEWAY_OUTCOMES[gatewayDispute.status];
+    if (outcome && dispute.canTransitionTo(outcome)) {
+      return this.resolve(dispute, outcome, null, { note: `Dispute ${gatewayDispute.status} at ${gatewayName}` });
+    }
+    if (gatewayDispute.status === 'under_review' && dispute.status === 'open') {
+      // Answered on the gateway's dashboard rather than here
+      return this.transition(dispute, 'submitted', null, {
+        note: `Under review at ${gatewayName}`,
+        updates: { submittedAt: new Date() }
+      });
+    }
+
+    return dispute;
+  }
+
+  async open(gatewayName, gatewayDispute, { ipAddress } = {}) {
+    const transaction = await Transaction.findOne({
+      gateway: gatewayName,
+      gatewayPaymentId: gatewayDispute.paymentId
+    });
+
+    if (!transaction) {
+      logger.warn('Transaction not found for dispute', {
+        gateway: gatewayName,
+        disputeId: gatewayDispute.id,
+        paymentId: gatewayDispute.paymentId
+      });
+      return null;
+    }
+
+    let dispute;
+    try {
+      dispute = await Dispute.create({
+        gateway: gatewayName,
+        gatewayDisputeId: gatewayDispute.id,
+        gatewayPaymentId: gatewayDispute.paymentId,
+        transaction: transaction._id,
+        order: transaction.orderId,
+        user: transaction.userId,
+        amount: gatewayDispute.amount,
+        currency: gatewayDispute.currency || transaction.currency,
+        reason: gatewayDispute.reason,
+        gatewayStatus: gatewayDispute.status,
+        phase: gatewayDispute.phase,
+        raisedAt: gatewayDispute.createdAt || new Date(),
+        respondBy: gatewayDispute.respondBy,
+        statusHistory: [{ to: 'open', note: `Raised at ${gatewayName}` }]
+      });
+    } catch (error) {
+      // Another delivery of the same dispute got there first
+      if (error.code !== 11000) throw error;
+      return Dispute.findOne({ gateway: gatewayName, gatewayDisputeId: gatewayDispute.id });
+    }
+
+    transaction.dispute = {
+      disputeId: gatewayDispute.id,
+      reason: dispute.reason,
+      amount: dispute.amount,
+      evidence: [],
+      status: 'open',
+      raisedAt: dispute.raisedAt,
+      respondBy: dispute.respondBy,
+      previousStatus: transaction.status
+    };
+
+    await transaction.addStatusUpdate('disputed', 'Payment disputed', {
+      webhook_event: 'dispute.created',
+      dispute_id: gatewayDispute.id,
+      reason: dispute.reason,
+      amount: dispute.amount,
+      webhook_ip: ipAddress
+    });
+
+    if (dispute.order) {
+      await Order.updateOne(
+        { _id: dispute.order },
+        { $set: { dispute: { id: dispute._id, status: 'open', amount: dispute.amount } } }
+      );
+    }
+
+    logger.error('Payment dispute opened', {
+      disputeId: dispute._id,
+      gatewayDisputeId: gatewayDispute.id,
+      transactionId: transaction.transactionId,
+      reason: dispute.reason,
+      amount: dispute.amount,
+      respondBy: dispute.respondBy
+    });
+
+    await this.notifyAdmins(dispute, 'opened');
+    return dispute;
+  }
+
+  assertCanTransition(dispute, status) {
+    if (!dispute.canTransitionTo(status)) {
+      throw new AppError(
+        `Dispute cannot move from ${dispute.status} to ${status}`,
+        400,
+        'INVALID_DISPUTE_TRANSITION',
+        { from: dispute.status, to: status }
+      );
+    }
+  }
+
+  // Move a dispute along its lifecycle; conditional on the current status so
+  // an admin and a gateway webhook cannot both move it. The new status is
+  // copied onto the transaction and order.
+  async transition(dispute, status, actor, { note, updates = {} } = {}) {
+    this.assertCanTransition(dispute, status);
+
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: dispute.status },
+      {
+        $set: { ...updates, status },
+        $push: { statusHistory: { from: dispute.status, to: status, actor, note, at: new Date() } }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new AppError('Dispute was updated by someone else, please reload', 409, 'DISPUTE_CONFLICT');
+    }
+
+    await this.syncPayment(updated);
+
+    logger.info('Dispute status changed', { disputeId: updated._id, from: dispute.status, to: status, actor });
+    return updated;
+  }
+
+  // Keep the transaction's and order's copy of the dispute current
+  async syncPayment(dispute) {
+    await Transaction.updateOne(
+      { _id: dispute.transaction, 'dispute.disputeId': dispute.gatewayDisputeId },
+      {
+        $set: {
+          'dispute.status': dispute.status,
+          'dispute.evidence': dispute.evidence.map(item => item.url),
+          'dispute.resolvedAt': dispute.resolvedAt
+        }
+      }
+    );
+
+    if (dispute.order) {
+      await Order.updateOne(
+        { _id: dispute.order, 'dispute.id': dispute._id },
+        { $set: { 'dispute.status': dispute.status, 'dispute.resolvedAt': dispute.resolvedAt } }
+      );
+    }
+  }
+
+  // End a dispute. A won dispute puts the payment back to where it was
+  // before; a lost one stays disputed, as the amount went back to the
+  // customer.
+  async resolve(dispute, outcome, actor, { note } = {}) {
+    const resolved = await this.transition(dispute, outcome, actor, {
+      note,
+      updates: { resolvedAt: new Date() }
+    });
+
+    const transaction = await Transaction.findById(resolved.transaction);
+    if (transaction && outcome === 'won' && transaction.status === 'disputed') {
+      await transaction.addStatusUpdate(transaction.dispute?.previousStatus || 'success', 'Dispute won', {
+        dispute_id: resolved.gatewayDisputeId
+      });
+    } else if (transaction && outcome === 'lost') {
+      await transaction.addStatusUpdate(transaction.status, 'Dispute lost', {
+        dispute_id: resolved.gatewayDisputeId,
+        amount: resolved.amount
+      });
+    }
+
+    logger.info('Dispute resolved', {
+      disputeId: resolved._id,
+      outcome,
+      amount: resolved.amount,
+      actor
+    });
+
+    await this.notifyAdmins(resolved, outcome);
+    return resolved;
+  }
+
+  async findDispute(id) {
+    const dispute = await Dispute.findById(id);
+    if (!dispute) {
+      throw new AppError('Dispute not found', 404);
+    }
+    return dispute;
+  }
+
+  async getDispute(id) {
+    const dispute = await Dispute.findById(id)
+      .populate('order', 'status total createdAt isPaid paidAt')
+      .populate('user', 'name email phone')
+      .populate('transaction', 'transactionId amount status method paymentDetails createdAt')
+      .populate('evidence.uploadedBy', 'name email')
+      .populate('statusHistory.actor', 'name email');
+
+    if (!dispute) {
+      throw new AppError('Dispute not found', 404);
+    }
+    return dispute;
+  }
+
+  // Disputes by status, the most urgent response first. Without a status,
+  // every dispute still waiting on an outcome.
+  async getDisputes({ status, page = 1, limit = 20 } = {}) {
+    const filter = { status: status || { $in: UNRESOLVED_DISPUTE_STATUSES } };
+
+    const [disputes, total] = await Promise.all([
+      Dispute.find(filter)
+        .select('-statusHistory')
+        .populate('order', 'status total createdAt')
+        .populate('user', 'name email')
+        .sort({ respondBy: 1, createdAt: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Dispute.countDocuments(filter)
+    ]);
+
+    return {
+      disputes,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Attach an evidence file: stored with the upload subsystem for admins and
+  // uploaded to the gateway to contest with
+  async addEvidence(id, file, { type, note }, adminId) {
+    const dispute = await this.findDispute(id);
+
+    if (dispute.status !== 'open') {
+      throw new AppError('Evidence can only be added to an open dispute', 400, 'DISPUTE_NOT_OPEN');
+    }
+    if (dispute.evidence.length >= MAX_EVIDENCE_FILES) {
+      throw new AppError(`A dispute can have at most ${MAX_EVIDENCE_FILES} evidence files`, 400);
+    }
+    if (!file) {
+      throw new AppError('No file uploaded', 400);
+    }
+    if (!isCloudinaryConfigured()) {
+      throw new AppError('Cloudinary configuration missing', 500);
+    }
+
+    const gateway = paymentGatewayService.get(dispute.gateway);
+    const uploaded = await uploadFileBuffer(file, { folder: DISPUTE_EVIDENCE_FOLDER });
+    const gatewayDocumentId = await gateway.uploadDisputeEvidence(file);
+
+    const updated = await Dispute.findOneAndUpdate(
+      { _id: dispute._id, status: 'open' },
+      {
+        $push: {
+          evidence: {
+            type,
+            url: uploaded.url,
+            public_id: uploaded.public_id,
+            resourceType: uploaded.resource_type,
+            filename: uploaded.filename,
+            mimetype: uploaded.mimetype,
+            size: uploaded.size,
+            gatewayDocumentId,
+            note,
+            uploadedBy: adminId
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new AppError('Dispute was updated by someone else, please reload', 409, 'DISPUTE_CONFLICT');
+    }
+
+    await this.syncPayment(updated);
+
+    logger.info('Dispute evidence added', { disputeId: updated._id, type, filename: uploaded.filename, adminId });
+    return updated;
+  }
+
+  // Contest the dispute at the gateway with the evidence attached so far
+  async submit(id, { summary }, adminId) {
+    const dispute = await this.findDispute(id);
+    this.assertCanTransition(dispute, 'submitted');
+
+    if (dispute.evidence.length === 0) {
+      throw new AppError('Attach evidence before submitting the dispute', 400, 'EVIDENCE_REQUIRED');
+    }
+
+    const gateway = paymentGatewayService.get(dispute.gateway);
+    const result = await gateway.contestDispute(dispute.gatewayDisputeId, {
+      amount: dispute.amount,
+      summary,
+      evidence: dispute.evidence
+    });
+
+    return this.transition(dispute, 'submitted', adminId, {
+      note: 'Evidence submitted',
+      updates: { summary, submittedAt: new Date(), gatewayStatus: result.status }
+    });
+  }
+
+  // Give the disputed amount up without contesting
+  async accept(id, { note } = {}, adminId) {
+    const dispute = await this.findDispute(id);
+    this.assertCanTransition(dispute, 'accepted');
+
+    const gateway = paymentGatewayService.get(dispute.gateway);
+    const result = await gateway.acceptDispute(dispute.gatewayDisputeId);
+
+    const accepted = await this.transition(dispute, 'accepted', adminId, {
+      note,
+      updates: { gatewayStatus: result.status }
+    });
+
+    // Gateways usually decide an accepted dispute straight away
+    if (GATEWAY_OUTCOMES[result.status] === 'lost') {
+      return this.resolve(accepted, 'lost', adminId, { note: `Accepted at ${dispute.gateway}` });
+    }
+    return accepted;
+  }
+
+  // Record a decision the gateway did not send a webhook for
+  async recordOutcome(id, { outcome, note }, adminId) {
+    const dispute = await this.findDispute(id);
+    return this.resolve(dispute, outcome, adminId, { note });
+  }
+
+  async getAdminIds() {
+    const admins = await User.find({ role: 'admin', isActive: true }).select('_id').lean();
+    return admins.map(user => user._id);
+  }
+
+  async notifyAdmins(dispute, event) {
+    try {
+      await notificationService.sendDisputeAlert(await this.getAdminIds(), dispute, event);
+    } catch (error) {
+      logger.error('Dispute notification failed', { disputeId: dispute._id, event, error: error.message });
+    }
+  }
+
+  // Remind admins of open disputes as their response deadline nears, once
+  // for each reminder window
+  async sendDeadlineReminders(progress = jobRunService.createProgress()) {
+    const now = Date.now();
+    const disputes = await Dispute.find({
+      status: 'open',
+      respondBy: { $gt: new Date(now), $lte: new Date(now + Math.max(...REMINDER_HOURS) * HOUR_MS) }
+    });
+
+    if (disputes.length === 0) return;
+    const adminIds = await this.getAdminIds();
+
+    for (const dispute of disputes) {
+      const hoursLeft = Math.ceil((dispute.respondBy.getTime() - now) / HOUR_MS);
+      const due = REMINDER_HOURS.filter(hours => hoursLeft <= hours && !dispute.remindersSent.includes(hours));
+      if (due.length === 0) continue;
+
+      progress.processed++;
+      try {
+        await notificationService.sendDisputeAlert(adminIds, dispute, 'deadline', { hoursLeft });
+        await Dispute.updateOne({ _id: dispute._id }, { $addToSet: { remindersSent: { $each: due } } });
+        progress.touched++;
+      } catch (error) {
+        progress.fail(dispute._id.toString(), error);
+        logger.error('Dispute reminder failed', { disputeId: dispute._id, error: error.message });
+      }
+    }
+  }
+
+  // Disputes raised in a period by status, for the revenue reports
+  async getSummary(raisedAt) {
+    const summary = await Dispute.aggregate([
+      { $match: raisedAt ? { raisedAt } : {} },
+      {
+        $group: {
+          _id: '$status',
+          count: { $sum: 1 },
+          amount: { $sum: '$amount' }
+        }
+      }
+    ]);
+
+    return summary.reduce((result, item) => {
+      result[item._id] = { count: item.count, amount: item.amount };
+      return result;
+    }, {});
+  }
+}
+
+export default new DisputeService();
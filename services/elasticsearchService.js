@@ -1,5 +1,7 @@
 import { Client } from '@elastic/elasticsearch';
 import logger from '../config/logger.js';
+import variantService from './variantService.js';
+import { collectPartNumberKeys, isPartNumberQuery, normalizePartNumber } from '../utils/partNumbers.js';
 
 class ElasticsearchService {
   constructor() {
@@ -80,6 +82,36 @@ class ElasticsearchService {
                 keyword: { type: 'keyword' }
               }
             },
+            sku: { type: 'keyword' },
+            oemNumbers: {
+              type: 'object',
+              properties: {
+                number: { type: 'keyword' },
+                brand: { type: 'text' }
+              }
+            },
+            crossReferences: {
+              type: 'object',
+              properties: {
+                number: { type: 'keyword' },
+                brand: { type: 'text' }
+              }
+            },
+            // Normalised SKU, variant SKU, OEM and cross-reference numbers for exact lookups
+            partNumbers: { type: 'keyword' },
+            variants: {
+              type: 'object',
+              properties: {
+                sku: { type: 'keyword' },
+                size: { type: 'keyword' },
+                color: { type: 'keyword' },
+                packQuantity: { type: 'integer' },
+                price: { type: 'float' },
+                stockQuantity: { type: 'integer' }
+              }
+            },
+            // Every price the product sells at, so price facets count variants
+            prices: { type: 'float' },
             category: {
               type: 'object',
               properties: {
@@ -109,9 +141,20 @@ class ElasticsearchService {
               type: 'text',
               analyzer: 'standard'
             },
+            // Kept for display only; typed values are searched through `attributes`
             specifications: {
               type: 'object',
-              dynamic: true
+              enabled: false
+            },
+            // Specifications as key/value pairs, numbers also as numbers, for
+            // attribute filters and facets
+            attributes: {
+              type: 'nested',
+              properties: {
+                key: { type: 'keyword' },
+                value: { type: 'keyword' },
+                number: { type: 'double' }
+              }
             },
             images: {
               type: 'object',
@@ -122,6 +165,13 @@ class ElasticsearchService {
             },
             isActive: { type: 'boolean' },
             isFeatured: { type: 'boolean' },
+            fitment: {
+              type: 'object',
+              properties: {
+                vehicle: { type: 'keyword' }
+              }
+            },
+            isUniversalFit: { type: 'boolean' },
             createdAt: { type: 'date' },
             updatedAt: { type: 'date' },
             popularity: { type: 'float' },
@@ -250,12 +300,18 @@ class ElasticsearchService {
         name: product.name,
         description: product.description,
         brand: product.brand,
+        sku: product.sku,
+        oemNumbers: product.oemNumbers || [],
+        crossReferences: product.crossReferences || [],
+        partNumbers: collectPartNumberKeys(product),
         category: {
           id: product.category?._id?.toString(),
           name: product.category?.name,
           path: product.category?.path
         },
         price: product.price,
+        prices: variantService.prices(product),
+        variants: this.buildVariantDocs(product),
         originalPrice: product.originalPrice,
         discount: product.discount,
         rating: product.rating || 0,
@@ -264,9 +320,12 @@ class ElasticsearchService {
         tags: product.tags || [],
         features: Array.isArray(product.features) ? product.features.join(' ') : product.features,
         specifications: product.specifications || {},
+        attributes: this.buildAttributeDocs(product),
         images: product.images || [],
         isActive: product.isActive,
         isFeatured: product.isFeatured,
+        fitment: (product.fitment || []).map(item => ({ vehicle: item.vehicle.toString() })),
+        isUniversalFit: Boolean(product.isUniversalFit),
         createdAt: product.createdAt,
         updatedAt: product.updatedAt,
         popularity: product.popularity || 0,
@@ -290,6 +349,34 @@ class ElasticsearchService {
     }
   }
 
+  // Active variants as indexed for facets
+  buildVariantDocs(product) {
+    return (product.variants || [])
+      .filter(variant => variant.isActive !== false)
+      .map(variant => ({
+        sku: variant.sku,
+        size: variant.size,
+        color: variant.color,
+        packQuantity: variant.packQuantity,
+        price: variant.price,
+        stockQuantity: variant.stockQuantity
+      }));
+  }
+
+  buildAttributeDocs(product) {
+    const specifications = product.specifications instanceof Map
+      ? [...product.specifications]
+      : Object.entries(product.specifications || {});
+
+    return specifications
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([key, value]) => ({
+        key,
+        value: String(value),
+        ...(typeof value === 'number' && { number: value })
+      }));
+  }
+
   // Bulk index products
   async bulkIndexProducts(products) {
     if (!this.isEnabled || !products.length) return;
@@ -309,12 +396,18 @@ class ElasticsearchService {
           name: product.name,
           description: product.description,
           brand: product.brand,
+          sku: product.sku,
+          oemNumbers: product.oemNumbers || [],
+          crossReferences: product.crossReferences || [],
+          partNumbers: collectPartNumberKeys(product),
           category: {
             id: product.category?._id?.toString(),
             name: product.category?.name,
             path: product.category?.path
           },
           price: product.price,
+          prices: variantService.prices(product),
+          variants: this.buildVariantDocs(product),
           originalPrice: product.originalPrice,
           discount: product.discount,
           rating: product.rating || 0,
@@ -323,9 +416,12 @@ class ElasticsearchService {
           tags: product.tags || [],
           features: Array.isArray(product.features) ? product.features.join(' ') : product.features,
           specifications: product.specifications || {},
+          attributes: this.buildAttributeDocs(product),
           images: product.images || [],
           isActive: product.isActive,
           isFeatured: product.isFeatured,
+          fitment: (product.fitment || []).map(item => ({ vehicle: item.vehicle.toString() })),
+          isUniversalFit: Boolean(product.isUniversalFit),
           createdAt: product.createdAt,
           updatedAt: product.updatedAt,
           popularity: product.popularity || 0,
@@ -372,7 +468,7 @@ class ElasticsearchService {
       const from = (page - 1) * limit;
 
       // Build search query
-      const searchQuery = this.buildSearchQuery(query, filters);
+      const searchQuery = this.buildSearchQuery(query, filters, options);
       
       // Build sort options
       const sort = this.buildSortOptions(sortBy, sortOrder);
@@ -391,7 +487,7 @@ class ElasticsearchService {
               brand: { number_of_fragments: 0 }
             }
           },
-          aggregations: this.buildAggregations(filters)
+          aggregations: this.buildAggregations(filters, query, options)
         }
       };
 
@@ -420,7 +516,7 @@ class ElasticsearchService {
   }
 
   // Build complex search query
-  buildSearchQuery(query, filters) {
+  buildSearchQuery(query, filters, options = {}) {
     const must = [];
     const filter = [];
     const should = [];
@@ -430,6 +526,10 @@ class ElasticsearchService {
       const textQuery = {
         bool: {
           should: [
+            // Exact part number match, ignoring dashes and spaces
+            ...(isPartNumberQuery(query)
+              ? [{ term: { partNumbers: { value: normalizePartNumber(query), boost: 10 } } }]
+              : []),
             // Exact match boost
             {
               multi_match: {
@@ -476,7 +576,7 @@ class ElasticsearchService {
     filter.push({ term: { isActive: true } });
 
     if (filters.category) {
-      filter.push({ term: { 'category.id': filters.category } });
+      filter.push({ terms: { 'category.id': filters.categories || [filters.category] } });
     }
 
     if (filters.brand) {
@@ -506,6 +606,27 @@ class ElasticsearchService {
       filter.push({ terms: { 'tags.keyword': filters.tags } });
     }
 
+    (filters.attributes || []).forEach(attributeFilter => {
+      filter.push(this.buildAttributeFilter(attributeFilter));
+    });
+
+    if (filters.vehicle) {
+      filter.push({
+        bool: {
+          should: [
+            { term: { 'fitment.vehicle': filters.vehicle.toString() } },
+            { term: { isUniversalFit: true } }
+          ],
+          minimum_should_match: 1
+        }
+      });
+    }
+
+    // Parts that fit the customer's vehicle rank first
+    if (options.vehicle) {
+      should.push({ term: { 'fitment.vehicle': { value: options.vehicle.toString(), boost: 3 } } });
+    }
+
     // Boost popular and featured products
     should.push(
       { term: { isFeatured: { value: true, boost: 1.5 } } },
@@ -544,9 +665,88 @@ class ElasticsearchService {
     }
   }
 
-  // Build aggregations for faceted search
-  buildAggregations(currentFilters) {
+  // Products whose specification matches one of the values and/or lies in the range
+  buildAttributeFilter({ key, values, min, max }) {
+    const conditions = [{ term: { 'attributes.key': key } }];
+    if (values) {
+      conditions.push({ terms: { 'attributes.value': values.map(String) } });
+    }
+    if (min !== undefined || max !== undefined) {
+      conditions.push({
+        range: {
+          'attributes.number': {
+            ...(min !== undefined && { gte: min }),
+            ...(max !== undefined && { lte: max })
+          }
+        }
+      });
+    }
+
+    return {
+      nested: {
+        path: 'attributes',
+        query: { bool: { filter: conditions } }
+      }
+    };
+  }
+
+  // Facet for one of the category's attributes. It runs over the search
+  // without the attribute's own filter, so picking a value still shows the
+  // others that can be added.
+  buildAttributeAggregation(attribute, query, currentFilters, options) {
+    const otherFilters = {
+      ...currentFilters,
+      attributes: (currentFilters.attributes || []).filter(item => item.key !== attribute.key)
+    };
+
+    return {
+      global: {},
+      aggs: {
+        scoped: {
+          filter: this.buildSearchQuery(query, otherFilters, options),
+          aggs: {
+            attribute: {
+              nested: { path: 'attributes' },
+              aggs: {
+                matching: {
+                  filter: { term: { 'attributes.key': attribute.key } },
+                  aggs: {
+                    values: {
+                      terms: {
+                        field: 'attributes.value',
+                        size: 50
+                      }
+                    },
+                    ...(attribute.type === 'number' && {
+                      range: {
+                        stats: { field: 'attributes.number' }
+                      }
+                    })
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    };
+  }
+
+  // Build aggregations for faceted search. `currentFilters.attributeSchema`
+  // holds the category's attributes, each filterable one becoming an
+  // `attribute_<key>` facet.
+  buildAggregations(currentFilters = {}, query = '', options = {}) {
+    const attributeAggregations = Object.fromEntries(
+      (currentFilters.attributeSchema || [])
+        .filter(attribute => attribute.filterable !== false)
+        .map(attribute => [
+          `attribute_${attribute.key}`,
+          this.buildAttributeAggregation(attribute, query, currentFilters, options)
+        ])
+    );
+
     return {
+      ...attributeAggregations,
       brands: {
         terms: {
           field: 'brand.keyword',
@@ -559,9 +759,28 @@ class ElasticsearchService {
           size: 10
         }
       },
+      sizes: {
+        terms: {
+          field: 'variants.size',
+          size: 20
+        }
+      },
+      colors: {
+        terms: {
+          field: 'variants.color',
+          size: 20
+        }
+      },
+      pack_quantities: {
+        terms: {
+          field: 'variants.packQuantity',
+          size: 10
+        }
+      },
+      // Over every variant price, so a product is counted in each range it sells in
       price_ranges: {
         range: {
-          field: 'price',
+          field: 'prices',
           ranges: [
             { to: 1000 },
             { from: 1000, to: 5000 },
@@ -585,17 +804,17 @@ class ElasticsearchService {
       },
       avg_price: {
         avg: {
-          field: 'price'
+          field: 'prices'
         }
       },
       max_price: {
         max: {
-          field: 'price'
+          field: 'prices'
         }
       },
       min_price: {
         min: {
-          field: 'price'
+          field: 'prices'
         }
       }
     };
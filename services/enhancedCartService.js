@@ -1,9 +1,18 @@
 import User from '../models/User.js';
 import Product from '../models/Product.js';
-import Cart from '../models/Cart.js';
+import Cart, { isSameLine } from '../models/Cart.js';
 import { AppError } from '../middleware/enhancedErrorHandler.js';
 import logger from '../config/logger.js';
 import notificationService from './notificationService.js';
+import couponService from './couponService.js';
+import promotionService from './promotionService.js';
+import settingsService from './settingsService.js';
+import taxService from './taxService.js';
+import fitmentService from './fitmentService.js';
+import garageService from './garageService.js';
+import variantService from './variantService.js';
+import priceHistoryService from './priceHistoryService.js';
+import { lineKey } from '../utils/stockItems.js';
 
 class EnhancedCartService {
   constructor() {
@@ -11,6 +20,7 @@ class EnhancedCartService {
     this.cacheTimeout = 300000; // 5 minutes
     this.priceCheckInterval = 3600000; // 1 hour
     this.stockCheckInterval = 600000; // 10 minutes
+    this.lastPriceCheckAt = null;
     
     // Start background monitoring
     this.startBackgroundMonitoring();
@@ -29,7 +39,7 @@ class EnhancedCartService {
       let cart = await Cart.findOne({ user: userId })
         .populate({
           path: 'items.product',
-          select: 'name images price originalPrice brand rating reviewCount stock isActive category specifications'
+          select: 'name images price originalPrice brand rating reviewCount stock isActive category specifications variants'
         })
         .lean();
 
@@ -55,8 +65,9 @@ class EnhancedCartService {
     }
   }
 
-  // Add item to cart with intelligence
-  async addToCart(userId, productId, quantity = 1, options = {}) {
+  // Add item to cart with intelligence. Products sold in variants need the
+  // variant the customer picked.
+  async addToCart(userId, productId, quantity = 1, options = {}, variantId = null) {
     try {
       // Validate product and stock
       const product = await Product.findById(productId);
@@ -64,8 +75,9 @@ class EnhancedCartService {
         throw new AppError('Product not available', 404);
       }
 
-      if (product.stock < quantity) {
-        throw new AppError(`Only ${product.stock} items available in stock`, 400);
+      const sellable = variantService.resolve(product, variantId);
+      if (sellable.stockQuantity < quantity) {
+        throw new AppError(`Only ${sellable.stockQuantity} items available in stock`, 400);
       }
 
       // Get or create cart
@@ -74,28 +86,36 @@ class EnhancedCartService {
         cart = new Cart({ user: userId, items: [] });
       }
 
+      // A converted cart starts a new shopping session
+      if (cart.isConverted) {
+        cart.isConverted = false;
+        cart.convertedAt = undefined;
+        cart.orderId = undefined;
+      }
+
       // Check if item already exists in cart
       const existingItemIndex = cart.items.findIndex(
-        item => item.product.toString() === productId.toString()
+        item => isSameLine(item, productId, sellable.variant)
       );
 
       if (existingItemIndex > -1) {
         // Update existing item
         const newQuantity = cart.items[existingItemIndex].quantity + quantity;
         
-        if (product.stock < newQuantity) {
-          throw new AppError(`Cannot add more items. Only ${product.stock} available`, 400);
+        if (sellable.stockQuantity < newQuantity) {
+          throw new AppError(`Cannot add more items. Only ${sellable.stockQuantity} available`, 400);
         }
 
         cart.items[existingItemIndex].quantity = newQuantity;
-        cart.items[existingItemIndex].price = product.price;
+        cart.items[existingItemIndex].price = sellable.price;
         cart.items[existingItemIndex].updatedAt = new Date();
       } else {
         // Add new item
         cart.items.push({
           product: productId,
+          variant: sellable.variant || undefined,
           quantity,
-          price: product.price,
+          price: sellable.price,
           options,
           addedAt: new Date()
         });
@@ -117,6 +137,7 @@ class EnhancedCartService {
       logger.info('Item added to cart', { 
         userId, 
         productId, 
+        variantId,
         quantity, 
         cartTotal: updatedCart.total 
       });
@@ -135,10 +156,10 @@ class EnhancedCartService {
   }
 
   // Update cart item quantity
-  async updateCartItem(userId, productId, quantity) {
+  async updateCartItem(userId, productId, quantity, variantId = null) {
     try {
       if (quantity <= 0) {
-        return await this.removeFromCart(userId, productId);
+        return await this.removeFromCart(userId, productId, variantId);
       }
 
       const product = await Product.findById(productId);
@@ -146,8 +167,9 @@ class EnhancedCartService {
         throw new AppError('Product not available', 404);
       }
 
-      if (product.stock < quantity) {
-        throw new AppError(`Only ${product.stock} items available`, 400);
+      const sellable = variantService.resolve(product, variantId);
+      if (sellable.stockQuantity < quantity) {
+        throw new AppError(`Only ${sellable.stockQuantity} items available`, 400);
       }
 
       const cart = await Cart.findOne({ user: userId });
@@ -156,7 +178,7 @@ class EnhancedCartService {
       }
 
       const itemIndex = cart.items.findIndex(
-        item => item.product.toString() === productId.toString()
+        item => isSameLine(item, productId, variantId)
       );
 
       if (itemIndex === -1) {
@@ -165,7 +187,7 @@ class EnhancedCartService {
 
       // Update item
       cart.items[itemIndex].quantity = quantity;
-      cart.items[itemIndex].price = product.price;
+      cart.items[itemIndex].price = sellable.price;
       cart.items[itemIndex].updatedAt = new Date();
 
       await this.updateCartTotals(cart);
@@ -195,7 +217,7 @@ class EnhancedCartService {
   }
 
   // Remove item from cart
-  async removeFromCart(userId, productId) {
+  async removeFromCart(userId, productId, variantId = null) {
     try {
       const cart = await Cart.findOne({ user: userId });
       if (!cart) {
@@ -204,7 +226,7 @@ class EnhancedCartService {
 
       const initialLength = cart.items.length;
       cart.items = cart.items.filter(
-        item => item.product.toString() !== productId.toString()
+        item => !isSameLine(item, productId, variantId)
       );
 
       if (cart.items.length === initialLength) {
@@ -269,30 +291,28 @@ class EnhancedCartService {
   // Apply coupon to cart
   async applyCoupon(userId, couponCode) {
     try {
-      const cart = await this.getCart(userId);
-      
-      // Validate coupon (this would integrate with a coupon service)
-      const coupon = await this.validateCoupon(couponCode, cart);
-      
-      if (!coupon) {
-        throw new AppError('Invalid or expired coupon', 400);
+      const cart = await Cart.findOne({ user: userId });
+      if (!cart || cart.items.length === 0) {
+        throw new AppError('Cart is empty', 400);
       }
 
+      const lines = await this.buildPricingLines(cart);
+      const coupon = await this.validateCoupon(couponCode, cart, lines);
+
       // Calculate discount
-      const discount = this.calculateCouponDiscount(coupon, cart);
-      
+      const discount = this.calculateCouponDiscount(coupon, lines);
+
       // Update cart with coupon
-      await Cart.findOneAndUpdate(
-        { user: userId },
-        {
-          $set: {
-            'coupon.code': couponCode,
-            'coupon.discount': discount,
-            'coupon.type': coupon.type,
-            discountAmount: discount
-          }
-        }
-      );
+      cart.coupon = {
+        couponId: coupon._id,
+        code: coupon.code,
+        discount,
+        type: coupon.type,
+        appliedAt: new Date()
+      };
+
+      await this.updateCartTotals(cart);
+      await cart.save();
 
       this.clearCartCache(userId);
       const updatedCart = await this.getCart(userId);
@@ -301,13 +321,13 @@ class EnhancedCartService {
       await notificationService.sendNotification(userId, {
         type: 'coupon',
         title: 'Coupon Applied!',
-        message: `You saved ₹${discount} with coupon ${couponCode}`,
+        message: `You saved ₹${discount} with coupon ${coupon.code}`,
         priority: 'medium'
       });
 
       logger.info('Coupon applied to cart', { 
         userId, 
-        couponCode, 
+        couponCode: coupon.code, 
         discount, 
         newTotal: updatedCart.finalTotal 
       });
@@ -325,7 +345,7 @@ class EnhancedCartService {
   }
 
   // Save cart for later (wishlist-like functionality)
-  async saveForLater(userId, productId) {
+  async saveForLater(userId, productId, variantId = null) {
     try {
       // Move item from cart to saved items
       const cart = await Cart.findOne({ user: userId });
@@ -334,7 +354,7 @@ class EnhancedCartService {
       }
 
       const itemIndex = cart.items.findIndex(
-        item => item.product.toString() === productId.toString()
+        item => isSameLine(item, productId, variantId)
       );
 
       if (itemIndex === -1) {
@@ -374,7 +394,7 @@ class EnhancedCartService {
   }
 
   // Move saved item back to cart
-  async moveToCart(userId, productId) {
+  async moveToCart(userId, productId, variantId = null) {
     try {
       const cart = await Cart.findOne({ user: userId });
       if (!cart || !cart.savedItems) {
@@ -382,7 +402,7 @@ class EnhancedCartService {
       }
 
       const savedItemIndex = cart.savedItems.findIndex(
-        item => item.product.toString() === productId.toString()
+        item => isSameLine(item, productId, variantId)
       );
 
       if (savedItemIndex === -1) {
@@ -397,9 +417,10 @@ class EnhancedCartService {
         throw new AppError('Product no longer available', 404);
       }
 
-      if (product.stock < savedItem.quantity) {
+      const sellable = variantService.resolve(product, savedItem.variant);
+      if (sellable.stockQuantity < savedItem.quantity) {
         // Adjust quantity if needed
-        savedItem.quantity = product.stock;
+        savedItem.quantity = sellable.stockQuantity;
         if (savedItem.quantity === 0) {
           throw new AppError('Product is out of stock', 400);
         }
@@ -410,7 +431,7 @@ class EnhancedCartService {
 
       // Add back to cart
       const existingItemIndex = cart.items.findIndex(
-        item => item.product.toString() === productId.toString()
+        item => isSameLine(item, productId, savedItem.variant)
       );
 
       if (existingItemIndex > -1) {
@@ -418,8 +439,9 @@ class EnhancedCartService {
       } else {
         cart.items.push({
           product: savedItem.product,
+          variant: savedItem.variant,
           quantity: savedItem.quantity,
-          price: product.price, // Use current price
+          price: sellable.price, // Use current price
           options: savedItem.options,
           addedAt: new Date()
         });
@@ -458,8 +480,11 @@ class EnhancedCartService {
       const cartBrands = [...new Set(cart.items.map(item => item.product.brand))];
       const cartProductIds = cart.items.map(item => item.product._id);
 
+      // Parts that fit the user's active vehicle are picked first from a wider pool
+      const vehicle = await garageService.getActiveVehicleId(userId);
+
       // Find related products
-      const recommendations = await Product.find({
+      const candidates = await Product.find({
         $and: [
           { isActive: true },
           { stock: { $gt: 0 } },
@@ -473,9 +498,10 @@ class EnhancedCartService {
         ]
       })
       .sort({ rating: -1, reviewCount: -1 })
-      .limit(8)
-      .select('name images price brand rating reviewCount category')
+      .limit(vehicle ? 24 : 8)
+      .select('name images price brand rating reviewCount category fitment isUniversalFit')
       .lean();
+      const recommendations = fitmentService.rankByFit(candidates, vehicle).slice(0, 8);
 
       // Add recommendation reasons
       const enhancedRecommendations = recommendations.map(product => ({
@@ -505,6 +531,9 @@ class EnhancedCartService {
     try {
       const cart = await this.getCart(userId);
       const issues = [];
+      // Fitment problems don't block checkout, the customer only gets warned
+      const warnings = [];
+      const garageVehicles = await garageService.getGarageVehicleIds(userId);
 
       if (cart.items.length === 0) {
         issues.push({
@@ -527,24 +556,52 @@ class EnhancedCartService {
           continue;
         }
 
-        if (product.stock < item.quantity) {
+        let sellable;
+        try {
+          sellable = variantService.resolve(product, item.variant);
+        } catch (error) {
+          if (!(error instanceof AppError)) throw error;
+          issues.push({
+            type: 'variant_unavailable',
+            productId: item.product._id,
+            variantId: item.variant,
+            productName: item.product.name,
+            message: error.message
+          });
+          continue;
+        }
+
+        if (sellable.stockQuantity < item.quantity) {
           issues.push({
             type: 'insufficient_stock',
             productId: item.product._id,
+            variantId: item.variant,
             productName: item.product.name,
             requestedQuantity: item.quantity,
-            availableStock: product.stock,
-            message: `Only ${product.stock} units of ${item.product.name} available`
+            availableStock: sellable.stockQuantity,
+            message: `Only ${sellable.stockQuantity} units of ${item.product.name} available`
           });
         }
 
-        if (product.price !== item.price) {
+        // Only parts with fitment data can be judged; unmapped parts are not flagged
+        if (garageVehicles.length > 0 && product.fitment?.length > 0 &&
+          !fitmentService.fitsAnyVehicle(product, garageVehicles)) {
+          warnings.push({
+            type: 'fitment_mismatch',
+            productId: item.product._id,
+            productName: item.product.name,
+            message: `${item.product.name} does not fit any vehicle in your garage`
+          });
+        }
+
+        if (sellable.price !== item.price) {
           issues.push({
             type: 'price_changed',
             productId: item.product._id,
+            variantId: item.variant,
             productName: item.product.name,
             oldPrice: item.price,
-            newPrice: product.price,
+            newPrice: sellable.price,
             message: `Price of ${item.product.name} has changed`
           });
         }
@@ -555,12 +612,14 @@ class EnhancedCartService {
       logger.info('Cart validation completed', { 
         userId, 
         isValid, 
-        issuesCount: issues.length 
+        issuesCount: issues.length,
+        warningsCount: warnings.length
       });
 
       return {
         isValid,
         issues,
+        warnings,
         cart: isValid ? cart : null
       };
 
@@ -583,14 +642,41 @@ class EnhancedCartService {
     cart.subtotal = subtotal;
     cart.itemCount = itemCount;
 
-    // Calculate tax (this would be based on your tax logic)
-    cart.taxAmount = Math.round(subtotal * 0.18); // 18% GST
+    // Calculate shipping from the store shipping settings
+    const shippingSettings = await settingsService.getSection('shipping');
+    cart.shippingAmount = subtotal === 0 || subtotal >= shippingSettings.freeShippingThreshold
+      ? 0
+      : shippingSettings.standardShippingRate;
+
+    const lines = cart.items.length > 0 ? await this.buildPricingLines(cart) : [];
+
+    // Pick the best combination of automatic promotions
+    const promotionResult = await promotionService.evaluateCart(lines);
+    cart.promotions = promotionResult.applied;
+    cart.promotionDiscount = promotionResult.totalDiscount;
+
+    // Re-price the applied coupon against the current cart contents
+    if (cart.coupon && cart.coupon.code) {
+      try {
+        const coupon = await this.validateCoupon(cart.coupon.code, cart, lines);
+        cart.coupon.discount = this.calculateCouponDiscount(coupon, lines);
+      } catch (error) {
+        if (!(error instanceof AppError)) {
+          throw error;
+        }
+        // Coupon no longer applies (expired, limit reached, eligible items removed)
+        logger.info('Coupon removed from cart', { cartId: cart._id, reason: error.message });
+        cart.coupon = undefined;
+      }
+    }
 
-    // Calculate shipping (this would be based on your shipping logic)
-    cart.shippingAmount = subtotal >= 500 ? 0 : 50;
+    // Apply discount (promotions and coupon together never exceed the subtotal)
+    const couponDiscount = cart.coupon ? cart.coupon.discount : 0;
+    cart.discountAmount = Math.min(cart.promotionDiscount + couponDiscount, subtotal);
 
-    // Apply discount
-    cart.discountAmount = cart.discountAmount || 0;
+    // GST on the discounted line values (split is decided at checkout from the shipping state)
+    const tax = await taxService.calculate(lines, { discount: cart.discountAmount });
+    cart.taxAmount = tax.totals.totalTax;
 
     // Calculate final total
     cart.finalTotal = cart.subtotal + cart.taxAmount + cart.shippingAmount - cart.discountAmount;
@@ -599,18 +685,47 @@ class EnhancedCartService {
     cart.updatedAt = new Date();
   }
 
+  // Resolve category and brand for each cart line so coupon and promotion rules can be evaluated
+  async buildPricingLines(cart) {
+    const productIds = cart.items.map(item => item.product?._id || item.product);
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('category brand')
+      .lean();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    return cart.items.map(item => {
+      const productId = (item.product?._id || item.product).toString();
+      const product = productMap.get(productId) || {};
+
+      return {
+        product: productId,
+        category: product.category,
+        brand: product.brand,
+        price: item.price,
+        quantity: item.quantity
+      };
+    });
+  }
+
   // Enhance cart data with additional information
   async enhanceCartData(cart) {
     // Add price change information
     for (const item of cart.items) {
       if (item.product) {
-        const currentProduct = await Product.findById(item.product._id).select('price originalPrice stock');
+        const currentProduct = await Product.findById(item.product._id).select('price originalPrice stockQuantity variants');
         if (currentProduct) {
-          item.currentPrice = currentProduct.price;
-          item.priceChanged = item.price !== currentProduct.price;
-          item.stockAvailable = currentProduct.stock >= item.quantity;
-          item.savings = item.product.originalPrice ? 
-            (item.product.originalPrice - item.product.price) * item.quantity : 0;
+          // Lines of products sold in variants are priced and stocked per variant
+          const variant = variantService.findVariant(currentProduct, item.variant);
+          const current = variant || currentProduct;
+          if (variant) {
+            item.variantLabel = variantService.label(variant);
+            item.sku = variant.sku;
+          }
+          item.currentPrice = current.price;
+          item.priceChanged = item.price !== current.price;
+          item.stockAvailable = current.stockQuantity >= item.quantity;
+          item.savings = current.originalPrice ?
+            (current.originalPrice - current.price) * item.quantity : 0;
         }
       }
     }
@@ -657,7 +772,7 @@ class EnhancedCartService {
           await notificationService.sendNotification(userId, {
             type: 'offer',
             title: 'Bundle Offer Available!',
-            message: `Save more by buying these items together`,
+            message: `Save more with ${bundleOffers[0].name} - complete the bundle for ₹${bundleOffers[0].bundlePrice}`,
             priority: 'medium'
           });
         }
@@ -686,25 +801,41 @@ class EnhancedCartService {
     }, this.stockCheckInterval);
   }
 
+  // Tell shoppers about cart items whose price changed since the last check,
+  // going by the recorded price history so each change is reported once
   async checkPriceChanges() {
+    const checkedAt = new Date();
+    const since = this.lastPriceCheckAt || new Date(checkedAt.getTime() - this.priceCheckInterval);
+
     try {
-      // Get all active carts
-      const carts = await Cart.find({ 'items.0': { $exists: true } })
+      const changes = await priceHistoryService.getChangesSince(since);
+      this.lastPriceCheckAt = checkedAt;
+      if (changes.size === 0) return;
+
+      const productIds = [...new Set([...changes.values()].map(change => change.product.toString()))];
+      const carts = await Cart.find({ 'items.product': { $in: productIds } })
         .populate('user', '_id')
-        .populate('items.product', '_id price name');
+        .populate('items.product', '_id name');
 
       for (const cart of carts) {
         for (const item of cart.items) {
-          if (item.product && item.price !== item.product.price) {
+          const change = item.product && changes.get(lineKey(item));
+          if (change && item.price !== change.price) {
             // Price changed - notify user
             await notificationService.sendNotification(cart.user._id, {
               type: 'price_change',
               title: 'Price Update',
-              message: `Price of ${item.product.name} in your cart has changed`,
+              message: `${item.product.name} in your cart is now ₹${change.price} (was ₹${item.price})`,
               priority: 'medium',
               action: {
                 type: 'view_cart',
                 url: '/cart'
+              },
+              data: {
+                productId: item.product._id,
+                variant: item.variant,
+                oldPrice: item.price,
+                newPrice: change.price
               }
             });
           }
@@ -763,7 +894,8 @@ class EnhancedCartService {
     if (cart.shippingAmount === 0) {
       insights.push('Free shipping applied!');
     } else {
-      const needed = 500 - cart.subtotal;
+      const { freeShippingThreshold } = await settingsService.getSection('shipping');
+      const needed = freeShippingThreshold - cart.subtotal;
       if (needed > 0) {
         insights.push(`Add ₹${needed} more for free shipping`);
       }
@@ -782,37 +914,29 @@ class EnhancedCartService {
     return 'Frequently bought together';
   }
 
-  async validateCoupon(couponCode, cart) {
-    // This would integrate with your coupon system
-    // For now, return a mock coupon
-    const mockCoupons = {
-      'SAVE10': { type: 'percentage', value: 10, minAmount: 500 },
-      'FLAT50': { type: 'fixed', value: 50, minAmount: 200 },
-      'NEWUSER': { type: 'percentage', value: 15, minAmount: 1000 }
-    };
-
-    const coupon = mockCoupons[couponCode];
-    if (!coupon) return null;
+  async validateCoupon(couponCode, cart, lines) {
+    const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
 
-    if (cart.subtotal < coupon.minAmount) {
-      throw new AppError(`Minimum order amount ₹${coupon.minAmount} required`, 400);
-    }
-
-    return coupon;
+    return await couponService.validateCoupon(couponCode, {
+      userId: cart.user,
+      lines,
+      subtotal
+    });
   }
 
-  calculateCouponDiscount(coupon, cart) {
-    if (coupon.type === 'percentage') {
-      return Math.round((cart.subtotal * coupon.value) / 100);
-    } else {
-      return coupon.value;
-    }
+  calculateCouponDiscount(coupon, lines) {
+    return couponService.calculateDiscount(coupon, lines);
   }
 
   async checkBundleOffers(cart, productId) {
-    // This would check for bundle offers
-    // Mock implementation
-    return [];
+    if (!productId) return [];
+
+    const lines = cart.items.map(item => ({
+      product: item.product?._id || item.product,
+      quantity: item.quantity
+    }));
+
+    return await promotionService.findBundleOffers(productId, lines);
   }
 
   clearCartCache(userId) {
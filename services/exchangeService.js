@@ -0,0 +1,325 @@
+import ReturnRequest from '../models/ReturnRequest.js';
+import Order from '../models/Order.js';
+import Transaction from '../models/Transaction.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import returnService from './returnService.js';
+import orderPricingService from './orderPricingService.js';
+import taxService from './taxService.js';
+import inventoryService from './inventoryService.js';
+import orderStatusService from './orderStatusService.js';
+import paymentGatewayService from './paymentGatewayService.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const lineTotal = (item) => item.taxableValue + (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0);
+
+// Exchanges of delivered parts for another part: a return request whose
+// credit goes towards a linked replacement order instead of a refund
+class ExchangeService {
+  // Price the replacement parts with GST for the original delivery address
+  async priceReplacements(order, replacements) {
+    const { items, lines } = await orderPricingService.priceItems({ items: replacements });
+    const tax = await taxService.calculate(lines, { shippingState: order.shippingAddress.state });
+
+    return items.map((item, index) => {
+      const { hsnCode, gstRate, taxableValue, cgst, sgst, igst } = tax.lines[index];
+      return { ...item, hsnCode, gstRate, taxableValue, cgst, sgst, igst };
+    });
+  }
+
+  async createExchange(userId, orderId, { items, replacements, comments, photos = [] }) {
+    const { order, eligibility } = await returnService.findReturnableOrder(userId, orderId);
+    const returnItems = returnService.buildReturnItems(order, eligibility, items);
+    const replacementItems = await this.priceReplacements(order, replacements);
+
+    const credit = roundCurrency(returnItems.reduce((sum, item) => sum + item.unitRefund * item.quantity, 0));
+    const replacementTotal = roundCurrency(replacementItems.reduce((sum, item) => sum + lineTotal(item), 0));
+
+    const request = await ReturnRequest.create({
+      rmaNumber: returnService.generateRmaNumber(order),
+      order: order._id,
+      user: userId,
+      type: 'exchange',
+      items: returnItems,
+      exchange: {
+        items: replacementItems,
+        priceDifference: roundCurrency(replacementTotal - credit)
+      },
+      comments,
+      photos,
+      statusHistory: [{ to: 'requested', actor: userId, note: comments }]
+    });
+
+    logger.info('Exchange requested', {
+      rmaNumber: request.rmaNumber,
+      orderId: order._id,
+      userId,
+      priceDifference: request.exchange.priceDifference
+    });
+    await returnService.notify(request, 'Exchange requested', `We have received exchange request ${request.rmaNumber}`);
+
+    return request;
+  }
+
+  async findExchange(id) {
+    const request = await returnService.findRequest(id);
+    if (request.type !== 'exchange') {
+      throw new AppError('Return request is not an exchange', 400, 'NOT_AN_EXCHANGE');
+    }
+    return request;
+  }
+
+  // Approving an exchange takes the replacement stock and places the linked
+  // replacement order straight away, before the original parts are picked up
+  async approve(id, adminId, { note } = {}) {
+    const request = await this.findExchange(id);
+    const original = await Order.findById(request.order);
+    const replacementItems = request.exchange.items.map(item => item.toObject());
+
+    const approved = await returnService.transition(request, 'approved', adminId, { note });
+
+    let warehouse;
+    let replacement;
+    try {
+      ({ warehouse } = await inventoryService.decrementStock(replacementItems, {
+        pincode: original.shippingAddress.zipCode
+      }));
+      replacement = await this.createReplacementOrder(approved, original, replacementItems, { warehouse, adminId });
+    } catch (error) {
+      if (warehouse !== undefined) {
+        await inventoryService.incrementStock(replacementItems, { warehouse });
+      }
+      // Put the request back so it can be approved again once stock arrives
+      await ReturnRequest.updateOne(
+        { _id: request._id, status: 'approved' },
+        { $set: { status: request.status }, $pop: { statusHistory: 1 } }
+      );
+      throw error;
+    }
+
+    approved.exchange.replacementOrder = replacement._id;
+    await approved.save();
+    await Order.updateOne({ _id: original._id }, { $addToSet: { childOrders: replacement._id } });
+
+    logger.info('Exchange approved', {
+      rmaNumber: approved.rmaNumber,
+      orderId: original._id,
+      replacementOrderId: replacement._id
+    });
+
+    await orderStatusService.notify(replacement, replacement.status);
+    await returnService.notify(
+      approved,
+      'Exchange approved',
+      replacement.exchange.amountDue > 0
+        ? `Your exchange ${approved.rmaNumber} has been approved. Pay ₹${replacement.exchange.amountDue} to ship the replacement.`
+        : `Your exchange ${approved.rmaNumber} has been approved and the replacement is on its way.`
+    );
+
+    return approved;
+  }
+
+  // The replacement is priced as agreed when the exchange was requested. It
+  // waits for the difference to be paid when it costs more than the credit.
+  async createReplacementOrder(request, original, items, { warehouse, adminId }) {
+    const credit = request.getReturnCredit();
+    const amountDue = Math.max(request.exchange.priceDifference, 0);
+    const now = new Date();
+
+    const sum = (field) => roundCurrency(items.reduce((total, item) => total + (item[field] || 0), 0));
+    const itemsPrice = roundCurrency(items.reduce((total, item) => total + item.price * item.quantity, 0));
+    const cgst = sum('cgst');
+    const sgst = sum('sgst');
+    const igst = sum('igst');
+    const status = amountDue > 0 ? 'pending' : 'confirmed';
+
+    const order = new Order({
+      user: original.user,
+      items,
+      shippingAddress: original.shippingAddress.toObject(),
+      paymentMethod: amountDue > 0 ? 'ONLINE' : original.paymentMethod,
+      itemsPrice,
+      taxPrice: roundCurrency(cgst + sgst + igst),
+      taxBreakdown: {
+        supplyType: original.taxBreakdown?.supplyType,
+        placeOfSupply: original.taxBreakdown?.placeOfSupply,
+        placeOfSupplyCode: original.taxBreakdown?.placeOfSupplyCode,
+        taxableValue: sum('taxableValue'),
+        cgst,
+        sgst,
+        igst
+      },
+      shippingPrice: 0,
+      shippingMethod: original.shippingMethod,
+      total: roundCurrency(itemsPrice + cgst + sgst + igst),
+      // Covered by the credit unless there is a difference to pay
+      isPaid: amountDue === 0,
+      paidAt: amountDue === 0 ? now : undefined,
+      status,
+      warehouse: warehouse || undefined,
+      parentOrder: original._id,
+      exchange: {
+        returnRequest: request._id,
+        credit,
+        amountDue
+      },
+      notes: `Replacement for order ${original.orderNumber} (${request.rmaNumber})`
+    });
+    order.statusHistory = [{
+      ...orderStatusService.initialEntry(status, adminId),
+      actorRole: 'admin',
+      reason: `Exchange ${request.rmaNumber} approved`
+    }];
+
+    return await order.save();
+  }
+
+  async findReplacementOrder(request, userId) {
+    if (request.user.toString() !== userId.toString()) {
+      throw new AppError('Not authorized to pay for this exchange', 403);
+    }
+
+    const order = request.exchange?.replacementOrder
+      ? await Order.findById(request.exchange.replacementOrder)
+      : null;
+    if (!order) {
+      throw new AppError('The exchange has not been approved yet', 400, 'EXCHANGE_NOT_APPROVED');
+    }
+    if (order.isPaid || !(order.exchange?.amountDue > 0)) {
+      throw new AppError('Nothing is left to pay for this exchange', 400, 'EXCHANGE_ALREADY_PAID');
+    }
+    if (order.status !== 'pending') {
+      throw new AppError(`The replacement order is ${order.status}`, 400, 'EXCHANGE_NOT_PAYABLE');
+    }
+    return order;
+  }
+
+  // Start the online payment of the price difference
+  async createPayment(id, user) {
+    const request = await this.findExchange(id);
+    const order = await this.findReplacementOrder(request, user._id);
+    const amount = order.exchange.amountDue;
+    const transactionId = `txn_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    const gateway = await paymentGatewayService.resolve();
+    const gatewayOrder = await paymentGatewayService.createOrder(gateway, {
+      amount,
+      currency: 'INR',
+      receipt: transactionId,
+      notes: {
+        user_id: user._id.toString(),
+        transaction_id: transactionId,
+        rma_number: request.rmaNumber
+      }
+    });
+
+    await Transaction.create({
+      transactionId,
+      orderId: order._id,
+      userId: user._id,
+      gateway: gateway.name,
+      gatewayTransactionId: gatewayOrder.id,
+      gatewayOrderId: gatewayOrder.id,
+      amount,
+      currency: 'INR',
+      type: 'payment',
+      method: 'card', // Updated during verification
+      status: 'initiated',
+      netAmount: amount,
+      customerInfo: {
+        email: user.email,
+        phone: user.phone
+      },
+      metadata: {
+        source: 'web',
+        correlationId: transactionId,
+        additionalData: {
+          returnRequest: request._id.toString(),
+          rmaNumber: request.rmaNumber
+        }
+      }
+    });
+
+    logger.info('Exchange payment created', { rmaNumber: request.rmaNumber, transactionId, amount });
+
+    return {
+      ...gatewayOrder.checkout,
+      id: gatewayOrder.id,
+      gateway: gateway.name,
+      transactionId
+    };
+  }
+
+  // Confirm the replacement order once the difference is captured.
+  // `callbackFields` is what the gateway's checkout posted back.
+  async verifyPayment(id, userId, { transactionId, ...callbackFields }) {
+    const request = await this.findExchange(id);
+    const order = await this.findReplacementOrder(request, userId);
+
+    const transaction = await Transaction.findOne({ transactionId, orderId: order._id });
+    if (!transaction) {
+      throw new AppError('Transaction not found', 404);
+    }
+
+    const { payment, paymentInfo } = await paymentGatewayService.confirmPayment(transaction, callbackFields);
+
+    // Only one verification may mark the order paid
+    const paid = await Order.findOneAndUpdate(
+      { _id: order._id, isPaid: false },
+      {
+        $set: {
+          isPaid: true,
+          paidAt: new Date(),
+          paymentInfo
+        }
+      },
+      { new: true }
+    );
+    if (!paid) {
+      throw new AppError('Nothing is left to pay for this exchange', 400, 'EXCHANGE_ALREADY_PAID');
+    }
+
+    transaction.gatewayPaymentId = payment.id;
+    transaction.method = payment.method;
+    transaction.paymentDetails = payment.details;
+    await transaction.addStatusUpdate('success', 'Exchange difference paid', { order_id: order._id });
+
+    logger.info('Exchange payment verified', { rmaNumber: request.rmaNumber, orderId: order._id, transactionId });
+
+    return await orderStatusService.transition(order._id, 'confirmed', {
+      actor: userId,
+      actorRole: 'customer',
+      reason: 'Exchange difference paid'
+    });
+  }
+
+  // Close the exchange after quality check, refunding the difference when the
+  // replacement cost less than the parts sent back
+  async complete(id, adminId, { reference, note } = {}) {
+    const request = await this.findExchange(id);
+    if (!request.canTransitionTo('exchanged')) {
+      throw new AppError(`Exchange cannot be completed while ${request.status}`, 400, 'INVALID_RETURN_TRANSITION');
+    }
+
+    const order = await Order.findById(request.order);
+    const refundDue = request.getRefundDue();
+
+    const updated = refundDue > 0
+      ? await returnService.payOut(request, order, adminId, { amount: refundDue, reference, status: 'exchanged' })
+      : await returnService.transition(request, 'exchanged', adminId, { note });
+
+    await returnService.completeOrderReturn(order, adminId);
+    await returnService.notify(
+      updated,
+      'Exchange completed',
+      refundDue > 0
+        ? `Exchange ${updated.rmaNumber} is complete and the difference of ₹${refundDue} is being refunded`
+        : `Exchange ${updated.rmaNumber} is complete`
+    );
+
+    return updated;
+  }
+}
+
+export default new ExchangeService();
@@ -0,0 +1,128 @@
+import mongoose from 'mongoose';
+import Vehicle from '../models/Vehicle.js';
+import Product from '../models/Product.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+
+// Vehicle catalogue lookups and which parts fit which vehicle
+class FitmentService {
+  async findVehicle(vehicleId) {
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      throw new AppError('Invalid vehicle', 400, 'INVALID_VEHICLE');
+    }
+
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+      throw new AppError('Vehicle not found', 404);
+    }
+    return vehicle;
+  }
+
+  // Product filter for parts that fit a vehicle, universal parts included
+  productFilter(vehicleId) {
+    return {
+      $or: [
+        { 'fitment.vehicle': new mongoose.Types.ObjectId(vehicleId.toString()) },
+        { isUniversalFit: true }
+      ]
+    };
+  }
+
+  // Whether a product fits a vehicle, with the fitment notes when it does
+  checkFit(product, vehicle) {
+    const vehicleId = vehicle._id.toString();
+    const entry = (product.fitment || []).find(item => (item.vehicle?._id || item.vehicle).toString() === vehicleId);
+
+    return {
+      vehicle: {
+        _id: vehicle._id,
+        displayName: vehicle.displayName
+      },
+      fits: Boolean(entry) || product.isUniversalFit === true,
+      universal: !entry && product.isUniversalFit === true,
+      position: entry?.position,
+      notes: entry?.notes
+    };
+  }
+
+  // Whether a product is mapped to any of the given vehicles (universal parts always fit)
+  fitsAnyVehicle(product, vehicleIds) {
+    if (product.isUniversalFit) return true;
+    const ids = new Set(vehicleIds.map(id => id.toString()));
+    return (product.fitment || []).some(item => ids.has((item.vehicle?._id || item.vehicle).toString()));
+  }
+
+  // Mark each product with whether it fits the vehicle and move the ones that
+  // do to the front, keeping the existing order otherwise
+  rankByFit(products, vehicleId) {
+    if (!vehicleId) return products;
+
+    const annotated = products.map(product => {
+      const plain = typeof product.toObject === 'function' ? product.toObject() : product;
+      return { ...plain, fitsVehicle: this.fitsAnyVehicle(plain, [vehicleId]) };
+    });
+    return [
+      ...annotated.filter(product => product.fitsVehicle),
+      ...annotated.filter(product => !product.fitsVehicle)
+    ];
+  }
+
+  // Catalogue filter from query parameters; `year` matches the variants on
+  // sale that year
+  vehicleFilter({ vehicleType, make, model, generation, fuelType, year } = {}) {
+    const filter = { isActive: true };
+    if (vehicleType) filter.vehicleType = vehicleType;
+    if (make) filter.make = make;
+    if (model) filter.model = model;
+    if (generation !== undefined) filter.generation = generation;
+    if (fuelType) filter.fuelType = fuelType;
+    if (year) {
+      filter.yearFrom = { $lte: Number(year) };
+      filter.$or = [{ yearTo: null }, { yearTo: { $gte: Number(year) } }];
+    }
+    return filter;
+  }
+
+  // Fitment entries name a single variant, or a make/model (and optionally a
+  // generation) to map every active variant of it at once
+  async resolveFitment(entries) {
+    const fitment = new Map();
+
+    for (const entry of entries) {
+      let vehicleIds;
+
+      if (entry.vehicle) {
+        const exists = await Vehicle.exists({ _id: entry.vehicle });
+        if (!exists) {
+          throw new AppError('Vehicle not found', 404, 'VEHICLE_NOT_FOUND', { vehicle: entry.vehicle });
+        }
+        vehicleIds = [entry.vehicle.toString()];
+      } else {
+        const vehicles = await Vehicle.find(this.vehicleFilter({
+          make: entry.make,
+          model: entry.model,
+          generation: entry.generation,
+          fuelType: entry.fuelType
+        })).select('_id').lean();
+
+        if (vehicles.length === 0) {
+          throw new AppError(`No vehicles match ${[entry.make, entry.model, entry.generation].filter(Boolean).join(' ')}`, 404, 'VEHICLE_NOT_FOUND');
+        }
+        vehicleIds = vehicles.map(vehicle => vehicle._id.toString());
+      }
+
+      vehicleIds.forEach(vehicle => fitment.set(vehicle, {
+        vehicle,
+        position: entry.position,
+        notes: entry.notes
+      }));
+    }
+
+    return [...fitment.values()];
+  }
+
+  async countFittingProducts(vehicleId) {
+    return await Product.countDocuments({ 'fitment.vehicle': vehicleId });
+  }
+}
+
+export default new FitmentService();
@@ -0,0 +1,163 @@
+import User from '../models/User.js';
+import Vehicle from '../models/Vehicle.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import fitmentService from './fitmentService.js';
+
+const MAX_GARAGE_VEHICLES = 10;
+const VEHICLE_FIELDS = 'make model generation variant fuelType yearFrom yearTo vehicleType';
+
+const normalizeRegistration = (registrationNumber) =>
+  registrationNumber ? registrationNumber.replace(/[\s-]/g, '').toUpperCase() : undefined;
+
+// The vehicles saved on a customer's profile ("My Garage")
+class GarageService {
+  async findUser(userId) {
+    const user = await User.findById(userId).select('garage activeVehicle');
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+    return user;
+  }
+
+  findEntry(user, entryId) {
+    const entry = user.garage.id(entryId);
+    if (!entry) {
+      throw new AppError('Vehicle not found in your garage', 404);
+    }
+    return entry;
+  }
+
+  async getGarage(userId) {
+    const user = await User.findById(userId)
+      .select('garage activeVehicle')
+      .populate('garage.vehicle', VEHICLE_FIELDS);
+    if (!user) {
+      throw new AppError('User not found', 404);
+    }
+
+    return {
+      activeVehicle: user.activeVehicle,
+      vehicles: user.garage
+    };
+  }
+
+  // The catalogue variant must exist and have been sold in the given year
+  async checkVehicle(vehicleId, year) {
+    const vehicle = await fitmentService.findVehicle(vehicleId);
+    if (!vehicle.isActive) {
+      throw new AppError('This vehicle is no longer in the catalogue', 400, 'VEHICLE_INACTIVE');
+    }
+    if (!vehicle.coversYear(year)) {
+      throw new AppError(
+        `${vehicle.displayName} was not made in ${year}`,
+        400,
+        'VEHICLE_YEAR_MISMATCH',
+        { yearFrom: vehicle.yearFrom, yearTo: vehicle.yearTo }
+      );
+    }
+    return vehicle;
+  }
+
+  ensureUniqueRegistration(user, registrationNumber, entryId) {
+    if (!registrationNumber) return;
+    const duplicate = user.garage.find(entry =>
+      entry.registrationNumber === registrationNumber && entry._id.toString() !== entryId?.toString()
+    );
+    if (duplicate) {
+      throw new AppError('This registration number is already in your garage', 400, 'DUPLICATE_REGISTRATION');
+    }
+  }
+
+  async addVehicle(userId, { vehicle, year, registrationNumber, nickname, odometerKm }) {
+    const user = await this.findUser(userId);
+    if (user.garage.length >= MAX_GARAGE_VEHICLES) {
+      throw new AppError(`You can save up to ${MAX_GARAGE_VEHICLES} vehicles`, 400, 'GARAGE_FULL');
+    }
+
+    await this.checkVehicle(vehicle, year);
+    const registration = normalizeRegistration(registrationNumber);
+    this.ensureUniqueRegistration(user, registration);
+
+    user.garage.push({ vehicle, year, registrationNumber: registration, nickname, odometerKm });
+    const entry = user.garage[user.garage.length - 1];
+
+    // The first vehicle becomes the active one
+    if (!user.activeVehicle) {
+      user.activeVehicle = entry._id;
+    }
+    await user.save();
+
+    logger.info('Vehicle added to garage', { userId, entryId: entry._id, vehicle });
+    return await this.getGarage(userId);
+  }
+
+  async updateVehicle(userId, entryId, { vehicle, year, registrationNumber, nickname, odometerKm }) {
+    const user = await this.findUser(userId);
+    const entry = this.findEntry(user, entryId);
+
+    if (vehicle !== undefined || year !== undefined) {
+      await this.checkVehicle(vehicle ?? entry.vehicle, year ?? entry.year);
+      if (vehicle !== undefined) entry.vehicle = vehicle;
+      if (year !== undefined) entry.year = year;
+    }
+    if (registrationNumber !== undefined) {
+      const registration = normalizeRegistration(registrationNumber);
+      this.ensureUniqueRegistration(user, registration, entry._id);
+      entry.registrationNumber = registration;
+    }
+    if (nickname !== undefined) entry.nickname = nickname;
+    if (odometerKm !== undefined) entry.odometerKm = odometerKm;
+
+    await user.save();
+    return await this.getGarage(userId);
+  }
+
+  async removeVehicle(userId, entryId) {
+    const user = await this.findUser(userId);
+    const entry = this.findEntry(user, entryId);
+
+    entry.deleteOne();
+    // Fall back to the most recently added vehicle left
+    if (user.activeVehicle?.toString() === entryId.toString()) {
+      user.activeVehicle = user.garage.length > 0 ? user.garage[user.garage.length - 1]._id : null;
+    }
+    await user.save();
+
+    logger.info('Vehicle removed from garage', { userId, entryId });
+    return await this.getGarage(userId);
+  }
+
+  async setActiveVehicle(userId, entryId) {
+    const user = await this.findUser(userId);
+    this.findEntry(user, entryId);
+
+    user.activeVehicle = entryId;
+    await user.save();
+    return await this.getGarage(userId);
+  }
+
+  // Catalogue vehicle id of the user's active garage entry, if any. A vehicle
+  // since removed from the catalogue counts as none.
+  async getActiveVehicleId(userId) {
+    if (!userId) return null;
+
+    const user = await User.findById(userId).select('garage activeVehicle').lean();
+    const entry = user?.garage?.find(item => item._id.toString() === user.activeVehicle?.toString());
+    if (!entry || !(await Vehicle.exists({ _id: entry.vehicle }))) return null;
+    return entry.vehicle;
+  }
+
+  // Number of customers with the vehicle saved in their garage
+  async countGaragesWith(vehicleId) {
+    return await User.countDocuments({ 'garage.vehicle': vehicleId });
+  }
+
+  // Catalogue vehicle ids of every vehicle in the user's garage
+  async getGarageVehicleIds(userId) {
+    const user = await User.findById(userId).select('garage.vehicle').lean();
+    return (user?.garage || []).map(entry => entry.vehicle);
+  }
+}
+
+export default new GarageService();
@@ -0,0 +1,324 @@
+import crypto from 'crypto';
+import {
+  getRazorpayInstance,
+  getRazorpayKeyId,
+  getRazorpayKeySecret,
+  isLocalRazorpay
+} from '../../config/razorpay.js';
+import { AppError } from '../../middleware/enhancedErrorHandler.js';
+
+const PAYMENT_METHODS = ['card', 'netbanking', 'upi', 'wallet', 'emi'];
+
+// Razorpay payment status -> Transaction status
+const PAYMENT_STATUSES = {
+  created: 'initiated',
+  authorized: 'authorized',
+  captured: 'success',
+  refunded: 'refunded',
+  failed: 'failed'
+};
+
+// Razorpay webhook event -> gateway-neutral event type
+const WEBHOOK_EVENTS = {
+  'payment.authorized': 'payment.authorized',
+  'payment.captured': 'payment.captured',
+  'payment.failed': 'payment.failed',
+  'order.paid': 'order.paid',
+  'refund.created': 'refund.created',
+  'refund.processed': 'refund.processed',
+  'refund.failed': 'refund.failed',
+  'payment.dispute.created': 'dispute.created',
+  'payment.dispute.under_review': 'dispute.under_review',
+  'payment.dispute.action_required': 'dispute.action_required',
+  'payment.dispute.won': 'dispute.won',
+  'payment.dispute.lost': 'dispute.lost',
+  'payment.dispute.closed': 'dispute.closed',
+  'settlement.processed': 'settlement.processed'
+};
+
+// Dispute evidence category -> Razorpay contest field
+const EVIDENCE_FIELDS = {
+  invoice: 'billing_proof',
+  delivery_proof: 'shipping_proof',
+  chat_log: 'customer_communication',
+  other: 'others'
+};
+
+const toRupees = paise => (paise || 0) / 100;
+const toPaise = rupees => Math.round(rupees * 100);
+const fromTimestamp = seconds => (seconds ? new Date(seconds * 1000) : undefined);
+
+const signaturesMatch = (expected, provided) => {
+  if (typeof provided !== 'string' || provided.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(provided));
+};
+
+// Razorpay behind the payment gateway interface. Amounts go in and come out
+// in rupees; payments, refunds and webhook events are returned in the
+// gateway-neutral shapes the rest of the app works with.
+class RazorpayGateway {
+  constructor() {
+    this.name = 'razorpay';
+    this.label = 'Razorpay';
+  }
+
+  isAvailable() {
+    if (isLocalRazorpay()) return true;
+    const keyId = process.env.RAZORPAY_KEY_ID;
+    const keySecret = process.env.RAZORPAY_KEY_SECRET;
+    return Boolean(keyId && keySecret && !keyId.includes('YOUR_') && !keySecret.includes('YOUR_'));
+  }
+
+  // Run an SDK call, turning its rejections into AppErrors that keep the
+  // gateway's HTTP status for retry decisions
+  async call(action) {
+    try {
+      return await action(getRazorpayInstance());
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+
+      const gatewayStatus = error.statusCode;
+      const message = error.error?.description || error.message || 'Payment gateway request failed';
+      throw new AppError(message, gatewayStatus >= 500 || gatewayStatus === 429 ? 502 : 400, 'GATEWAY_ERROR', {
+        gateway: this.name,
+        gatewayStatus,
+        gatewayCode: error.error?.code
+      });
+    }
+  }
+
+  // Gateway order for a checkout; `checkout` is what Razorpay Checkout needs
+  // on the client
+  async createOrder({ amount, currency = 'INR', receipt, notes = {} }) {
+    const order = await this.call(razorpay => razorpay.orders.create({
+      amount: toPaise(amount),
+      currency,
+      receipt,
+      notes
+    }));
+
+    return {
+      id: order.id,
+      amount: toRupees(order.amount),
+      currency: order.currency,
+      status: order.status,
+      checkout: {
+        key_id: getRazorpayKeyId(),
+        currency: order.currency,
+        amount: order.amount
+      }
+    };
+  }
+
+  // Check the fields Razorpay Checkout posts back after a payment. Returns
+  // the gateway order and payment ids and whether the signature holds.
+  verifyPayment({ razorpay_order_id: orderId, razorpay_payment_id: paymentId, razorpay_signature: signature } = {}) {
+    if (!orderId || !paymentId || !signature) {
+      throw new AppError('Missing payment verification data', 400);
+    }
+
+    const expected = crypto
+      .createHmac('sha256', getRazorpayKeySecret())
+      .update(`${orderId}|${paymentId}`)
+      .digest('hex');
+
+    return {
+      valid: signaturesMatch(expected, signature),
+      orderId,
+      paymentId,
+      paymentInfo: {
+        gateway: this.name,
+        razorpay_order_id: orderId,
+        razorpay_payment_id: paymentId,
+        razorpay_signature: signature
+      }
+    };
+  }
+
+  async fetchPayment(paymentId) {
+    const payment = await this.call(razorpay => razorpay.payments.fetch(paymentId));
+    return this.normalizePayment(payment);
+  }
+
+  async capturePayment(paymentId, amount, currency = 'INR') {
+    const payment = await this.call(razorpay => razorpay.payments.capture(paymentId, toPaise(amount), currency));
+    return this.normalizePayment(payment);
+  }
+
+  async refund(paymentId, { amount, notes = {} }) {
+    const refund = await this.call(razorpay => razorpay.payments.refund(paymentId, {
+      amount: toPaise(amount),
+      notes
+    }));
+    return this.normalizeRefund(refund);
+  }
+
+  // Upload a dispute evidence file to Razorpay. Returns the document id to
+  // contest with.
+  async uploadDisputeEvidence(file) {
+    const document = await this.call(razorpay => razorpay.documents.create({
+      file: { value: new File([file.buffer], file.originalname, { type: file.mimetype }) },
+      purpose: 'dispute_evidence'
+    }));
+    return document.id;
+  }
+
+  // Contest a dispute with the evidence uploaded for it and submit it for
+  // review
+  async contestDispute(disputeId, { amount, summary, evidence = [] }) {
+    const body = { amount: toPaise(amount), summary, action: 'submit' };
+    const others = [];
+
+    for (const item of evidence) {
+      if (!item.gatewayDocumentId) continue;
+      const field = EVIDENCE_FIELDS[item.type] || 'others';
+      if (field === 'others') {
+        others.push({ type: 'other_evidence', document_ids: [item.gatewayDocumentId] });
+      } else {
+        body[field] = [...(body[field] || []), item.gatewayDocumentId];
+      }
+    }
+    if (others.length > 0) body.others = others;
+
+    const dispute = await this.call(razorpay => razorpay.disputes.contest(disputeId, body));
+    return this.normalizeDispute(dispute);
+  }
+
+  async acceptDispute(disputeId) {
+    const dispute = await this.call(razorpay => razorpay.disputes.accept(disputeId));
+    return this.normalizeDispute(dispute);
+  }
+
+  // Verify a webhook delivery and turn it into a gateway-neutral event.
+  // Throws a 400 when the signature does not match.
+  parseWebhook({ body, rawBody, headers = {} }) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret) {
+      throw new AppError('Webhook not configured', 500, 'WEBHOOK_NOT_CONFIGURED');
+    }
+
+    const expected = crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+    if (!signaturesMatch(expected, headers['x-razorpay-signature'])) {
+      throw new AppError('Invalid signature', 400, 'INVALID_WEBHOOK_SIGNATURE', { event: body?.event });
+    }
+
+    const { event, payload = {} } = body;
+    const entity = name => payload[name]?.entity;
+    const parsed = {
+      id: headers['x-razorpay-event-id'],
+      gateway: this.name,
+      type: WEBHOOK_EVENTS[event] || event,
+      gatewayEvent: event
+    };
+
+    if (entity('payment')) parsed.payment = this.normalizePayment(entity('payment'));
+    if (entity('order')) {
+      const order = entity('order');
+      parsed.order = { id: order.id, status: order.status, amountPaid: toRupees(order.amount_paid) };
+    }
+    if (entity('refund')) parsed.refund = this.normalizeRefund(entity('refund'));
+    if (entity('dispute')) parsed.dispute = this.normalizeDispute(entity('dispute'));
+    if (entity('settlement')) {
+      const settlement = entity('settlement');
+      parsed.settlement = {
+        id: settlement.id,
+        paymentIds: settlement.entity_ids || [],
+        utr: settlement.utr,
+        createdAt: fromTimestamp(settlement.created_at)
+      };
+    }
+
+    const subject = parsed.refund || parsed.dispute || parsed.settlement || parsed.payment || parsed.order;
+    if (!subject) {
+      throw new AppError('Invalid webhook payload', 400);
+    }
+    parsed.entityId = subject.id;
+
+    return parsed;
+  }
+
+  normalizePayment(payment) {
+    return {
+      id: payment.id,
+      orderId: payment.order_id,
+      status: PAYMENT_STATUSES[payment.status] || 'pending',
+      gatewayStatus: payment.status,
+      amount: toRupees(payment.amount),
+      currency: payment.currency,
+      method: PAYMENT_METHODS.includes(payment.method) ? payment.method : 'card',
+      details: this.extractPaymentDetails(payment),
+      // Razorpay's fee already includes the GST charged on it
+      fees: payment.fee
+        ? {
+          gatewayFee: toRupees(payment.fee - (payment.tax || 0)),
+          serviceTax: toRupees(payment.tax),
+          totalFee: toRupees(payment.fee)
+        }
+        : null,
+      error: payment.error_code
+        ? { code: payment.error_code, message: payment.error_description, reason: payment.error_reason }
+        : null,
+      createdAt: fromTimestamp(payment.created_at)
+    };
+  }
+
+  normalizeRefund(refund) {
+    return {
+      id: refund.id,
+      paymentId: refund.payment_id,
+      amount: toRupees(refund.amount),
+      status: refund.status,
+      arn: refund.acquirer_data?.arn,
+      error: refund.error_code ? { code: refund.error_code, message: refund.error_description } : null,
+      createdAt: fromTimestamp(refund.created_at)
+    };
+  }
+
+  // Razorpay dispute statuses (open, under_review, won, lost, closed) are
+  // passed through as they are
+  normalizeDispute(dispute) {
+    return {
+      id: dispute.id,
+      paymentId: dispute.payment_id,
+      reason: dispute.reason_code,
+      amount: toRupees(dispute.amount),
+      currency: dispute.currency,
+      status: dispute.status,
+      phase: dispute.phase,
+      createdAt: fromTimestamp(dispute.created_at),
+      respondBy: fromTimestamp(dispute.respond_by)
+    };
+  }
+
+  extractPaymentDetails(payment) {
+    const details = {};
+
+    if (payment.method === 'card' && payment.card) {
+      details.cardLast4 = payment.card.last4;
+      details.cardNetwork = payment.card.network;
+      details.cardType = payment.card.type;
+      details.cardIssuer = payment.card.issuer;
+    }
+
+    if (payment.method === 'netbanking') {
+      details.bankName = payment.bank;
+    }
+
+    if (payment.method === 'upi') {
+      details.upiId = payment.vpa;
+    }
+
+    if (payment.method === 'wallet') {
+      details.walletName = payment.wallet;
+    }
+
+    if (payment.acquirer_data) {
+      details.authCode = payment.acquirer_data.auth_code;
+      details.rrn = payment.acquirer_data.rrn;
+    }
+
+    return details;
+  }
+}
+
+export default new RazorpayGateway();
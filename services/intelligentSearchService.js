@@ -3,17 +3,27 @@ import natural from 'natural';
 import Product from '../models/Product.js';
 import Category from '../models/Category.js';
 import elasticsearchService from './elasticsearchService.js';
+import categoryTreeService from './categoryTreeService.js';
+import attributeService from './attributeService.js';
+import fitmentService from './fitmentService.js';
+import garageService from './garageService.js';
+import partNumberService from './partNumberService.js';
+import variantService from './variantService.js';
+import { collectPartNumberKeys, isPartNumberQuery, normalizePartNumber } from '../utils/partNumbers.js';
 import logger from '../config/logger.js';
 
 class IntelligentSearchService {
   constructor() {
     this.fuseIndex = null;
+    // Normalised part number -> products, for exact lookups next to Fuse
+    this.partNumberIndex = new Map();
     this.stemmer = natural.PorterStemmer;
     this.analyzer = new natural.SentimentAnalyzer('English', 
       natural.PorterStemmer, ['negation']);
     this.synonyms = new Map();
     this.searchCache = new Map();
     this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+    this.vehicleFitBoost = 0.5;
     
     this.initializeSynonyms();
   }
@@ -46,7 +56,10 @@ class IntelligentSearchService {
           { name: 'brand', weight: 0.3 },
           { name: 'category.name', weight: 0.2 },
           { name: 'tags', weight: 0.15 },
-          { name: 'features', weight: 0.1 }
+          { name: 'features', weight: 0.1 },
+          { name: 'sku', weight: 0.4 },
+          { name: 'oemNumbers.number', weight: 0.4 },
+          { name: 'crossReferences.number', weight: 0.3 }
         ],
         threshold: 0.6,
         distance: 100,
@@ -59,6 +72,13 @@ class IntelligentSearchService {
       };
 
       this.fuseIndex = new Fuse(products, fuseOptions);
+
+      this.partNumberIndex = new Map();
+      products.forEach(product => {
+        collectPartNumberKeys(product).forEach(key => {
+          this.partNumberIndex.set(key, [...(this.partNumberIndex.get(key) || []), product]);
+        });
+      });
       logger.info('Fuse.js search index built successfully', { 
         productCount: products.length 
       });
@@ -141,8 +161,15 @@ class IntelligentSearchService {
     return Array.from(expandedWords).join(' ');
   }
 
-  // Intelligent search with multiple fallback strategies
+  // Intelligent search with multiple fallback strategies.
+  // `filters.vehicle` keeps only parts that fit a vehicle; `options.vehicle`
+  // (by default the user's active garage vehicle) ranks them first instead.
   async search(query, filters = {}, options = {}) {
+    if (options.userId && options.vehicle === undefined) {
+      const vehicle = await garageService.getActiveVehicleId(options.userId);
+      options = { ...options, vehicle: vehicle ? vehicle.toString() : null };
+    }
+
     const cacheKey = this.generateCacheKey(query, filters, options);
     
     // Check cache first
@@ -155,6 +182,18 @@ class IntelligentSearchService {
       this.searchCache.delete(cacheKey);
     }
 
+    // A category includes all of its subcategories, and its attributes can
+    // be filtered on as attributes[key]=a,b or attributes[key][min]=
+    const { attributes, attributeFilters } = await attributeService.resolveFilters(filters.category, filters.attributes);
+    if (filters.category) {
+      filters = {
+        ...filters,
+        categories: await categoryTreeService.getSubtreeIds(filters.category),
+        attributeSchema: attributes,
+        attributes: attributeFilters
+      };
+    }
+
     let results;
     let searchMethod = 'unknown';
 
@@ -242,6 +281,24 @@ class IntelligentSearchService {
         ...result.item,
         _score: 1 - result.score // Convert Fuse score to Elasticsearch-like score
       }));
+
+      // Exact part number hits outrank any fuzzy match
+      if (isPartNumberQuery(query)) {
+        const exact = this.partNumberIndex.get(normalizePartNumber(query)) || [];
+        const exactIds = new Set(exact.map(product => product._id.toString()));
+        results = [
+          ...exact.map(product => ({ ...product, _score: 2 })),
+          ...results.filter(product => !exactIds.has(product._id.toString()))
+        ];
+      }
+
+      if (options.vehicle) {
+        results.forEach(product => {
+          if (fitmentService.fitsAnyVehicle(product, [options.vehicle])) {
+            product._score += this.vehicleFitBoost;
+          }
+        });
+      }
     } else {
       // Get all products if no query
       const allProducts = await Product.find({ isActive: true })
@@ -293,6 +350,9 @@ class IntelligentSearchService {
         { tags: { $in: searchTerms } },
         { features: { $in: searchTerms } }
       ];
+
+      const partNumberCondition = partNumberService.buildCondition(query);
+      if (partNumberCondition) searchQuery.$or.push(partNumberCondition);
     }
 
     // Apply filters
@@ -330,9 +390,10 @@ class IntelligentSearchService {
     let filtered = results;
 
     if (filters.category) {
+      const categories = new Set(filters.categories || [filters.category]);
       filtered = filtered.filter(product => 
-        product.category?._id?.toString() === filters.category ||
-        product.category?.id === filters.category
+        categories.has(product.category?._id?.toString()) ||
+        categories.has(product.category?.id)
       );
     }
 
@@ -375,6 +436,18 @@ class IntelligentSearchService {
       );
     }
 
+    if (filters.vehicle) {
+      filtered = filtered.filter(product =>
+        fitmentService.fitsAnyVehicle(product, [filters.vehicle])
+      );
+    }
+
+    if (filters.attributes && filters.attributes.length > 0) {
+      filtered = filtered.filter(product =>
+        attributeService.matches(product, filters.attributes)
+      );
+    }
+
     return filtered;
   }
 
@@ -400,7 +473,7 @@ class IntelligentSearchService {
   // Apply filters to MongoDB query
   applyMongoFilters(query, filters) {
     if (filters.category) {
-      query.category = filters.category;
+      query.category = { $in: filters.categories || [filters.category] };
     }
 
     if (filters.brand) {
@@ -428,6 +501,14 @@ class IntelligentSearchService {
     if (filters.tags && filters.tags.length > 0) {
       query.tags = { $in: filters.tags };
     }
+
+    if (filters.vehicle) {
+      query.$and = [...(query.$and || []), fitmentService.productFilter(filters.vehicle)];
+    }
+
+    if (filters.attributes && filters.attributes.length > 0) {
+      Object.assign(query, attributeService.mongoConditions(filters.attributes));
+    }
   }
 
   // Build MongoDB sort options
@@ -483,6 +564,9 @@ class IntelligentSearchService {
       .map(([key, doc_count]) => ({ key, doc_count }))
       .sort((a, b) => b.doc_count - a.doc_count);
 
+    // Size, colour and pack quantity across variants
+    Object.assign(aggregations, variantService.buildFacets(results));
+
     return aggregations;
   }
 
@@ -533,7 +617,7 @@ class IntelligentSearchService {
 
     // Add personalization if user context is available
     if (options.userId) {
-      results.products = await this.personalizeResults(results.products, options.userId);
+      results.products = await this.personalizeResults(results.products, options.userId, options);
     }
 
     // Add related products
@@ -623,10 +707,10 @@ class IntelligentSearchService {
   }
 
   // Personalize search results based on user behavior
-  async personalizeResults(products, userId) {
-    // This would integrate with user behavior analytics
-    // For now, return original results
-    return products;
+  async personalizeResults(products, userId, { vehicle } = {}) {
+    // Parts for the user's active vehicle first; behaviour analytics would
+    // plug in here as well
+    return fitmentService.rankByFit(products, vehicle);
   }
 
   // Get related products
@@ -0,0 +1,235 @@
+import Product from '../models/Product.js';
+import Order from '../models/Order.js';
+import StockReservation from '../models/StockReservation.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import settingsService from './settingsService.js';
+import warehouseService from './warehouseService.js';
+import variantService from './variantService.js';
+import { mergeItems, productStockChange } from '../utils/stockItems.js';
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Stock levels, online payment holds and restocking. Every change is a single
+// conditional update so concurrent checkouts can never take the same unit twice.
+class InventoryService {
+  constructor() {
+    this.sweepTimer = null;
+  }
+
+  // Take stock for all items or none and return the warehouse it came from.
+  // With warehouses set up, the whole order ships from the nearest warehouse to
+  // the delivery pincode that has everything; otherwise product stock is used.
+  async decrementStock(items, { pincode } = {}) {
+    const merged = mergeItems(items);
+    const warehouses = await warehouseService.rankWarehouses(pincode);
+
+    if (warehouses.length === 0) {
+      await this.decrementProductStock(merged);
+      return { warehouse: null };
+    }
+
+    const candidates = await warehouseService.filterCanFulfil(warehouses, merged);
+    for (const warehouse of candidates) {
+      if (await warehouseService.takeStock(warehouse._id, merged)) {
+        return { warehouse: warehouse._id };
+      }
+    }
+
+    throw await this.outOfStockError(merged);
+  }
+
+  async outOfStockError(items) {
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+      .select('name stockQuantity isActive variants')
+      .lean();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    // Units left of the product, or of the variant for products sold in variants
+    const available = (item) => {
+      const product = productMap.get(item.product.toString());
+      if (!product || product.isActive === false) return 0;
+      if (!item.variant) return Math.max(product.stockQuantity, 0);
+      const variant = variantService.findVariant(product, item.variant);
+      return variant && variant.isActive ? Math.max(variant.stockQuantity, 0) : 0;
+    };
+
+    const short = items.find(item => available(item) < item.quantity);
+    if (short) {
+      const product = productMap.get(short.product.toString());
+      return new AppError(
+        `${product ? product.name : 'A product in your cart'} is out of stock`,
+        409,
+        'OUT_OF_STOCK',
+        { productId: short.product, variantId: short.variant, available: available(short) }
+      );
+    }
+
+    return new AppError(
+      'These items are not available together at any one warehouse, please order them separately',
+      409,
+      'OUT_OF_STOCK'
+    );
+  }
+
+  // Product level stock, used until warehouses are set up. Fails with
+  // OUT_OF_STOCK on the first product (or variant) that does not have enough
+  // left and puts back what was already taken.
+  async decrementProductStock(items) {
+    const taken = [];
+
+    for (const item of items) {
+      const { update } = productStockChange(item, -item.quantity);
+      const result = await Product.updateOne(
+        item.variant
+          ? {
+            _id: item.product,
+            isActive: { $ne: false },
+            variants: { $elemMatch: { _id: item.variant, isActive: { $ne: false }, stockQuantity: { $gte: item.quantity } } }
+          }
+          : { _id: item.product, isActive: { $ne: false }, stockQuantity: { $gte: item.quantity } },
+        update
+      );
+
+      if (result.modifiedCount === 0) {
+        if (taken.length > 0) {
+          await this.incrementStock(taken);
+        }
+
+        throw await this.outOfStockError([item]);
+      }
+
+      taken.push(item);
+    }
+
+    await Product.updateMany(
+      { _id: { $in: taken.map(item => item.product) }, stockQuantity: { $lte: 0 } },
+      { $set: { inStock: false } }
+    );
+  }
+
+  // Put stock back where it was taken from. Stock taken at product level
+  // (before warehouses were set up) goes to the top-ranked warehouse once
+  // there are any, so product stock stays the sum over warehouses.
+  async incrementStock(items, { warehouse } = {}) {
+    const merged = mergeItems(items);
+    const target = warehouse || (await warehouseService.rankWarehouses())[0]?._id;
+
+    if (target) {
+      await warehouseService.putStock(target, merged);
+      return;
+    }
+
+    await Promise.all(merged.map(item => {
+      const { filter, update } = productStockChange(item, item.quantity);
+      return Product.updateOne(filter, update);
+    }));
+  }
+
+  // Hold stock while the customer pays online
+  async reserve(items, { userId, reference, pincode }) {
+    const payment = await settingsService.getSection('payment');
+    const merged = mergeItems(items);
+
+    const { warehouse } = await this.decrementStock(merged, { pincode });
+
+    try {
+      const reservation = await StockReservation.create({
+        user: userId,
+        reference,
+        items: merged,
+        warehouse,
+        expiresAt: new Date(Date.now() + payment.stockHoldMinutes * 60 * 1000)
+      });
+
+      logger.info('Stock reserved', { reservationId: reservation._id, reference, expiresAt: reservation.expiresAt });
+      return reservation;
+    } catch (error) {
+      await this.incrementStock(merged, { warehouse });
+      throw error;
+    }
+  }
+
+  // Turn a hold into a sale. Returns null when the hold is gone (expired or
+  // released), in which case the caller has to take the stock again.
+  async commitReservation(reference, orderId) {
+    return await StockReservation.findOneAndUpdate(
+      { reference, status: 'held' },
+      { $set: { status: 'committed', order: orderId, committedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  // Give held stock back. Only the caller that moves the hold out of "held"
+  // restocks, so a release racing the expiry sweep cannot restock twice.
+  async releaseReservation(reference, reason) {
+    const reservation = await StockReservation.findOneAndUpdate(
+      { reference, status: 'held' },
+      { $set: { status: 'released', releasedAt: new Date(), releaseReason: reason } },
+      { new: true }
+    );
+
+    if (!reservation) return false;
+
+    await this.incrementStock(reservation.items, { warehouse: reservation.warehouse });
+    logger.info('Stock reservation released', { reservationId: reservation._id, reference, reason });
+
+    return true;
+  }
+
+  async releaseExpiredReservations() {
+    const expired = await StockReservation.find({ status: 'held', expiresAt: { $lte: new Date() } })
+      .select('reference')
+      .lean();
+
+    let released = 0;
+    for (const reservation of expired) {
+      if (await this.releaseReservation(reservation.reference, 'expired')) {
+        released++;
+      }
+    }
+
+    if (released > 0) {
+      logger.info('Expired stock reservations released', { count: released });
+    }
+
+    return released;
+  }
+
+  // Put a cancelled order's stock back. The order is flagged in the same
+  // conditional update, so repeated or concurrent cancels restock only once.
+  async restoreOrderStock(order) {
+    const result = await Order.updateOne(
+      { _id: order._id, stockRestoredAt: null },
+      { $set: { stockRestoredAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) return false;
+
+    await this.incrementStock(order.items, { warehouse: order.warehouse });
+    order.stockRestoredAt = new Date();
+    logger.info('Order stock restored', { orderId: order._id });
+
+    return true;
+  }
+
+  startReservationSweep() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(async () => {
+      try {
+        await this.releaseExpiredReservations();
+      } catch (error) {
+        logger.error('Stock reservation sweep failed', { error: error.message });
+      }
+    }, SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  stopReservationSweep() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+export default new InventoryService();
@@ -0,0 +1,343 @@
+import Invoice from '../models/Invoice.js';
+import Order from '../models/Order.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import settingsService from './settingsService.js';
+import { getStateCode } from '../utils/gst.js';
+
+const IST_OFFSET_MS = 330 * 60 * 1000;
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatAmount = (amount) => Number(amount || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+});
+
+const ONES = ['', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen', 'Nineteen'];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+const belowHundred = (n) => (n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim());
+
+const belowThousand = (n) => {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : ''].filter(Boolean).join(' ');
+};
+
+// Indian numbering system (lakh, crore)
+const numberToWords = (n) => {
+  if (n === 0) return 'Zero';
+  const parts = [];
+  const crore = Math.floor(n / 10000000);
+  const lakh = Math.floor((n % 10000000) / 100000);
+  const thousand = Math.floor((n % 100000) / 1000);
+  const rest = n % 1000;
+  if (crore) parts.push(`${numberToWords(crore)} Crore`);
+  if (lakh) parts.push(`${belowHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${belowHundred(thousand)} Thousand`);
+  if (rest) parts.push(belowThousand(rest));
+  return parts.join(' ');
+};
+
+const amountInWords = (amount) => {
+  const rupees = Math.floor(amount);
+  const paise = Math.round((amount - rupees) * 100);
+  return `Rupees ${numberToWords(rupees)}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+};
+
+// Tax invoices: gap-free numbering per financial year and HTML rendering
+class InvoiceService {
+  // Indian financial year (April-March) of a date, in IST
+  getFinancialYear(date = new Date()) {
+    const ist = new Date(date.getTime() + IST_OFFSET_MS);
+    const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  // COD orders are invoiced on delivery, prepaid orders once paid
+  isInvoiceable(order) {
+    if (order.status === 'cancelled') return false;
+    if (order.paymentMethod === 'COD') {
+      return order.status === 'delivered' || order.isDelivered;
+    }
+    return order.isPaid;
+  }
+
+  // Create the invoice for an order, or return the existing one
+  async generateForOrder(orderId) {
+    const existing = await Invoice.findOne({ order: orderId });
+    if (existing) return existing;
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+    if (!this.isInvoiceable(order)) {
+      throw new AppError('Invoice is available once the order is paid or delivered', 400, 'INVOICE_NOT_READY');
+    }
+
+    const settings = await settingsService.getSettings();
+    const issuedAt = new Date();
+    const financialYear = this.getFinancialYear(issuedAt);
+    const details = this.buildInvoiceDetails(order, settings);
+
+    // The next number is always last + 1; the unique (financialYear, sequence)
+    // index rejects a concurrent duplicate and we retry with the next number
+    for (let attempt = 1; attempt <= MAX_NUMBERING_ATTEMPTS; attempt++) {
+      const last = await Invoice.findOne({ financialYear })
+        .sort({ sequence: -1 })
+        .select('sequence')
+        .lean();
+      const sequence = (last?.sequence || 0) + 1;
+
+      try {
+        const invoice = await Invoice.create({
+          ...details,
+          invoiceNumber: `${settings.tax.invoicePrefix}/${financialYear}/${String(sequence).padStart(6, '0')}`,
+          financialYear,
+          sequence,
+          issuedAt
+        });
+
+        await Order.updateOne({ _id: order._id }, { $set: { invoice: invoice._id } });
+        logger.info('Invoice generated', { invoiceNumber: invoice.invoiceNumber, orderId: order._id });
+
+        return invoice;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+
+        // Someone else invoiced this order in the meantime
+        if (error.keyPattern?.order) {
+          return await Invoice.findOne({ order: orderId });
+        }
+        logger.warn('Invoice number taken, retrying', { financialYear, sequence, attempt });
+      }
+    }
+
+    throw new AppError('Could not allocate an invoice number, please retry', 503, 'INVOICE_NUMBER_CONFLICT');
+  }
+
+  // Generate without failing the caller; used from order and payment flows
+  async generateQuietly(orderId) {
+    try {
+      return await this.generateForOrder(orderId);
+    } catch (error) {
+      logger.error('Invoice generation failed', { orderId, error: error.message });
+      return null;
+    }
+  }
+
+  buildInvoiceDetails(order, settings) {
+    const { site, tax } = settings;
+    const address = order.shippingAddress || {};
+    const placeOfSupply = order.taxBreakdown?.placeOfSupply || address.state;
+
+    const items = order.items.map(item => {
+      const taxableValue = item.taxableValue ?? item.price * item.quantity;
+      return {
+        product: item.product,
+        name: item.variantLabel ? `${item.name} (${item.variantLabel})` : item.name,
+        hsnCode: item.hsnCode,
+        quantity: item.quantity,
+        unitPrice: item.price,
+        discount: item.discount || 0,
+        taxableValue,
+        gstRate: item.gstRate,
+        cgst: item.cgst || 0,
+        sgst: item.sgst || 0,
+        igst: item.igst || 0,
+        total: roundCurrency(taxableValue + (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0))
+      };
+    });
+
+    const sum = (key) => roundCurrency(items.reduce((total, item) => total + item[key], 0));
+
+    return {
+      order: order._id,
+      user: order.user,
+      seller: {
+        name: site.name,
+        address: site.address,
+        state: tax.registeredState,
+        stateCode: getStateCode(tax.registeredState),
+        gstin: tax.gstin,
+        email: site.contactEmail,
+        phone: site.contactPhone
+      },
+      buyer: {
+        name: address.fullName || address.name,
+        address: [address.street, address.city, address.state, address.zipCode, address.country]
+          .filter(Boolean)
+          .join(', '),
+        state: address.state,
+        stateCode: getStateCode(address.state),
+        email: address.email,
+        phone: address.phone
+      },
+      supplyType: order.taxBreakdown?.supplyType,
+      placeOfSupply,
+      items,
+      totals: {
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        totalTax: roundCurrency(sum('cgst') + sum('sgst') + sum('igst')),
+        shipping: order.shippingPrice || 0,
+        discount: order.discountPrice || 0,
+        grandTotal: order.total
+      },
+      paymentMethod: order.paymentMethod
+    };
+  }
+
+  // Invoices issued between two calendar days (YYYY-MM-DD, IST), both inclusive
+  async listInvoices(from, to) {
+    const toUtc = (day) => {
+      const [year, month, date] = day.split('-').map(Number);
+      return Date.UTC(year, month - 1, date) - IST_OFFSET_MS;
+    };
+    const start = new Date(toUtc(from));
+    const end = new Date(toUtc(to) + 24 * 60 * 60 * 1000);
+
+    return await Invoice.find({ issuedAt: { $gte: start, $lt: end } })
+      .sort({ issuedAt: 1, sequence: 1 })
+      .lean();
+  }
+
+  // Flat rows for CSV export
+  toRows(invoices) {
+    return invoices.map(invoice => ({
+      invoiceNumber: invoice.invoiceNumber,
+      date: new Date(invoice.issuedAt).toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }),
+      orderId: invoice.order.toString(),
+      buyer: invoice.buyer?.name || '',
+      placeOfSupply: invoice.placeOfSupply || '',
+      supplyType: invoice.supplyType || '',
+      paymentMethod: invoice.paymentMethod || '',
+      taxableValue: invoice.totals.taxableValue,
+      cgst: invoice.totals.cgst,
+      sgst: invoice.totals.sgst,
+      igst: invoice.totals.igst,
+      totalTax: invoice.totals.totalTax,
+      shipping: invoice.totals.shipping,
+      grandTotal: invoice.totals.grandTotal
+    }));
+  }
+
+  renderHtml(invoices) {
+    const pages = invoices.map(invoice => this.renderInvoiceBody(invoice)).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${invoices.length === 1 ? `Tax Invoice ${escapeHtml(invoices[0].invoiceNumber)}` : 'Tax Invoices'}</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 12px; color: #222; margin: 24px; }
+  .invoice { page-break-after: always; max-width: 900px; margin: 0 auto 32px; }
+  .invoice:last-child { page-break-after: auto; }
+  h1 { font-size: 18px; text-align: center; margin: 0 0 16px; }
+  table { width: 100%; border-collapse: collapse; margin-bottom: 12px; }
+  th, td { border: 1px solid #999; padding: 4px 6px; vertical-align: top; }
+  th { background: #f0f0f0; }
+  .parties td { width: 50%; }
+  .num { text-align: right; white-space: nowrap; }
+  .muted { color: #666; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+${pages}
+</body>
+</html>`;
+  }
+
+  renderInvoiceBody(invoice) {
+    const interState = invoice.supplyType === 'inter_state';
+    const issuedAt = new Date(invoice.issuedAt).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' });
+    const { seller, buyer, totals } = invoice;
+
+    const taxHeaders = interState
+      ? '<th>IGST</th>'
+      : '<th>CGST</th><th>SGST</th>';
+
+    const rows = invoice.items.map((item, index) => `
+      <tr>
+        <td>${index + 1}</td>
+        <td>${escapeHtml(item.name)}</td>
+        <td>${escapeHtml(item.hsnCode)}</td>
+        <td class="num">${item.quantity}</td>
+        <td class="num">${formatAmount(item.unitPrice)}</td>
+        <td class="num">${formatAmount(item.discount)}</td>
+        <td class="num">${formatAmount(item.taxableValue)}</td>
+        <td class="num">${item.gstRate ?? ''}%</td>
+        ${interState
+          ? `<td class="num">${formatAmount(item.igst)}</td>`
+          : `<td class="num">${formatAmount(item.cgst)}</td><td class="num">${formatAmount(item.sgst)}</td>`}
+        <td class="num">${formatAmount(item.total)}</td>
+      </tr>`).join('');
+
+    return `<div class="invoice">
+  <h1>Tax Invoice</h1>
+  <table class="parties">
+    <tr>
+      <td>
+        <strong>${escapeHtml(seller.name)}</strong><br>
+        ${escapeHtml(seller.address)}<br>
+        State: ${escapeHtml(seller.state)}${seller.stateCode ? ` (${seller.stateCode})` : ''}<br>
+        GSTIN: ${escapeHtml(seller.gstin || 'Not registered')}<br>
+        <span class="muted">${escapeHtml(seller.email)} | ${escapeHtml(seller.phone)}</span>
+      </td>
+      <td>
+        Invoice No: <strong>${escapeHtml(invoice.invoiceNumber)}</strong><br>
+        Invoice Date: ${escapeHtml(issuedAt)}<br>
+        Order ID: ${escapeHtml(invoice.order)}<br>
+        Payment: ${escapeHtml(invoice.paymentMethod === 'COD' ? 'Cash on Delivery' : 'Prepaid')}<br>
+        Place of Supply: ${escapeHtml(invoice.placeOfSupply)}${buyer.stateCode ? ` (${buyer.stateCode})` : ''}
+      </td>
+    </tr>
+    <tr>
+      <td colspan="2">
+        <strong>Bill To / Ship To:</strong> ${escapeHtml(buyer.name)}<br>
+        ${escapeHtml(buyer.address)}<br>
+        <span class="muted">${escapeHtml(buyer.phone)}${buyer.email ? ` | ${escapeHtml(buyer.email)}` : ''}</span>
+      </td>
+    </tr>
+  </table>
+  <table>
+    <thead>
+      <tr>
+        <th>#</th><th>Item</th><th>HSN</th><th>Qty</th><th>Rate</th><th>Discount</th>
+        <th>Taxable Value</th><th>GST</th>${taxHeaders}<th>Total</th>
+      </tr>
+    </thead>
+    <tbody>${rows}
+    </tbody>
+  </table>
+  <table>
+    <tr><td>Taxable Value</td><td class="num">${formatAmount(totals.taxableValue)}</td></tr>
+    ${interState
+      ? `<tr><td>IGST</td><td class="num">${formatAmount(totals.igst)}</td></tr>`
+      : `<tr><td>CGST</td><td class="num">${formatAmount(totals.cgst)}</td></tr>
+    <tr><td>SGST</td><td class="num">${formatAmount(totals.sgst)}</td></tr>`}
+    <tr><td>Shipping</td><td class="num">${formatAmount(totals.shipping)}</td></tr>
+    <tr><th>Grand Total</th><th class="num">&#8377; ${formatAmount(totals.grandTotal)}</th></tr>
+    <tr><td colspan="2">${escapeHtml(amountInWords(totals.grandTotal || 0))}</td></tr>
+  </table>
+  <p class="muted">This is a computer generated invoice and does not require a signature.</p>
+</div>`;
+  }
+}
+
+export default new InvoiceService();
@@ -0,0 +1,192 @@
+import os from 'os';
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import JobLock from '../models/JobLock.js';
+import JobRun, { MAX_RUN_ERRORS } from '../models/JobRun.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+// Counts a job keeps while it runs; saved on its JobRun when it finishes
+const createProgress = () => ({
+  processed: 0,
+  touched: 0,
+  errorCount: 0,
+  errors: [],
+  fail(reference, error) {
+    this.errorCount += 1;
+    if (this.errors.length < MAX_RUN_ERRORS) {
+      this.errors.push({ reference, message: error.message || String(error) });
+    }
+  }
+});
+
+// Background jobs that must run on one server instance at a time. A lease in
+// JobLock decides which instance runs a job, and every run is recorded in
+// JobRun with what it touched and what went wrong.
+class JobRunService {
+  constructor() {
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  createProgress() {
+    return createProgress();
+  }
+
+  // Take the lease unless another run holds one that has not run out
+  async acquireLock(job, ttlMs) {
+    const now = new Date();
+    try {
+      await JobLock.findOneAndUpdate(
+        { job, lockedUntil: { $lte: now } },
+        { $set: { owner: this.instanceId, lockedUntil: new Date(now.getTime() + ttlMs), acquiredAt: now } },
+        { upsert: true }
+      );
+      return true;
+    } catch (error) {
+      // The upsert collides with the lease another run holds
+      if (error.code === 11000) return false;
+      throw error;
+    }
+  }
+
+  async renewLock(job, ttlMs) {
+    await JobLock.updateOne(
+      { job, owner: this.instanceId },
+      { $set: { lockedUntil: new Date(Date.now() + ttlMs) } }
+    );
+  }
+
+  async releaseLock(job) {
+    await JobLock.deleteOne({ job, owner: this.instanceId });
+  }
+
+  // Start a run in the background. Returns the run and a promise for its
+  // outcome, or null when the job is already running somewhere.
+  // `handler(progress)` does the work and may return a summary to store.
+  async start(job, handler, { trigger = 'schedule', triggeredBy, lockTtlMs = DEFAULT_LOCK_TTL_MS } = {}) {
+    if (!(await this.acquireLock(job, lockTtlMs))) {
+      return null;
+    }
+
+    let run;
+    try {
+      // With the lease held, a run still marked running was cut off by an
+      // instance that died
+      await JobRun.updateMany(
+        { job, status: 'running' },
+        { $set: { status: 'failed', failureReason: 'Interrupted before it finished', finishedAt: new Date() } }
+      );
+      run = await JobRun.create({ job, trigger, triggeredBy, instance: this.instanceId });
+    } catch (error) {
+      await this.releaseLock(job);
+      throw error;
+    }
+
+    logger.info('Job started', { job, runId: run._id, trigger });
+    return { run, completion: this.execute(run, handler, lockTtlMs) };
+  }
+
+  // Run a job and wait for it; null when it is already running somewhere
+  async run(job, handler, options) {
+    const started = await this.start(job, handler, options);
+    return started ? await started.completion : null;
+  }
+
+  async execute(run, handler, lockTtlMs) {
+    const progress = createProgress();
+    const heartbeat = setInterval(() => {
+      this.renewLock(run.job, lockTtlMs).catch(error => {
+        logger.error('Failed to renew job lock', { job: run.job, error: error.message });
+      });
+    }, lockTtlMs / 3);
+    heartbeat.unref();
+
+    try {
+      run.summary = await handler(progress);
+      run.status = 'succeeded';
+    } catch (error) {
+      run.status = 'failed';
+      run.failureReason = error.message;
+      logger.error('Job failed', { job: run.job, runId: run._id, error: error.message, stack: error.stack });
+    } finally {
+      clearInterval(heartbeat);
+    }
+
+    run.processed = progress.processed;
+    run.touched = progress.touched;
+    run.errorCount = progress.errorCount;
+    run.runErrors = progress.errors;
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+
+    try {
+      await run.save();
+    } catch (error) {
+      logger.error('Failed to record job run', { job: run.job, runId: run._id, error: error.message });
+    }
+    await this.releaseLock(run.job).catch(error => {
+      logger.error('Failed to release job lock', { job: run.job, error: error.message });
+    });
+
+    logger.info('Job finished', {
+      job: run.job,
+      runId: run._id,
+      status: run.status,
+      processed: run.processed,
+      touched: run.touched,
+      errors: run.errorCount,
+      durationMs: run.durationMs
+    });
+    return run;
+  }
+
+  async getRuns({ job, jobs, status, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (job) filter.job = job;
+    else if (jobs) filter.job = { $in: jobs };
+    if (status) filter.status = status;
+
+    const [runs, total] = await Promise.all([
+      JobRun.find(filter)
+        .populate('triggeredBy', 'name email')
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JobRun.countDocuments(filter)
+    ]);
+
+    return {
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getRun(id) {
+    const run = mongoose.Types.ObjectId.isValid(id)
+      ? await JobRun.findById(id).populate('triggeredBy', 'name email')
+      : null;
+    if (!run) {
+      throw new AppError('Job run not found', 404);
+    }
+    return run;
+  }
+
+  // The most recent run of each job, keyed by job name
+  async getLatestRuns(jobs) {
+    const latest = await JobRun.aggregate([
+      { $match: { job: { $in: jobs } } },
+      { $sort: { startedAt: -1 } },
+      { $group: { _id: '$job', run: { $first: '$$ROOT' } } }
+    ]);
+    return new Map(latest.map(item => [item._id, item.run]));
+  }
+}
+
+export default new JobRunService();
@@ -268,6 +268,16 @@ class NotificationService {
           type: 'view_order',
           url: `/orders/${orderData._id}`
         }
+      },
+      returned: {
+        type: 'order',
+        title: 'Order Returned',
+        message: `Your order #${orderData.orderNumber} has been returned`,
+        priority: 'medium',
+        action: {
+          type: 'view_order',
+          url: `/orders/${orderData._id}`
+        }
       }
     };
 
@@ -324,6 +334,46 @@ class NotificationService {
     }
   }
 
+  // Dispute alerts for the admins who answer chargebacks
+  async sendDisputeAlert(userIds, disputeData, event, { hoursLeft } = {}) {
+    const amount = `₹${disputeData.amount}`;
+    const notificationTemplates = {
+      opened: {
+        title: 'New Payment Dispute',
+        message: `A ${amount} chargeback was raised. Respond by ${disputeData.respondBy?.toLocaleDateString('en-IN') || 'the deadline'}`,
+        priority: 'high'
+      },
+      deadline: {
+        title: 'Dispute Response Due',
+        message: `The ${amount} dispute needs a response within ${hoursLeft} hours`,
+        priority: 'high'
+      },
+      won: {
+        title: 'Dispute Won',
+        message: `The ${amount} dispute was decided in the store's favour`,
+        priority: 'medium'
+      },
+      lost: {
+        title: 'Dispute Lost',
+        message: `The ${amount} dispute was lost and the amount returned to the customer`,
+        priority: 'medium'
+      }
+    };
+
+    const notification = notificationTemplates[event];
+    if (notification) {
+      return await this.sendBulkNotification(userIds, {
+        type: 'payment',
+        ...notification,
+        action: {
+          type: 'view_dispute',
+          url: `/admin/disputes/${disputeData._id}`
+        },
+        data: { disputeId: disputeData._id, amount: disputeData.amount, respondBy: disputeData.respondBy }
+      });
+    }
+  }
+
   // Promotional notifications
   async sendPromotionalNotification(userId, promoData) {
     return await this.sendNotification(userId, {
@@ -0,0 +1,304 @@
+import Cart from '../models/Cart.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import couponService from './couponService.js';
+import promotionService from './promotionService.js';
+import shippingService from './shippingService.js';
+import taxService from './taxService.js';
+import enhancedCartService from './enhancedCartService.js';
+import inventoryService from './inventoryService.js';
+import orderStatusService from './orderStatusService.js';
+import variantService from './variantService.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Builds orders from the user's cart with every amount priced on the server
+class OrderPricingService {
+  // Price the user's cart for checkout. Nothing is persisted, so the quote can
+  // be shown to the customer for confirmation before the order is placed.
+  // `checkStock` is off when the stock is already held for this checkout.
+  async buildQuote(userId, { shippingAddress, paymentMethod, shippingMethod = 'standard', checkStock = true } = {}) {
+    const cart = await Cart.findOne({ user: userId });
+    if (!cart || cart.items.length === 0) {
+      throw new AppError('Your cart is empty', 400, 'CART_EMPTY');
+    }
+
+    if (!shippingAddress?.zipCode) {
+      throw new AppError('Shipping address with pincode is required', 400, 'SHIPPING_ADDRESS_REQUIRED');
+    }
+
+    const { items, lines } = await this.priceItems(cart, { checkStock });
+    const itemsPrice = roundCurrency(items.reduce((total, item) => total + item.price * item.quantity, 0));
+    const warnings = [];
+
+    // Automatic promotions
+    const promotionResult = await promotionService.evaluateCart(lines);
+
+    // Coupon from the cart, re-validated against current prices
+    let coupon = null;
+    if (cart.coupon?.code) {
+      try {
+        const couponDoc = await couponService.validateCoupon(cart.coupon.code, {
+          userId,
+          lines,
+          subtotal: itemsPrice
+        });
+        coupon = {
+          couponId: couponDoc._id,
+          code: couponDoc.code,
+          discount: couponService.calculateDiscount(couponDoc, lines)
+        };
+      } catch (error) {
+        if (!(error instanceof AppError)) throw error;
+        warnings.push(`Coupon ${cart.coupon.code} was not applied: ${error.message}`);
+      }
+    }
+
+    const discountPrice = Math.min(
+      promotionResult.totalDiscount + (coupon ? coupon.discount : 0),
+      itemsPrice
+    );
+
+    const tax = await taxService.calculate(lines, {
+      shippingState: shippingAddress.state,
+      discount: discountPrice
+    });
+    const taxPrice = tax.totals.totalTax;
+    tax.lines.forEach((taxLine, index) => {
+      const { product, ...breakdown } = taxLine;
+      Object.assign(items[index], breakdown);
+    });
+
+    const shipping = await shippingService.calculateShipping({
+      pincode: shippingAddress.zipCode,
+      items,
+      orderValue: itemsPrice,
+      paymentMethod,
+      method: shippingMethod
+    });
+
+    const total = roundCurrency(itemsPrice - discountPrice + taxPrice + shipping.cost);
+
+    return {
+      cartId: cart._id,
+      items,
+      itemsPrice,
+      promotions: promotionResult.applied,
+      promotionDiscount: promotionResult.totalDiscount,
+      coupon,
+      discountPrice,
+      taxPrice,
+      tax: {
+        supplyType: tax.supplyType,
+        placeOfSupply: tax.placeOfSupply,
+        placeOfSupplyCode: tax.placeOfSupplyCode,
+        ...tax.totals
+      },
+      shippingPrice: shipping.cost,
+      shipping,
+      total,
+      currency: 'INR',
+      warnings
+    };
+  }
+
+  // Current price and availability of every cart line, per variant for
+  // products sold in variants
+  async priceItems(cart, { checkStock = true } = {}) {
+    const productIds = cart.items.map(item => item.product);
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('name image images sku price originalPrice category brand inStock stockQuantity isActive variants')
+      .lean();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    const items = [];
+    const lines = [];
+
+    for (const cartItem of cart.items) {
+      const product = productMap.get(cartItem.product.toString());
+
+      if (!product || product.isActive === false) {
+        throw new AppError('A product in your cart is no longer available', 400, 'PRODUCT_UNAVAILABLE', {
+          productId: cartItem.product
+        });
+      }
+      const sellable = variantService.resolve(product, cartItem.variant);
+      if (checkStock && (!product.inStock || sellable.stockQuantity < cartItem.quantity)) {
+        throw new AppError(`${product.name} is out of stock`, 400, 'OUT_OF_STOCK', {
+          productId: product._id,
+          variantId: sellable.variant,
+          available: sellable.stockQuantity
+        });
+      }
+
+      items.push({
+        product: product._id,
+        ...(sellable.variant && {
+          variant: sellable.variant,
+          variantLabel: sellable.variantLabel
+        }),
+        sku: sellable.sku,
+        name: product.name,
+        image: sellable.image || '/placeholder.svg',
+        price: sellable.price,
+        quantity: cartItem.quantity
+      });
+      lines.push({
+        product: product._id.toString(),
+        category: product.category,
+        brand: product.brand,
+        price: sellable.price,
+        quantity: cartItem.quantity
+      });
+    }
+
+    return { items, lines };
+  }
+
+  // Place an order from the cart. When the client passes the total it confirmed,
+  // a changed price is rejected with the fresh quote instead of charging silently.
+  // `stockReservation` is the reference of stock held for an online payment.
+  async createOrderFromCart(userId, {
+    shippingAddress,
+    paymentMethod,
+    shippingMethod,
+    notes,
+    expectedTotal,
+    stockReservation,
+    orderFields = {}
+  }) {
+    const quote = await this.buildQuote(userId, {
+      shippingAddress,
+      paymentMethod,
+      shippingMethod,
+      checkStock: !stockReservation
+    });
+
+    if (expectedTotal !== undefined && expectedTotal !== null &&
+      Math.abs(Number(expectedTotal) - quote.total) > 0.01) {
+      throw new AppError('Order total has changed, please review your order', 409, 'PRICE_CHANGED', { quote });
+    }
+
+    const order = await this.createOrderFromQuote(userId, quote, {
+      shippingAddress,
+      paymentMethod,
+      notes,
+      stockReservation,
+      orderFields
+    });
+
+    return { order, quote };
+  }
+
+  // Place an order exactly as quoted, without pricing the cart again. Online
+  // payments use the quote stored when the customer was charged; a `paid`
+  // quote keeps its coupon discount even if the coupon ran out since then.
+  async createOrderFromQuote(userId, quote, {
+    shippingAddress,
+    paymentMethod,
+    notes,
+    stockReservation,
+    orderFields = {},
+    paid = false
+  }) {
+    const order = new Order({
+      user: userId,
+      items: quote.items,
+      shippingAddress,
+      paymentMethod,
+      itemsPrice: quote.itemsPrice,
+      promotions: quote.promotions,
+      discountPrice: quote.discountPrice,
+      coupon: quote.coupon || undefined,
+      taxPrice: quote.taxPrice,
+      taxBreakdown: {
+        supplyType: quote.tax.supplyType,
+        placeOfSupply: quote.tax.placeOfSupply,
+        placeOfSupplyCode: quote.tax.placeOfSupplyCode,
+        taxableValue: quote.tax.taxableValue,
+        cgst: quote.tax.cgst,
+        sgst: quote.tax.sgst,
+        igst: quote.tax.igst
+      },
+      shippingPrice: quote.shippingPrice,
+      shippingMethod: quote.shipping.method,
+      shippingDetails: {
+        zone: quote.shipping.zone?.id,
+        zoneName: quote.shipping.zone?.name,
+        chargeableWeight: quote.shipping.chargeableWeight,
+        codSurcharge: quote.shipping.codSurcharge,
+        estimatedDelivery: quote.shipping.estimatedDelivery
+      },
+      total: quote.total,
+      notes,
+      ...orderFields
+    });
+    order.tracking.estimatedDelivery = quote.shipping.estimatedDelivery;
+    order.statusHistory = [orderStatusService.initialEntry(order.status, userId)];
+
+    // Held stock becomes the order's; without a (still valid) hold the stock
+    // is taken now and the order fails if another checkout got there first
+    const reservation = stockReservation
+      ? await inventoryService.commitReservation(stockReservation, order._id)
+      : null;
+    const { warehouse } = reservation || await inventoryService.decrementStock(quote.items, {
+      pincode: shippingAddress.zipCode
+    });
+    order.warehouse = warehouse || undefined;
+
+    let createdOrder;
+    try {
+      if (quote.coupon) {
+        try {
+          await couponService.redeem({
+            code: quote.coupon.code,
+            userId,
+            orderId: order._id,
+            discount: quote.coupon.discount
+          });
+        } catch (error) {
+          if (!paid || error.code !== 'COUPON_REDEMPTION_FAILED') throw error;
+          logger.warn('Coupon honoured for an order paid before it ran out', {
+            code: quote.coupon.code,
+            userId,
+            orderId: order._id
+          });
+        }
+      }
+
+      createdOrder = await order.save();
+    } catch (error) {
+      // Give the stock and coupon usage back if the order could not be stored
+      await inventoryService.incrementStock(quote.items, { warehouse });
+      if (quote.coupon) {
+        await couponService.revokeRedemption(order._id);
+      }
+      throw error;
+    }
+
+    await this.convertCart(userId, createdOrder._id);
+    await orderStatusService.notify(createdOrder, createdOrder.status);
+
+    logger.info('Order created from cart', {
+      orderId: createdOrder._id,
+      userId,
+      total: createdOrder.total,
+      paymentMethod
+    });
+
+    return createdOrder;
+  }
+
+  async convertCart(userId, orderId) {
+    const cart = await Cart.findOne({ user: userId });
+    if (!cart) return;
+
+    cart.clearItems();
+    await cart.markAsConverted(orderId);
+    enhancedCartService.clearCartCache(userId);
+  }
+}
+
+export default new OrderPricingService();
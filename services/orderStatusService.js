@@ -0,0 +1,113 @@
+import Order from '../models/Order.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import notificationService from './notificationService.js';
+import inventoryService from './inventoryService.js';
+import couponService from './couponService.js';
+import invoiceService from './invoiceService.js';
+
+const DEFAULT_DESCRIPTIONS = {
+  confirmed: 'Your order has been confirmed.',
+  processing: 'Your order is being packed.',
+  shipped: 'Your order has been shipped.',
+  delivered: 'Your order has been delivered.',
+  cancelled: 'Your order has been cancelled.',
+  returned: 'Your order has been returned.'
+};
+
+// The single place order status changes: enforces the lifecycle, records who
+// changed it and why, and runs the side effects of each status once
+class OrderStatusService {
+  async transition(orderId, status, { actor, actorRole, reason, location, description } = {}) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+
+    const from = order.status;
+    if (!order.canTransitionTo(status)) {
+      throw new AppError(
+        `Order cannot move from ${from} to ${status}`,
+        400,
+        'INVALID_STATUS_TRANSITION',
+        { from, to: status, allowed: Order.allowedTransitions(from) }
+      );
+    }
+
+    const now = new Date();
+    const updates = { status };
+
+    if (status === 'delivered') {
+      updates.isDelivered = true;
+      updates.deliveredAt = now;
+      // Cash is collected on delivery
+      if (order.paymentMethod === 'COD' && !order.isPaid) {
+        updates.isPaid = true;
+        updates.paidAt = now;
+      }
+    }
+    if (location) {
+      updates['tracking.currentLocation'] = location;
+    }
+
+    // Conditional on the status we validated against, so two concurrent
+    // changes cannot both apply and side effects run exactly once
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: from },
+      {
+        $set: updates,
+        $push: {
+          statusHistory: { from, to: status, actor, actorRole, reason, at: now },
+          'tracking.statusHistory': {
+            status,
+            location: location || order.tracking?.currentLocation,
+            timestamp: now,
+            description: description || reason || DEFAULT_DESCRIPTIONS[status]
+          }
+        }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new AppError('Order status was changed by someone else, please reload', 409, 'ORDER_STATUS_CONFLICT');
+    }
+
+    logger.info('Order status changed', { orderId: order._id, from, to: status, actor, actorRole, reason });
+
+    await this.applySideEffects(updated, from, status);
+    await this.notify(updated, status);
+
+    return updated;
+  }
+
+  async applySideEffects(order, from, status) {
+    // Parcels returned to origin go straight back on the shelf; returns after
+    // delivery are restocked item by item at quality check (returnService)
+    if (status === 'cancelled' || (status === 'returned' && from === 'shipped')) {
+      await inventoryService.restoreOrderStock(order);
+    }
+    if (status === 'cancelled' && order.coupon?.code) {
+      await couponService.revokeRedemption(order._id);
+    }
+    if (status === 'delivered') {
+      // COD orders are invoiced once delivered; prepaid ones already are
+      await invoiceService.generateQuietly(order._id);
+    }
+  }
+
+  // First history entry for a newly placed order
+  initialEntry(status, actor) {
+    return { from: null, to: status, actor, actorRole: 'customer', reason: 'Order placed', at: new Date() };
+  }
+
+  async notify(order, status) {
+    try {
+      await notificationService.sendOrderNotification(order.user, order, status);
+    } catch (error) {
+      logger.error('Order notification failed', { orderId: order._id, status, error: error.message });
+    }
+  }
+}
+
+export default new OrderStatusService();
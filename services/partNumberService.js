@@ -0,0 +1,78 @@
+import Product from '../models/Product.js';
+import { collectPartNumberKeys, isPartNumberQuery, normalizePartNumber } from '../utils/partNumbers.js';
+
+const MAX_INTERCHANGEABLE = 12;
+
+// Exact part number lookups across SKUs, OEM numbers and aftermarket cross-references
+class PartNumberService {
+  // Mongo condition matching a part number query exactly, or null when the
+  // query cannot be a part number
+  buildCondition(query) {
+    return isPartNumberQuery(query) ? { partNumberKeys: normalizePartNumber(query) } : null;
+  }
+
+  async findByPartNumber(query, { limit = 10, select } = {}) {
+    const condition = this.buildCondition(query);
+    if (!condition) return [];
+
+    let finder = Product.find({ isActive: true, ...condition })
+      .populate('category', 'name')
+      .limit(limit);
+    if (select) finder = finder.select(select);
+    return await finder;
+  }
+
+  // Which of a product's numbers matched the query, for showing why it was found
+  matchedReference(product, query) {
+    const key = normalizePartNumber(query);
+    if (product.sku && normalizePartNumber(product.sku) === key) {
+      return { type: 'sku', number: product.sku };
+    }
+    const variant = (product.variants || []).find(item => normalizePartNumber(item.sku) === key);
+    if (variant) return { type: 'variant', number: variant.sku, variant: variant._id };
+    const oem = (product.oemNumbers || []).find(ref => normalizePartNumber(ref.number) === key);
+    if (oem) return { type: 'oem', number: oem.number, brand: oem.brand };
+    const cross = (product.crossReferences || []).find(ref => normalizePartNumber(ref.number) === key);
+    if (cross) return { type: 'cross_reference', number: cross.number, brand: cross.brand };
+    return null;
+  }
+
+  // Other active products sharing any part number with this one
+  async getInterchangeable(product, limit = MAX_INTERCHANGEABLE) {
+    const keys = collectPartNumberKeys(product);
+    if (keys.length === 0) return [];
+
+    const products = await Product.find({
+      _id: { $ne: product._id },
+      isActive: true,
+      partNumberKeys: { $in: keys }
+    })
+      .select('name brand price image images sku oemNumbers crossReferences inStock rating')
+      .limit(limit)
+      .lean();
+
+    // Tell the customer which shared number makes each part interchangeable
+    return products.map(other => {
+      const otherKeys = new Set(collectPartNumberKeys(other));
+      const shared = [
+        ...(product.oemNumbers || []).map(ref => ({ number: ref.number, brand: ref.brand, type: 'oem' })),
+        ...(product.crossReferences || []).map(ref => ({ number: ref.number, brand: ref.brand, type: 'cross_reference' })),
+        ...(product.sku ? [{ number: product.sku, type: 'sku' }] : [])
+      ].filter(ref => otherKeys.has(normalizePartNumber(ref.number)));
+
+      return {
+        _id: other._id,
+        name: other.name,
+        brand: other.brand,
+        price: other.price,
+        image: other.image || other.images?.[0]?.url,
+        sku: other.sku,
+        inStock: other.inStock,
+        rating: other.rating,
+        sharedNumbers: shared
+      };
+    });
+  }
+}
+
+export default new PartNumberService();
@@ -0,0 +1,142 @@
+import razorpayGateway from './gateways/razorpayGateway.js';
+import settingsService from './settingsService.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+// Retry configuration for calls that may hit a busy gateway
+const RETRY_CONFIG = {
+  maxAttempts: 3,
+  backoffMultiplier: 2,
+  initialDelay: 1000, // 1 second
+  maxDelay: 10000,    // 10 seconds
+};
+
+const RETRYABLE_STATUS_CODES = [429, 500, 502, 503, 504];
+const RETRYABLE_MESSAGES = ['timeout', 'network', 'connection'];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const calculateRetryDelay = (attempt) => {
+  const delayMs = RETRY_CONFIG.initialDelay * Math.pow(RETRY_CONFIG.backoffMultiplier, attempt - 1);
+  return Math.min(delayMs, RETRY_CONFIG.maxDelay);
+};
+
+const isRetryableError = (error) =>
+  RETRYABLE_STATUS_CODES.includes(error.details?.gatewayStatus) ||
+  RETRYABLE_MESSAGES.some(message => (error.message || '').toLowerCase().includes(message));
+
+// Payment gateways behind one interface. Each adapter provides:
+//   name, label, isAvailable()
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency, status, checkout }
+//   verifyPayment(callbackFields) -> { valid, orderId, paymentId, paymentInfo }
+//   fetchPayment(paymentId) / capturePayment(paymentId, amount, currency) -> payment
+//   refund(paymentId, { amount, notes }) -> refund
+//   uploadDisputeEvidence(file) -> gateway document id
+//   contestDispute(disputeId, { amount, summary, evidence }) / acceptDispute(disputeId) -> dispute
+//   parseWebhook({ body, rawBody, headers }) -> event
+// Amounts are in rupees. Transactions remember their gateway, so everything
+// after checkout goes back to the one that took the payment.
+class PaymentGatewayService {
+  constructor() {
+    this.gateways = new Map();
+    this.register(razorpayGateway);
+  }
+
+  register(gateway) {
+    this.gateways.set(gateway.name, gateway);
+  }
+
+  list() {
+    return [...this.gateways.values()].map(gateway => ({
+      name: gateway.name,
+      label: gateway.label,
+      available: gateway.isAvailable()
+    }));
+  }
+
+  get(name) {
+    const gateway = this.gateways.get(name);
+    if (!gateway) {
+      throw new AppError(`Payment gateway ${name} is not supported`, 400, 'UNSUPPORTED_GATEWAY', {
+        supported: [...this.gateways.keys()]
+      });
+    }
+    return gateway;
+  }
+
+  // The gateway for a new payment: the one asked for, else the store's
+  // default from settings
+  async resolve(requested) {
+    const name = requested || (await settingsService.getSection('payment'))?.gateway || 'razorpay';
+    const gateway = this.get(name);
+    if (!gateway.isAvailable()) {
+      throw new AppError('Payment service is not available. Please contact support.', 503, 'GATEWAY_UNAVAILABLE', {
+        gateway: name
+      });
+    }
+    return gateway;
+  }
+
+  // The gateway that took a transaction's payment
+  forTransaction(transaction) {
+    return this.get(transaction.gateway || 'razorpay');
+  }
+
+  // Retry a gateway call with exponential backoff while the gateway is busy
+  // or unreachable
+  async withRetry(action, context = {}, attempt = 1) {
+    try {
+      return await action();
+    } catch (error) {
+      if (attempt >= RETRY_CONFIG.maxAttempts || !isRetryableError(error)) {
+        throw error;
+      }
+
+      const delayMs = calculateRetryDelay(attempt);
+      logger.warn(`Payment gateway call failed, retrying in ${delayMs}ms`, {
+        ...context,
+        attempt,
+        error: error.message
+      });
+      await delay(delayMs);
+      return this.withRetry(action, context, attempt + 1);
+    }
+  }
+
+  async createOrder(gateway, order) {
+    return this.withRetry(() => gateway.createOrder(order), { gateway: gateway.name, receipt: order.receipt });
+  }
+
+  async fetchPayment(gateway, paymentId) {
+    return this.withRetry(() => gateway.fetchPayment(paymentId), { gateway: gateway.name, paymentId });
+  }
+
+  // Check what the gateway's checkout posted back for a transaction: the
+  // signature, that it is for this transaction's gateway order, and that the
+  // full amount was captured. A bad signature marks the transaction failed.
+  async confirmPayment(transaction, callbackFields) {
+    const gateway = this.forTransaction(transaction);
+    const { valid, orderId, paymentId, paymentInfo } = gateway.verifyPayment(callbackFields);
+
+    if (!valid || orderId !== transaction.gatewayOrderId) {
+      await transaction.addStatusUpdate('failed', 'Invalid payment signature', {
+        gateway: gateway.name,
+        gateway_order_id: orderId,
+        gateway_payment_id: paymentId
+      });
+      throw new AppError('Payment verification failed', 400);
+    }
+
+    const payment = await this.fetchPayment(gateway, paymentId);
+    if (Math.round(payment.amount * 100) !== Math.round(transaction.amount * 100)) {
+      throw new AppError('Payment amount mismatch', 400);
+    }
+    if (payment.status !== 'success') {
+      throw new AppError('Payment not captured successfully', 400);
+    }
+
+    return { gateway, payment, paymentInfo };
+  }
+}
+
+export default new PaymentGatewayService();
@@ -1,20 +1,55 @@
 import cron from 'node-cron';
 import Transaction from '../models/Transaction.js';
 import Order from '../models/Order.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
 import logger from '../config/logger.js';
-import Razorpay from 'razorpay';
-
-// Initialize Razorpay
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET,
-});
+import orderStatusService from './orderStatusService.js';
+import paymentGatewayService from './paymentGatewayService.js';
+import jobRunService from './jobRunService.js';
+import disputeService from './disputeService.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Scheduled payment jobs. Each runs on one instance at a time under a lease
+// that outlasts a normal run and is renewed while it works.
+const JOBS = {
+  'payment-reconciliation': {
+    description: 'Check pending payments from the last day against the gateway',
+    schedule: '*/30 * * * *', // every 30 minutes
+    lockTtlMs: 25 * MINUTE_MS,
+    method: 'reconcileTransactions'
+  },
+  'payment-retry': {
+    description: 'Look again at payments that failed for technical reasons',
+    schedule: '*/5 * * * *', // every 5 minutes
+    lockTtlMs: 4 * MINUTE_MS,
+    method: 'retryFailedPayments'
+  },
+  'payment-stale-cleanup': {
+    description: 'Expire payments left unfinished for a week',
+    schedule: '0 2 * * *', // daily at 2 AM
+    lockTtlMs: 60 * MINUTE_MS,
+    method: 'cleanupStaleTransactions'
+  },
+  'payment-daily-analytics': {
+    description: "Summarise yesterday's payments",
+    schedule: '0 3 * * *', // daily at 3 AM
+    lockTtlMs: 30 * MINUTE_MS,
+    method: 'generateDailyAnalytics'
+  },
+  'payment-dispute-reminders': {
+    description: 'Remind admins of dispute responses due in the next 3 days',
+    schedule: '15 * * * *', // hourly
+    lockTtlMs: 30 * MINUTE_MS,
+    method: 'sendDisputeReminders'
+  }
+};
 
 // Payment monitoring and retry service
 class PaymentMonitoringService {
   constructor() {
     this.isRunning = false;
-    this.retryQueue = new Map();
+    this.tasks = [];
     this.maxRetryAttempts = 5;
     this.retryDelays = [30, 60, 300, 900, 1800]; // seconds: 30s, 1m, 5m, 15m, 30m
   }
@@ -27,168 +62,142 @@ class PaymentMonitoringService {
     }
 
     this.isRunning = true;
-    logger.info('Starting payment monitoring service');
+    logger.info('Starting payment monitoring service', { instance: jobRunService.instanceId });
 
-    // Schedule periodic tasks
-    this.scheduleTransactionReconciliation();
-    this.scheduleFailedPaymentRetry();
-    this.scheduleStaleTransactionCleanup();
-    this.schedulePaymentAnalytics();
-    this.processRetryQueue();
+    this.tasks = Object.entries(JOBS).map(([job, { schedule }]) =>
+      cron.schedule(schedule, async () => {
+        try {
+          await this.runJob(job);
+        } catch (error) {
+          logger.error('Scheduled payment job could not start', { job, error: error.message });
+        }
+      })
+    );
 
     logger.info('Payment monitoring service started successfully');
   }
 
   // Stop all monitoring services
   stop() {
+    this.tasks.forEach(task => task.stop());
+    this.tasks = [];
     this.isRunning = false;
-    this.retryQueue.clear();
     logger.info('Payment monitoring service stopped');
   }
 
-  // Schedule transaction reconciliation every 30 minutes
-  scheduleTransactionReconciliation() {
-    cron.schedule('*/30 * * * *', async () => {
-      if (!this.isRunning) return;
-      
-      try {
-        await this.reconcileTransactions();
-      } catch (error) {
-        logger.error('Transaction reconciliation failed', {
-          error: error.message,
-          stack: error.stack
-        });
-      }
-    });
+  getJob(job) {
+    const definition = JOBS[job];
+    if (!definition) {
+      throw new AppError(`Unknown payment job ${job}`, 404, 'JOB_NOT_FOUND', { jobs: Object.keys(JOBS) });
+    }
+    return definition;
   }
 
-  // Schedule failed payment retry every 5 minutes
-  scheduleFailedPaymentRetry() {
-    cron.schedule('*/5 * * * *', async () => {
-      if (!this.isRunning) return;
-      
-      try {
-        await this.retryFailedPayments();
-      } catch (error) {
-        logger.error('Failed payment retry failed', {
-          error: error.message,
-          stack: error.stack
-        });
-      }
+  // Run a job now on this instance if no instance is running it. Scheduled
+  // runs wait for the outcome; a manual run is started and returned straight
+  // away.
+  async runJob(job, { trigger = 'schedule', triggeredBy } = {}) {
+    const { method, lockTtlMs } = this.getJob(job);
+    const started = await jobRunService.start(job, progress => this[method](progress), {
+      trigger,
+      triggeredBy,
+      lockTtlMs
     });
-  }
 
-  // Schedule stale transaction cleanup daily at 2 AM
-  scheduleStaleTransactionCleanup() {
-    cron.schedule('0 2 * * *', async () => {
-      if (!this.isRunning) return;
-      
-      try {
-        await this.cleanupStaleTransactions();
-      } catch (error) {
-        logger.error('Stale transaction cleanup failed', {
-          error: error.message,
-          stack: error.stack
-        });
+    if (!started) {
+      if (trigger === 'manual') {
+        throw new AppError('This job is already running', 409, 'JOB_ALREADY_RUNNING');
       }
-    });
+      logger.debug('Payment job already running elsewhere', { job });
+      return null;
+    }
+
+    return trigger === 'manual' ? started.run : await started.completion;
   }
 
-  // Schedule payment analytics generation daily at 3 AM
-  schedulePaymentAnalytics() {
-    cron.schedule('0 3 * * *', async () => {
-      if (!this.isRunning) return;
-      
-      try {
-        await this.generateDailyAnalytics();
-      } catch (error) {
-        logger.error('Payment analytics generation failed', {
-          error: error.message,
-          stack: error.stack
-        });
-      }
-    });
+  // Every job with its schedule and most recent run
+  async getJobs() {
+    const latest = await jobRunService.getLatestRuns(Object.keys(JOBS));
+    return Object.entries(JOBS).map(([job, { description, schedule }]) => ({
+      job,
+      description,
+      schedule,
+      lastRun: latest.get(job) || null
+    }));
+  }
+
+  getJobNames() {
+    return Object.keys(JOBS);
   }
 
   // Reconcile transactions with payment gateway
-  async reconcileTransactions() {
+  async reconcileTransactions(progress = jobRunService.createProgress()) {
     logger.info('Starting transaction reconciliation');
     
-    const startTime = new Date();
     const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours ago
     
-    try {
-      // Find transactions that might need reconciliation
-      const pendingTransactions = await Transaction.find({
-        status: { $in: ['initiated', 'pending', 'processing', 'authorized'] },
-        createdAt: { $gte: cutoffTime },
-        retryCount: { $lt: this.maxRetryAttempts }
-      }).limit(100);
-
-      let reconciledCount = 0;
-      let errorCount = 0;
-
-      for (const transaction of pendingTransactions) {
-        try {
-          await this.reconcileTransaction(transaction);
-          reconciledCount++;
-        } catch (error) {
-          errorCount++;
-          logger.error('Transaction reconciliation failed', {
-            transactionId: transaction.transactionId,
-            error: error.message
-          });
+    // Find paid-for transactions that might need reconciliation
+    const pendingTransactions = await Transaction.find({
+      status: { $in: ['initiated', 'pending', 'processing', 'authorized'] },
+      gatewayPaymentId: { $exists: true, $ne: null },
+      createdAt: { $gte: cutoffTime },
+      retryCount: { $lt: this.maxRetryAttempts }
+    }).limit(100);
+
+    for (const transaction of pendingTransactions) {
+      progress.processed++;
+      try {
+        if (await this.reconcileTransaction(transaction)) {
+          progress.touched++;
         }
-        
-        // Add small delay to avoid rate limiting
-        await this.delay(100);
+      } catch (error) {
+        progress.fail(transaction.transactionId, error);
+        logger.error('Transaction reconciliation failed', {
+          transactionId: transaction.transactionId,
+          error: error.message
+        });
       }
-
-      const duration = new Date() - startTime;
-      logger.info('Transaction reconciliation completed', {
-        processed: pendingTransactions.length,
-        reconciled: reconciledCount,
-        errors: errorCount,
-        duration: `${duration}ms`
-      });
-
-    } catch (error) {
-      logger.error('Transaction reconciliation batch failed', {
-        error: error.message,
-        stack: error.stack
-      });
+      
+      // Add small delay to avoid rate limiting
+      await this.delay(100);
     }
+
+    logger.info('Transaction reconciliation completed', {
+      processed: progress.processed,
+      reconciled: progress.touched,
+      errors: progress.errorCount
+    });
   }
 
-  // Reconcile individual transaction
+  // Reconcile individual transaction with the gateway that took it.
+  // Resolves true when the transaction changed.
   async reconcileTransaction(transaction) {
+    // Nothing to look up until the customer has paid at the gateway
+    if (!transaction.gatewayPaymentId) return false;
+
+    const gateway = paymentGatewayService.forTransaction(transaction);
+
     try {
-      // Fetch payment details from Razorpay
-      const paymentDetails = await razorpay.payments.fetch(transaction.gatewayPaymentId);
+      // Fetch payment details from the gateway
+      const payment = await gateway.fetchPayment(transaction.gatewayPaymentId);
       
       // Check if status has changed
-      const newStatus = this.mapRazorpayStatus(paymentDetails.status);
+      const newStatus = payment.status;
       
       if (newStatus !== transaction.status) {
         await transaction.addStatusUpdate(newStatus, 'Status updated via reconciliation', {
           reconciliation: true,
-          gateway_status: paymentDetails.status,
-          gateway_updated_at: paymentDetails.updated_at
+          gateway: gateway.name,
+          gateway_status: payment.gatewayStatus
         });
 
-        // Update payment details if needed
-        if (paymentDetails.method) {
-          transaction.method = this.getPaymentMethod(paymentDetails.method);
-          transaction.paymentDetails = this.extractPaymentDetails(paymentDetails);
-        }
+        // Update payment details
+        transaction.method = payment.method;
+        transaction.paymentDetails = payment.details;
 
         // Update fees if available
-        if (paymentDetails.fee || paymentDetails.tax) {
-          transaction.fees = {
-            gatewayFee: (paymentDetails.fee || 0) / 100,
-            serviceTax: (paymentDetails.tax || 0) / 100,
-            totalFee: ((paymentDetails.fee || 0) + (paymentDetails.tax || 0)) / 100
-          };
+        if (payment.fees) {
+          transaction.fees = payment.fees;
           transaction.netAmount = transaction.amount - transaction.fees.totalFee;
         }
 
@@ -200,8 +209,14 @@ class PaymentMonitoringService {
           if (order && !order.isPaid) {
             order.isPaid = true;
             order.paidAt = new Date();
-            order.status = 'confirmed';
             await order.save();
+
+            if (order.canTransitionTo('confirmed')) {
+              await orderStatusService.transition(order._id, 'confirmed', {
+                actorRole: 'system',
+                reason: 'Payment confirmed by reconciliation'
+              });
+            }
           }
         }
 
@@ -209,120 +224,58 @@ class PaymentMonitoringService {
           transactionId: transaction.transactionId,
           oldStatus: transaction.previousStatus,
           newStatus: newStatus,
-          gatewayStatus: paymentDetails.status
+          gatewayStatus: payment.gatewayStatus
         });
+        return true;
       }
+      return false;
 
     } catch (error) {
-      if (error.statusCode === 404) {
+      if (error.details?.gatewayStatus === 404) {
         // Payment not found, mark as failed
         await transaction.addStatusUpdate('failed', 'Payment not found in gateway', {
           reconciliation: true,
           error: 'PAYMENT_NOT_FOUND'
         });
+        return true;
       } else {
         throw error;
       }
     }
   }
 
-  // Retry failed payments that are retryable
-  async retryFailedPayments() {
+  // Look again at failed payments that are retryable, backing off between
+  // attempts. A payment the gateway now reports differently is updated;
+  // otherwise the attempt is counted.
+  async retryFailedPayments(progress = jobRunService.createProgress()) {
     logger.debug('Checking for failed payments to retry');
     
-    try {
-      // Find failed transactions that can be retried
-      const retryableTransactions = await Transaction.find({
-        status: 'failed',
-        retryCount: { $lt: this.maxRetryAttempts },
-        'failureReason.category': { $in: ['technical', 'network'] },
-        createdAt: { $gte: new Date(Date.now() - 6 * 60 * 60 * 1000) } // Last 6 hours
-      }).limit(50);
-
-      for (const transaction of retryableTransactions) {
-        const timeSinceLastRetry = Date.now() - (transaction.updatedAt?.getTime() || transaction.createdAt.getTime());
-        const requiredDelay = this.retryDelays[transaction.retryCount] * 1000;
-
-        if (timeSinceLastRetry >= requiredDelay) {
-          this.addToRetryQueue(transaction);
-        }
-      }
-
-    } catch (error) {
-      logger.error('Failed payment retry check failed', {
-        error: error.message,
-        stack: error.stack
-      });
-    }
-  }
-
-  // Add transaction to retry queue
-  addToRetryQueue(transaction) {
-    const retryKey = `${transaction.transactionId}_${transaction.retryCount}`;
-    
-    if (!this.retryQueue.has(retryKey)) {
-      this.retryQueue.set(retryKey, {
-        transaction,
-        addedAt: Date.now(),
-        attempts: 0
-      });
-
-      logger.info('Transaction added to retry queue', {
-        transactionId: transaction.transactionId,
-        retryCount: transaction.retryCount,
-        queueSize: this.retryQueue.size
-      });
-    }
-  }
-
-  // Process retry queue
-  processRetryQueue() {
-    setInterval(async () => {
-      if (!this.isRunning || this.retryQueue.size === 0) return;
-
-      const entries = Array.from(this.retryQueue.entries());
-      
-      for (const [key, retryItem] of entries) {
-        try {
-          await this.processRetryItem(key, retryItem);
-        } catch (error) {
-          logger.error('Retry queue processing failed', {
-            key,
-            error: error.message
-          });
+    // Find failed transactions that can be retried
+    const retryableTransactions = await Transaction.find({
+      status: 'failed',
+      retryCount: { $lt: this.maxRetryAttempts },
+      'failureReason.category': { $in: ['technical', 'network'] },
+      createdAt: { $gte: new Date(Date.now() - 6 * 60 * 60 * 1000) } // Last 6 hours
+    }).limit(50);
+
+    for (const transaction of retryableTransactions) {
+      const timeSinceLastRetry = Date.now() - (transaction.updatedAt?.getTime() || transaction.createdAt.getTime());
+      const requiredDelay = this.retryDelays[transaction.retryCount] * 1000;
+      if (timeSinceLastRetry < requiredDelay) continue;
+
+      progress.processed++;
+      try {
+        if (await this.reconcileTransaction(transaction)) {
+          progress.touched++;
+        } else {
+          await transaction.addRetryAttempt('failed', 'STILL_FAILED', 'Gateway still reports the payment as failed');
         }
-      }
-    }, 30000); // Process every 30 seconds
-  }
-
-  // Process individual retry item
-  async processRetryItem(key, retryItem) {
-    const { transaction } = retryItem;
-    
-    try {
-      // Attempt to fetch fresh payment status
-      await this.reconcileTransaction(transaction);
-      
-      // Remove from queue if successful or max attempts reached
-      this.retryQueue.delete(key);
-      
-      logger.info('Retry item processed successfully', {
-        transactionId: transaction.transactionId,
-        key
-      });
-
-    } catch (error) {
-      retryItem.attempts++;
-      
-      if (retryItem.attempts >= 3) {
-        // Remove from queue after max attempts
-        this.retryQueue.delete(key);
-        
-        await transaction.addRetryAttempt('failed', 'MAX_RETRY_ATTEMPTS', error.message);
-        
-        logger.warn('Retry item removed after max attempts', {
+      } catch (error) {
+        progress.fail(transaction.transactionId, error);
+        await transaction.addRetryAttempt('failed', error.code || 'RETRY_FAILED', error.message);
+        logger.error('Failed payment retry failed', {
           transactionId: transaction.transactionId,
-          attempts: retryItem.attempts,
+          retryCount: transaction.retryCount,
           error: error.message
         });
       }
@@ -330,170 +283,109 @@ class PaymentMonitoringService {
   }
 
   // Clean up stale transactions
-  async cleanupStaleTransactions() {
+  async cleanupStaleTransactions(progress = jobRunService.createProgress()) {
     logger.info('Starting stale transaction cleanup');
     
-    try {
-      const staleDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
-      
-      // Find stale pending transactions
-      const staleTransactions = await Transaction.find({
-        status: { $in: ['initiated', 'pending'] },
-        createdAt: { $lt: staleDate }
-      });
+    const staleDate = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000); // 7 days ago
+    
+    // Find stale pending transactions
+    const staleTransactions = await Transaction.find({
+      status: { $in: ['initiated', 'pending'] },
+      createdAt: { $lt: staleDate }
+    });
 
-      let cleanedCount = 0;
+    for (const transaction of staleTransactions) {
+      progress.processed++;
+      try {
+        await transaction.addStatusUpdate('expired', 'Transaction expired due to inactivity', {
+          cleanup: true,
+          stale_duration: Date.now() - transaction.createdAt.getTime()
+        });
 
-      for (const transaction of staleTransactions) {
-        try {
-          await transaction.addStatusUpdate('expired', 'Transaction expired due to inactivity', {
-            cleanup: true,
-            stale_duration: Date.now() - transaction.createdAt.getTime()
-          });
-
-          // Cancel associated order if exists
-          if (transaction.orderId) {
-            const order = await Order.findById(transaction.orderId);
-            if (order && order.status === 'pending') {
-              order.status = 'cancelled';
-              order.notes = 'Order cancelled due to payment timeout';
-              await order.save();
-            }
+        // Cancel associated order if exists
+        if (transaction.orderId) {
+          const order = await Order.findById(transaction.orderId);
+          if (order && order.status === 'pending') {
+            await orderStatusService.transition(order._id, 'cancelled', {
+              actorRole: 'system',
+              reason: 'Order cancelled due to payment timeout'
+            });
           }
-
-          cleanedCount++;
-        } catch (error) {
-          logger.error('Failed to cleanup stale transaction', {
-            transactionId: transaction.transactionId,
-            error: error.message
-          });
         }
-      }
-
-      logger.info('Stale transaction cleanup completed', {
-        found: staleTransactions.length,
-        cleaned: cleanedCount
-      });
 
-    } catch (error) {
-      logger.error('Stale transaction cleanup failed', {
-        error: error.message,
-        stack: error.stack
-      });
+        progress.touched++;
+      } catch (error) {
+        progress.fail(transaction.transactionId, error);
+        logger.error('Failed to cleanup stale transaction', {
+          transactionId: transaction.transactionId,
+          error: error.message
+        });
+      }
     }
+
+    logger.info('Stale transaction cleanup completed', {
+      found: staleTransactions.length,
+      cleaned: progress.touched
+    });
   }
 
-  // Generate daily analytics
-  async generateDailyAnalytics() {
+  // Generate daily analytics; the stats are kept as the run's summary
+  async generateDailyAnalytics(progress = jobRunService.createProgress()) {
     logger.info('Generating daily payment analytics');
     
-    try {
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      yesterday.setHours(0, 0, 0, 0);
-      
-      const today = new Date(yesterday);
-      today.setDate(today.getDate() + 1);
+    const yesterday = new Date();
+    yesterday.setDate(yesterday.getDate() - 1);
+    yesterday.setHours(0, 0, 0, 0);
+    
+    const today = new Date(yesterday);
+    today.setDate(today.getDate() + 1);
 
-      const analytics = await Transaction.aggregate([
-        {
-          $match: {
-            createdAt: { $gte: yesterday, $lt: today }
-          }
-        },
-        {
-          $group: {
-            _id: null,
-            totalTransactions: { $sum: 1 },
-            totalAmount: { $sum: '$amount' },
-            successfulTransactions: {
-              $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] }
-            },
-            successfulAmount: {
-              $sum: { $cond: [{ $eq: ['$status', 'success'] }, '$amount', 0] }
-            },
-            failedTransactions: {
-              $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] }
-            },
-            avgTransactionAmount: { $avg: '$amount' },
-            totalFees: { $sum: '$fees.totalFee' }
-          }
+    const analytics = await Transaction.aggregate([
+      {
+        $match: {
+          createdAt: { $gte: yesterday, $lt: today }
+        }
+      },
+      {
+        $group: {
+          _id: null,
+          totalTransactions: { $sum: 1 },
+          totalAmount: { $sum: '$amount' },
+          successfulTransactions: {
+            $sum: { $cond: [{ $eq: ['$status', 'success'] }, 1, 0] }
+          },
+          successfulAmount: {
+            $sum: { $cond: [{ $eq: ['$status', 'success'] }, '$amount', 0] }
+          },
+          failedTransactions: {
+            $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] }
+          },
+          avgTransactionAmount: { $avg: '$amount' },
+          totalFees: { $sum: '$fees.totalFee' }
         }
-      ]);
-
-      if (analytics.length > 0) {
-        const stats = analytics[0];
-        stats.successRate = stats.totalTransactions > 0 
-          ? (stats.successfulTransactions / stats.totalTransactions * 100).toFixed(2)
-          : 0;
-        
-        logger.info('Daily payment analytics generated', {
-          date: yesterday.toISOString().split('T')[0],
-          ...stats
-        });
       }
+    ]);
 
-    } catch (error) {
-      logger.error('Daily analytics generation failed', {
-        error: error.message,
-        stack: error.stack
-      });
+    const date = yesterday.toISOString().split('T')[0];
+    if (analytics.length === 0) {
+      return { date, totalTransactions: 0 };
     }
-  }
 
-  // Helper methods
-  mapRazorpayStatus(razorpayStatus) {
-    const statusMap = {
-      'created': 'initiated',
-      'authorized': 'authorized',
-      'captured': 'success',
-      'refunded': 'refunded',
-      'failed': 'failed'
-    };
-    return statusMap[razorpayStatus] || 'pending';
-  }
-
-  getPaymentMethod(razorpayMethod) {
-    const methodMap = {
-      'card': 'card',
-      'netbanking': 'netbanking',
-      'upi': 'upi',
-      'wallet': 'wallet',
-      'emi': 'emi'
-    };
-    return methodMap[razorpayMethod] || 'card';
+    const { _id, ...stats } = analytics[0];
+    stats.successRate = stats.totalTransactions > 0 
+      ? Number((stats.successfulTransactions / stats.totalTransactions * 100).toFixed(2))
+      : 0;
+    progress.processed = stats.totalTransactions;
+    
+    logger.info('Daily payment analytics generated', { date, ...stats });
+    return { date, ...stats };
   }
 
-  extractPaymentDetails(payment) {
-    const details = {};
-    
-    if (payment.method === 'card' && payment.card) {
-      details.cardLast4 = payment.card.last4;
-      details.cardNetwork = payment.card.network;
-      details.cardType = payment.card.type;
-      details.cardIssuer = payment.card.issuer;
-    }
-    
-    if (payment.method === 'netbanking') {
-      details.bankName = payment.bank;
-    }
-    
-    if (payment.method === 'upi') {
-      details.upiId = payment.vpa;
-    }
-    
-    if (payment.method === 'wallet') {
-      details.walletName = payment.wallet;
-    }
-    
-    if (payment.acquirer_data) {
-      details.authCode = payment.acquirer_data.auth_code;
-      details.rrn = payment.acquirer_data.rrn;
-    }
-    
-    return details;
+  async sendDisputeReminders(progress = jobRunService.createProgress()) {
+    await disputeService.sendDeadlineReminders(progress);
   }
 
+  // Helper methods
   delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
@@ -0,0 +1,152 @@
+import mongoose from 'mongoose';
+import PriceHistory from '../models/PriceHistory.js';
+import Wishlist from '../models/Wishlist.js';
+import notificationService from './notificationService.js';
+import variantService from './variantService.js';
+import { lineKey } from '../utils/stockItems.js';
+import logger from '../config/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOWEST_PRICE_DAYS = 30;
+
+// Stored price changes per product and variant, the price drop alerts they
+// trigger and the lowest recent price shown next to the current one
+class PriceHistoryService {
+  // Prices of a product and its variants, taken before a change so
+  // recordChanges can tell what moved
+  snapshot(product) {
+    if (!product) return null;
+    return {
+      price: product.price,
+      originalPrice: product.originalPrice,
+      variants: new Map((product.variants || []).map(variant => [variant._id.toString(), variant.price]))
+    };
+  }
+
+  // Store every price of `product` that differs from `before` (everything for
+  // a new product) and alert wishlists to the drops
+  async recordChanges(before, product, { source, changedBy, schedule } = {}) {
+    const entry = (variant, price, previousPrice) => ({
+      product: product._id,
+      variant,
+      price,
+      originalPrice: variant ? variantService.findVariant(product, variant)?.originalPrice : product.originalPrice,
+      previousPrice: previousPrice ?? null,
+      source,
+      changedBy,
+      schedule
+    });
+
+    const entries = [];
+    if (!before || before.price !== product.price) {
+      entries.push(entry(null, product.price, before?.price));
+    }
+    (product.variants || []).forEach(variant => {
+      const previous = before?.variants.get(variant._id.toString());
+      if (previous !== variant.price) {
+        entries.push(entry(variant._id, variant.price, previous));
+      }
+    });
+
+    if (entries.length === 0) return [];
+    const saved = await PriceHistory.insertMany(entries);
+
+    const drops = saved.filter(item => item.previousPrice !== null && item.price < item.previousPrice);
+    if (drops.length > 0) {
+      this.notifyPriceDrops(product, drops).catch(error => {
+        logger.error('Price drop alerts failed', { productId: product._id, error: error.message });
+      });
+    }
+    return saved;
+  }
+
+  // Tell everyone with the product (or the variant) on their wishlist and
+  // alerts left on
+  async notifyPriceDrops(product, drops) {
+    for (const drop of drops) {
+      const items = await Wishlist.find({
+        product: product._id,
+        variant: drop.variant,
+        notifyOnDiscount: { $ne: false }
+      }).select('user').lean();
+
+      const variant = drop.variant ? variantService.findVariant(product, drop.variant) : null;
+      const productData = {
+        _id: product._id,
+        name: variant ? `${product.name} (${variantService.label(variant)})` : product.name
+      };
+
+      for (const item of items) {
+        await notificationService.sendPriceDrop(item.user, productData, drop.previousPrice, drop.price);
+      }
+    }
+  }
+
+  async getHistory(productId, { variant, days } = {}) {
+    const filter = { product: productId };
+    if (variant !== undefined) filter.variant = variant || null;
+    if (days) filter.createdAt = { $gte: new Date(Date.now() - days * DAY_MS) };
+
+    return await PriceHistory.find(filter)
+      .populate('changedBy', 'name email')
+      .populate('schedule', 'name')
+      .sort({ createdAt: -1 })
+      .limit(500);
+  }
+
+  // Lowest price the product and each of its variants sold at over the last
+  // `days` days, the current price included. A price set earlier that was
+  // still in effect during the window counts through the next change's
+  // previous price.
+  async getLowestPrices(product, days = LOWEST_PRICE_DAYS) {
+    const lows = await PriceHistory.aggregate([
+      {
+        $match: {
+          product: new mongoose.Types.ObjectId(product._id.toString()),
+          createdAt: { $gte: new Date(Date.now() - days * DAY_MS) }
+        }
+      },
+      {
+        $group: {
+          _id: '$variant',
+          lowest: { $min: { $min: ['$price', { $ifNull: ['$previousPrice', '$price'] }] } }
+        }
+      }
+    ]);
+    const lowByVariant = new Map(lows.map(item => [item._id ? item._id.toString() : null, item.lowest]));
+    const lowest = (key, current) => Math.min(current, lowByVariant.get(key) ?? current);
+
+    return {
+      days,
+      lowestPrice: lowest(null, product.price),
+      variants: (product.variants || [])
+        .filter(variant => variant.isActive !== false)
+        .map(variant => ({
+          variant: variant._id,
+          lowestPrice: lowest(variant._id.toString(), variant.price)
+        }))
+    };
+  }
+
+  // Latest price of every product and variant that changed since `since`,
+  // keyed like stock lines (product:variant)
+  async getChangesSince(since) {
+    const changes = await PriceHistory.aggregate([
+      { $match: { createdAt: { $gt: since }, previousPrice: { $ne: null } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $group: {
+          _id: { product: '$product', variant: '$variant' },
+          price: { $last: '$price' }
+        }
+      }
+    ]);
+
+    return new Map(changes.map(change => [
+      lineKey({ product: change._id.product, variant: change._id.variant }),
+      { product: change._id.product, variant: change._id.variant, price: change.price }
+    ]));
+  }
+}
+
+export default new PriceHistoryService();
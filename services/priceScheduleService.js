@@ -0,0 +1,248 @@
+import PriceSchedule from '../models/PriceSchedule.js';
+import Product from '../models/Product.js';
+import priceHistoryService from './priceHistoryService.js';
+import variantService from './variantService.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import { lineKey } from '../utils/stockItems.js';
+import logger from '../config/logger.js';
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Scheduled price lists and sales: started and ended by a sweep that runs
+// every minute
+class PriceScheduleService {
+  constructor() {
+    this.sweepTimer = null;
+  }
+
+  // Check the items of a new schedule: each product (and variant, for a
+  // product sold in variants) must exist, appear once, and not be in another
+  // schedule whose dates overlap. A price list without an end date counts as
+  // the moment it starts.
+  async validateItems(items, { startsAt, endsAt }) {
+    const keys = items.map(item => lineKey(item));
+    const duplicate = keys.find((key, index) => keys.indexOf(key) !== index);
+    if (duplicate) {
+      throw new AppError('A product appears more than once in the schedule', 400, 'DUPLICATE_SCHEDULE_ITEM');
+    }
+
+    const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+      .select('name price variants');
+    const byId = new Map(products.map(product => [product._id.toString(), product]));
+
+    items.forEach(item => {
+      const product = byId.get(item.product.toString());
+      if (!product) {
+        throw new AppError('Product not found', 404, 'PRODUCT_NOT_FOUND', { productId: item.product });
+      }
+      // Throws when the variant is missing, unknown or inactive
+      variantService.resolve(product, item.variant);
+    });
+
+    const overlapping = await PriceSchedule.find({
+      status: { $in: ['scheduled', 'active'] },
+      'items.product': { $in: items.map(item => item.product) },
+      startsAt: endsAt ? { $lt: endsAt } : { $lte: startsAt },
+      $or: [{ endsAt: { $gt: startsAt } }, { endsAt: null, startsAt: { $gte: startsAt } }]
+    }).select('name items.product items.variant');
+
+    const wanted = new Set(keys);
+    const clash = overlapping.find(schedule => schedule.items.some(item => wanted.has(lineKey(item))));
+    if (clash) {
+      throw new AppError(
+        `Some of these products are already in "${clash.name}" at the same time`,
+        409,
+        'SCHEDULE_OVERLAP',
+        { scheduleId: clash._id }
+      );
+    }
+  }
+
+  async createSchedule({ name, items, startsAt, endsAt }, userId) {
+    const schedule = new PriceSchedule({
+      name,
+      items: items.map(item => ({
+        product: item.product,
+        variant: item.variant || null,
+        salePrice: item.salePrice
+      })),
+      startsAt,
+      endsAt: endsAt || null,
+      createdBy: userId
+    });
+    await schedule.validate();
+    await this.validateItems(schedule.items, schedule);
+    await schedule.save();
+
+    logger.info('Price schedule created', { scheduleId: schedule._id, items: schedule.items.length });
+    return schedule;
+  }
+
+  // Store an item's outcome straight away, so a failure part way through a
+  // schedule never leaves a changed price without the record to undo it
+  async recordItem(schedule, item, fields) {
+    Object.assign(item, fields);
+    const update = Object.fromEntries(
+      Object.entries(fields).map(([field, value]) => [`items.$.${field}`, value])
+    );
+    await PriceSchedule.updateOne({ _id: schedule._id, 'items._id': item._id }, { $set: update });
+  }
+
+  // Put the schedule's prices on its products. On a sale the regular price
+  // becomes the original price shown struck through.
+  async startSchedule(schedule) {
+    const isSale = Boolean(schedule.endsAt);
+
+    for (const item of schedule.items) {
+      let applied = false;
+      try {
+        const product = await Product.findById(item.product);
+        const target = product && (item.variant ? variantService.findVariant(product, item.variant) : product);
+        if (!target) {
+          await this.recordItem(schedule, item, { skippedReason: 'Product or variant no longer exists' });
+          continue;
+        }
+
+        const before = priceHistoryService.snapshot(product);
+        await this.recordItem(schedule, item, {
+          regularPrice: target.price,
+          regularOriginalPrice: target.originalPrice,
+          appliedAt: new Date()
+        });
+        target.price = item.salePrice;
+        if (isSale) {
+          target.originalPrice = Math.max(item.regularPrice, item.regularOriginalPrice || 0);
+        }
+        await product.save();
+        applied = true;
+
+        await priceHistoryService.recordChanges(before, product, { source: 'schedule', schedule: schedule._id });
+      } catch (error) {
+        logger.error('Price schedule item failed to start', {
+          scheduleId: schedule._id,
+          productId: item.product,
+          variant: item.variant,
+          error: error.message
+        });
+        // A price that was never changed must not be "reverted" later
+        if (!applied) {
+          await this.recordItem(schedule, item, { appliedAt: null, skippedReason: error.message });
+        }
+      }
+    }
+
+    logger.info('Price schedule started', { scheduleId: schedule._id });
+  }
+
+  // Put back the regular prices. An item whose price was changed by hand
+  // during the sale keeps the new price.
+  async revertSchedule(schedule) {
+    for (const item of schedule.items) {
+      if (!item.appliedAt || item.revertedAt) continue;
+
+      try {
+        const product = await Product.findById(item.product);
+        const target = product && (item.variant ? variantService.findVariant(product, item.variant) : product);
+        if (!target) {
+          await this.recordItem(schedule, item, { skippedReason: 'Product or variant no longer exists' });
+          continue;
+        }
+        if (target.price !== item.salePrice) {
+          await this.recordItem(schedule, item, { skippedReason: `Price was changed to ${target.price} during the sale` });
+          continue;
+        }
+
+        const before = priceHistoryService.snapshot(product);
+        target.price = item.regularPrice;
+        target.originalPrice = item.regularOriginalPrice;
+        await product.save();
+        await this.recordItem(schedule, item, { revertedAt: new Date() });
+
+        await priceHistoryService.recordChanges(before, product, { source: 'schedule', schedule: schedule._id });
+      } catch (error) {
+        logger.error('Price schedule item failed to revert', {
+          scheduleId: schedule._id,
+          productId: item.product,
+          variant: item.variant,
+          error: error.message
+        });
+        if (!item.revertedAt) {
+          await this.recordItem(schedule, item, { skippedReason: error.message });
+        }
+      }
+    }
+
+    logger.info('Price schedule ended', { scheduleId: schedule._id });
+  }
+
+  // End sales that are over, then start schedules that are due, so a sale
+  // can follow straight on from another. Each schedule is claimed with a
+  // conditional update so it is only processed once.
+  async processDueSchedules(now = new Date()) {
+    let schedule;
+
+    while ((schedule = await PriceSchedule.findOneAndUpdate(
+      { status: 'active', endsAt: { $ne: null, $lte: now } },
+      { $set: { status: 'completed', endedAt: now } },
+      { new: true, sort: { endsAt: 1 } }
+    ))) {
+      await this.revertSchedule(schedule);
+    }
+
+    while ((schedule = await PriceSchedule.findOneAndUpdate(
+      { status: 'scheduled', startsAt: { $lte: now } },
+      { $set: { status: 'active', startedAt: now } },
+      { new: true, sort: { startsAt: 1 } }
+    ))) {
+      await this.startSchedule(schedule);
+      // A price list without an end date is done once applied
+      if (!schedule.endsAt) {
+        schedule.status = 'completed';
+        schedule.endedAt = new Date();
+        await schedule.save();
+      }
+    }
+  }
+
+  // Cancel a schedule before it completes; a running sale ends straight away
+  async cancelSchedule(scheduleId) {
+    const schedule = await PriceSchedule.findOneAndUpdate(
+      { _id: scheduleId, status: { $in: ['scheduled', 'active'] } },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } }
+    );
+
+    if (!schedule) {
+      const exists = await PriceSchedule.exists({ _id: scheduleId });
+      if (!exists) {
+        throw new AppError('Price schedule not found', 404);
+      }
+      throw new AppError('Only scheduled or running price schedules can be cancelled', 400, 'SCHEDULE_NOT_CANCELLABLE');
+    }
+
+    if (schedule.status === 'active') {
+      await this.revertSchedule(schedule);
+    }
+
+    return await PriceSchedule.findById(scheduleId);
+  }
+
+  startScheduleSweep() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(async () => {
+      try {
+        await this.processDueSchedules();
+      } catch (error) {
+        logger.error('Price schedule sweep failed', { error: error.message });
+      }
+    }, SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  stopScheduleSweep() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+}
+
+export default new PriceScheduleService();
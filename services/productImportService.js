@@ -0,0 +1,437 @@
+import path from 'path';
+import { Readable } from 'stream';
+import ExcelJS from 'exceljs';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import ImportJob, { MAX_REPORTED_ERRORS } from '../models/ImportJob.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import { SPREADSHEET_FORMATS } from '../middleware/upload.js';
+import logger from '../config/logger.js';
+import elasticsearchService from './elasticsearchService.js';
+import priceHistoryService from './priceHistoryService.js';
+import productQueryService from './productQueryService.js';
+import variantService from './variantService.js';
+import warehouseService from './warehouseService.js';
+
+// Spreadsheet columns, in export order. Lists are separated by "|" and part
+// references are written as NUMBER:BRAND.
+const COLUMNS = [
+  'sku',
+  'name',
+  'description',
+  'category',
+  'brand',
+  'price',
+  'originalPrice',
+  'stockQuantity',
+  'hsnCode',
+  'gstRate',
+  'weight',
+  'tags',
+  'features',
+  'oemNumbers',
+  'crossReferences',
+  'image',
+  'isUniversalFit',
+  'isActive',
+  'isFeatured'
+];
+const TEXT_COLUMNS = ['name', 'description', 'brand', 'hsnCode', 'image'];
+const NUMBER_COLUMNS = ['price', 'originalPrice', 'stockQuantity', 'gstRate', 'weight'];
+const LIST_COLUMNS = ['tags', 'features'];
+const PART_REFERENCE_COLUMNS = ['oemNumbers', 'crossReferences'];
+const BOOLEAN_COLUMNS = ['isUniversalFit', 'isActive', 'isFeatured'];
+
+const LIST_SEPARATOR = '|';
+const MAX_IMPORT_ROWS = 20000;
+const BATCH_SIZE = 100;
+const REINDEX_BATCH_SIZE = 500;
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const splitList = (value) => value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean);
+
+// Bulk product upserts from CSV/XLSX files, keyed by SKU, and the matching export
+class ProductImportService {
+  detectFormat(fileName) {
+    const format = path.extname(fileName || '').slice(1).toLowerCase();
+    if (!SPREADSHEET_FORMATS.includes(format)) {
+      throw new AppError('Only CSV and XLSX files are allowed', 400, 'UNSUPPORTED_FILE');
+    }
+    return format;
+  }
+
+  // Rows of the first sheet as { rowNumber, values } keyed by the header row.
+  // Every cell is read as text; the columns are typed in buildFields.
+  async readRows(buffer, format) {
+    const workbook = new ExcelJS.Workbook();
+    let worksheet;
+    try {
+      if (format === 'xlsx') {
+        await workbook.xlsx.load(buffer);
+        worksheet = workbook.worksheets[0];
+      } else {
+        worksheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });
+      }
+    } catch (error) {
+      throw new AppError(`The file could not be read: ${error.message}`, 400, 'IMPORT_FILE_INVALID');
+    }
+    if (!worksheet) {
+      throw new AppError('The file has no sheets', 400, 'IMPORT_FILE_INVALID');
+    }
+
+    const headers = [];
+    worksheet.getRow(1).eachCell((cell, column) => {
+      headers[column] = String(cell.text).trim();
+    });
+    if (!headers.includes('sku')) {
+      throw new AppError('The header row needs a sku column', 400, 'IMPORT_FILE_INVALID', { columns: COLUMNS });
+    }
+
+    const rows = [];
+    worksheet.eachRow((row, rowNumber) => {
+      if (rowNumber === 1) return;
+
+      const values = {};
+      headers.forEach((header, column) => {
+        if (!header) return;
+        const text = String(row.getCell(column).text ?? '').trim();
+        if (text !== '') values[header] = text;
+      });
+      if (Object.keys(values).length > 0) {
+        rows.push({ rowNumber, values });
+      }
+    });
+
+    return rows;
+  }
+
+  // Categories by lower-cased name (names are unique)
+  async loadCategories() {
+    const categories = await Category.find().select('name').lean();
+    return new Map(categories.map(category => [category.name.toLowerCase(), category._id]));
+  }
+
+  // Product fields from a row. Empty cells are left out, so an update keeps
+  // the current value.
+  buildFields(values, categories) {
+    const fields = {};
+    const errors = [];
+
+    TEXT_COLUMNS.forEach(column => {
+      if (values[column] !== undefined) fields[column] = values[column];
+    });
+
+    NUMBER_COLUMNS.forEach(column => {
+      if (values[column] === undefined) return;
+      const number = Number(values[column].replace(/,/g, ''));
+      if (Number.isNaN(number)) {
+        errors.push({ field: column, message: `${column} must be a number` });
+      } else {
+        fields[column] = number;
+      }
+    });
+
+    LIST_COLUMNS.forEach(column => {
+      if (values[column] !== undefined) fields[column] = splitList(values[column]);
+    });
+
+    PART_REFERENCE_COLUMNS.forEach(column => {
+      if (values[column] === undefined) return;
+      fields[column] = splitList(values[column]).map(reference => {
+        const [number, ...brand] = reference.split(':');
+        return { number: number.trim(), brand: brand.join(':').trim() || undefined };
+      });
+    });
+
+    BOOLEAN_COLUMNS.forEach(column => {
+      if (values[column] === undefined) return;
+      const value = values[column].toLowerCase();
+      if (TRUE_VALUES.includes(value)) {
+        fields[column] = true;
+      } else if (FALSE_VALUES.includes(value)) {
+        fields[column] = false;
+      } else {
+        errors.push({ field: column, message: `${column} must be true or false` });
+      }
+    });
+
+    if (values.category !== undefined) {
+      const category = categories.get(values.category.toLowerCase());
+      if (category) {
+        fields.category = category;
+      } else {
+        errors.push({ field: 'category', message: `Category "${values.category}" not found` });
+      }
+    }
+
+    return { fields, errors };
+  }
+
+  // The product a row creates or updates, checked against the Product schema
+  prepareRow({ values }, { categories, existing, seen, warehousesInUse }) {
+    const sku = values.sku?.toUpperCase();
+    if (!sku) {
+      return { errors: [{ field: 'sku', message: 'SKU is required' }] };
+    }
+    if (seen.has(sku)) {
+      return { sku, errors: [{ field: 'sku', message: 'SKU appears more than once in the file' }] };
+    }
+    seen.add(sku);
+
+    const { fields, errors } = this.buildFields(values, categories);
+    if (errors.length > 0) {
+      return { sku, errors };
+    }
+
+    const current = existing.get(sku);
+    // Same rules as the product endpoints: warehouse stock is booked per
+    // location, and variant products take price and stock from their variants
+    if (warehousesInUse) {
+      delete fields.stockQuantity;
+    } else if (fields.stockQuantity !== undefined) {
+      fields.inStock = fields.stockQuantity > 0;
+    }
+    if (current && variantService.hasVariants(current)) {
+      delete fields.price;
+      delete fields.originalPrice;
+      delete fields.stockQuantity;
+      delete fields.inStock;
+    }
+
+    const product = current || new Product({
+      sku,
+      ...(warehousesInUse && { stockQuantity: 0, inStock: false })
+    });
+    product.set(fields);
+
+    const validation = product.validateSync();
+    if (validation) {
+      return {
+        sku,
+        errors: Object.values(validation.errors).map(error => ({ field: error.path, message: error.message }))
+      };
+    }
+
+    return { sku, product, isNew: !current };
+  }
+
+  recordErrors(job, row, sku, errors) {
+    job.failed += 1;
+    errors.forEach(error => {
+      if (job.rowErrors.length < MAX_REPORTED_ERRORS) {
+        job.rowErrors.push({ row: row.rowNumber, sku, ...error });
+      } else {
+        job.errorsTruncated = true;
+      }
+    });
+  }
+
+  // Check the file and queue the job. The rows are processed after the
+  // response is sent and the admin polls the job for progress.
+  async startImport(file, { dryRun = false, userId }) {
+    const format = this.detectFormat(file.originalname);
+    const rows = await this.readRows(file.buffer, format);
+
+    if (rows.length === 0) {
+      throw new AppError('The file has no product rows', 400, 'IMPORT_FILE_EMPTY');
+    }
+    if (rows.length > MAX_IMPORT_ROWS) {
+      throw new AppError(`Import at most ${MAX_IMPORT_ROWS} rows per file`, 400, 'IMPORT_FILE_TOO_LARGE');
+    }
+
+    const job = await ImportJob.create({
+      fileName: file.originalname,
+      format,
+      dryRun,
+      totalRows: rows.length,
+      createdBy: userId
+    });
+
+    logger.info('Product import queued', { jobId: job._id, rows: rows.length, dryRun, createdBy: userId });
+
+    setImmediate(() => {
+      this.run(job._id, rows).catch(error => {
+        logger.error('Product import crashed', { jobId: job._id, error: error.message });
+      });
+    });
+
+    return job;
+  }
+
+  async run(jobId, rows) {
+    const job = await ImportJob.findById(jobId);
+    if (!job || job.status !== 'queued') return;
+
+    job.status = 'running';
+    job.startedAt = new Date();
+    await job.save();
+
+    try {
+      const context = {
+        categories: await this.loadCategories(),
+        warehousesInUse: await warehouseService.isInUse(),
+        seen: new Set()
+      };
+      const saved = [];
+
+      for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+        const batch = rows.slice(start, start + BATCH_SIZE);
+        const skus = batch.map(row => row.values.sku?.toUpperCase()).filter(Boolean);
+        const products = await Product.find({ sku: { $in: skus } });
+        context.existing = new Map(products.map(product => [product.sku, product]));
+        const pricesBefore = new Map(products.map(product => [product._id.toString(), priceHistoryService.snapshot(product)]));
+
+        for (const row of batch) {
+          const { sku, product, isNew, errors } = this.prepareRow(row, context);
+          if (errors) {
+            this.recordErrors(job, row, sku, errors);
+            continue;
+          }
+
+          if (!job.dryRun) {
+            try {
+              await product.save();
+              saved.push(product._id);
+            } catch (error) {
+              const message = error.code === 11000 ? 'SKU is already used by another product or variant' : error.message;
+              this.recordErrors(job, row, sku, [{ field: error.code === 11000 ? 'sku' : undefined, message }]);
+              continue;
+            }
+
+            await priceHistoryService.recordChanges(pricesBefore.get(product._id.toString()) || null, product, {
+              source: 'import',
+              changedBy: job.createdBy
+            });
+          }
+
+          if (isNew) {
+            job.created += 1;
+          } else {
+            job.updated += 1;
+          }
+        }
+
+        job.processedRows = Math.min(start + batch.length, rows.length);
+        await job.save();
+      }
+
+      await this.reindex(saved);
+
+      job.status = 'completed';
+      job.finishedAt = new Date();
+      await job.save();
+
+      logger.info('Product import completed', {
+        jobId: job._id,
+        dryRun: job.dryRun,
+        created: job.created,
+        updated: job.updated,
+        failed: job.failed
+      });
+    } catch (error) {
+      job.status = 'failed';
+      job.failureReason = error.message;
+      job.finishedAt = new Date();
+      await job.save();
+
+      logger.error('Product import failed', { jobId: job._id, error: error.message });
+    }
+  }
+
+  // Push imported products to the search index
+  async reindex(productIds) {
+    for (let start = 0; start < productIds.length; start += REINDEX_BATCH_SIZE) {
+      const products = await Product.find({ _id: { $in: productIds.slice(start, start + REINDEX_BATCH_SIZE) } })
+        .populate('category', 'name path')
+        .lean();
+      await elasticsearchService.bulkIndexProducts(products);
+    }
+  }
+
+  async getJob(jobId) {
+    const job = await ImportJob.findById(jobId).populate('createdBy', 'name email');
+    if (!job) {
+      throw new AppError('Import job not found', 404);
+    }
+    return job;
+  }
+
+  async getJobs({ page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [jobs, total] = await Promise.all([
+      ImportJob.find()
+        .select('-rowErrors')
+        .populate('createdBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      ImportJob.countDocuments()
+    ]);
+
+    return {
+      jobs,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  toRow(product) {
+    const references = (list) => (list || [])
+      .map(reference => (reference.brand ? `${reference.number}:${reference.brand}` : reference.number))
+      .join(LIST_SEPARATOR);
+
+    return {
+      sku: product.sku,
+      name: product.name,
+      description: product.description,
+      category: product.category?.name,
+      brand: product.brand,
+      price: product.price,
+      originalPrice: product.originalPrice,
+      stockQuantity: product.stockQuantity,
+      hsnCode: product.hsnCode,
+      gstRate: product.gstRate,
+      weight: product.weight,
+      tags: (product.tags || []).join(LIST_SEPARATOR),
+      features: (product.features || []).join(LIST_SEPARATOR),
+      oemNumbers: references(product.oemNumbers),
+      crossReferences: references(product.crossReferences),
+      image: product.image,
+      isUniversalFit: product.isUniversalFit,
+      isActive: product.isActive,
+      isFeatured: product.isFeatured
+    };
+  }
+
+  // Products matching the product list filters, in the import layout
+  async exportProducts(query, format) {
+    const filter = await productQueryService.buildFilter(query);
+    const sort = productQueryService.buildSort(query.sortBy);
+
+    const workbook = new ExcelJS.Workbook();
+    const worksheet = workbook.addWorksheet('Products');
+    worksheet.columns = COLUMNS.map(column => ({ header: column, key: column, width: 18 }));
+
+    const cursor = Product.find(filter)
+      .populate('category', 'name')
+      .sort(sort)
+      .lean()
+      .cursor();
+    for await (const product of cursor) {
+      worksheet.addRow(this.toRow(product));
+    }
+
+    return format === 'xlsx'
+      ? await workbook.xlsx.writeBuffer()
+      : await workbook.csv.writeBuffer();
+  }
+}
+
+export default new ProductImportService();
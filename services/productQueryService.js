@@ -0,0 +1,49 @@
+import categoryTreeService from './categoryTreeService.js';
+import fitmentService from './fitmentService.js';
+import { escapeRegex } from '../utils/regex.js';
+
+// Catalogue listing filters, shared by the product list and the product export
+class ProductQueryService {
+  async buildFilter(query) {
+    const filter = {};
+
+    // A category includes all of its subcategories
+    if (query.category) {
+      filter.category = await categoryTreeService.productFilter(query.category);
+    }
+
+    if (query.brand) {
+      filter.brand = new RegExp(escapeRegex(query.brand), 'i');
+    }
+
+    if (query.minPrice || query.maxPrice) {
+      filter.price = {};
+      if (query.minPrice) filter.price.$gte = parseFloat(query.minPrice);
+      if (query.maxPrice) filter.price.$lte = parseFloat(query.maxPrice);
+    }
+
+    if (query.inStock === 'true') {
+      filter.inStock = true;
+    }
+
+    // Parts that fit the customer's vehicle
+    if (query.vehicle) {
+      const vehicle = await fitmentService.findVehicle(query.vehicle);
+      Object.assign(filter, fitmentService.productFilter(vehicle._id));
+    }
+
+    return filter;
+  }
+
+  // `sortBy` is field:asc|desc, newest first by default
+  buildSort(sortBy) {
+    if (!sortBy) {
+      return { createdAt: -1 };
+    }
+
+    const [field, order] = sortBy.split(':');
+    return { [field]: order === 'desc' ? -1 : 1 };
+  }
+}
+
+export default new ProductQueryService();
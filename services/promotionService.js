@@ -0,0 +1,329 @@
+import Promotion from '../models/Promotion.js';
+import logger from '../config/logger.js';
+
+// Upper bound on item-level promotions considered together (2^n combinations)
+const MAX_COMBINATION_SIZE = 10;
+
+const byPriceDesc = (a, b) => b.price - a.price;
+const byPriceAsc = (a, b) => a.price - b.price;
+
+// Automatic promotions: evaluates running promotions against cart lines and
+// picks the combination that gives the customer the largest discount
+class PromotionService {
+  constructor() {
+    this.cache = null;
+    this.cacheTimeout = 60000; // 1 minute
+  }
+
+  async getRunningPromotions() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.promotions;
+    }
+
+    const promotions = await Promotion.findRunning().lean();
+    this.cache = {
+      promotions,
+      expiresAt: Date.now() + this.cacheTimeout
+    };
+
+    return promotions;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+  }
+
+  // Lines are plain objects: { product, category, brand, price, quantity }
+  async evaluateCart(lines) {
+    const empty = { applied: [], totalDiscount: 0 };
+    if (!lines || lines.length === 0) return empty;
+
+    const now = new Date();
+    const promotions = (await this.getRunningPromotions()).filter(promotion =>
+      (!promotion.startsAt || promotion.startsAt <= now) &&
+      (!promotion.endsAt || promotion.endsAt >= now)
+    );
+    if (promotions.length === 0) return empty;
+
+    const itemPromotions = this.pickItemPromotions(
+      promotions.filter(promotion => promotion.type !== 'spend_tier'),
+      lines
+    );
+    const tierPromotions = promotions.filter(promotion => promotion.type === 'spend_tier');
+    const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+
+    let best = empty;
+
+    for (let mask = 0; mask < (1 << itemPromotions.length); mask++) {
+      const selected = itemPromotions.filter((_, index) => mask & (1 << index));
+      if (selected.length > 1 && selected.some(promotion => promotion.isExclusive)) continue;
+
+      // Promotions claim units in priority order; a promotion left with nothing
+      // to discount makes this combination redundant
+      const pool = this.createPool(lines);
+      const applied = [];
+      for (const promotion of selected) {
+        const result = this.applyItemPromotion(promotion, pool);
+        if (!result) break;
+        applied.push(result);
+      }
+      if (applied.length !== selected.length) continue;
+
+      const itemDiscount = applied.reduce((total, result) => total + result.discount, 0);
+      const candidates = [applied];
+
+      if (!selected.some(promotion => promotion.isExclusive)) {
+        for (const promotion of tierPromotions) {
+          if (promotion.isExclusive && selected.length > 0) continue;
+          const result = this.applySpendTier(promotion, subtotal - itemDiscount);
+          if (result) candidates.push([...applied, result]);
+        }
+      }
+
+      for (const candidate of candidates) {
+        const totalDiscount = Math.min(
+          candidate.reduce((total, result) => total + result.discount, 0),
+          subtotal
+        );
+        if (totalDiscount > best.totalDiscount) {
+          best = { applied: candidate, totalDiscount };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  // Item promotions that apply to the cart, in priority order. Past the
+  // combination limit, those worth the most on their own are kept.
+  pickItemPromotions(promotions, lines) {
+    const ranked = promotions
+      .map((promotion, index) => ({ promotion, index, result: this.applyItemPromotion(promotion, this.createPool(lines)) }))
+      .filter(candidate => candidate.result);
+    if (ranked.length <= MAX_COMBINATION_SIZE) {
+      return ranked.map(candidate => candidate.promotion);
+    }
+
+    const kept = ranked
+      .sort((a, b) => (b.result.discount - a.result.discount) || (a.index - b.index))
+      .slice(0, MAX_COMBINATION_SIZE)
+      .sort((a, b) => a.index - b.index);
+
+    logger.warn('Too many promotions apply to the cart, only the largest are combined', {
+      applicable: ranked.length,
+      combined: MAX_COMBINATION_SIZE,
+      dropped: ranked.length - MAX_COMBINATION_SIZE
+    });
+
+    return kept.map(candidate => candidate.promotion);
+  }
+
+  // Units available for promotions, one entry per cart line
+  createPool(lines) {
+    return lines.map((line, index) => ({
+      index,
+      product: line.product?.toString(),
+      category: line.category?.toString(),
+      price: line.price,
+      available: line.quantity
+    }));
+  }
+
+  // Claim `count` units from matching entries; nothing is claimed unless all are available
+  takeUnits(pool, predicate, count, compare) {
+    const candidates = pool
+      .filter(entry => entry.available > 0 && predicate(entry))
+      .sort(compare);
+
+    const taken = [];
+    let remaining = count;
+    for (const entry of candidates) {
+      if (remaining === 0) break;
+      const quantity = Math.min(entry.available, remaining);
+      taken.push({ entry, quantity });
+      remaining -= quantity;
+    }
+
+    if (remaining > 0) return null;
+
+    taken.forEach(({ entry, quantity }) => {
+      entry.available -= quantity;
+    });
+    return taken;
+  }
+
+  releaseUnits(taken) {
+    taken.forEach(({ entry, quantity }) => {
+      entry.available += quantity;
+    });
+  }
+
+  applyItemPromotion(promotion, pool) {
+    let result;
+
+    switch (promotion.type) {
+      case 'buy_x_get_y':
+        result = this.applyBuyXGetY(promotion, pool);
+        break;
+      case 'bundle':
+        result = this.applyBundle(promotion, pool);
+        break;
+      case 'category_sale':
+        result = this.applyCategorySale(promotion, pool);
+        break;
+      default:
+        return null;
+    }
+
+    if (!result || result.discount <= 0) return null;
+
+    return {
+      promotion: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      discount: Math.round(result.discount),
+      products: [...new Set(result.products)]
+    };
+  }
+
+  // The most expensive qualifying units are bought, the cheapest eligible units are discounted
+  applyBuyXGetY(promotion, pool) {
+    const offer = promotion.buyXGetY;
+    const buySet = new Set(offer.buyProducts.map(id => id.toString()));
+    const getSet = offer.getProducts && offer.getProducts.length > 0
+      ? new Set(offer.getProducts.map(id => id.toString()))
+      : buySet;
+
+    let applications = 0;
+    let discount = 0;
+    const products = [];
+
+    while (offer.maxApplications === null || offer.maxApplications === undefined ||
+      applications < offer.maxApplications) {
+      const bought = this.takeUnits(pool, entry => buySet.has(entry.product), offer.buyQuantity, byPriceDesc);
+      if (!bought) break;
+
+      const discounted = this.takeUnits(pool, entry => getSet.has(entry.product), offer.getQuantity, byPriceAsc);
+      if (!discounted) {
+        this.releaseUnits(bought);
+        break;
+      }
+
+      discounted.forEach(({ entry, quantity }) => {
+        discount += (entry.price * quantity * offer.getDiscountPercent) / 100;
+      });
+      [...bought, ...discounted].forEach(({ entry }) => products.push(entry.product));
+      applications++;
+    }
+
+    return { discount, products };
+  }
+
+  applyBundle(promotion, pool) {
+    const { items, bundlePrice } = promotion.bundle;
+    let discount = 0;
+    const products = [];
+
+    for (;;) {
+      const claimed = [];
+      for (const item of items) {
+        const productId = item.product.toString();
+        const taken = this.takeUnits(pool, entry => entry.product === productId, item.quantity, byPriceAsc);
+        if (!taken) break;
+        claimed.push(...taken);
+      }
+
+      const regularPrice = claimed.reduce((total, { entry, quantity }) => total + entry.price * quantity, 0);
+      const complete = claimed.length > 0 &&
+        items.every(item => claimed.some(({ entry }) => entry.product === item.product.toString()));
+
+      if (!complete || regularPrice <= bundlePrice) {
+        this.releaseUnits(claimed);
+        break;
+      }
+
+      discount += regularPrice - bundlePrice;
+      claimed.forEach(({ entry }) => products.push(entry.product));
+    }
+
+    return { discount, products };
+  }
+
+  applyCategorySale(promotion, pool) {
+    const sale = promotion.categorySale;
+    const categories = new Set(sale.categories.map(id => id.toString()));
+
+    let discount = 0;
+    const products = [];
+
+    pool.forEach(entry => {
+      if (entry.available > 0 && categories.has(entry.category)) {
+        discount += (entry.price * entry.available * sale.discountPercent) / 100;
+        products.push(entry.product);
+        entry.available = 0;
+      }
+    });
+
+    if (sale.maxDiscount !== null && sale.maxDiscount !== undefined) {
+      discount = Math.min(discount, sale.maxDiscount);
+    }
+
+    return { discount, products };
+  }
+
+  // Tiers apply to what is left after item-level promotions
+  applySpendTier(promotion, amount) {
+    const tier = promotion.tiers
+      .filter(candidate => amount >= candidate.minSpend)
+      .sort((a, b) => b.minSpend - a.minSpend)[0];
+
+    if (!tier) return null;
+
+    let discount = Math.round((amount * tier.discountPercent) / 100);
+    if (tier.maxDiscount !== null && tier.maxDiscount !== undefined) {
+      discount = Math.min(discount, tier.maxDiscount);
+    }
+
+    if (discount <= 0) return null;
+
+    return {
+      promotion: promotion._id,
+      name: promotion.name,
+      type: promotion.type,
+      discount,
+      products: []
+    };
+  }
+
+  // Bundles containing the product that the cart does not complete yet
+  async findBundleOffers(productId, lines) {
+    const target = productId.toString();
+    const quantities = new Map();
+    lines.forEach(line => {
+      const key = line.product.toString();
+      quantities.set(key, (quantities.get(key) || 0) + line.quantity);
+    });
+
+    const promotions = await this.getRunningPromotions();
+
+    return promotions
+      .filter(promotion =>
+        promotion.type === 'bundle' &&
+        promotion.bundle.items.some(item => item.product.toString() === target)
+      )
+      .map(promotion => ({
+        promotionId: promotion._id,
+        name: promotion.name,
+        bundlePrice: promotion.bundle.bundlePrice,
+        missingItems: promotion.bundle.items
+          .filter(item => (quantities.get(item.product.toString()) || 0) < item.quantity)
+          .map(item => ({
+            product: item.product,
+            quantity: item.quantity - (quantities.get(item.product.toString()) || 0)
+          }))
+      }))
+      .filter(offer => offer.missingItems.length > 0);
+  }
+}
+
+export default new PromotionService();
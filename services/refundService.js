@@ -0,0 +1,88 @@
+import Transaction from '../models/Transaction.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import paymentGatewayService from './paymentGatewayService.js';
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Gateway refunds for payment transactions, shared by admin refunds and returns
+class RefundService {
+  async findTransaction({ paymentId, transactionId }) {
+    const query = paymentId
+      ? { gatewayPaymentId: paymentId }
+      : { transactionId };
+
+    const transaction = await Transaction.findOne(query);
+    if (!transaction) {
+      throw new AppError('Transaction not found', 404);
+    }
+    return transaction;
+  }
+
+  // The captured online payment for an order, if it was paid online
+  async findOrderPayment(orderId) {
+    return await Transaction.findOne({
+      orderId,
+      type: 'payment',
+      status: { $in: ['success', 'captured', 'partially_refunded'] }
+    }).sort({ createdAt: -1 });
+  }
+
+  getRefundableAmount(transaction) {
+    return roundCurrency(transaction.amount - (transaction.refundedAmount || 0));
+  }
+
+  // Refund (part of) a transaction through the gateway. Defaults to whatever
+  // has not been refunded yet.
+  async refundTransaction(transaction, { amount, reason, initiatedBy, notes = {} }) {
+    const refundable = this.getRefundableAmount(transaction);
+    const refundAmount = roundCurrency(amount || refundable);
+
+    if (refundAmount <= 0) {
+      throw new AppError('Refund amount must be greater than zero', 400);
+    }
+    if (refundAmount > refundable) {
+      throw new AppError('Refund amount cannot exceed transaction amount', 400, 'REFUND_EXCEEDS_PAYMENT', { refundable });
+    }
+
+    const gateway = paymentGatewayService.forTransaction(transaction);
+    const refund = await gateway.refund(transaction.gatewayPaymentId, {
+      amount: refundAmount,
+      notes: {
+        reason: reason || 'Customer requested refund',
+        refunded_by: initiatedBy ? initiatedBy.toString() : 'system',
+        transaction_id: transaction.transactionId,
+        ...notes
+      },
+    });
+
+    transaction.refundedAmount = roundCurrency((transaction.refundedAmount || 0) + refundAmount);
+    const refundStatus = transaction.refundedAmount >= transaction.amount ? 'refunded' : 'partially_refunded';
+    transaction.refund = {
+      refundId: refund.id,
+      amount: refundAmount,
+      reason: reason || 'Customer requested refund',
+      initiatedBy,
+      initiatedAt: new Date(),
+      status: 'processing'
+    };
+
+    await transaction.addStatusUpdate(refundStatus, 'Refund initiated', {
+      refund_id: refund.id,
+      refund_amount: refundAmount,
+      reason,
+      initiated_by: initiatedBy
+    });
+
+    logger.info('Refund initiated successfully', {
+      transactionId: transaction.transactionId,
+      refundId: refund.id,
+      amount: refundAmount,
+      initiatedBy
+    });
+
+    return { refund, refundAmount, fullyRefunded: refundStatus === 'refunded' };
+  }
+}
+
+export default new RefundService();
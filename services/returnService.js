@@ -0,0 +1,453 @@
+import ReturnRequest from '../models/ReturnRequest.js';
+import Order from '../models/Order.js';
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import notificationService from './notificationService.js';
+import inventoryService from './inventoryService.js';
+import warehouseService from './warehouseService.js';
+import refundService from './refundService.js';
+import orderStatusService from './orderStatusService.js';
+import { lineKey } from '../utils/stockItems.js';
+
+// Return window for categories that do not set one
+const DEFAULT_RETURN_WINDOW_DAYS = 7;
+// Parent categories followed when inheriting the return window
+const MAX_CATEGORY_DEPTH = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Return requests (RMA) for delivered orders: eligibility, approval, reverse
+// pickup, quality check and refund
+class ReturnService {
+  // Return window in days for each product, following the category chain
+  async resolveReturnWindows(productIds) {
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('category')
+      .lean();
+
+    const categories = new Map();
+    let pending = [...new Set(products.map(product => product.category?.toString()).filter(Boolean))];
+
+    for (let depth = 0; depth < MAX_CATEGORY_DEPTH && pending.length > 0; depth++) {
+      const found = await Category.find({ _id: { $in: pending } })
+        .select('returnWindowDays parentCategory')
+        .lean();
+      found.forEach(category => categories.set(category._id.toString(), category));
+      pending = found
+        .map(category => category.parentCategory?.toString())
+        .filter(id => id && !categories.has(id));
+    }
+
+    const resolve = (categoryId) => {
+      let current = categoryId ? categories.get(categoryId.toString()) : null;
+      while (current) {
+        if (current.returnWindowDays !== undefined && current.returnWindowDays !== null) {
+          return current.returnWindowDays;
+        }
+        current = current.parentCategory ? categories.get(current.parentCategory.toString()) : null;
+      }
+      return DEFAULT_RETURN_WINDOW_DAYS;
+    };
+
+    return new Map(products.map(product => [product._id.toString(), resolve(product.category)]));
+  }
+
+  // Units of each order line already in an open or completed return
+  async getReturnedQuantities(orderId) {
+    const requests = await ReturnRequest.find({ order: orderId, status: { $ne: 'rejected' } })
+      .select('items')
+      .lean();
+
+    const quantities = new Map();
+    requests.forEach(request => request.items.forEach(item => {
+      const key = lineKey(item);
+      quantities.set(key, (quantities.get(key) || 0) + item.quantity);
+    }));
+    return quantities;
+  }
+
+  // What can still be returned from an order, and until when
+  async getEligibility(order) {
+    if (order.status !== 'delivered' || !order.deliveredAt) {
+      return { eligible: false, message: 'Only delivered orders can be returned', items: [] };
+    }
+
+    const productIds = order.items.map(item => item.product);
+    const [windows, returned] = await Promise.all([
+      this.resolveReturnWindows(productIds),
+      this.getReturnedQuantities(order._id)
+    ]);
+
+    const now = Date.now();
+    const items = order.items.map(item => {
+      const productId = item.product.toString();
+      const windowDays = windows.has(productId) ? windows.get(productId) : DEFAULT_RETURN_WINDOW_DAYS;
+      const returnBy = new Date(new Date(order.deliveredAt).getTime() + windowDays * DAY_MS);
+      const returnableQuantity = Math.max(item.quantity - (returned.get(lineKey(item)) || 0), 0);
+
+      return {
+        product: item.product,
+        variant: item.variant,
+        variantLabel: item.variantLabel,
+        name: item.name,
+        quantity: item.quantity,
+        returnableQuantity,
+        windowDays,
+        returnBy,
+        eligible: windowDays > 0 && returnBy.getTime() >= now && returnableQuantity > 0
+      };
+    });
+
+    return {
+      eligible: items.some(item => item.eligible),
+      items
+    };
+  }
+
+  // Amount the customer paid per unit of an order line, after discounts and with GST
+  unitRefund(orderItem) {
+    if (orderItem.taxableValue === undefined || orderItem.taxableValue === null) {
+      return orderItem.price;
+    }
+    const lineTotal = orderItem.taxableValue + (orderItem.cgst || 0) + (orderItem.sgst || 0) + (orderItem.igst || 0);
+    return roundCurrency(lineTotal / orderItem.quantity);
+  }
+
+  // The customer's order along with what can still be returned from it
+  async findReturnableOrder(userId, orderId) {
+    const order = await Order.findById(orderId);
+    if (!order) {
+      throw new AppError('Order not found', 404);
+    }
+    if (order.user.toString() !== userId.toString()) {
+      throw new AppError('Not authorized to return this order', 403);
+    }
+
+    const eligibility = await this.getEligibility(order);
+    if (!eligibility.eligible) {
+      throw new AppError(eligibility.message || 'The return window for this order has closed', 400, 'RETURN_NOT_ALLOWED');
+    }
+
+    return { order, eligibility };
+  }
+
+  // Check the requested items against the order and price their refund. Each
+  // order line may be listed once, so its quantity is checked in one place.
+  buildReturnItems(order, eligibility, items) {
+    const eligibleItems = new Map(eligibility.items.map(item => [lineKey(item), item]));
+    const orderItems = new Map(order.items.map(item => [lineKey(item), item]));
+    const listed = new Set();
+
+    return items.map(requested => {
+      const productId = requested.product.toString();
+      const key = lineKey(requested);
+      const eligible = eligibleItems.get(key);
+
+      if (!eligible) {
+        throw new AppError('Product is not part of this order', 400, 'RETURN_NOT_ALLOWED', { productId });
+      }
+      if (listed.has(key)) {
+        throw new AppError(`${eligible.name} is listed more than once`, 400, 'RETURN_NOT_ALLOWED', { productId });
+      }
+      listed.add(key);
+      if (!eligible.eligible) {
+        throw new AppError(`${eligible.name} can no longer be returned`, 400, 'RETURN_NOT_ALLOWED', { productId });
+      }
+      if (requested.quantity > eligible.returnableQuantity) {
+        throw new AppError(
+          `Only ${eligible.returnableQuantity} of ${eligible.name} can be returned`,
+          400,
+          'RETURN_NOT_ALLOWED',
+          { productId, returnableQuantity: eligible.returnableQuantity }
+        );
+      }
+
+      return {
+        product: requested.product,
+        variant: eligible.variant,
+        variantLabel: eligible.variantLabel,
+        name: eligible.name,
+        quantity: requested.quantity,
+        unitRefund: this.unitRefund(orderItems.get(key)),
+        reason: requested.reason
+      };
+    });
+  }
+
+  generateRmaNumber(order) {
+    return `RMA-${order.orderNumber}-${Date.now().toString(36).toUpperCase()}`;
+  }
+
+  async createRequest(userId, orderId, { items, comments, photos = [] }) {
+    const { order, eligibility } = await this.findReturnableOrder(userId, orderId);
+    const returnItems = this.buildReturnItems(order, eligibility, items);
+
+    const request = await ReturnRequest.create({
+      rmaNumber: this.generateRmaNumber(order),
+      order: order._id,
+      user: userId,
+      items: returnItems,
+      comments,
+      photos,
+      statusHistory: [{ to: 'requested', actor: userId, note: comments }]
+    });
+
+    logger.info('Return requested', { rmaNumber: request.rmaNumber, orderId: order._id, userId });
+    await this.notify(request, 'Return requested', `We have received return request ${request.rmaNumber}`);
+
+    return request;
+  }
+
+  // Move a return along its lifecycle; conditional on the current status so
+  // two admins cannot process the same step twice
+  async transition(request, status, actor, { note, updates = {} } = {}) {
+    if (!request.canTransitionTo(status)) {
+      throw new AppError(
+        `Return cannot move from ${request.status} to ${status}`,
+        400,
+        'INVALID_RETURN_TRANSITION',
+        { from: request.status, to: status }
+      );
+    }
+
+    const updated = await ReturnRequest.findOneAndUpdate(
+      { _id: request._id, status: request.status },
+      {
+        $set: { ...updates, status },
+        $push: { statusHistory: { from: request.status, to: status, actor, note, at: new Date() } }
+      },
+      { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+      throw new AppError('Return was updated by someone else, please reload', 409, 'RETURN_CONFLICT');
+    }
+
+    logger.info('Return status changed', { rmaNumber: updated.rmaNumber, from: request.status, to: status, actor });
+    return updated;
+  }
+
+  async findRequest(id) {
+    const request = await ReturnRequest.findById(id);
+    if (!request) {
+      throw new AppError('Return request not found', 404);
+    }
+    return request;
+  }
+
+  // Exchanges are approved through exchangeService, which also places the replacement
+  async approve(id, adminId, { note } = {}) {
+    const existing = await this.findRequest(id);
+    if (existing.type === 'exchange') {
+      throw new AppError('Exchanges are approved with their replacement order', 400, 'INVALID_RETURN_TRANSITION');
+    }
+
+    const request = await this.transition(existing, 'approved', adminId, { note });
+    await this.notify(request, 'Return approved', `Your return ${request.rmaNumber} has been approved`);
+    return request;
+  }
+
+  async reject(id, adminId, { reason }) {
+    const request = await this.transition(await this.findRequest(id), 'rejected', adminId, {
+      note: reason,
+      updates: { rejectionReason: reason }
+    });
+    await this.notify(request, 'Return rejected', `Your return ${request.rmaNumber} was not approved: ${reason}`);
+    return request;
+  }
+
+  async schedulePickup(id, adminId, { carrier, trackingNumber, scheduledFor }) {
+    const request = await this.transition(await this.findRequest(id), 'pickup_scheduled', adminId, {
+      note: `Pickup with ${carrier}`,
+      updates: {
+        'pickup.carrier': carrier,
+        'pickup.trackingNumber': trackingNumber,
+        'pickup.scheduledFor': scheduledFor
+      }
+    });
+    await this.notify(
+      request,
+      'Pickup scheduled',
+      `Pickup for return ${request.rmaNumber} is scheduled for ${new Date(scheduledFor).toDateString()}`
+    );
+    return request;
+  }
+
+  async markReceived(id, adminId, { note } = {}) {
+    return await this.transition(await this.findRequest(id), 'received', adminId, {
+      note,
+      updates: { 'pickup.receivedAt': new Date() }
+    });
+  }
+
+  // Quality check: every item is either restocked at the warehouse the order
+  // shipped from or booked as damaged
+  async recordInspection(id, adminId, { items, note }) {
+    const request = await this.findRequest(id);
+    const outcomes = new Map(items.map(item => [lineKey(item), item]));
+
+    const missing = request.items.filter(item => !outcomes.has(lineKey(item)));
+    if (missing.length > 0) {
+      throw new AppError('Every returned item needs a quality check result', 400, 'QC_INCOMPLETE', {
+        products: missing.map(item => item.product)
+      });
+    }
+
+    const inspectedItems = request.items.map(item => {
+      const outcome = outcomes.get(lineKey(item));
+      return { ...item.toObject(), qcOutcome: outcome.outcome, qcNotes: outcome.notes };
+    });
+
+    const updated = await this.transition(request, 'inspected', adminId, {
+      note,
+      updates: { items: inspectedItems }
+    });
+
+    const order = await Order.findById(updated.order).select('warehouse');
+    const restock = inspectedItems.filter(item => item.qcOutcome === 'restock');
+    const damaged = inspectedItems.filter(item => item.qcOutcome === 'damaged');
+
+    if (restock.length > 0) {
+      await inventoryService.incrementStock(restock, { warehouse: order?.warehouse });
+    }
+    if (damaged.length > 0 && order?.warehouse) {
+      await warehouseService.recordDamaged(order.warehouse, damaged);
+    }
+
+    logger.info('Return inspected', {
+      rmaNumber: updated.rmaNumber,
+      restocked: restock.length,
+      damaged: damaged.length
+    });
+
+    return updated;
+  }
+
+  // Refund the return. Online payments go back through the gateway; COD
+  // orders are paid back offline and only the reference is recorded.
+  async refund(id, adminId, { amount, reference }) {
+    const request = await this.findRequest(id);
+    if (request.type === 'exchange') {
+      throw new AppError('Exchanges are settled when the exchange is completed', 400, 'INVALID_RETURN_TRANSITION');
+    }
+    if (!request.canTransitionTo('refunded')) {
+      throw new AppError(`Return cannot be refunded while ${request.status}`, 400, 'INVALID_RETURN_TRANSITION');
+    }
+
+    const refundDue = request.getRefundDue();
+    const refundAmount = roundCurrency(amount ?? refundDue);
+    if (refundAmount <= 0 || refundAmount > refundDue) {
+      throw new AppError(`Refund must be between 0 and ${refundDue}`, 400, 'INVALID_REFUND_AMOUNT', { refundDue });
+    }
+
+    const order = await Order.findById(request.order);
+    const updated = await this.payOut(request, order, adminId, {
+      amount: refundAmount,
+      reference,
+      status: 'refunded'
+    });
+
+    await this.completeOrderReturn(order, adminId);
+    const state = updated.refund.method === 'gateway' ? 'initiated' : 'processed';
+    await this.notify(
+      updated,
+      `Refund ${state}`,
+      `Refund of ₹${refundAmount} for return ${updated.rmaNumber} has been ${state}`
+    );
+    return updated;
+  }
+
+  // Pay money back and move the return to its final status in one step
+  async payOut(request, order, adminId, { amount, reference, status }) {
+    const refundDetails = {
+      amount,
+      refundedAt: new Date(),
+      refundedBy: adminId
+    };
+
+    const transaction = order.paymentMethod === 'ONLINE'
+      ? await refundService.findOrderPayment(order._id)
+      : null;
+
+    if (transaction) {
+      // Claim the step first so a double click cannot refund twice
+      const claimed = await this.transition(request, status, adminId, {
+        note: `Refund of ${amount}`,
+        updates: { refund: { ...refundDetails, method: 'gateway', transaction: transaction._id } }
+      });
+
+      try {
+        const { refund } = await refundService.refundTransaction(transaction, {
+          amount,
+          reason: `Return ${request.rmaNumber}`,
+          initiatedBy: adminId,
+          notes: { rma_number: request.rmaNumber }
+        });
+        claimed.refund.refundId = refund.id;
+        await claimed.save();
+      } catch (error) {
+        // Gateway refused: put the return back so the refund can be retried
+        await ReturnRequest.updateOne(
+          { _id: request._id, status },
+          { $set: { status: request.status }, $unset: { refund: 1 }, $pop: { statusHistory: 1 } }
+        );
+        throw error;
+      }
+
+      return claimed;
+    }
+
+    if (!reference) {
+      throw new AppError('A payment reference is required for offline refunds', 400, 'REFUND_REFERENCE_REQUIRED');
+    }
+
+    return await this.transition(request, status, adminId, {
+      note: `Offline refund of ${amount} (${reference})`,
+      updates: { refund: { ...refundDetails, method: 'manual', reference } }
+    });
+  }
+
+  // Once every unit of an order has been refunded or exchanged, the order is returned
+  async completeOrderReturn(order, adminId) {
+    const requests = await ReturnRequest.find({ order: order._id, status: { $in: ['refunded', 'exchanged'] } })
+      .select('items')
+      .lean();
+    const refunded = new Map();
+    requests.forEach(request => request.items.forEach(item => {
+      const key = lineKey(item);
+      refunded.set(key, (refunded.get(key) || 0) + item.quantity);
+    }));
+
+    const fullyReturned = order.items.every(item => (refunded.get(lineKey(item)) || 0) >= item.quantity);
+    if (fullyReturned && order.canTransitionTo('returned')) {
+      await orderStatusService.transition(order._id, 'returned', {
+        actor: adminId,
+        actorRole: 'admin',
+        reason: 'All items returned'
+      });
+    }
+  }
+
+  async notify(request, title, message) {
+    try {
+      await notificationService.sendNotification(request.user, {
+        type: 'order',
+        title,
+        message,
+        priority: 'medium',
+        action: {
+          type: 'view_return',
+          url: `/returns/${request._id}`
+        },
+        data: { returnId: request._id, rmaNumber: request.rmaNumber, orderId: request.order }
+      });
+    } catch (error) {
+      logger.error('Return notification failed', { rmaNumber: request.rmaNumber, error: error.message });
+    }
+  }
+}
+
+export default new ReturnService();
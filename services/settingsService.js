@@ -0,0 +1,238 @@
+import Settings from '../models/Settings.js';
+import SettingsHistory from '../models/SettingsHistory.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+const SECTIONS = ['site', 'payment', 'shipping', 'notifications', 'security', 'analytics', 'tax'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date);
+
+// Store settings persistence, versioning and cached reads for the rest of the app
+class SettingsService {
+  constructor() {
+    this.cache = null;
+    this.cacheTimeout = 60000; // 1 minute
+  }
+
+  // Cached plain settings object, safe to call on hot paths (cart totals, checkout)
+  async getSettings() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.settings;
+    }
+
+    const document = await this.loadDocument();
+    const settings = this.toResponse(document);
+
+    this.cache = {
+      settings,
+      expiresAt: Date.now() + this.cacheTimeout
+    };
+
+    return settings;
+  }
+
+  async getSection(section) {
+    const settings = await this.getSettings();
+    return settings[section];
+  }
+
+  invalidateCache() {
+    this.cache = null;
+  }
+
+  getDefaults() {
+    return this.extractSections(new Settings());
+  }
+
+  // Load the settings document, creating it (version 1) on first use
+  async loadDocument() {
+    let document = await Settings.findOne({ key: 'store' });
+    if (document) return document;
+
+    try {
+      document = await Settings.create({ key: 'store' });
+    } catch (error) {
+      // Another request created it first
+      if (error.code === 11000) {
+        return await Settings.findOne({ key: 'store' });
+      }
+      throw error;
+    }
+
+    await SettingsHistory.create({
+      version: document.version,
+      action: 'create',
+      snapshot: this.extractSections(document),
+      changes: []
+    });
+
+    return document;
+  }
+
+  extractSections(document) {
+    const plain = document.toObject();
+    return SECTIONS.reduce((sections, section) => {
+      sections[section] = plain[section];
+      return sections;
+    }, {});
+  }
+
+  toResponse(document) {
+    return {
+      ...this.extractSections(document),
+      version: document.version,
+      updatedBy: document.updatedBy,
+      updatedAt: document.updatedAt
+    };
+  }
+
+  // Apply changes and record a new version.
+  // `replace` swaps whole sections (reset/rollback) instead of merging fields into them.
+  async updateSettings(updates, userId, { action = 'update', replace = false, restoredVersion } = {}) {
+    if (!isPlainObject(updates)) {
+      throw new AppError('Settings must be an object', 400, 'INVALID_SETTINGS');
+    }
+
+    const unknown = Object.keys(updates).filter(section => !SECTIONS.includes(section));
+    if (unknown.length > 0) {
+      throw new AppError(`Unknown settings section: ${unknown.join(', ')}`, 400, 'INVALID_SETTINGS');
+    }
+
+    const document = await this.loadDocument();
+    const before = this.extractSections(document);
+
+    for (const section of SECTIONS) {
+      if (updates[section] === undefined) continue;
+      if (!isPlainObject(updates[section])) {
+        throw new AppError(`Settings section ${section} must be an object`, 400, 'INVALID_SETTINGS');
+      }
+      document.set(section, replace ? updates[section] : { ...before[section], ...updates[section] });
+    }
+
+    await document.validate();
+
+    const after = this.extractSections(document);
+    const changes = this.diff(before, after);
+
+    if (changes.length === 0) {
+      return { settings: this.toResponse(document), changes };
+    }
+
+    // Only write if nobody saved a newer version in the meantime
+    const version = document.version + 1;
+    const result = await Settings.updateOne(
+      { _id: document._id, version: document.version },
+      { $set: { ...after, version, updatedBy: userId } }
+    );
+
+    if (result.matchedCount === 0) {
+      throw new AppError(
+        'Settings were changed by another administrator, please reload and try again',
+        409,
+        'SETTINGS_CONFLICT'
+      );
+    }
+
+    await SettingsHistory.create({
+      version,
+      action,
+      snapshot: after,
+      changes,
+      changedBy: userId,
+      restoredVersion
+    });
+
+    this.invalidateCache();
+    logger.info('Settings updated', { version, action, changedBy: userId, changes: changes.length });
+
+    return {
+      settings: {
+        ...after,
+        version,
+        updatedBy: userId,
+        updatedAt: new Date()
+      },
+      changes
+    };
+  }
+
+  async resetSettings(userId) {
+    return await this.updateSettings(this.getDefaults(), userId, { action: 'reset', replace: true });
+  }
+
+  async rollback(version, userId) {
+    const entry = await SettingsHistory.findOne({ version });
+
+    if (!entry) {
+      throw new AppError(`Settings version ${version} not found`, 404, 'SETTINGS_VERSION_NOT_FOUND');
+    }
+
+    return await this.updateSettings(entry.snapshot, userId, {
+      action: 'rollback',
+      replace: true,
+      restoredVersion: version
+    });
+  }
+
+  async getHistory({ page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [entries, total] = await Promise.all([
+      SettingsHistory.find()
+        .select('-snapshot')
+        .populate('changedBy', 'name email')
+        .sort({ version: -1 })
+        .skip(skip)
+        .limit(limit),
+      SettingsHistory.countDocuments()
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getVersion(version) {
+    const entry = await SettingsHistory.findOne({ version })
+      .populate('changedBy', 'name email');
+
+    if (!entry) {
+      throw new AppError(`Settings version ${version} not found`, 404, 'SETTINGS_VERSION_NOT_FOUND');
+    }
+
+    return entry;
+  }
+
+  // List changed leaf values as dotted paths; arrays are compared as a whole
+  diff(before, after, prefix = '') {
+    const changes = [];
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const key of keys) {
+      const path = prefix ? `${prefix}.${key}` : key;
+      const from = before ? before[key] : undefined;
+      const to = after ? after[key] : undefined;
+
+      if (isPlainObject(from) || isPlainObject(to)) {
+        changes.push(...this.diff(
+          isPlainObject(from) ? from : {},
+          isPlainObject(to) ? to : {},
+          path
+        ));
+      } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+        changes.push({ path, from, to });
+      }
+    }
+
+    return changes;
+  }
+}
+
+export default new SettingsService();
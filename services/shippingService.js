@@ -0,0 +1,227 @@
+import ShippingZone from '../models/ShippingZone.js';
+import Product from '../models/Product.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import settingsService from './settingsService.js';
+
+// Weight assumed for products that have no weight recorded
+const DEFAULT_ITEM_WEIGHT_KG = 0.5;
+// Chargeable weight is billed in 500g steps
+const WEIGHT_STEP_KG = 0.5;
+
+const isCashOnDelivery = (paymentMethod) =>
+  ['COD', 'cod', 'cash_on_delivery'].includes(paymentMethod);
+
+const addDays = (days, from = new Date()) => {
+  const date = new Date(from);
+  date.setDate(date.getDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+// Zone based shipping rates, serviceability and delivery estimates
+class ShippingService {
+  constructor() {
+    this.cache = null;
+    this.cacheTimeout = 300000; // 5 minutes
+  }
+
+  async getZones() {
+    if (this.cache && this.cache.expiresAt > Date.now()) {
+      return this.cache.zones;
+    }
+
+    const zones = await ShippingZone.find({ isActive: true }).lean();
+    this.cache = {
+      zones,
+      expiresAt: Date.now() + this.cacheTimeout
+    };
+
+    return zones;
+  }
+
+  invalidateCache() {
+    this.cache = null;
+  }
+
+  normalizePincode(pincode) {
+    const normalized = String(pincode || '').replace(/\s+/g, '');
+    if (!/^\d{6}$/.test(normalized)) {
+      throw new AppError('Please enter a valid 6-digit pincode', 400, 'INVALID_PINCODE');
+    }
+    return normalized;
+  }
+
+  // Most specific active zone covering the pincode, or the default zone.
+  // Returns undefined when zones are configured but none covers the pincode,
+  // and null when no zones are configured at all.
+  async findZone(pincode) {
+    const zones = await this.getZones();
+    if (zones.length === 0) return null;
+
+    let best;
+    let bestScore = 0;
+    for (const zone of zones) {
+      const score = ShippingZone.matchScore(zone, pincode);
+      if (score > bestScore) {
+        best = zone;
+        bestScore = score;
+      }
+    }
+
+    return best || zones.find(zone => zone.isDefault);
+  }
+
+  // Actual and volumetric weight of the shipment in kg.
+  // Items are { product, quantity } where product is an id or a document.
+  async calculateWeight(items, volumetricDivisor = 5000) {
+    const productIds = items.map(item => item.product?._id || item.product);
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('weight dimensions')
+      .lean();
+    const productMap = new Map(products.map(product => [product._id.toString(), product]));
+
+    let actualWeight = 0;
+    let volumetricWeight = 0;
+
+    items.forEach(item => {
+      const product = productMap.get((item.product?._id || item.product).toString()) || {};
+      const unitWeight = product.weight || DEFAULT_ITEM_WEIGHT_KG;
+      actualWeight += unitWeight * item.quantity;
+
+      const { length, width, height } = product.dimensions || {};
+      if (length && width && height) {
+        volumetricWeight += ((length * width * height) / volumetricDivisor) * item.quantity;
+      }
+    });
+
+    const chargeableWeight = Math.ceil(Math.max(actualWeight, volumetricWeight) / WEIGHT_STEP_KG) * WEIGHT_STEP_KG;
+
+    return {
+      actualWeight: Math.round(actualWeight * 1000) / 1000,
+      volumetricWeight: Math.round(volumetricWeight * 1000) / 1000,
+      chargeableWeight
+    };
+  }
+
+  rateForWeight(zone, weight) {
+    const slab = zone.rateSlabs.find(candidate => weight <= candidate.upToKg);
+    if (slab) return slab.rate;
+
+    const lastSlab = zone.rateSlabs[zone.rateSlabs.length - 1];
+    const extraKg = Math.ceil(weight - lastSlab.upToKg);
+    return lastSlab.rate + extraKg * (zone.additionalPerKg || 0);
+  }
+
+  // Quote every shipping option for a pincode.
+  // orderValue is the merchandise subtotal used for the free shipping threshold.
+  async quote({ pincode, items, orderValue = 0, paymentMethod }) {
+    const normalized = this.normalizePincode(pincode);
+    const settings = await settingsService.getSection('shipping');
+    const zone = await this.findZone(normalized);
+
+    if (zone === undefined || (zone && zone.nonServiceablePincodes.includes(normalized))) {
+      return {
+        serviceable: false,
+        pincode: normalized,
+        message: 'Sorry, we do not deliver to this pincode yet'
+      };
+    }
+
+    // No zones configured yet: fall back to the flat store-wide rates
+    if (zone === null) {
+      const [minDays, maxDays = minDays] = settings.estimatedDeliveryDays.split('-').map(Number);
+      const standardCost = orderValue >= settings.freeShippingThreshold ? 0 : settings.standardShippingRate;
+
+      return {
+        serviceable: true,
+        pincode: normalized,
+        zone: null,
+        codAvailable: true,
+        codSurcharge: 0,
+        options: {
+          standard: this.buildOption('standard', standardCost, minDays, maxDays),
+          express: this.buildOption('express', settings.expressShippingRate, 1, 1)
+        }
+      };
+    }
+
+    const weight = await this.calculateWeight(items, zone.volumetricDivisor);
+    const threshold = zone.freeShippingThreshold ?? settings.freeShippingThreshold;
+    const standardCost = orderValue >= threshold ? 0 : this.rateForWeight(zone, weight.chargeableWeight);
+
+    const options = {
+      standard: this.buildOption('standard', standardCost, zone.slaDays.min, zone.slaDays.max)
+    };
+    if (zone.expressAvailable) {
+      options.express = this.buildOption(
+        'express',
+        standardCost + zone.expressSurcharge,
+        zone.expressSlaDays,
+        zone.expressSlaDays
+      );
+    }
+
+    const quote = {
+      serviceable: true,
+      pincode: normalized,
+      zone: {
+        id: zone._id,
+        name: zone.name,
+        code: zone.code
+      },
+      ...weight,
+      freeShippingThreshold: threshold,
+      codAvailable: zone.codAvailable,
+      codSurcharge: zone.codAvailable ? zone.codSurcharge : 0,
+      options
+    };
+
+    if (isCashOnDelivery(paymentMethod) && zone.codAvailable) {
+      Object.values(options).forEach(option => {
+        option.cost += zone.codSurcharge;
+      });
+    }
+
+    return quote;
+  }
+
+  buildOption(method, cost, minDays, maxDays) {
+    return {
+      method,
+      cost,
+      minDays,
+      maxDays,
+      estimatedDelivery: addDays(maxDays),
+      description: method === 'express'
+        ? 'Express Shipping'
+        : (cost === 0 ? 'Free Shipping' : 'Standard Shipping')
+    };
+  }
+
+  // Shipping charge for an order; throws when the address or method cannot be served
+  async calculateShipping({ pincode, items, orderValue, paymentMethod, method = 'standard' }) {
+    const quote = await this.quote({ pincode, items, orderValue, paymentMethod });
+
+    if (!quote.serviceable) {
+      throw new AppError(quote.message, 400, 'SHIPPING_NOT_SERVICEABLE');
+    }
+    if (isCashOnDelivery(paymentMethod) && !quote.codAvailable) {
+      throw new AppError('Cash on delivery is not available for this pincode', 400, 'COD_NOT_AVAILABLE');
+    }
+
+    const option = quote.options[method];
+    if (!option) {
+      throw new AppError(`${method} shipping is not available for this pincode`, 400, 'SHIPPING_METHOD_UNAVAILABLE');
+    }
+
+    return {
+      cost: option.cost,
+      method,
+      zone: quote.zone,
+      chargeableWeight: quote.chargeableWeight,
+      codSurcharge: isCashOnDelivery(paymentMethod) ? quote.codSurcharge : 0,
+      estimatedDelivery: option.estimatedDelivery
+    };
+  }
+}
+
+export default new ShippingService();
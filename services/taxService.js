@@ -0,0 +1,221 @@
+import Product from '../models/Product.js';
+import Category from '../models/Category.js';
+import Order from '../models/Order.js';
+import settingsService from './settingsService.js';
+import { isSameState, getStateCode } from '../utils/gst.js';
+
+// Parent categories followed when inheriting HSN code and GST rate
+const MAX_CATEGORY_DEPTH = 5;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// GST calculation per order line and monthly GST reporting
+class TaxService {
+  // HSN code and GST rate for each product: product first, then its category
+  // chain, then the store defaults from the tax settings
+  async resolveTaxClasses(productIds) {
+    const taxSettings = await settingsService.getSection('tax');
+    const products = await Product.find({ _id: { $in: productIds } })
+      .select('hsnCode gstRate category')
+      .lean();
+
+    const categories = new Map();
+    let pending = [...new Set(products.map(product => product.category?.toString()).filter(Boolean))];
+
+    for (let depth = 0; depth < MAX_CATEGORY_DEPTH && pending.length > 0; depth++) {
+      const found = await Category.find({ _id: { $in: pending } })
+        .select('hsnCode gstRate parentCategory')
+        .lean();
+      found.forEach(category => categories.set(category._id.toString(), category));
+      pending = found
+        .map(category => category.parentCategory?.toString())
+        .filter(id => id && !categories.has(id));
+    }
+
+    const resolveFromCategory = (categoryId, field) => {
+      let current = categoryId ? categories.get(categoryId.toString()) : null;
+      while (current) {
+        if (current[field] !== undefined && current[field] !== null && current[field] !== '') {
+          return current[field];
+        }
+        current = current.parentCategory ? categories.get(current.parentCategory.toString()) : null;
+      }
+      return null;
+    };
+
+    return new Map(products.map(product => {
+      const gstRate = product.gstRate ?? resolveFromCategory(product.category, 'gstRate') ?? taxSettings.defaultGstRate;
+      const hsnCode = product.hsnCode || resolveFromCategory(product.category, 'hsnCode') || taxSettings.defaultHsnCode;
+      return [product._id.toString(), { gstRate, hsnCode }];
+    }));
+  }
+
+  // Tax for priced lines ({ product, price, quantity }). An order level discount is
+  // spread over the lines in proportion to their value before tax is applied.
+  // Without a shipping state the sale is treated as intra-state.
+  async calculate(lines, { shippingState, discount = 0 } = {}) {
+    const taxSettings = await settingsService.getSection('tax');
+    const interState = Boolean(shippingState) && !isSameState(shippingState, taxSettings.registeredState);
+    const taxClasses = await this.resolveTaxClasses(lines.map(line => line.product));
+
+    const grossTotal = lines.reduce((total, line) => total + line.price * line.quantity, 0);
+    const totalDiscount = Math.min(discount, grossTotal);
+    let discountLeft = totalDiscount;
+
+    const totals = { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 };
+
+    const taxedLines = lines.map((line, index) => {
+      const lineValue = line.price * line.quantity;
+      const lineDiscount = index === lines.length - 1
+        ? discountLeft
+        : roundCurrency(grossTotal > 0 ? (totalDiscount * lineValue) / grossTotal : 0);
+      discountLeft = roundCurrency(discountLeft - lineDiscount);
+
+      const { gstRate, hsnCode } = taxClasses.get(line.product.toString()) || {
+        gstRate: taxSettings.defaultGstRate,
+        hsnCode: taxSettings.defaultHsnCode
+      };
+      const taxableValue = roundCurrency(Math.max(lineValue - lineDiscount, 0));
+      const tax = roundCurrency((taxableValue * gstRate) / 100);
+
+      const taxes = interState
+        ? { cgst: 0, sgst: 0, igst: tax }
+        : { cgst: roundCurrency(tax / 2), sgst: roundCurrency(tax - roundCurrency(tax / 2)), igst: 0 };
+
+      totals.taxableValue += taxableValue;
+      totals.cgst += taxes.cgst;
+      totals.sgst += taxes.sgst;
+      totals.igst += taxes.igst;
+      totals.totalTax += tax;
+
+      return {
+        product: line.product,
+        hsnCode,
+        gstRate,
+        discount: lineDiscount,
+        taxableValue,
+        ...taxes,
+        totalTax: tax
+      };
+    });
+
+    Object.keys(totals).forEach(key => {
+      totals[key] = roundCurrency(totals[key]);
+    });
+
+    return {
+      supplyType: interState ? 'inter_state' : 'intra_state',
+      registeredState: taxSettings.registeredState,
+      placeOfSupply: shippingState || taxSettings.registeredState,
+      placeOfSupplyCode: getStateCode(shippingState || taxSettings.registeredState),
+      lines: taxedLines,
+      totals
+    };
+  }
+
+  // Orders that count towards the GST return for a month (by order date, IST)
+  getMonthRange(year, month) {
+    const IST_OFFSET_MS = 330 * 60 * 1000;
+    const start = new Date(Date.UTC(year, month - 1, 1) - IST_OFFSET_MS);
+    const end = new Date(Date.UTC(year, month, 1) - IST_OFFSET_MS);
+    return { start, end };
+  }
+
+  async getMonthlyReport(year, month) {
+    const { start, end } = this.getMonthRange(year, month);
+    const match = {
+      createdAt: { $gte: start, $lt: end },
+      status: { $ne: 'cancelled' }
+    };
+
+    const [hsnSummary, stateSummary, orders] = await Promise.all([
+      Order.aggregate([
+        { $match: match },
+        { $unwind: '$items' },
+        {
+          $group: {
+            _id: { hsnCode: '$items.hsnCode', gstRate: '$items.gstRate' },
+            quantity: { $sum: '$items.quantity' },
+            taxableValue: { $sum: '$items.taxableValue' },
+            cgst: { $sum: '$items.cgst' },
+            sgst: { $sum: '$items.sgst' },
+            igst: { $sum: '$items.igst' }
+          }
+        },
+        { $sort: { '_id.hsnCode': 1, '_id.gstRate': 1 } }
+      ]),
+      Order.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              placeOfSupply: '$taxBreakdown.placeOfSupply',
+              supplyType: '$taxBreakdown.supplyType'
+            },
+            orders: { $sum: 1 },
+            taxableValue: { $sum: '$taxBreakdown.taxableValue' },
+            cgst: { $sum: '$taxBreakdown.cgst' },
+            sgst: { $sum: '$taxBreakdown.sgst' },
+            igst: { $sum: '$taxBreakdown.igst' }
+          }
+        },
+        { $sort: { '_id.placeOfSupply': 1 } }
+      ]),
+      Order.find(match)
+        .select('_id createdAt shippingAddress.state taxBreakdown taxPrice total')
+        .sort({ createdAt: 1 })
+        .lean()
+    ]);
+
+    const hsn = hsnSummary.map(row => ({
+      hsnCode: row._id.hsnCode || '',
+      gstRate: row._id.gstRate ?? null,
+      quantity: row.quantity,
+      taxableValue: roundCurrency(row.taxableValue),
+      cgst: roundCurrency(row.cgst),
+      sgst: roundCurrency(row.sgst),
+      igst: roundCurrency(row.igst),
+      totalTax: roundCurrency(row.cgst + row.sgst + row.igst)
+    }));
+
+    const states = stateSummary.map(row => ({
+      placeOfSupply: row._id.placeOfSupply || '',
+      supplyType: row._id.supplyType || '',
+      orders: row.orders,
+      taxableValue: roundCurrency(row.taxableValue),
+      cgst: roundCurrency(row.cgst),
+      sgst: roundCurrency(row.sgst),
+      igst: roundCurrency(row.igst)
+    }));
+
+    const totals = hsn.reduce((sum, row) => ({
+      taxableValue: roundCurrency(sum.taxableValue + row.taxableValue),
+      cgst: roundCurrency(sum.cgst + row.cgst),
+      sgst: roundCurrency(sum.sgst + row.sgst),
+      igst: roundCurrency(sum.igst + row.igst),
+      totalTax: roundCurrency(sum.totalTax + row.totalTax)
+    }), { taxableValue: 0, cgst: 0, sgst: 0, igst: 0, totalTax: 0 });
+
+    return {
+      period: `${year}-${String(month).padStart(2, '0')}`,
+      orderCount: orders.length,
+      totals,
+      hsnSummary: hsn,
+      stateSummary: states,
+      orders: orders.map(order => ({
+        orderId: order._id.toString(),
+        date: order.createdAt.toISOString().split('T')[0],
+        placeOfSupply: order.taxBreakdown?.placeOfSupply || order.shippingAddress?.state || '',
+        supplyType: order.taxBreakdown?.supplyType || '',
+        taxableValue: order.taxBreakdown?.taxableValue ?? null,
+        cgst: order.taxBreakdown?.cgst ?? 0,
+        sgst: order.taxBreakdown?.sgst ?? 0,
+        igst: order.taxBreakdown?.igst ?? 0,
+        totalTax: order.taxPrice,
+        total: order.total
+      }))
+    };
+  }
+}
+
+export default new TaxService();
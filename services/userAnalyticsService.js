@@ -173,6 +173,8 @@ class UserAnalyticsService {
     const orders = await Order.find({ user: userId })
       .populate('items.product', 'name images price brand category')
       .populate('shippingAddress')
+      .populate('parentOrder', 'status total createdAt')
+      .populate('childOrders', 'status total createdAt')
       .sort({ createdAt: -1 })
       .limit(limit)
       .lean();
@@ -0,0 +1,152 @@
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+
+const VARIANT_FACETS = {
+  sizes: 'size',
+  colors: 'color',
+  pack_quantities: 'packQuantity'
+};
+
+// Sizes, colours and pack quantities a product is sold in
+class VariantService {
+  hasVariants(product) {
+    return Boolean(product.variants && product.variants.length > 0);
+  }
+
+  findVariant(product, variantId) {
+    if (!variantId || !this.hasVariants(product)) return null;
+    return product.variants.find(variant => variant._id.toString() === variantId.toString()) || null;
+  }
+
+  // Short description shown on cart and order lines, e.g. "L / Black / Pack of 2"
+  label(variant) {
+    const parts = [
+      variant.size,
+      variant.color,
+      variant.packQuantity > 1 ? `Pack of ${variant.packQuantity}` : null
+    ].filter(Boolean);
+    return parts.length > 0 ? parts.join(' / ') : variant.sku;
+  }
+
+  // What the customer is buying: the chosen variant of a product sold in
+  // variants, otherwise the product itself
+  resolve(product, variantId) {
+    if (!this.hasVariants(product)) {
+      if (variantId) {
+        throw new AppError(`${product.name} has no variants`, 400, 'INVALID_VARIANT', { productId: product._id });
+      }
+      return {
+        variant: null,
+        sku: product.sku,
+        price: product.price,
+        originalPrice: product.originalPrice,
+        stockQuantity: product.stockQuantity,
+        image: product.image || product.images?.[0]?.url
+      };
+    }
+
+    if (!variantId) {
+      throw new AppError(`Please choose a variant of ${product.name}`, 400, 'VARIANT_REQUIRED', { productId: product._id });
+    }
+
+    const variant = this.findVariant(product, variantId);
+    if (!variant || !variant.isActive) {
+      throw new AppError(`This variant of ${product.name} is no longer available`, 400, 'VARIANT_UNAVAILABLE', {
+        productId: product._id,
+        variantId
+      });
+    }
+
+    return {
+      variant: variant._id,
+      variantLabel: this.label(variant),
+      sku: variant.sku,
+      price: variant.price,
+      originalPrice: variant.originalPrice,
+      stockQuantity: variant.stockQuantity,
+      image: variant.images?.[0]?.url || product.image || product.images?.[0]?.url
+    };
+  }
+
+  // The product's variants after an admin edit. Entries with an _id update
+  // that variant, others are added. Stock can only be set here while
+  // warehouses are not in use, and a variant still holding stock cannot be
+  // dropped (deactivate it instead).
+  mergeVariants(product, entries, { warehousesInUse = false } = {}) {
+    if (!this.hasVariants(product) && entries.length > 0 && product.stockQuantity > 0) {
+      throw new AppError(
+        `${product.name} has ${product.stockQuantity} in stock; book it out before splitting the product into variants`,
+        400,
+        'PRODUCT_HAS_STOCK'
+      );
+    }
+
+    const skus = entries.map(entry => String(entry.sku).trim().toUpperCase());
+    const duplicate = skus.find((sku, index) => skus.indexOf(sku) !== index);
+    if (duplicate) {
+      throw new AppError(`Variant SKU ${duplicate} is used more than once`, 400, 'DUPLICATE_VARIANT_SKU');
+    }
+
+    const variants = entries.map(entry => {
+      const existing = entry._id ? this.findVariant(product, entry._id) : null;
+      if (entry._id && !existing) {
+        throw new AppError('Variant not found', 404, 'VARIANT_NOT_FOUND', { variantId: entry._id });
+      }
+
+      const currentStock = existing ? existing.stockQuantity : 0;
+      return {
+        ...(existing && { _id: existing._id }),
+        sku: entry.sku,
+        size: entry.size,
+        color: entry.color,
+        packQuantity: entry.packQuantity,
+        price: entry.price,
+        originalPrice: entry.originalPrice,
+        images: entry.images ?? existing?.images ?? [],
+        isActive: entry.isActive ?? existing?.isActive ?? true,
+        stockQuantity: warehousesInUse ? currentStock : (entry.stockQuantity ?? currentStock)
+      };
+    });
+
+    const kept = new Set(variants.filter(variant => variant._id).map(variant => variant._id.toString()));
+    const dropped = (product.variants || []).find(variant => !kept.has(variant._id.toString()) && variant.stockQuantity > 0);
+    if (dropped) {
+      throw new AppError(
+        `${this.label(dropped)} still has ${dropped.stockQuantity} in stock, deactivate it instead`,
+        400,
+        'VARIANT_HAS_STOCK',
+        { variantId: dropped._id }
+      );
+    }
+
+    return variants;
+  }
+
+  // Every price a product can be bought at, for price facets
+  prices(product) {
+    const active = (product.variants || []).filter(variant => variant.isActive !== false);
+    return active.length > 0 ? active.map(variant => variant.price) : [product.price];
+  }
+
+  // Size, colour and pack quantity facets over search results. A product
+  // counts once per value however many of its variants share it.
+  buildFacets(products) {
+    return Object.entries(VARIANT_FACETS).reduce((facets, [facet, field]) => {
+      const counts = new Map();
+      products.forEach(product => {
+        const values = new Set((product.variants || [])
+          .filter(variant => variant.isActive !== false && variant[field] !== undefined && variant[field] !== null && variant[field] !== '')
+          .map(variant => variant[field]));
+        values.forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+      });
+
+      facets[facet] = {
+        buckets: [...counts]
+          .map(([key, doc_count]) => ({ key, doc_count }))
+          .sort((a, b) => b.doc_count - a.doc_count)
+      };
+      return facets;
+    }, {});
+  }
+}
+
+export default new VariantService();
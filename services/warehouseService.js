@@ -0,0 +1,302 @@
+import Warehouse from '../models/Warehouse.js';
+import WarehouseStock from '../models/WarehouseStock.js';
+import StockTransfer from '../models/StockTransfer.js';
+import StockReservation from '../models/StockReservation.js';
+import Product from '../models/Product.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+import shippingService from './shippingService.js';
+import variantService from './variantService.js';
+import { lineKey, mergeItems, productStockChange } from '../utils/stockItems.js';
+
+// Keep Product.stockQuantity (and variant stock) equal to the sum over
+// warehouses. Only relative updates are used so concurrent orders and
+// adjustments cannot overwrite each other.
+const adjustProductStock = async (items, sign) => {
+  await Promise.all(items.map(item => {
+    const { filter, update } = productStockChange(item, sign * item.quantity);
+    return Product.updateOne(filter, update);
+  }));
+
+  const productIds = items.map(item => item.product);
+  await Product.updateMany({ _id: { $in: productIds }, stockQuantity: { $lte: 0 } }, { $set: { inStock: false } });
+};
+
+// The stock record of a line at a warehouse
+const stockLine = (warehouseId, item) => ({
+  warehouse: warehouseId,
+  product: item.product,
+  variant: item.variant || null
+});
+
+// Warehouses, per-location stock and transfers between locations
+class WarehouseService {
+  // Once any warehouse is active, stock is tracked per location
+  async isInUse() {
+    return Boolean(await Warehouse.exists({ isActive: true }));
+  }
+
+  // Book the stock kept at product level into the first active warehouse, so
+  // moving to per-location stock leaves everything sellable. Holds taken
+  // before then go back into this warehouse when released.
+  async bookProductStock(warehouseId) {
+    const products = await Product.find({
+      $or: [{ stockQuantity: { $gt: 0 } }, { 'variants.stockQuantity': { $gt: 0 } }]
+    }).select('_id stockQuantity variants').lean();
+
+    const lines = products.flatMap(product => (variantService.hasVariants(product)
+      ? product.variants.map(variant => ({ product: product._id, variant: variant._id, quantity: variant.stockQuantity }))
+      : [{ product: product._id, quantity: product.stockQuantity }]
+    )).filter(line => line.quantity > 0);
+
+    if (lines.length > 0) {
+      await WarehouseStock.bulkWrite(lines.map(line => ({
+        updateOne: {
+          filter: stockLine(warehouseId, line),
+          update: { $inc: { quantity: line.quantity } },
+          upsert: true
+        }
+      })));
+    }
+    await StockReservation.updateMany({ status: 'held', warehouse: null }, { $set: { warehouse: warehouseId } });
+
+    const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+    logger.info('Product stock booked into first warehouse', { warehouseId, lines: lines.length, units });
+
+    return { lines: lines.length, units };
+  }
+
+  // Active warehouses, nearest first: same shipping zone as the delivery
+  // pincode, then warehouse priority, then closeness of the pincodes
+  async rankWarehouses(pincode) {
+    const warehouses = await Warehouse.find({ isActive: true }).lean();
+    if (warehouses.length === 0) return [];
+
+    const normalized = pincode ? shippingService.normalizePincode(pincode) : null;
+    const deliveryZone = normalized ? await shippingService.findZone(normalized) : null;
+
+    const ranked = await Promise.all(warehouses.map(async (warehouse) => {
+      const zone = deliveryZone ? await shippingService.findZone(warehouse.pincode) : null;
+      return {
+        warehouse,
+        sameZone: Boolean(zone && deliveryZone && zone._id.toString() === deliveryZone._id.toString()),
+        distance: normalized ? Math.abs(Number(warehouse.pincode) - Number(normalized)) : 0
+      };
+    }));
+
+    ranked.sort((a, b) =>
+      (b.sameZone - a.sameZone) ||
+      (a.warehouse.priority - b.warehouse.priority) ||
+      (a.distance - b.distance)
+    );
+
+    return ranked.map(entry => entry.warehouse);
+  }
+
+  // Warehouses (in the given order) holding enough of every item
+  async filterCanFulfil(warehouses, items) {
+    const stocks = await WarehouseStock.find({
+      warehouse: { $in: warehouses.map(warehouse => warehouse._id) },
+      product: { $in: items.map(item => item.product) }
+    }).lean();
+
+    const available = new Map(stocks.map(stock => [`${stock.warehouse}:${lineKey(stock)}`, stock.quantity]));
+
+    return warehouses.filter(warehouse => items.every(item =>
+      (available.get(`${warehouse._id}:${lineKey(item)}`) || 0) >= item.quantity
+    ));
+  }
+
+  // Take all items from one warehouse or nothing. Returns false if the
+  // warehouse ran short, leaving its stock as it was.
+  async takeStock(warehouseId, items) {
+    const taken = [];
+
+    for (const item of items) {
+      const result = await WarehouseStock.updateOne(
+        { ...stockLine(warehouseId, item), quantity: { $gte: item.quantity } },
+        { $inc: { quantity: -item.quantity } }
+      );
+
+      if (result.modifiedCount === 0) {
+        await Promise.all(taken.map(takenItem => WarehouseStock.updateOne(
+          stockLine(warehouseId, takenItem),
+          { $inc: { quantity: takenItem.quantity } }
+        )));
+        return false;
+      }
+
+      taken.push(item);
+    }
+
+    await adjustProductStock(items, -1);
+    return true;
+  }
+
+  async putStock(warehouseId, items) {
+    await Promise.all(items.map(item => WarehouseStock.updateOne(
+      stockLine(warehouseId, item),
+      { $inc: { quantity: item.quantity } },
+      { upsert: true }
+    )));
+
+    await adjustProductStock(items, 1);
+  }
+
+  // Book returned units that cannot be sold again
+  async recordDamaged(warehouseId, items) {
+    await Promise.all(items.map(item => WarehouseStock.updateOne(
+      stockLine(warehouseId, item),
+      { $inc: { damaged: item.quantity } },
+      { upsert: true }
+    )));
+  }
+
+  // Set the counted quantity of a product (or one of its variants) at a
+  // warehouse (stock take, goods inward)
+  async setStock(warehouseId, productId, { quantity, binLocation, variant }) {
+    const [warehouse, product] = await Promise.all([
+      Warehouse.findById(warehouseId).select('_id').lean(),
+      Product.findById(productId).select('_id name variants').lean()
+    ]);
+    if (!warehouse) {
+      throw new AppError('Warehouse not found', 404);
+    }
+    if (!product) {
+      throw new AppError('Product not found', 404);
+    }
+    // Products sold in variants are stocked per variant only
+    if (variantService.hasVariants(product) ? !variantService.findVariant(product, variant) : variant) {
+      throw new AppError(
+        variant ? 'Variant not found' : `Choose which variant of ${product.name} to stock`,
+        400,
+        'INVALID_VARIANT'
+      );
+    }
+
+    const line = stockLine(warehouseId, { product: productId, variant });
+    const previous = await WarehouseStock.findOneAndUpdate(
+      line,
+      { $set: { quantity, ...(binLocation !== undefined && { binLocation }) } },
+      { upsert: true, new: false }
+    );
+
+    const delta = quantity - (previous ? previous.quantity : 0);
+    if (delta !== 0) {
+      await adjustProductStock([{ product: productId, variant, quantity: delta }], 1);
+    }
+
+    logger.info('Warehouse stock set', { warehouseId, productId, variant, quantity, delta });
+
+    return await WarehouseStock.findOne(line);
+  }
+
+  // Per-location breakdown for one product
+  async getProductStock(productId) {
+    const stocks = await WarehouseStock.find({ product: productId })
+      .populate('warehouse', 'name code pincode isActive')
+      .sort({ quantity: -1 })
+      .lean();
+
+    return {
+      product: productId,
+      total: stocks.reduce((sum, stock) => sum + stock.quantity, 0),
+      locations: stocks.map(stock => ({
+        warehouse: stock.warehouse,
+        variant: stock.variant,
+        quantity: stock.quantity,
+        damaged: stock.damaged,
+        binLocation: stock.binLocation
+      }))
+    };
+  }
+
+  async getWarehouseStock(warehouseId, { page = 1, limit = 50 } = {}) {
+    const skip = (page - 1) * limit;
+    const filter = { warehouse: warehouseId };
+
+    const [stocks, total] = await Promise.all([
+      WarehouseStock.find(filter)
+        .populate('product', 'name brand image')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      WarehouseStock.countDocuments(filter)
+    ]);
+
+    return {
+      stocks,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // Dispatch stock from one warehouse to another
+  async createTransfer({ from, to, items: requestedItems, notes, userId }) {
+    const items = mergeItems(requestedItems);
+
+    if (from.toString() === to.toString()) {
+      throw new AppError('Source and destination warehouse must differ', 400);
+    }
+
+    const warehouses = await Warehouse.find({ _id: { $in: [from, to] }, isActive: true }).select('_id').lean();
+    if (warehouses.length !== 2) {
+      throw new AppError('Both warehouses must exist and be active', 400);
+    }
+
+    if (!(await this.takeStock(from, items))) {
+      throw new AppError('Not enough stock at the source warehouse', 409, 'OUT_OF_STOCK');
+    }
+
+    try {
+      const transfer = await StockTransfer.create({ from, to, items, notes, createdBy: userId });
+      logger.info('Stock transfer dispatched', { transferId: transfer._id, from, to, createdBy: userId });
+      return transfer;
+    } catch (error) {
+      await this.putStock(from, items);
+      throw error;
+    }
+  }
+
+  // Book transferred stock in at the destination (once)
+  async receiveTransfer(transferId, userId) {
+    const transfer = await StockTransfer.findOneAndUpdate(
+      { _id: transferId, status: 'in_transit' },
+      { $set: { status: 'received', receivedBy: userId, receivedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!transfer) {
+      throw new AppError('Transfer not found or no longer in transit', 400);
+    }
+
+    await this.putStock(transfer.to, transfer.items);
+    logger.info('Stock transfer received', { transferId, receivedBy: userId });
+
+    return transfer;
+  }
+
+  // Call back a transfer still in transit; the stock returns to the source
+  async cancelTransfer(transferId, userId) {
+    const transfer = await StockTransfer.findOneAndUpdate(
+      { _id: transferId, status: 'in_transit' },
+      { $set: { status: 'cancelled', cancelledAt: new Date() } },
+      { new: true }
+    );
+
+    if (!transfer) {
+      throw new AppError('Transfer not found or no longer in transit', 400);
+    }
+
+    await this.putStock(transfer.from, transfer.items);
+    logger.info('Stock transfer cancelled', { transferId, cancelledBy: userId });
+
+    return transfer;
+  }
+}
+
+export default new WarehouseService();
@@ -0,0 +1,239 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import WebhookEvent from '../models/WebhookEvent.js';
+import { processWebhookEvent } from './webhookHandlers.js';
+import { AppError } from '../middleware/enhancedErrorHandler.js';
+import logger from '../config/logger.js';
+
+// Wait before each retry, by attempts made so far; after the last one the
+// event is dead-lettered until an admin replays it
+const RETRY_DELAYS_SECONDS = [30, 120, 600, 1800, 7200];
+const MAX_ATTEMPTS = RETRY_DELAYS_SECONDS.length + 1;
+const MAX_ATTEMPT_ERRORS = 20;
+
+// An attempt still processing after this long was cut off by an instance
+// that stopped, and is picked up again
+const PROCESSING_TIMEOUT_MS = 10 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 30 * 1000;
+const SWEEP_BATCH_SIZE = 50;
+
+const REPLAYABLE_STATUSES = ['failed', 'dead'];
+
+// Webhook deliveries are stored before they are acknowledged and processed
+// in the background, so a slow or failing handler never makes the gateway
+// redeliver, and a redelivery of a stored event is ignored.
+class WebhookEventService {
+  constructor() {
+    this.sweepTimer = null;
+  }
+
+  // Store a parsed delivery. Returns the stored event and whether it had
+  // been received before.
+  async record(event, { payload, rawBody, ipAddress }) {
+    const eventId = event.id || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+    try {
+      const webhookEvent = await WebhookEvent.create({
+        gateway: event.gateway,
+        eventId,
+        type: event.type,
+        gatewayEvent: event.gatewayEvent,
+        entityId: event.entityId,
+        event,
+        payload,
+        ipAddress
+      });
+      return { webhookEvent, duplicate: false };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+
+      const webhookEvent = await WebhookEvent.findOne({ gateway: event.gateway, eventId });
+      return { webhookEvent, duplicate: true };
+    }
+  }
+
+  // Process an event in the background, after the response has gone out
+  processLater(id) {
+    setImmediate(() => {
+      this.process(id).catch(error => {
+        logger.error('Webhook event processing failed to run', { webhookEventId: id, error: error.message });
+      });
+    });
+  }
+
+  // Claim a due event and run its handler once. Another instance or sweep
+  // that claims it first wins, and this returns null.
+  async process(id) {
+    const now = new Date();
+    const webhookEvent = await WebhookEvent.findOneAndUpdate(
+      {
+        _id: id,
+        $or: [
+          { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+          { status: 'processing', processingStartedAt: { $lte: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+        ]
+      },
+      { $set: { status: 'processing', processingStartedAt: now }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+
+    if (!webhookEvent) return null;
+
+    try {
+      await processWebhookEvent(webhookEvent.event, webhookEvent.ipAddress);
+
+      webhookEvent.status = 'processed';
+      webhookEvent.processedAt = new Date();
+      webhookEvent.lastError = undefined;
+      await webhookEvent.save();
+
+      logger.info('Webhook processed successfully', {
+        gateway: webhookEvent.gateway,
+        event: webhookEvent.type,
+        entityId: webhookEvent.entityId,
+        attempts: webhookEvent.attempts
+      });
+    } catch (error) {
+      await this.recordFailure(webhookEvent, error);
+    }
+
+    return webhookEvent;
+  }
+
+  async recordFailure(webhookEvent, error) {
+    const dead = webhookEvent.attempts >= MAX_ATTEMPTS;
+
+    webhookEvent.status = dead ? 'dead' : 'failed';
+    webhookEvent.lastError = error.message;
+    webhookEvent.attemptErrors.push({ attempt: webhookEvent.attempts, message: error.message });
+    if (webhookEvent.attemptErrors.length > MAX_ATTEMPT_ERRORS) {
+      webhookEvent.attemptErrors.shift();
+    }
+    if (!dead) {
+      const delaySeconds = RETRY_DELAYS_SECONDS[webhookEvent.attempts - 1];
+      webhookEvent.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+    }
+    await webhookEvent.save();
+
+    logger.error(dead ? 'Webhook event dead-lettered' : 'Webhook processing failed, will retry', {
+      gateway: webhookEvent.gateway,
+      event: webhookEvent.type,
+      entityId: webhookEvent.entityId,
+      attempts: webhookEvent.attempts,
+      nextAttemptAt: dead ? undefined : webhookEvent.nextAttemptAt,
+      error: error.message,
+      stack: error.stack
+    });
+  }
+
+  // Run events whose retry is due, and attempts cut off part way
+  async processDueEvents() {
+    const now = new Date();
+    const due = await WebhookEvent.find({
+      $or: [
+        { status: { $in: ['pending', 'failed'] }, nextAttemptAt: { $lte: now } },
+        { status: 'processing', processingStartedAt: { $lte: new Date(now.getTime() - PROCESSING_TIMEOUT_MS) } }
+      ]
+    })
+      .sort({ nextAttemptAt: 1 })
+      .limit(SWEEP_BATCH_SIZE)
+      .select('_id')
+      .lean();
+
+    for (const { _id } of due) {
+      await this.process(_id);
+    }
+
+    return due.length;
+  }
+
+  startRetrySweep() {
+    if (this.sweepTimer) return;
+
+    this.sweepTimer = setInterval(async () => {
+      try {
+        await this.processDueEvents();
+      } catch (error) {
+        logger.error('Webhook retry sweep failed', { error: error.message });
+      }
+    }, SWEEP_INTERVAL_MS);
+    this.sweepTimer.unref();
+  }
+
+  stopRetrySweep() {
+    clearInterval(this.sweepTimer);
+    this.sweepTimer = null;
+  }
+
+  async getEvents({ status, gateway, type, entityId, page = 1, limit = 20 } = {}) {
+    const filter = {};
+    if (status) filter.status = status;
+    if (gateway) filter.gateway = gateway;
+    if (type) filter.type = type;
+    if (entityId) filter.entityId = entityId;
+
+    const [events, total] = await Promise.all([
+      WebhookEvent.find(filter)
+        .select('-event -payload')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookEvent.countDocuments(filter)
+    ]);
+
+    return {
+      events,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async getEvent(id) {
+    const webhookEvent = mongoose.Types.ObjectId.isValid(id)
+      ? await WebhookEvent.findById(id).populate('replays.replayedBy', 'name email')
+      : null;
+    if (!webhookEvent) {
+      throw new AppError('Webhook event not found', 404);
+    }
+    return webhookEvent;
+  }
+
+  // Queue a failed or dead-lettered event to run again straight away, with a
+  // fresh set of retries
+  async replay(id, userId) {
+    const webhookEvent = await this.getEvent(id);
+
+    const replayed = await WebhookEvent.findOneAndUpdate(
+      { _id: webhookEvent._id, status: { $in: REPLAYABLE_STATUSES } },
+      {
+        $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() },
+        $push: { replays: { replayedBy: userId, previousStatus: webhookEvent.status } }
+      },
+      { new: true }
+    );
+
+    if (!replayed) {
+      throw new AppError(`A ${webhookEvent.status} webhook event cannot be replayed`, 409, 'WEBHOOK_EVENT_NOT_REPLAYABLE', {
+        status: webhookEvent.status,
+        replayable: REPLAYABLE_STATUSES
+      });
+    }
+
+    logger.info('Webhook event replayed', {
+      webhookEventId: replayed._id,
+      gateway: replayed.gateway,
+      event: replayed.type,
+      previousStatus: webhookEvent.status,
+      userId
+    });
+
+    this.processLater(replayed._id);
+    return replayed;
+  }
+}
+
+export default new WebhookEventService();
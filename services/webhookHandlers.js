@@ -0,0 +1,419 @@
+import Transaction from '../models/Transaction.js';
+import logger from '../config/logger.js';
+import inventoryService from './inventoryService.js';
+import disputeService from './disputeService.js';
+
+// Apply a gateway-neutral webhook event to transactions and orders. A failed
+// attempt is retried from the start, so handlers look up current state
+// rather than assume they run once.
+export const processWebhookEvent = async (event, ipAddress) => {
+  const { gateway } = event;
+  
+  logger.info('Processing webhook event', {
+    gateway,
+    event: event.type,
+    entityId: event.entityId
+  });
+  
+  switch (event.type) {
+    case 'payment.authorized':
+      await handlePaymentAuthorized(gateway, event.payment, ipAddress);
+      break;
+      
+    case 'payment.captured':
+      await handlePaymentCaptured(gateway, event.payment, ipAddress);
+      break;
+      
+    case 'payment.failed':
+      await handlePaymentFailed(gateway, event.payment, ipAddress);
+      break;
+      
+    case 'order.paid':
+      await handleOrderPaid(gateway, event.order, ipAddress);
+      break;
+      
+    case 'refund.created':
+      await handleRefundCreated(gateway, event.refund, ipAddress);
+      break;
+      
+    case 'refund.processed':
+      await handleRefundProcessed(gateway, event.refund, ipAddress);
+      break;
+      
+    case 'refund.failed':
+      await handleRefundFailed(gateway, event.refund, ipAddress);
+      break;
+      
+    case 'dispute.created':
+    case 'dispute.under_review':
+    case 'dispute.action_required':
+    case 'dispute.won':
+    case 'dispute.lost':
+    case 'dispute.closed':
+      await handleDisputeEvent(gateway, event.dispute, ipAddress);
+      break;
+      
+    case 'settlement.processed':
+      await handleSettlementProcessed(gateway, event.settlement, ipAddress);
+      break;
+      
+    default:
+      logger.warn('Unhandled webhook event', { gateway, event: event.gatewayEvent, entityId: event.entityId });
+      break;
+  }
+};
+
+// Payment authorized handler
+const handlePaymentAuthorized = async (gateway, payment, ipAddress) => {
+  const transaction = await Transaction.findOne({
+    gateway,
+    gatewayPaymentId: payment.id
+  });
+  
+  if (!transaction) {
+    logger.warn('Transaction not found for authorized payment', {
+      gateway,
+      paymentId: payment.id
+    });
+    return;
+  }
+  
+  await transaction.addStatusUpdate('authorized', 'Payment authorized by gateway', {
+    webhook_event: 'payment.authorized',
+    gateway_status: payment.gatewayStatus,
+    webhook_ip: ipAddress,
+    payment_method: payment.method
+  });
+  
+  // Update payment method and details if not already set
+  if (!transaction.method || transaction.method === 'card') {
+    transaction.method = payment.method;
+    transaction.paymentDetails = {
+      ...transaction.paymentDetails,
+      ...payment.details
+    };
+    await transaction.save();
+  }
+  
+  logger.info('Payment authorized via webhook', {
+    transactionId: transaction.transactionId,
+    paymentId: payment.id,
+    method: payment.method
+  });
+};
+
+// Payment captured handler
+const handlePaymentCaptured = async (gateway, payment, ipAddress) => {
+  const transaction = await Transaction.findOne({
+    gateway,
+    gatewayPaymentId: payment.id
+  });
+  
+  if (!transaction) {
+    logger.warn('Transaction not found for captured payment', {
+      gateway,
+      paymentId: payment.id
+    });
+    return;
+  }
+  
+  // Update transaction status
+  await transaction.addStatusUpdate('captured', 'Payment captured by gateway', {
+    webhook_event: 'payment.captured',
+    gateway_status: payment.gatewayStatus,
+    webhook_ip: ipAddress,
+    captured_amount: payment.amount,
+    fee: payment.fees?.gatewayFee,
+    tax: payment.fees?.serviceTax
+  });
+  
+  // Update fees if available
+  if (payment.fees) {
+    transaction.fees = payment.fees;
+    transaction.netAmount = transaction.amount - transaction.fees.totalFee;
+    await transaction.save();
+  }
+  
+  logger.info('Payment captured via webhook', {
+    transactionId: transaction.transactionId,
+    paymentId: payment.id,
+    amount: payment.amount,
+    fee: payment.fees?.totalFee
+  });
+};
+
+// Payment failed handler. Only the payment itself is matched: one failed
+// attempt does not end a gateway order the customer can still pay.
+const handlePaymentFailed = async (gateway, payment, ipAddress) => {
+  const transaction = await Transaction.findOne({
+    gateway,
+    gatewayPaymentId: payment.id
+  });
+  
+  if (!transaction) {
+    logger.warn('Transaction not found for failed payment', {
+      gateway,
+      paymentId: payment.id,
+      orderId: payment.orderId
+    });
+    return;
+  }
+  
+  // A verified payment keeps its stock and order
+  if (transaction.status === 'success' || transaction.orderId) {
+    logger.warn('Ignoring payment failure for a verified payment', {
+      transactionId: transaction.transactionId,
+      paymentId: payment.id,
+      orderId: transaction.orderId
+    });
+    return;
+  }
+  
+  // Extract failure details
+  const failureReason = {
+    code: payment.error?.code,
+    message: payment.error?.message || 'Payment failed',
+    category: categorizeFailureReason(payment.error?.code)
+  };
+  
+  transaction.failureReason = failureReason;
+  
+  await transaction.addStatusUpdate('failed', 'Payment failed at gateway', {
+    webhook_event: 'payment.failed',
+    gateway_status: payment.gatewayStatus,
+    webhook_ip: ipAddress,
+    error_code: payment.error?.code,
+    error_description: payment.error?.message,
+    failure_reason: payment.error?.reason
+  });
+  
+  // Release stock held for this payment, if it has not been used by an order
+  await inventoryService.releaseReservation(transaction.transactionId, 'payment_failed');
+  
+  logger.error('Payment failed via webhook', {
+    transactionId: transaction.transactionId,
+    paymentId: payment.id,
+    errorCode: payment.error?.code,
+    errorDescription: payment.error?.message
+  });
+};
+
+// Order paid handler
+const handleOrderPaid = async (gateway, order, ipAddress) => {
+  const transaction = await Transaction.findOne({
+    gateway,
+    gatewayOrderId: order.id
+  });
+  
+  if (!transaction) {
+    logger.warn('Transaction not found for paid order', {
+      gateway,
+      orderId: order.id
+    });
+    return;
+  }
+  
+  await transaction.addStatusUpdate('success', 'Order marked as paid', {
+    webhook_event: 'order.paid',
+    gateway_status: order.status,
+    webhook_ip: ipAddress,
+    amount_paid: order.amountPaid
+  });
+  
+  logger.info('Order paid via webhook', {
+    transactionId: transaction.transactionId,
+    orderId: order.id,
+    amountPaid: order.amountPaid
+  });
+};
+
+// Refund created handler
+const handleRefundCreated = async (gateway, refund, ipAddress) => {
+  const transaction = await Transaction.findOne({
+    gateway,
+    gatewayPaymentId: refund.paymentId
+  });
+  
+  if (!transaction) {
+    logger.warn('Transaction not found for refund', {
+      gateway,
+      refundId: refund.id,
+      paymentId: refund.paymentId
+    });
+    return;
+  }
+  
+  // Update refund details
+  if (!transaction.refund) {
+    transaction.refund = {};
+  }
+  
+  transaction.refund = {
+    ...transaction.refund,
+    refundId: refund.id,
+    amount: refund.amount,
+    status: 'processing',
+    initiatedAt: refund.createdAt || new Date()
+  };
+  
+  const refundStatus = Math.round(refund.amount * 100) === Math.round(transaction.amount * 100)
+    ? 'refunded'
+    : 'partially_refunded';
+  
+  await transaction.addStatusUpdate(refundStatus, 'Refund created by gateway', {
+    webhook_event: 'refund.created',
+    refund_id: refund.id,
+    refund_amount: refund.amount,
+    webhook_ip: ipAddress
+  });
+  
+  await transaction.save();
+  
+  logger.info('Refund created via webhook', {
+    transactionId: transaction.transactionId,
+    refundId: refund.id,
+    amount: refund.amount
+  });
+};
+
+// Refund processed handler
+const handleRefundProcessed = async (gateway, refund, ipAddress) => {
+  const transaction = await Transaction.findOne({
+    gateway,
+    'refund.refundId': refund.id
+  });
+  
+  if (!transaction) {
+    logger.warn('Transaction not found for processed refund', {
+      gateway,
+      refundId: refund.id
+    });
+    return;
+  }
+  
+  // Update refund status
+  transaction.refund.status = 'completed';
+  transaction.refund.processedAt = new Date();
+  transaction.refund.arn = refund.arn;
+  
+  await transaction.addStatusUpdate(transaction.status, 'Refund processed successfully', {
+    webhook_event: 'refund.processed',
+    refund_id: refund.id,
+    arn: refund.arn,
+    webhook_ip: ipAddress
+  });
+  
+  await transaction.save();
+  
+  logger.info('Refund processed via webhook', {
+    transactionId: transaction.transactionId,
+    refundId: refund.id,
+    arn: refund.arn
+  });
+};
+
+// Refund failed handler
+const handleRefundFailed = async (gateway, refund, ipAddress) => {
+  const transaction = await Transaction.findOne({
+    gateway,
+    'refund.refundId': refund.id
+  });
+  
+  if (!transaction) {
+    logger.warn('Transaction not found for failed refund', {
+      gateway,
+      refundId: refund.id
+    });
+    return;
+  }
+  
+  // Update refund status
+  transaction.refund.status = 'failed';
+  
+  await transaction.addStatusUpdate(transaction.status, 'Refund failed', {
+    webhook_event: 'refund.failed',
+    refund_id: refund.id,
+    error_code: refund.error?.code,
+    error_description: refund.error?.message,
+    webhook_ip: ipAddress
+  });
+  
+  await transaction.save();
+  
+  logger.error('Refund failed via webhook', {
+    transactionId: transaction.transactionId,
+    refundId: refund.id,
+    errorCode: refund.error?.code,
+    errorDescription: refund.error?.message
+  });
+};
+
+// Dispute handler: a new dispute opens one in the dispute workspace, later
+// events move it to review and a decision
+const handleDisputeEvent = async (gateway, dispute, ipAddress) => {
+  const recorded = await disputeService.recordFromGateway(gateway, dispute, { ipAddress });
+  
+  if (recorded) {
+    logger.info('Payment dispute updated via webhook', {
+      disputeId: recorded._id,
+      gatewayDisputeId: dispute.id,
+      gatewayStatus: dispute.status,
+      status: recorded.status
+    });
+  }
+};
+
+// Settlement processed handler
+const handleSettlementProcessed = async (gateway, settlement, ipAddress) => {
+  // Find all transactions in this settlement
+  const transactions = await Transaction.find({
+    gateway,
+    gatewayPaymentId: { $in: settlement.paymentIds }
+  });
+  
+  if (transactions.length === 0) {
+    logger.warn('No transactions found for settlement', {
+      gateway,
+      settlementId: settlement.id
+    });
+    return;
+  }
+  
+  // Update settlement details for each transaction
+  for (const transaction of transactions) {
+    transaction.settlement = {
+      batchId: settlement.id,
+      settledAmount: transaction.netAmount,
+      settledAt: settlement.createdAt || new Date(),
+      settlementUtr: settlement.utr
+    };
+    
+    await transaction.addStatusUpdate(transaction.status, 'Payment settled', {
+      webhook_event: 'settlement.processed',
+      settlement_id: settlement.id,
+      utr: settlement.utr,
+      webhook_ip: ipAddress
+    });
+    
+    await transaction.save();
+  }
+  
+  logger.info('Settlement processed via webhook', {
+    settlementId: settlement.id,
+    transactionCount: transactions.length,
+    utr: settlement.utr
+  });
+};
+
+// Helper functions
+const categorizeFailureReason = (errorCode) => {
+  const technicalErrors = ['GATEWAY_ERROR', 'BAD_REQUEST_ERROR', 'SERVER_ERROR'];
+  const businessErrors = ['PAYMENT_CAPTURE_FAILED', 'PAYMENT_ALREADY_REFUNDED'];
+  const userErrors = ['INVALID_CARD_NUMBER', 'CARD_EXPIRED', 'INSUFFICIENT_FUNDS'];
+  
+  if (technicalErrors.includes(errorCode)) return 'technical';
+  if (businessErrors.includes(errorCode)) return 'business';
+  if (userErrors.includes(errorCode)) return 'user_error';
+  
+  return 'unknown';
+};
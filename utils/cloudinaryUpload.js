@@ -0,0 +1,102 @@
+import { v2 as cloudinary } from 'cloudinary';
+
+export const PRODUCT_IMAGE_FOLDER = 'panditji-auto-connect/products';
+export const DISPUTE_EVIDENCE_FOLDER = 'panditji-auto-connect/disputes';
+export const RETURN_PHOTO_FOLDER = 'panditji-auto-connect/returns';
+
+// Configure Cloudinary - done lazily to ensure env vars are loaded
+export const configureCloudinary = () => {
+  if (!cloudinary.config().cloud_name) {
+    cloudinary.config({
+      cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: process.env.CLOUDINARY_API_KEY,
+      api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+  }
+};
+
+export const isCloudinaryConfigured = () =>
+  Boolean(process.env.CLOUDINARY_CLOUD_NAME && process.env.CLOUDINARY_API_KEY && process.env.CLOUDINARY_API_SECRET);
+
+// Whether { url, public_id } is a file uploaded to this Cloudinary account in
+// `folder`, as returned by the upload endpoints, rather than any link
+export const isUploadedAsset = ({ url, public_id: publicId } = {}, folder) => {
+  if (typeof url !== 'string' || typeof publicId !== 'string' || !publicId.startsWith(`${folder}/`)) {
+    return false;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return false;
+  }
+
+  return parsed.protocol === 'https:' &&
+    parsed.hostname === 'res.cloudinary.com' &&
+    parsed.pathname.startsWith(`/${process.env.CLOUDINARY_CLOUD_NAME}/`) &&
+    parsed.pathname.replace(/\.[^/.]+$/, '').endsWith(`/${publicId}`);
+};
+
+// Upload a multer memory-storage file to Cloudinary
+export const uploadImageBuffer = (file, { folder = PRODUCT_IMAGE_FOLDER } = {}) => {
+  configureCloudinary();
+
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder,
+        transformation: [
+          { width: 800, height: 800, crop: 'limit' },
+          { quality: 'auto' }
+        ],
+        resource_type: 'auto'
+      },
+      (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({
+            url: result.secure_url,
+            public_id: result.public_id,
+            filename: file.originalname,
+            originalName: file.originalname,
+            size: file.size
+          });
+        }
+      }
+    );
+    uploadStream.end(file.buffer);
+  });
+};
+
+// Upload a document (PDF, image or text) as it is, without the resizing
+// applied to product images
+export const uploadFileBuffer = (file, { folder }) => {
+  configureCloudinary();
+
+  return new Promise((resolve, reject) => {
+    const uploadStream = cloudinary.uploader.upload_stream(
+      {
+        folder,
+        resource_type: 'auto',
+        use_filename: true
+      },
+      (error, result) => {
+        if (error) {
+          reject(error);
+        } else {
+          resolve({
+            url: result.secure_url,
+            public_id: result.public_id,
+            resource_type: result.resource_type,
+            filename: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size
+          });
+        }
+      }
+    );
+    uploadStream.end(file.buffer);
+  });
+};
@@ -0,0 +1,15 @@
+// Quote a value for CSV when it contains separators, quotes or line breaks
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from plain objects; columns are [{ key, label }]
+export const toCsv = (rows, columns) => {
+  const header = columns.map(column => escapeCsvValue(column.label)).join(',');
+  const lines = rows.map(row =>
+    columns.map(column => escapeCsvValue(row[column.key])).join(',')
+  );
+  return [header, ...lines].join('\r\n');
+};
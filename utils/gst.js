@@ -0,0 +1,71 @@
+// GST slabs allowed on products and categories (percent)
+export const GST_RATES = [0, 0.25, 3, 5, 12, 18, 28];
+
+// State and union territory codes as used in GSTINs
+export const STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  'punjab': '03',
+  'chandigarh': '04',
+  'uttarakhand': '05',
+  'haryana': '06',
+  'delhi': '07',
+  'rajasthan': '08',
+  'uttar pradesh': '09',
+  'bihar': '10',
+  'sikkim': '11',
+  'arunachal pradesh': '12',
+  'nagaland': '13',
+  'manipur': '14',
+  'mizoram': '15',
+  'tripura': '16',
+  'meghalaya': '17',
+  'assam': '18',
+  'west bengal': '19',
+  'jharkhand': '20',
+  'odisha': '21',
+  'chhattisgarh': '22',
+  'madhya pradesh': '23',
+  'gujarat': '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  'maharashtra': '27',
+  'karnataka': '29',
+  'goa': '30',
+  'lakshadweep': '31',
+  'kerala': '32',
+  'tamil nadu': '33',
+  'puducherry': '34',
+  'andaman and nicobar islands': '35',
+  'telangana': '36',
+  'andhra pradesh': '37',
+  'ladakh': '38'
+};
+
+const STATE_ALIASES = {
+  'new delhi': 'delhi',
+  'nct of delhi': 'delhi',
+  'orissa': 'odisha',
+  'pondicherry': 'puducherry',
+  'j&k': 'jammu and kashmir',
+  'uttaranchal': 'uttarakhand'
+};
+
+export const isValidGstRate = (rate) => GST_RATES.includes(rate);
+
+// Lowercase, collapse whitespace, treat "&" as "and" and resolve common aliases
+export const normalizeState = (state) => {
+  if (!state) return '';
+  const normalized = String(state)
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+  if (STATE_ALIASES[normalized]) return STATE_ALIASES[normalized];
+  return normalized.replace(/\s*&\s*/g, ' and ');
+};
+
+export const getStateCode = (state) => STATE_CODES[normalizeState(state)] || null;
+
+export const isSameState = (a, b) => {
+  const left = normalizeState(a);
+  return left !== '' && left === normalizeState(b);
+};
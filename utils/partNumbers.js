@@ -0,0 +1,23 @@
+// Part numbers are compared without dashes, spaces, dots or slashes and
+// case-insensitively, so "16510-61M00" matches "1651061m00"
+export const normalizePartNumber = (value) =>
+  value === undefined || value === null ? '' : String(value).toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// Shortest input treated as a part number lookup, to keep words like "oil" out
+export const MIN_PART_NUMBER_LENGTH = 4;
+
+export const isPartNumberQuery = (value) => normalizePartNumber(value).length >= MIN_PART_NUMBER_LENGTH;
+
+// Every normalised number a product can be found by: its SKU, variant SKUs,
+// OEM numbers and cross-referenced aftermarket numbers
+export const collectPartNumberKeys = ({ sku, variants = [], oemNumbers = [], crossReferences = [] }) => {
+  const keys = [
+    sku,
+    ...(variants || []).map(variant => variant?.sku),
+    ...(oemNumbers || []).map(ref => ref?.number),
+    ...(crossReferences || []).map(ref => ref?.number)
+  ]
+    .map(normalizePartNumber)
+    .filter(Boolean);
+  return [...new Set(keys)];
+};
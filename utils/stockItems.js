@@ -0,0 +1,33 @@
+// Lines are told apart by product and, for products sold in variants, by variant
+export const lineKey = (item) =>
+  `${(item.product?._id || item.product).toString()}:${item.variant ? item.variant.toString() : ''}`;
+
+// Combine lines for the same product variant so stock is taken in one step per variant
+export const mergeItems = (items) => {
+  const merged = new Map();
+  items.forEach(item => {
+    const key = lineKey(item);
+    if (merged.has(key)) {
+      merged.get(key).quantity += item.quantity;
+    } else {
+      merged.set(key, {
+        product: item.product.toString(),
+        ...(item.variant && { variant: item.variant.toString() }),
+        quantity: item.quantity
+      });
+    }
+  });
+  return [...merged.values()];
+};
+
+// Product stock change for a line. A variant's stock moves together with its
+// product's, which stays the total over the variants. Restocking makes the
+// product available again in the same update, e.g. putting back 2 units of a
+// variant of a sold-out product sets both stock counts to 2 and inStock to true.
+export const productStockChange = (item, quantity) => ({
+  filter: item.variant ? { _id: item.product, 'variants._id': item.variant } : { _id: item.product },
+  update: {
+    $inc: { stockQuantity: quantity, ...(item.variant && { 'variants.$.stockQuantity': quantity }) },
+    ...(quantity > 0 && { $set: { inStock: true } })
+  }
+});